@@ -14,9 +14,16 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
+// Tenant isolation guard, registered before the routes compile any model
+const { registerTenantIsolation } = require('./libs/tenantIsolation');
+const { runAsSystem } = require('./libs/tenantContext');
+registerTenantIsolation();
+
 // Application routes and database
 const routes = require('./routes');
+const middleware = require('./middleware');
 const database = require('./libs/mongoose');
+const jobs = require('./jobs');
 const env = require("./config/env");
 
 // Models
@@ -29,8 +36,12 @@ const generateGatePassPDF = require('./pdf/generate-gatePass');
 const generatePDF = require('./pdf/generate-pdf');
 const generateRCPDF = require("./pdf/generate-rc-pdf");
 const generateIssueSlipPDF = require('./pdf/generate-IssueSlip-pdf');
+const generateAssetCardPDF = require('./pdf/generate-assetCard-pdf');
+const generateCountSheetPDF = require('./pdf/generate-countSheet-pdf');
+const generateVendorLedgerPDF = require('./pdf/generate-vendorLedger-pdf');
 const generatePRPDF = require('./pdf/generate-pr-pdf');
 const generatelocalPOpdf = require('./pdf/generate-localPO');
+const { runAsDocumentTenant } = require('./pdf/documentTenant');
 
 // Email and response utilities
 const sendEmailsInBatches = require("./emails/sendEmail");
@@ -39,6 +50,7 @@ const { responseMessage } = require("./libs/responseMessages");
 
 // Redis initialization
 const { initRedis } = require("./config/redis");
+const { initNotificationBus } = require("./libs/notifications");
 
 // Initialize Express application
 const app = express();
@@ -49,6 +61,7 @@ const app = express();
  */
 (async () => {
   await initRedis();
+  await initNotificationBus(); // Live notifications across instances
 })();
 
 /**
@@ -64,6 +77,9 @@ app.use(compression({
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
+// Behind a load balancer, read the client IP (req.ip) from X-Forwarded-For
+if (env.trustProxy) app.set('trust proxy', env.trustProxy);
+
 // Enable CORS (Cross-Origin Resource Sharing) for API access from different domains
 app.use(cors());
 
@@ -116,6 +132,9 @@ const s3 = new AWS.S3();
  * 1. Return PDF as binary response (isFile = 2)
  * 2. Upload to S3 and return URL (isFile = 1)
  * 3. Return PDF directly (default)
+ *
+ * Endpoints without a login run as the company that owns the document they
+ * print (pdf/documentTenant.js).
  */
 
 /**
@@ -131,7 +150,7 @@ app.post(`${env.serverBasePath}/generate/pdf`, async function (request, resp) {
     let requestedBody = request.body;
     
     // Generate PDF buffer from the provided data
-    let pdfBuffer = await generatePDF(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generatePDF(requestedBody));
     
     // Option 2: Return PDF as downloadable file
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -161,7 +180,7 @@ app.post(`${env.serverBasePath}/generate/pdf`, async function (request, resp) {
     }
   } catch (e) {
     // Return error response
-    resp.status(422).json(e);
+    resp.status(e.statusCode || 422).json(e);
   }
 });
 
@@ -179,7 +198,7 @@ app.post(`${env.serverBasePath}/generate/localPO-pdf`, async function (request,
     let requestedBody = request.body;
     
     // Generate PDF buffer for local PO
-    let pdfBuffer = await generatelocalPOpdf(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generatelocalPOpdf(requestedBody));
     
     // Handle different output formats (same logic as generic PDF endpoint)
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -201,7 +220,7 @@ app.post(`${env.serverBasePath}/generate/localPO-pdf`, async function (request,
       resp.send(pdfBuffer);
     }
   } catch (e) {
-    resp.status(422).json(e);
+    resp.status(e.statusCode || 422).json(e);
   }
 }); 
 
@@ -218,7 +237,7 @@ app.post(`${env.serverBasePath}/generate/DMR-Inventory-pdf`, async function (req
     let requestedBody = request.body;
     
     // Generate DMR inventory PDF
-    let pdfBuffer = await generateDMRInventoryPDF(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generateDMRInventoryPDF(requestedBody));
     
     // Handle different output formats
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -240,7 +259,7 @@ app.post(`${env.serverBasePath}/generate/DMR-Inventory-pdf`, async function (req
       resp.send(pdfBuffer);
     }
   } catch (e) {
-    resp.status(422).json(e);
+    resp.status(e.statusCode || 422).json(e);
   }
 }); 
 
@@ -258,7 +277,7 @@ app.post(`${env.serverBasePath}/generate/material-gatePass`, async function (req
     let requestedBody = request.body;
     
     // Generate gate pass PDF
-    let pdfBuffer = await generateGatePassPDF(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generateGatePassPDF(requestedBody));
     
     // Handle different output formats
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -280,7 +299,7 @@ app.post(`${env.serverBasePath}/generate/material-gatePass`, async function (req
       resp.send(pdfBuffer);
     }
   } catch (e) {
-    resp.status(422).json(e);
+    resp.status(e.statusCode || 422).json(e);
   }
 }); 
 
@@ -304,12 +323,12 @@ app.post(`${env.serverBasePath}/generate/debitNote-pdf`, async function (req, re
     }
 
     // Step 1: Generate PDF buffer from debit note data
-    const pdfBuffer = await generateDebitNote(req.body);
+    const pdfBuffer = await runAsDocumentTenant(req.body, () => generateDebitNote(req.body));
     
     // Step 2: Email flow - if isMailData is true, send email with PDF attachment
     if (isMailData) {
-      // Fetch debit note details from database
-      const debitNote = await DebitNote.findById(id).lean();
+      // Fetch debit note details from database (no login here, so no tenant context)
+      const debitNote = await runAsSystem(() => DebitNote.findById(id).lean());
       if (!debitNote) {
         return res.status(404).json({ success: false, message: "Debit Note not found" });
       }
@@ -349,7 +368,7 @@ app.post(`${env.serverBasePath}/generate/debitNote-pdf`, async function (req, re
     }
   } catch (err) {
     // Handle errors
-    res.status(500).json({ success: false, message: "Internal server error", error: err.message });
+    res.status(err.statusCode || 500).json({ success: false, message: err.statusCode ? err.message : "Internal server error", error: err.message });
   }
 });
 
@@ -368,7 +387,7 @@ app.post(`${env.serverBasePath}/generate/prpdf`, async function (request, resp)
     let requestedBody = request.body;
     
     // Generate purchase request PDF
-    let pdfBuffer = await generatePRPDF(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generatePRPDF(requestedBody));
     
     // Handle different output formats
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -390,7 +409,7 @@ app.post(`${env.serverBasePath}/generate/prpdf`, async function (request, resp)
       resp.send(pdfBuffer);
     }
   } catch (e) {
-    resp.status(422).json(e);
+    resp.status(e.statusCode || 422).json(e);
   }
 });
 
@@ -408,7 +427,7 @@ app.post(`${env.serverBasePath}/generate/issueSlip`, async function (request, re
     let requestedBody = request.body;
     
     // Generate issue slip PDF
-    let pdfBuffer = await generateIssueSlipPDF(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generateIssueSlipPDF(requestedBody));
     
     // Handle different output formats
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -430,7 +449,7 @@ app.post(`${env.serverBasePath}/generate/issueSlip`, async function (request, re
       resp.send(pdfBuffer);
     }
   } catch (e) {
-    resp.status(422).json(e);
+    resp.status(e.statusCode || 422).json(e);
   }
 });
 
@@ -448,7 +467,7 @@ app.post(`${env.serverBasePath}/generate/rcpdf`, async function (request, resp)
     let requestedBody = request.body;
 
     // Generate receipt challan PDF
-    let pdfBuffer = await generateRCPDF(requestedBody);
+    let pdfBuffer = await runAsDocumentTenant(requestedBody, () => generateRCPDF(requestedBody));
     
     // Handle different output formats
     if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
@@ -470,6 +489,128 @@ app.post(`${env.serverBasePath}/generate/rcpdf`, async function (request, resp)
       resp.send(pdfBuffer);
     }
   } catch (e) {
+    resp.status(e.statusCode || 422).json(e);
+  }
+});
+
+
+/**
+ * Asset History Card PDF Generation
+ * POST /generate/asset-card
+ * Generates the history card PDF for a tracked asset of the caller's company
+ * (needs a login and the Asset Tracker View permission)
+ * 
+ * @param {Object} request.body - Asset card data (template, id)
+ * @param {Number} request.body.isFile - Output format (0: binary, 1: S3 URL, 2: file)
+ */
+app.post(`${env.serverBasePath}/generate/asset-card`, middleware.jwtVerify, middleware.checkPermission, async function (request, resp) {
+  try {
+    let requestedBody = request.body;
+
+    // Generate asset history card PDF
+    let pdfBuffer = await generateAssetCardPDF({ ...requestedBody, companyIdf: request.user.companyIdf });
+    
+    // Handle different output formats
+    if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
+      resp.setHeader('Content-Type', 'application/pdf');
+      resp.send(pdfBuffer);
+    } else if (requestedBody && requestedBody.isFile && requestedBody.isFile == 1) {
+      // Upload to S3
+      const fileName = `asset-card_${uuidv4()}.pdf`;
+      const s3UploadResult = await s3.upload({
+        Bucket: 'gamerji-dharmendra',
+        Key: fileName,
+        Body: pdfBuffer,
+        ContentType: 'application/pdf',
+      }).promise();
+      
+      resp.setHeader('Content-Type', 'application/json');
+      resp.status(200).json(await Response.success({ pdf: s3UploadResult.Location }, responseMessage('en', 'SUCCESS'), request));
+    } else {
+      resp.send(pdfBuffer);
+    }
+  } catch (e) {
+    resp.status(422).json(e);
+  }
+});
+
+/**
+ * Stock Count Sheet PDF Generation
+ * POST /generate/count-sheet
+ * Generates the count sheet PDF for a physical stock count of the caller's
+ * company (needs a login and the Stock Count View permission)
+ * 
+ * @param {Object} request.body - Count sheet data (template, id, blind)
+ * @param {Number} request.body.isFile - Output format (0: binary, 1: S3 URL, 2: file)
+ */
+app.post(`${env.serverBasePath}/generate/count-sheet`, middleware.jwtVerify, middleware.checkPermission, async function (request, resp) {
+  try {
+    let requestedBody = request.body;
+
+    // Generate stock count sheet PDF
+    let pdfBuffer = await generateCountSheetPDF({ ...requestedBody, companyIdf: request.user.companyIdf });
+    
+    // Handle different output formats
+    if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
+      resp.setHeader('Content-Type', 'application/pdf');
+      resp.send(pdfBuffer);
+    } else if (requestedBody && requestedBody.isFile && requestedBody.isFile == 1) {
+      // Upload to S3
+      const fileName = `count-sheet_${uuidv4()}.pdf`;
+      const s3UploadResult = await s3.upload({
+        Bucket: 'gamerji-dharmendra',
+        Key: fileName,
+        Body: pdfBuffer,
+        ContentType: 'application/pdf',
+      }).promise();
+      
+      resp.setHeader('Content-Type', 'application/json');
+      resp.status(200).json(await Response.success({ pdf: s3UploadResult.Location }, responseMessage('en', 'SUCCESS'), request));
+    } else {
+      resp.send(pdfBuffer);
+    }
+  } catch (e) {
+    resp.status(422).json(e);
+  }
+});
+
+
+/**
+ * Vendor Ledger PDF Generation
+ * POST /generate/vendor-ledger
+ * Generates the ledger statement PDF for a vendor of the caller's company
+ * (needs a login and the Vendor Payments View permission)
+ * 
+ * @param {Object} request.body - Ledger data (template, vendor_id, from, to)
+ * @param {Number} request.body.isFile - Output format (0: binary, 1: S3 URL, 2: file)
+ */
+app.post(`${env.serverBasePath}/generate/vendor-ledger`, middleware.jwtVerify, middleware.checkPermission, async function (request, resp) {
+  try {
+    let requestedBody = request.body;
+
+    // Generate vendor ledger statement PDF
+    let pdfBuffer = await generateVendorLedgerPDF({ ...requestedBody, companyIdf: request.user.companyIdf });
+    
+    // Handle different output formats
+    if (requestedBody && requestedBody.isFile && requestedBody.isFile == 2) {
+      resp.setHeader('Content-Type', 'application/pdf');
+      resp.send(pdfBuffer);
+    } else if (requestedBody && requestedBody.isFile && requestedBody.isFile == 1) {
+      // Upload to S3
+      const fileName = `vendor-ledger_${uuidv4()}.pdf`;
+      const s3UploadResult = await s3.upload({
+        Bucket: 'gamerji-dharmendra',
+        Key: fileName,
+        Body: pdfBuffer,
+        ContentType: 'application/pdf',
+      }).promise();
+      
+      resp.setHeader('Content-Type', 'application/json');
+      resp.status(200).json(await Response.success({ pdf: s3UploadResult.Location }, responseMessage('en', 'SUCCESS'), request));
+    } else {
+      resp.send(pdfBuffer);
+    }
+  } catch (e) {
     resp.status(422).json(e);
   }
 });
@@ -505,6 +646,12 @@ app.use(function (req, res, next) {
  */
 database.connect();
 
+/**
+ * Start Background Jobs
+ * Periodic jobs such as stock reconciliation (only when JOBS_ENABLED=true)
+ */
+jobs.startJobs();
+
 /**
  * Utility Function: Format Invoice Numbers
  * Converts array of invoice numbers to comma-separated string
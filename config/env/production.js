@@ -86,6 +86,19 @@ module.exports =  {
     },
     /**Seceret key used by jwt to create  jwt token and verifying it */
     secret: process.env.JWT_SECRET,
+    /**proxies in front of the app (express "trust proxy" hops), so req.ip is the client's IP for the login lockout */
+    trustProxy: Number(process.env.TRUST_PROXY_HOPS) || 0,
+    /**access token lifetime (jsonwebtoken expiresIn), refresh token lifetime in days,
+     * login lockout (failures allowed per email / per IP within loginLockoutMinutes, then locked for as long)
+     * and password reset link lifetime */
+    auth: {
+        accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+        refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS) || 30,
+        maxLoginAttempts: Number(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+        maxLoginAttemptsPerIp: Number(process.env.MAX_LOGIN_ATTEMPTS_PER_IP) || 20,
+        loginLockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+        passwordResetMinutes: Number(process.env.PASSWORD_RESET_MINUTES) || 30
+    },
     /**secret key use to encrpty data at db */
     dbSecret: Buffer.from(`${process.env.DB_SECRET}`).toString("base64"),
     /**secret key use to encrpty data in transport layer */
@@ -96,5 +109,15 @@ module.exports =  {
     dev: true,
     /**transport layer encryption  */
     transitEncryption: false,
-    defaultLang:'en'
+    defaultLang:'en',
+    /**background jobs, enable on one instance only */
+    jobs: {
+        enabled: process.env.JOBS_ENABLED === "true",
+        stockReconciliationHours: Number(process.env.STOCK_RECONCILIATION_HOURS) || 24,
+        lowStockCheckHours: Number(process.env.LOW_STOCK_CHECK_HOURS) || 6,
+        approvalSlaCheckHours: Number(process.env.APPROVAL_SLA_CHECK_HOURS) || 1,
+        webhookRetryMinutes: Number(process.env.WEBHOOK_RETRY_MINUTES) || 1,
+        vendorScorecardHours: Number(process.env.VENDOR_SCORECARD_HOURS) || 24,
+        vendorDocumentExpiryHours: Number(process.env.VENDOR_DOCUMENT_EXPIRY_HOURS) || 24
+    }
 };
\ No newline at end of file
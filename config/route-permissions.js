@@ -0,0 +1,560 @@
+/**
+ * Route Permissions
+ * Configuration-driven mapping of every authenticated /api/web route to the
+ * Role.dashboard_permissions module + action (childList value) it requires.
+ *
+ * Keys are "<METHOD> <express route path>" exactly as declared in routes/web.js.
+ * The PDF endpoints that need a login are declared in app.js at the base path.
+ * Values:
+ * - ANY: any authenticated user of the tenant (shared lookups, own profile, dashboards)
+ * - SUPERADMIN_ONLY: no module grant unlocks it, only the superadmin role
+ * - [[moduleName, action], ...]: caller needs at least one of the listed grants
+ *
+ * Module names and actions must match ParentChildchecklist in models/Role.js.
+ * Actions are compared case-insensitively ("Edit" === "edit").
+ * Routes missing from this map are rejected, so new routes must be added here.
+ */
+
+const ANY = null;
+const SUPERADMIN_ONLY = [];
+
+/**
+ * Roles that bypass module checks entirely.
+ * Normalized the same way as config/chatbot/role-permissions.js.
+ */
+const BYPASS_ROLES = ["superadmin"];
+
+/**
+ * Build the grant list for a set of actions on one module.
+ * @param {string} moduleName - ParentChildchecklist.moduleName
+ * @param {...string} actions - childList values
+ * @returns {Array<[string, string]>}
+ */
+function on(moduleName, ...actions) {
+  return actions.map((action) => [moduleName, action]);
+}
+
+const ROUTE_PERMISSIONS = {
+  // Common
+  "POST /mail/template": ANY,
+  "GET /dasboard-stats": ANY,
+  "POST /chatbot/ask": ANY, // chatbot applies its own role guard
+  "POST /upload_file": ANY,
+  "GET /recentActivity": ANY,
+  "GET /user/permission": ANY,
+
+  // About us / miscellaneous config (tenant settings)
+  "GET /aboutUs": ANY,
+  "GET /aboutUs/:id": ANY,
+  "PUT /aboutUs/:id": SUPERADMIN_ONLY,
+  "POST /aboutUs": SUPERADMIN_ONLY,
+  "GET /miscellaneousConfig": ANY,
+  "GET /miscellaneousConfig/:type": ANY,
+  "PUT /miscellaneousConfig/:id": SUPERADMIN_ONLY,
+  "POST /miscellaneousConfig": SUPERADMIN_ONLY,
+
+  // Line graph
+  "GET /lineGraph": on("projects", "view"),
+  "GET /lineGraph/:id": on("projects", "view"),
+  "POST /lineGraph/date-filter": on("projects", "view"),
+
+  // Master tasks / sub tasks
+  "GET /masterSubTasks": ANY,
+  "GET /masterSubTasks/:id": ANY,
+  "PUT /masterSubTasks/:id": on("sub activities", "edit"),
+  "POST /masterSubTasks": on("sub activities", "add"),
+  "DELETE /masterSubTasks/:id": on("sub activities", "delete"),
+  "DELETE /masterSubTasks": on("sub activities", "delete"),
+  "GET /masterTasks/all-tasks": ANY,
+  "GET /masterTasks/:id": ANY,
+  "PUT /masterTasks/:id": on("activities", "edit"),
+  "POST /masterTasks": on("activities", "add"),
+  "DELETE /masterTasks/:id": on("activities", "delete"),
+  "DELETE /masterTasks": on("activities", "delete"),
+
+  // Permissions master
+  "GET /permissions": on("roles", "view"),
+  "GET /permissions/:id": on("roles", "view"),
+  "PUT /permissions/:id": on("roles", "edit"),
+  "POST /permissions": on("roles", "add"),
+  "DELETE /permissions/:id": on("roles", "delete"),
+
+  // Projects
+  "GET /projects": on("projects", "view"),
+  "GET /projects/:id": on("projects", "view"),
+  "POST /projects": on("projects", "add"),
+  "PUT /projects/updateMoreActivities/:id": [...on("projects", "edit"), ...on("progress_sheet", "edit")],
+  "POST /projects/:id": on("projects", "edit"),
+  "PUT /projects/update-project/:id": on("projects", "edit"),
+  "PUT /projects": on("projects", "edit"),
+  "PUT /projects/members/:id": [...on("members", "add"), ...on("projects", "edit")],
+  "DELETE /projects/:id": on("projects", "delete"),
+  "DELETE /projects/List/:id": on("projects", "Delete", "Edit"),
+
+  // Roles
+  "GET /roles": [...on("roles", "view"), ...on("users", "view")],
+  "GET /roles/:id": [...on("roles", "view"), ...on("users", "view")],
+  "GET /roles/role/:role": [...on("roles", "view"), ...on("users", "view")],
+  "PUT /roles/:id": on("roles", "edit"),
+  "PUT /roles/update-perm/:role": on("roles", "edit"),
+  "POST /roles": on("roles", "add"),
+  "DELETE /roles/:id": on("roles", "delete"),
+  "DELETE /roles": on("roles", "delete"),
+
+  // Tasks / sub tasks (project schedule)
+  "GET /tasks": on("projects", "view"),
+  "GET /tasks/:id": on("projects", "view"),
+  "PUT /tasks/:id": on("projects", "edit"),
+  "POST /tasks": on("projects", "edit"),
+  "DELETE /tasks/:id": on("projects", "edit"),
+  "GET /tasks/tasksList/:id": on("projects", "view"),
+  "GET /subTasks": [...on("projects", "view"), ...on("progress_sheet", "view"), ...on("calender", "view")],
+  "GET /subTasks/activities/:id": [...on("projects", "view"), ...on("progress_sheet", "view"), ...on("calender", "view")],
+  "GET /subTasks/:id": [...on("projects", "view"), ...on("progress_sheet", "view"), ...on("calender", "view")],
+  "POST /subTasks": [...on("projects", "edit"), ...on("calender", "add")],
+  "PUT /subTasks/:id": [...on("projects", "edit"), ...on("calender", "add")],
+  "PUT /subTasks/dailyTotalUpdate/:id": on("progress_sheet", "edit"),
+  "PUT /subTasks/dailyTotalUpdate/update/:id": on("progress_sheet", "edit"),
+  "PUT /subTasks/remarkUpdate/:id": on("calender", "remarks"),
+  "PUT /subTasks/remarks/:id": on("calender", "remarks"),
+  "DELETE /subTasks/:id": on("projects", "edit"),
+  "DELETE /subTasks/deleteMany": on("projects", "edit"),
+
+  // Project activity data (progress sheet)
+  "GET /project/activity_data": on("progress_sheet", "view"),
+  "GET /project/activity_data/remarks": on("progress_sheet", "view"),
+  "GET /project/activity_data/detail": on("progress_sheet", "view"),
+  "PUT /project/activity_data": on("progress_sheet", "edit"),
+  "POST /project/activity_data": on("progress_sheet", "edit"),
+  "DELETE /project/activity_data": on("progress_sheet", "edit"),
+
+  // Users
+  "GET /users": on("users", "view"),
+  "GET /users/out-of-office": ANY, // own; other users: superadmin (checked in the controller)
+  "PUT /users/out-of-office": ANY,
+  "DELETE /users/out-of-office": ANY,
+  "GET /users/:id": on("users", "view"),
+  "PUT /users/:id": on("users", "edit"),
+  "POST /users": on("users", "add"),
+  "POST /users/logout": ANY, // own sessions
+  "POST /users/logout-all": ANY,
+  "POST /users/change-password": ANY, // own password
+  "POST /users/add-site": on("users", "edit"),
+  "DELETE /users/:id": on("users", "delete"),
+  "DELETE /users": on("users", "delete"),
+
+  // Site staff / contractors (managed with the site master)
+  "GET /siteStaff": ANY,
+  "GET /siteStaff/:id": ANY,
+  "PUT /siteStaff": on("Site", "edit"),
+  "POST /siteStaff": on("Site", "add"),
+  "DELETE /siteStaff": on("Site", "delete"),
+  "POST /siteStaff/upload-csv": on("Site", "add"),
+  "GET /contractor": ANY,
+  "GET /contractor/:id": ANY,
+  "PUT /contractor": on("Site", "edit"),
+  "POST /contractor": on("Site", "add"),
+  "DELETE /contractor": on("Site", "delete"),
+  "POST /contractor/upload-csv": on("Site", "add"),
+
+  // Masters: reads are shared lookups, writes need the module grant
+  "GET /category": ANY,
+  "GET /category/detail": ANY,
+  "PUT /category": on("Category", "edit"),
+  "POST /category": on("Category", "add"),
+  "DELETE /category": on("Category", "delete"),
+  "GET /subcategory": ANY,
+  "GET /subcategory/detail": ANY,
+  "PUT /subcategory": on("Sub Category", "edit"),
+  "POST /subcategory": on("Sub Category", "add"),
+  "DELETE /subcategory": on("Sub Category", "delete"),
+  "GET /site": ANY,
+  "GET /site/detail": ANY,
+  "PUT /site": on("Site", "edit"),
+  "POST /site": on("Site", "add"),
+  "DELETE /site": on("Site", "delete"),
+  "GET /organisation": ANY,
+  "GET /organisation/detail": ANY,
+  "PUT /organisation": on("Organisation", "edit"),
+  "POST /organisation": on("Organisation", "add"),
+  "DELETE /organisation": on("Organisation", "delete"),
+  "GET /gst": ANY,
+  "GET /gst/detail": ANY,
+  "PUT /gst": on("GST", "edit"),
+  "POST /gst": on("GST", "add"),
+  "DELETE /gst": on("GST", "delete"),
+  "GET /vendor": ANY,
+  "GET /vendorCode": on("Vendor", "add"),
+  "GET /vendor/detail": ANY,
+  "GET /vendor/scorecard": on("Vendor", "view"),
+  "GET /vendor/scorecards": on("Vendor", "view"),
+  "PUT /vendor": on("Vendor", "edit"),
+  "POST /vendor": on("Vendor", "add"),
+  "DELETE /vendor": on("Vendor", "delete"),
+  "POST /vendor/upload-csv": on("Vendor", "add"),
+  "GET /vendor/documents": on("Vendor Compliance", "View", "Add", "Verify"),
+  "GET /vendor/compliance": on("Vendor Compliance", "View", "Add", "Verify"),
+  "POST /vendor/documents": on("Vendor Compliance", "Add"),
+  "PUT /vendor/documents/verify": on("Vendor Compliance", "Verify"),
+  "DELETE /vendor/documents": on("Vendor Compliance", "Add"),
+  "GET /uom": ANY,
+  "GET /uom/detail": ANY,
+  "PUT /uom": on("UOM", "edit"),
+  "POST /uom": on("UOM", "add"),
+  "DELETE /uom": on("UOM", "delete"),
+  "GET /item": ANY,
+  "GET /item/getItemNumber": on("Item", "add"),
+  "GET /item/detail": ANY,
+  "PUT /item": on("Item", "edit"),
+  "POST /item": on("Item", "add"),
+  "DELETE /item": on("Item", "delete"),
+  "POST /item/upload-csv": on("Item", "add"),
+  "GET /location": ANY,
+  "GET /location/detail": ANY,
+  "PUT /location": on("Location", "edit"),
+  "POST /location": on("Location", "add"),
+  "DELETE /location": on("Location", "delete"),
+  "GET /structure": ANY,
+  "GET /structure/detail": ANY,
+  "PUT /structure": on("Location", "edit"),
+  "POST /structure": on("Location", "add"),
+  "DELETE /structure": on("Location", "delete"),
+  "GET /activity": ANY,
+  "GET /activity/detail": ANY,
+  "PUT /activity": on("activities", "edit"),
+  "POST /activity": on("activities", "add"),
+  "DELETE /activity": on("activities", "delete"),
+  "GET /brand": ANY,
+  "GET /brand/detail": ANY,
+  "PUT /brand": on("Brand", "edit"),
+  "POST /brand": on("Brand", "add"),
+  "DELETE /brand": on("Brand", "delete"),
+  "GET /notification_type": ANY,
+  "GET /notification_type/detail": ANY,
+  "POST /notification_type": SUPERADMIN_ONLY,
+
+  // Purchase requests
+  "GET /purchase-request": [...on("Add_Requisition", "view"), ...on("Requisition_approval", "view")],
+  "GET /purchase-request-status/": ANY,
+  "GET /local-rate-approval-status/": ANY,
+  "GET /next-purchase-request/": [...on("Add_Requisition", "view"), ...on("Requisition_approval", "view")],
+  "GET /local-purchase-approvals/": [...on("Rate_approval", "view"), ...on("Requisition_approval", "view")],
+  "GET /purchase-request/detail": [...on("Add_Requisition", "view"), ...on("Requisition_approval", "view")],
+  "PUT /purchase-request": [
+    ...on("Add_Requisition", "edit"),
+    ...on("Requisition_approval", "PM Level Approval", "PD Level Approval", "Revise", "Reject"),
+  ],
+  "PUT /purchase-request/reject-request": on("Requisition_approval", "Reject"),
+  "PUT /edit-purchase-request": on("Special Permissions", "Edit Approved PR"),
+  "POST /purchase-request": on("Add_Requisition", "add"),
+  "DELETE /purchase-request": on("Add_Requisition", "edit"),
+  "GET /purchase-request/prHistory": [...on("Add_Requisition", "view"), ...on("Requisition_approval", "view")],
+
+  // Rate comparatives / rate approvals
+  "GET /rate-approval": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "POST /rate-approval/split-comparitive": [...on("Rate_comparitive", "edit"), ...on("Rate_approval", "edit")],
+  "GET /rate-approval/getUniquePRNumber": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "GET /pending-rate-approval": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "POST /rate-approval-reject": on("Rate_approval", "initial Approval", "Final Approval"),
+  "GET /rate-approval/getPendingCategoryList": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "GET /rate-approval/getPendingPRs": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "GET /rate-approval/detail": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "GET /rate-approval-status/": ANY,
+  "GET /rate-approval-count/": ANY,
+  "GET /rate-approval/getDetailsByPR": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "PUT /rate-approval": [
+    ...on("Rate_comparitive", "add", "edit"),
+    ...on("Rate_approval", "edit", "initial Approval", "Final Approval"),
+  ],
+  "PUT /rate-approval/Upload-files": [...on("Rate_comparitive", "add", "edit"), ...on("Rate_approval", "edit")],
+  "DELETE /rate-approval": on("Rate_approval", "delete"),
+  "PUT /rate-approval/merge-rate-comparatives": [...on("Rate_comparitive", "edit"), ...on("Rate_approval", "edit")],
+  "DELETE /rate-approval/markLocalPurchase": [...on("Rate_comparitive", "edit"), ...on("Rate_approval", "edit")],
+  "GET /rate-approval/rfq": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "POST /rate-approval/rfq": on("Rate_comparitive", "add", "edit"),
+  "DELETE /rate-approval/rfq": on("Rate_comparitive", "add", "edit"),
+
+  // Purchase orders
+  "GET /purchase_order": on("Requisition_order", "view"),
+  "GET /purchase_order/detail": on("Requisition_order", "view"),
+  "GET /getPONumber": on("Requisition_order", "add", "edit"),
+  "GET /getPONumber/plantMachinery": on("Requisition_order", "add", "edit"),
+  "GET /getPOStatusCount": ANY,
+  "GET /purchase-order-count": ANY,
+  "POST /mergePO": on("Requisition_order", "edit"),
+  "GET /getPendingPOByVendors": [...on("Requisition_order", "view"), ...on("DMR", "view")],
+  "GET /getApprovedPOByVendors": [...on("Requisition_order", "view"), ...on("DMR", "view")],
+  "GET /getPendingPOVendorsBySite": [...on("Requisition_order", "view"), ...on("DMR", "view")],
+  "PUT /purchase_order": on("Requisition_order", "edit", "Purchase Order Approval"),
+  "DELETE /purchase_order": on("Requisition_order", "delete"),
+  "PUT /purchase_order/reviseOrder": on("Special Permissions", "Revise Approved PO"),
+
+  // DMR purchase orders
+  "GET /dmr_purchase_order": on("DMR", "view"),
+  "PUT /dmr_purchase_order": on("DMR", "edit"),
+  "POST /dmr_purchase_order": on("Special Permissions", "Create DMR Order"),
+  "GET /dmr_purchase_order/detailsByPO": on("DMR", "view"),
+  "GET /dmr_purchase_order/open-po": on("DMR", "view"),
+  "GET /dmr_purchase_order/details": on("DMR", "view"),
+  "PUT /dmr_purchase_order/hold-dmr": on("DMR", "edit"),
+  "PUT /dmr_purchase_order/update-closing/:id": [
+    ...on("DMR", "Closing DMR", "DMR Closure Approval"),
+    ...on("Special Permissions", "Initial Approval Variance DMR Closure", "Final Approval Variance DMR Closure"),
+  ],
+  "GET /dmr_purchase_order/order-status-count": ANY,
+  "GET /dmr/getUniquePRNumber": on("DMR", "view"),
+  "GET /dmr/getUniquePONumber": on("DMR", "view"),
+
+  // DMR entries (including imprest)
+  "POST /dmr_entry": on("DMR", "Add"),
+  "PUT /dmr_entry/updateDMREntries": on("DMR", "edit"),
+  "GET /dmr_entry/open_challan": on("DMR", "view"),
+  "GET /dmr_list": on("DMR", "view"),
+  "GET /dmr_purchase_order/check-duplicate-invoice": on("DMR", "Add", "edit"),
+  "GET /dmr_purchase_order/check-duplicate-challan": on("DMR", "Add", "edit"),
+  "GET /dmr_entry_status": ANY,
+  "GET /dmr_entry/validate-gate-entry": on("DMR", "Add", "edit"),
+  "PUT /dmr_entry": on("DMR", "edit"),
+  "POST /dmr_entry/three-way-match": on("DMR", "edit"),
+  "PUT /dmr_entry/three-way-match/resolve": on("DMR", "Debit Note Handling"),
+  "GET /getDMRNumber": on("DMR", "Add"),
+  "GET /getDMRNumberList": on("DMR", "view"),
+  "POST /imprest_dmr_entry": on("DMR", "Add"),
+  "GET /imprest_dmr_list/uniqueDMRNumber": on("DMR", "view"),
+  "GET /imprest_dmr_list": on("DMR", "view"),
+  "GET /imprest_dmr_list/check-duplicate-bill": on("DMR", "Add", "edit"),
+  "PUT /imprest_dmr_entry": on("DMR", "edit"),
+  "PUT /imprest_dmr_entry/doc_submission": on("DMR", "edit"),
+  "GET /imprest_dmr_entry/detail": on("DMR", "view"),
+  "GET /getImprestNumberBySite": on("DMR", "Add"),
+
+  // Document downloads
+  "GET /vendor-quotations": [...on("Rate_comparitive", "view"), ...on("Rate_approval", "view")],
+  "GET /dmr-documents": on("DMR", "view"),
+  "GET /debitNotes/credit-notes": on("DMR", "view"),
+  "GET /credit-notes-zip": on("DMR", "view"),
+
+  // Debit / credit notes
+  "POST /debitNote": on("DMR", "Debit Note Handling"),
+  "GET /debitNote": on("DMR", "view"),
+  "GET /debitNote/open-debit-invoices": on("DMR", "Debit Note Handling"),
+  "PUT /debitNote": on("DMR", "Debit Note Handling"),
+  "GET /debitNote/getDebitNoteFromDmr": on("DMR", "Debit Note Handling"),
+  "POST /creditNote": on("DMR", "Debit Note Handling"),
+  "GET /creditNote": on("DMR", "view", "Debit Note Handling"),
+  "GET /creditNote/detail": on("DMR", "view", "Debit Note Handling"),
+  "PUT /creditNote": on("DMR", "Debit Note Handling"),
+  "PUT /creditNote/settle": on("DMR", "Debit Note Handling"),
+
+  // Vendor payments
+  "GET /payment-voucher": on("Vendor Payments", "View"),
+  "GET /payment-voucher/detail": on("Vendor Payments", "View"),
+  "POST /payment-voucher": on("Vendor Payments", "Add"),
+  "PUT /payment-voucher/cancel": on("Vendor Payments", "Cancel"),
+  "GET /vendor-payables/outstanding": on("Vendor Payments", "View", "Add"),
+  "GET /vendor-payables/ageing": on("Vendor Payments", "View"),
+  "GET /vendor-payables/ledger": on("Vendor Payments", "View"),
+  // Ledger statement PDF (app.js, at the base path rather than under /api/web)
+  "POST /generate/vendor-ledger": on("Vendor Payments", "View"),
+
+  // Approval workflows (step-level rights are checked by libs/approvalEngine.js)
+  "GET /approval-workflow": on("Approval Workflow", "View", "Edit"),
+  "GET /approval-workflow/detail": on("Approval Workflow", "View", "Edit"),
+  "POST /approval-workflow": on("Approval Workflow", "Edit"),
+  "DELETE /approval-workflow": on("Approval Workflow", "Edit"),
+  "GET /approval/status": [
+    ...on("Add_Requisition", "view"),
+    ...on("Requisition_approval", "view"),
+    ...on("Rate_comparitive", "view"),
+    ...on("Rate_approval", "view"),
+    ...on("Requisition_order", "view"),
+  ],
+  "GET /approval/overdue": [
+    ...on("Add_Requisition", "view"),
+    ...on("Requisition_approval", "view"),
+    ...on("Rate_comparitive", "view"),
+    ...on("Rate_approval", "view"),
+    ...on("Requisition_order", "view"),
+  ],
+  "POST /approval/sla-check": on("Approval Workflow", "Edit"),
+  "PUT /approval/delegate": [
+    ...on("Requisition_approval", "PM Level Approval", "PD Level Approval"),
+    ...on("Rate_approval", "initial Approval", "Final Approval"),
+    ...on("Requisition_order", "Purchase Order Approval"),
+  ],
+
+  // Notification inbox (the caller's own notifications and preferences)
+  "GET /notifications": ANY,
+  "PUT /notifications/read": ANY,
+  "POST /notifications/stream-ticket": ANY,
+  "GET /notifications/stream": ANY,
+  "GET /notifications/preferences": ANY,
+  "PUT /notifications/preferences": ANY,
+
+  // Outbound webhooks
+  "GET /webhooks": on("Webhooks", "View", "Edit"),
+  "GET /webhooks/detail": on("Webhooks", "View", "Edit"),
+  "GET /webhooks/events": on("Webhooks", "View", "Edit"),
+  "GET /webhooks/deliveries": on("Webhooks", "View", "Edit"),
+  "POST /webhooks": on("Webhooks", "Edit"),
+  "DELETE /webhooks": on("Webhooks", "Edit"),
+  "POST /webhooks/redeliver": on("Webhooks", "Edit"),
+
+  // Audit trail of PRs, rate approvals, POs, DMR entries, debit notes, vendors, items and roles
+  "GET /audit-logs": on("Audit Trail", "View"),
+
+  // Inventory
+  "GET /inventory": on("Inventory", "view"),
+  "GET /inventory/search": on("Inventory", "view"),
+  "GET /inventory-report": on("Inventory", "view"),
+  "GET /inventory-issued-stock": on("Inventory", "view"),
+  "GET /inventory-received-stock": on("Inventory", "view"),
+  "GET /inventory/stock-ledger": on("Inventory", "view"),
+  "GET /inventory/reconciliation": on("Inventory", "view"),
+  "POST /inventory/reconciliation": on("Inventory", "edit"),
+  "GET /reorder-level": on("Inventory", "view"),
+  "POST /reorder-level": on("Inventory", "add"),
+  "PUT /reorder-level": on("Inventory", "edit"),
+  "DELETE /reorder-level": on("Inventory", "delete"),
+  "POST /reorder-level/check": on("Inventory", "edit"),
+
+  // Stock count (cycle count)
+  "GET /stock-count": on("Stock Count", "View"),
+  "GET /stock-count/detail": on("Stock Count", "View"),
+  "POST /stock-count": on("Stock Count", "Add"),
+  "PUT /stock-count": on("Stock Count", "Record Count"),
+  "PUT /stock-count/submit": on("Stock Count", "Record Count"),
+  "PUT /stock-count/approve": on("Stock Count", "PM Approval"),
+  "PUT /stock-count/cancel": on("Stock Count", "Add"),
+  // Count sheet PDF (app.js, at the base path rather than under /api/web)
+  "POST /generate/count-sheet": on("Stock Count", "View"),
+  "POST /material_issue_slip": on("Inventory", "add", "edit"),
+  "GET /issue-slip-number": on("Inventory", "view"),
+  "GET /issued_material_record": on("Inventory", "view"),
+  "GET /issued_material_record/details": on("Inventory", "view"),
+
+  // Inter-site inventory transfer
+  "POST /inventory-transfer/create_request": on("InterSite Inventory Transfer", "Add Transfer Request"),
+  "PUT /inventory-transfer/approve": on(
+    "InterSite Inventory Transfer",
+    "PD Approval",
+    "Store Head Approval",
+    "Asset Head Approval"
+  ),
+  "PUT /inventory-transfer/dispatch": on("InterSite Inventory Transfer", "Edit", "Store Head Approval"),
+  "PUT /inventory-transfer/receive": on("InterSite Inventory Transfer", "Material Receiving"),
+  "DELETE /inventory-transfer/cancel/:id": on("InterSite Inventory Transfer", "Edit", "Request Closure"),
+  "GET /inventory-transfer/details": on("InterSite Inventory Transfer", "View"),
+  "GET /inventory-transfer": on("InterSite Inventory Transfer", "View"),
+
+  // Asset tracker
+  "GET /asset-tracker": on("Asset Tracker", "View"),
+  "GET /asset-tracker/detail": on("Asset Tracker", "View"),
+  "GET /asset-tracker/history": on("Asset Tracker", "View"),
+  "POST /asset-tracker": on("Asset Tracker", "Add"),
+  "PUT /asset-tracker": on("Asset Tracker", "Edit"),
+  "DELETE /asset-tracker": on("Asset Tracker", "Delete"),
+  "POST /asset-tracker/lifecycle": on("Asset Tracker", "Lifecycle Entry"),
+  // History card PDF (app.js, at the base path rather than under /api/web)
+  "POST /generate/asset-card": on("Asset Tracker", "View"),
+
+  // Tenant onboarding is a platform-level operation
+  "GET /onboardingcompany": SUPERADMIN_ONLY,
+  "GET /onboardingcompany/:id": SUPERADMIN_ONLY,
+  "GET /onboardingcompany/:id/usage": SUPERADMIN_ONLY,
+  "PUT /onboardingcompany/:id": SUPERADMIN_ONLY,
+  "POST /onboardingcompany": SUPERADMIN_ONLY,
+  "DELETE /onboardingcompany/:id": SUPERADMIN_ONLY,
+};
+
+/**
+ * Normalize a role or permission label for comparison.
+ * "Project Director" -> "project_director", "Edit" -> "edit"
+ * @param {string} value
+ * @returns {string}
+ */
+function normalize(value) {
+  return (value || "").toString().toLowerCase().trim().replace(/\s+/g, "_");
+}
+
+/**
+ * Look up the grants required by a route.
+ * @param {string} method - HTTP method (req.method)
+ * @param {string} routePath - Express route path (req.route.path)
+ * @returns {{ mapped: boolean, required: Array<[string, string]>|null }}
+ */
+function getRoutePermission(method, routePath) {
+  const key = `${(method || "").toUpperCase()} ${routePath}`;
+  if (!Object.prototype.hasOwnProperty.call(ROUTE_PERMISSIONS, key)) {
+    return { mapped: false, required: SUPERADMIN_ONLY };
+  }
+  return { mapped: true, required: ROUTE_PERMISSIONS[key] };
+}
+
+/**
+ * Routes guarded by checkPermission that have no entry here (they are
+ * rejected for everyone except superadmin). Checked once at startup.
+ * @param {express.Router} router
+ * @param {Function} guard - middleware.checkPermission
+ * @returns {string[]} "<METHOD> <route path>" keys
+ */
+function findUnmappedRoutes(router, guard) {
+  return router.stack
+    .filter((layer) => layer.route && layer.route.stack.some((handler) => handler.handle === guard))
+    .reduce(
+      (keys, layer) =>
+        keys.concat(
+          Object.keys(layer.route.methods)
+            .filter((method) => method !== "_all")
+            .map((method) => `${method.toUpperCase()} ${layer.route.path}`)
+        ),
+      []
+    )
+    .filter((key) => !Object.prototype.hasOwnProperty.call(ROUTE_PERMISSIONS, key));
+}
+
+/**
+ * Check whether a flattened grant set satisfies a route requirement.
+ * @param {Array<[string, string]>|null} required - from getRoutePermission
+ * @param {Record<string, string[]>} grants - normalized moduleName -> normalized actions
+ * @returns {boolean}
+ */
+function isAllowed(required, grants) {
+  if (required === ANY) return true;
+  return required.some(([moduleName, action]) => {
+    const actions = grants[normalize(moduleName)];
+    return Array.isArray(actions) && actions.includes(normalize(action));
+  });
+}
+
+/**
+ * Flatten Role.dashboard_permissions into { module: [actions] } keeping only selected children.
+ * @param {Array} dashboardPermissions - Role.dashboard_permissions
+ * @returns {Record<string, string[]>}
+ */
+function buildGrants(dashboardPermissions) {
+  const grants = {};
+  (dashboardPermissions || []).forEach((group) => {
+    ((group && group.ParentChildchecklist) || []).forEach((moduleObj) => {
+      if (!moduleObj || !moduleObj.moduleName) return;
+      const key = normalize(moduleObj.moduleName);
+      grants[key] = grants[key] || [];
+      (moduleObj.childList || []).forEach((child) => {
+        if (child && child.isSelected) grants[key].push(normalize(child.value));
+      });
+    });
+  });
+  return grants;
+}
+
+module.exports = {
+  ANY,
+  SUPERADMIN_ONLY,
+  BYPASS_ROLES,
+  ROUTE_PERMISSIONS,
+  normalize,
+  getRoutePermission,
+  findUnmappedRoutes,
+  isAllowed,
+  buildGrants,
+};
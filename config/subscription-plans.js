@@ -0,0 +1,100 @@
+/**
+ * Subscription Plans
+ * Limits and modules of each OnboardingCompany.subscriptionPlan, enforced by
+ * libs/subscription.js (middleware.jwtVerify and the create endpoints).
+ *
+ * Limits:
+ * - users: users of the company
+ * - sites: sites of the company
+ * - monthlyPOs: purchase orders (including local POs) raised in a calendar month
+ * A limit of UNLIMITED is not checked. Records over a limit are kept; only
+ * new ones are refused.
+ *
+ * Modules are optional features; their routes (by express route path
+ * prefix, as declared in routes/web.js) are refused to plans without them.
+ *
+ * After subscriptionExpiry the tenant has GRACE_PERIOD_DAYS of read-only
+ * access, then none until the subscription is renewed.
+ *
+ * Companies that existed before plans were enforced are on the legacy plan
+ * (seed/legacyPlans.js), which keeps everything they had: no limits and every
+ * module. Move them to another plan explicitly.
+ */
+
+const UNLIMITED = null;
+
+/**
+ * Plan Modules
+ * Module key → label and the route path prefixes it covers
+ * @type {Object<String, {name: String, routes: Array<String>}>}
+ */
+const PLAN_MODULES = {
+  chatbot: { name: "Chatbot", routes: ["/chatbot"] },
+  asset_tracker: { name: "Asset Tracker", routes: ["/asset-tracker", "/generate/asset-card"] },
+  webhooks: { name: "Webhooks", routes: ["/webhooks"] },
+};
+
+/**
+ * Plans
+ * Keys match the OnboardingCompany.subscriptionPlan enum
+ * @type {Object<String, {name: String, limits: Object, modules: Array<String>}>}
+ */
+const PLANS = {
+  basic: {
+    name: "Basic",
+    limits: { users: 10, sites: 3, monthlyPOs: 200 },
+    modules: ["chatbot"],
+  },
+  pro: {
+    name: "Pro",
+    limits: { users: 50, sites: 20, monthlyPOs: 2000 },
+    modules: ["chatbot", "asset_tracker", "webhooks"],
+  },
+  enterprise: {
+    name: "Enterprise",
+    limits: { users: UNLIMITED, sites: UNLIMITED, monthlyPOs: UNLIMITED },
+    modules: Object.keys(PLAN_MODULES),
+  },
+  legacy: {
+    name: "Legacy",
+    limits: { users: UNLIMITED, sites: UNLIMITED, monthlyPOs: UNLIMITED },
+    modules: Object.keys(PLAN_MODULES),
+  },
+};
+
+const DEFAULT_PLAN = "basic";
+
+/**
+ * Plan of companies with no subscriptionPlan stored (created before the field)
+ * @type {String}
+ */
+const LEGACY_PLAN = "legacy";
+
+const GRACE_PERIOD_DAYS = 15;
+
+/**
+ * Non-GET routes still allowed during the grace period: signing out,
+ * changing the password, and POSTs that only read (notification stream
+ * tickets, report filters, PDFs).
+ * Keys are "<METHOD> <express route path>" as in config/route-permissions.js.
+ */
+const READ_ONLY_EXEMPT = [
+  "POST /users/logout",
+  "POST /users/logout-all",
+  "POST /users/change-password",
+  "POST /notifications/stream-ticket",
+  "POST /lineGraph/date-filter",
+  "POST /generate/asset-card",
+  "POST /generate/count-sheet",
+  "POST /generate/vendor-ledger",
+];
+
+module.exports = {
+  UNLIMITED,
+  PLAN_MODULES,
+  PLANS,
+  DEFAULT_PLAN,
+  LEGACY_PLAN,
+  GRACE_PERIOD_DAYS,
+  READ_ONLY_EXEMPT,
+};
@@ -1,19 +1,52 @@
 /**
  * Asset Tracker Controller
  * Handles all operations related to Asset Tracking including:
- * - Creating new assets
+ * - Creating, updating, listing and deleting assets
  * - Auto-generating asset codes and voucher numbers
- * - Asset lifecycle tracking (Procurement stage initialization)
+ * - Asset lifecycle tracking (Procurement, Maintenance, Service, Part Replacement)
+ * - Auto-creating assets when an "Assets (P&M)" DMR entry is received
+ * - Caching for performance optimization
  */
 
-const express = require("express");
-const router = express.Router();
 const AssetTracker = require("../../models/AssetTracker");
+const ItemSchema = require("../../models/Item");
+const CategorySchema = require("../../models/Category");
+const SubCategorySchema = require("../../models/Subcategory");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const {
+  getCache,
+  setCache,
+  invalidateEntity,
+  invalidateEntityList,
+} = require("../../utils/cache");
+const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+
+// Lifecycle stages that can be added after procurement
+const LIFECYCLE_EVENT_TYPES = ["Maintenance", "Service", "Part Replacement"];
+
+// PR types whose receipts create asset records
+const ASSET_PR_TYPES = ["Assets (P&M)", "Assets"];
+
+// Export all controller functions
+module.exports = {
+  getList,
+  getDetails,
+  createData,
+  updateData,
+  deleteData,
+  addLifecycleEvent,
+  getLifecycleHistory,
+  createAssetsFromDMREntry,
+  generateAssetCode,
+  generateVoucherCode,
+};
 
 /**
  * Generate Asset Code
  * Generates a unique asset code in format: PISL-{subcategoryCode}{number}
- * 
+ *
  * @param {String} subcategoryCode - Subcategory code
  * @param {Number} number - Sequential number
  * @returns {String} Generated asset code (e.g., PISL-SUB00100001)
@@ -25,7 +58,7 @@ function generateAssetCode(subcategoryCode, number) {
 /**
  * Generate Voucher Code
  * Generates a unique voucher code in format: {categoryCode}-{number}
- * 
+ *
  * @param {String} categoryCode - Category code
  * @param {Number} number - Sequential number
  * @returns {String} Generated voucher code (e.g., CAT001-0001)
@@ -34,115 +67,644 @@ function generateVoucherCode(categoryCode, number) {
   return `${categoryCode}-${String(number).padStart(4, "0")}`;
 }
 
+/**
+ * Build Asset Record
+ * Resolves category/subcategory codes for an item, generates the next asset code
+ * and voucher number, and returns an unsaved AssetTracker document with the
+ * Procurement lifecycle stage initialized.
+ *
+ * @param {Object} data - Asset fields (item_id, po_number, po_date, invoice details, rates, location)
+ * @param {ObjectId} companyIdf - Tenant ID
+ * @param {Number} offset - Extra sequence offset when building several assets before saving
+ * @returns {Promise<Object>} Unsaved AssetTracker document
+ */
+async function buildAsset(data, companyIdf, offset = 0) {
+  const item = await ItemSchema.findOne({ _id: ObjectID(data.item_id), companyIdf }).lean();
+  if (!item) {
+    throw {
+      errors: [],
+      message: "Item not found",
+      statusCode: 404,
+    };
+  }
+
+  const [category, subCategory] = await Promise.all([
+    CategorySchema.findOne({ _id: item.category, companyIdf }).lean(),
+    SubCategorySchema.findOne({ _id: item.sub_category, companyIdf }).lean(),
+  ]);
+
+  // Count existing assets with the same subcategory / category for sequential numbering
+  const [assetCount, voucherCount] = await Promise.all([
+    AssetTracker.countDocuments({ subCategory: item.sub_category, companyIdf }),
+    AssetTracker.countDocuments({ catgeory: item.category, companyIdf }),
+  ]);
+
+  const categoryCode = data.category_code || (category && category.code) || "";
+  const subcategoryCode = data.subcategory_code || (subCategory && subCategory.subcategory_code) || "";
+
+  return new AssetTracker({
+    companyIdf,
+    po_number: data.po_number,
+    po_date: data.po_date,
+    department: data.department || "P&M", // Default department
+    invoice_number: data.invoice_number,
+    invoice_date: data.invoice_date,
+    item_id: item._id,
+    catgeory: item.category,
+    subCategory: item.sub_category,
+    voucher_number: generateVoucherCode(categoryCode, voucherCount + offset + 1), // Auto-generated
+    asset_code: generateAssetCode(subcategoryCode, assetCount + offset + 1), // Auto-generated
+    rate_per_unit: data.rate_per_unit,
+    basic_invoice_value: data.basic_invoice_value,
+    current_location: data.current_location,
+    dmr_entry: data.dmr_entry || null,
+    specification: data.specification || item.specification,
+    make: data.make,
+    model: data.model,
+    registration_number: data.registration_number,
+    serial_number: data.serial_number,
+    quantity: data.quantity || 1,
+    description: data.description,
+
+    // Initialize lifecycle with Procurement stage entry
+    asset_lifecycle: [
+      {
+        stage_type: "Procurement",
+        vendor_id: data.vendor_id,
+        po_number: data.po_number,
+        rate: data.rate_per_unit,
+        item: item._id,
+        invoice_number: data.invoice_number,
+        invoice_date: data.invoice_date,
+        remarks: data.remarks || "New Asset Added",
+        date: new Date(),
+        updated_by: data.created_by,
+      },
+    ],
+
+    created_by: data.created_by,
+    updated_by: data.created_by,
+  });
+}
+
 /**
  * Create Asset
- * POST /api/asset-tracker/create
+ * POST /api/web/asset-tracker
  * Creates a new asset with auto-generated codes and initializes lifecycle
- * 
- * Process:
- * - Validates required fields
- * - Counts existing assets by subcategory and category
- * - Generates unique asset code and voucher number
- * - Initializes asset lifecycle with Procurement stage
- * 
- * Required Fields:
- * - item_id: Item ID
- * - po_number: Purchase order number
- * - category_code: Category code for voucher generation
- * - subcategory_code: Subcategory code for asset code generation
- * 
+ *
  * @param {String} req.body.item_id - Item ID (required)
  * @param {String} req.body.po_number - Purchase order number (required)
- * @param {String} req.body.category_code - Category code (required)
- * @param {String} req.body.subcategory_code - Subcategory code (required)
- * @param {Date} req.body.po_date - PO date (optional)
+ * @param {Date} req.body.po_date - PO date (required)
+ * @param {String} req.body.category_code - Category code override (optional, defaults to item category code)
+ * @param {String} req.body.subcategory_code - Subcategory code override (optional, defaults to item subcategory code)
  * @param {String} req.body.department - Department (default: "P&M")
  * @param {String} req.body.invoice_number - Invoice number (optional)
  * @param {Date} req.body.invoice_date - Invoice date (optional)
  * @param {Number} req.body.rate_per_unit - Rate per unit (optional)
  * @param {Number} req.body.basic_invoice_value - Basic invoice value (optional)
- * @param {String} req.body.current_location - Current location (optional)
- * @param {String} req.body.created_by - User creating the asset (required)
- * 
+ * @param {String} req.body.current_location - Site ID (optional)
+ * @param {String} req.body.login_user_id - User creating the asset
+ *
  * @returns {Object} Created asset object with generated codes
  */
-router.post("/create", async (req, res) => {
+async function createData(req, res) {
   try {
-    const data = req.body;
+    let reqObj = req.body;
 
     // Validate required fields
-    if (!data.item_id || !data.po_number || !data.category_code || !data.subcategory_code) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: item_id, po_number, category_code, subcategory_code",
-      });
+    if (!reqObj.item_id || !reqObj.po_number || !reqObj.po_date) {
+      throw {
+        errors: [],
+        message: "Missing required fields: item_id, po_number, po_date",
+        statusCode: 400,
+      };
     }
 
-    // Count existing assets with the same subcategory for sequential numbering
-    const Assetcount = await AssetTracker.countDocuments({
-     subCategory: { $regex: data.subcategory },
-     companyIdf: req.user.companyIdf,
-    });
-    
-    // Count existing vouchers with the same category for sequential numbering
-    const Vouchercount = await AssetTracker.countDocuments({
-     catgeory: { $regex: data.catgeory },
-     companyIdf: req.user.companyIdf,
-    });
+    let newAsset = await buildAsset(
+      { ...reqObj, created_by: reqObj.login_user_id || req.user.id },
+      req.user.companyIdf
+    );
+    newAsset = await newAsset.save();
+
+    await invalidateEntityList("asset");
 
-    // Generate unique asset code and voucher number
-    const asset_code = generateAssetCode(data.subcategory_code, Assetcount + 1);
-    const voucher_code = generateVoucherCode(data.category_code, Vouchercount + 1);
-    
-    // Create new asset with auto-filled fields
-    const newAsset = new AssetTracker({
-      companyIdf: req.user.companyIdf,
-      po_number: data.po_number,
-      po_date: data.po_date,
-      department: data.department || "P&M", // Default department
-      invoice_number: data.invoice_number,
-      invoice_date: data.invoice_date,
-      item_id: data.item_id,
-      voucher_number: voucher_code, // Auto-generated
-      asset_code: asset_code, // Auto-generated
-      rate_per_unit: data.rate_per_unit,
-      basic_invoice_value: data.basic_invoice_value,
-      current_location: data.current_location,
-
-      // Initialize lifecycle with Procurement stage entry
-      asset_lifecycle: [
+    res.status(200).json(await Response.success(newAsset, responseMessage(reqObj.langCode, "RECORD_CREATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
         {
-          stage_type: "Procurement",
-          po_number: data.po_number,
-          rate: data.rate_per_unit,
-          item: data.item_id,
-          invoice_number: data.invoice_number,
-          invoice_date: data.invoice_date,
-          remarks: "New Asset Added",
-          date: new Date(),
+          errors: error.errors,
+          message: error.message,
         },
-      ],
+        error,
+        req
+      )
+    );
+  }
+}
 
-      created_by: data.created_by,
-      updated_by: data.created_by,
-    });
+/**
+ * Update Asset
+ * PUT /api/web/asset-tracker
+ * Updates the editable details of an asset. Auto-filled fields (codes, PO/invoice
+ * details, item and category) and the lifecycle are not changed here.
+ *
+ * @param {String} req.body._id - Asset ID (required)
+ * @param {String} req.body.specification - Specification (optional)
+ * @param {String} req.body.make - Make (optional)
+ * @param {String} req.body.model - Model (optional)
+ * @param {String} req.body.registration_number - Registration number (optional)
+ * @param {String} req.body.serial_number - Serial number (optional)
+ * @param {String} req.body.description - Description (optional)
+ * @param {String} req.body.current_location - Site ID (optional)
+ * @param {String} req.body.login_user_id - User updating the asset
+ *
+ * @returns {Object} Updated asset object
+ */
+async function updateData(req, res) {
+  try {
+    let reqObj = req.body;
 
-    // Save asset to database
-    await newAsset.save();
+    if (!reqObj._id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
 
-    res.status(201).json({
-      success: true,
-      message: "Asset created successfully",
-      data: newAsset,
+    const editableFields = [
+      "specification",
+      "make",
+      "model",
+      "registration_number",
+      "serial_number",
+      "description",
+      "current_location",
+      "department",
+    ];
+    let requestedData = { updated_by: reqObj.login_user_id || req.user.id };
+    editableFields.forEach((field) => {
+      if (reqObj[field] !== undefined) requestedData[field] = reqObj[field];
     });
+
+    let updatedData = await AssetTracker.findOneAndUpdate(
+      { _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf },
+      requestedData,
+      { new: true }
+    );
+
+    if (updatedData) {
+      await invalidateEntity("asset");
+      res.status(200).json(await Response.success(updatedData, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+    } else {
+      res.status(400).json(await Response.success({}, responseMessage(reqObj.langCode, "NO_RECORD_FOUND"), req));
+    }
   } catch (error) {
-    console.error("Error creating asset:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error creating asset",
-      error: error.message,
-    });
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Delete Asset
+ * DELETE /api/web/asset-tracker?_id=
+ *
+ * @param {String} req.query._id - Asset ID (required)
+ *
+ * @returns {Object} Success message
+ */
+async function deleteData(req, res) {
+  try {
+    let reqObj = req.body;
+    let { _id } = req.query;
+
+    if (!_id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const getData = await AssetTracker.findOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf });
+    if (!getData) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 412,
+      };
+    }
+
+    await AssetTracker.deleteOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf });
+    await invalidateEntity("asset");
+
+    res.status(200).json(await Response.success({}, responseMessage(reqObj.langCode, "RECORD_DELETED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Asset Details
+ * GET /api/web/asset-tracker/detail?_id=
+ * Returns the asset with item, category, subcategory, site and lifecycle vendors populated
+ *
+ * @param {String} req.query._id - Asset ID (required)
+ *
+ * @returns {Object} Asset details
+ */
+async function getDetails(req, res) {
+  try {
+    let reqObj = req.body;
+    let { _id } = req.query;
+
+    if (!_id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const cacheKey = `asset:detail:${_id}`;
+    const cachedData = await getCache(cacheKey);
+    if (cachedData) {
+      return res.status(200).json({ ...cachedData, source: "cache" });
+    }
+
+    const recordDetail = await AssetTracker.findOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf })
+      .populate("item_id", "item_name item_code specification")
+      .populate("catgeory", "name code")
+      .populate("subCategory", "subcategory_name subcategory_code")
+      .populate("current_location", "site_name code")
+      .populate("asset_lifecycle.vendor_id", "vendor_name")
+      .lean();
+
+    let response;
+    if (recordDetail) {
+      response = await Response.success(recordDetail, responseMessage(reqObj.langCode, "SUCCESS"));
+    } else {
+      response = await Response.success({}, responseMessage(reqObj.langCode, "NO_RECORD_FOUND"), req);
+    }
+
+    await setCache(cacheKey, response, TRANSACTIONAL);
+
+    return res.status(200).json({ ...response, source: "db" });
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Asset List
+ * GET /api/web/asset-tracker
+ * Paginated asset list filterable by site, category and subcategory
+ *
+ * @param {Number} req.query.page - Page number (optional)
+ * @param {Number} req.query.per_page - Items per page (optional)
+ * @param {String} req.query.site - Current location site ID (optional)
+ * @param {String} req.query.category - Category ID (optional)
+ * @param {String} req.query.subCategory - Subcategory ID (optional)
+ * @param {String} req.query.search - Search on asset code, voucher, PO, serial or registration number (optional)
+ * @param {String} req.query.sort_by - Sort field (optional, default: _id)
+ * @param {String} req.query.sort_order - "asc" or "desc" (optional, default: desc)
+ *
+ * @returns {Object} { data, meta }
+ */
+async function getList(req, res) {
+  try {
+    const reqObj = req.body;
+    let { page, per_page, site, category, subCategory, search, sort_by, sort_order } = req.query;
+
+    page = parseInt(page);
+    per_page = parseInt(per_page);
+    const hasPagination = page > 0 && per_page > 0;
+
+    const cacheKey = `asset:list:${req.user.companyIdf}:${JSON.stringify(req.query)}`;
+    const cachedData = await getCache(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(await Response.success(cachedData, responseMessage(reqObj.langCode, "SUCCESS"), req));
+    }
+
+    // Build filter
+    let matchQuery = { companyIdf: req.user.companyIdf };
+    if (site && ObjectID.isValid(site)) matchQuery.current_location = ObjectID(site);
+    if (category && ObjectID.isValid(category)) matchQuery.catgeory = ObjectID(category);
+    if (subCategory && ObjectID.isValid(subCategory)) matchQuery.subCategory = ObjectID(subCategory);
+    if (search && search.trim()) {
+      const regex = { $regex: search.trim(), $options: "i" };
+      matchQuery.$or = [
+        { asset_code: regex },
+        { voucher_number: regex },
+        { po_number: regex },
+        { serial_number: regex },
+        { registration_number: regex },
+      ];
+    }
+
+    let sort = { _id: -1 };
+    if (sort_by) {
+      sort = { [sort_by]: sort_order === "asc" ? 1 : -1 };
+    }
+
+    const total = await AssetTracker.countDocuments(matchQuery);
+
+    let dataQuery = AssetTracker.find(matchQuery)
+      .select("-asset_lifecycle")
+      .populate("item_id", "item_name item_code")
+      .populate("catgeory", "name code")
+      .populate("subCategory", "subcategory_name subcategory_code")
+      .populate("current_location", "site_name code")
+      .sort(sort);
+
+    if (hasPagination) {
+      dataQuery = dataQuery.skip((page - 1) * per_page).limit(per_page);
+    }
+
+    const data = await dataQuery.lean();
+
+    const responsePayload = {
+      data,
+      meta: hasPagination
+        ? {
+            total,
+            page,
+            per_page,
+            total_pages: Math.ceil(total / per_page),
+          }
+        : { total },
+    };
+
+    await setCache(cacheKey, responsePayload, TRANSACTIONAL);
+
+    return res.status(200).json(await Response.success(responsePayload, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    console.error("getList error:", error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Add Lifecycle Event
+ * POST /api/web/asset-tracker/lifecycle
+ * Appends a Maintenance, Service or Part Replacement event to an asset
+ *
+ * @param {String} req.body._id - Asset ID (required)
+ * @param {String} req.body.stage_type - "Maintenance" | "Service" | "Part Replacement" (required)
+ * @param {String} req.body.vendor_id - Vendor ID (optional)
+ * @param {String} req.body.po_number - PO number (optional)
+ * @param {Number} req.body.rate - Cost of the event (optional)
+ * @param {String} req.body.item - Replacement part item ID (optional)
+ * @param {String} req.body.invoice_number - Invoice number (optional)
+ * @param {Date} req.body.invoice_date - Invoice date (optional)
+ * @param {String} req.body.uploaded_invoice - Uploaded invoice link (optional)
+ * @param {String} req.body.remarks - Remarks (optional)
+ * @param {Date} req.body.date - Event date (optional, default: now)
+ *
+ * @returns {Object} Updated asset object
+ */
+async function addLifecycleEvent(req, res) {
+  try {
+    let reqObj = req.body;
+
+    if (!reqObj._id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    if (!LIFECYCLE_EVENT_TYPES.includes(reqObj.stage_type)) {
+      throw {
+        errors: [],
+        message: `stage_type must be one of: ${LIFECYCLE_EVENT_TYPES.join(", ")}`,
+        statusCode: 400,
+      };
+    }
+
+    const loginUserId = reqObj.login_user_id || req.user.id;
+    const lifecycleEvent = {
+      stage_type: reqObj.stage_type,
+      vendor_id: reqObj.vendor_id,
+      po_number: reqObj.po_number,
+      rate: reqObj.rate,
+      item: reqObj.item,
+      invoice_number: reqObj.invoice_number,
+      invoice_date: reqObj.invoice_date,
+      remarks: reqObj.remarks,
+      uploaded_invoice: reqObj.uploaded_invoice,
+      date: reqObj.date || new Date(),
+      updated_by: loginUserId,
+    };
+
+    const updatedData = await AssetTracker.findOneAndUpdate(
+      { _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf },
+      {
+        $push: { asset_lifecycle: lifecycleEvent },
+        $set: { updated_by: loginUserId },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedData) {
+      return res.status(400).json(await Response.success({}, responseMessage(reqObj.langCode, "NO_RECORD_FOUND"), req));
+    }
+
+    await invalidateEntity("asset");
+
+    res.status(200).json(await Response.success(updatedData, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Lifecycle History
+ * GET /api/web/asset-tracker/history?_id=&stage_type=
+ * Returns the asset's lifecycle events sorted by date, optionally filtered by stage,
+ * with the total spend per stage.
+ *
+ * @param {String} req.query._id - Asset ID (required)
+ * @param {String} req.query.stage_type - Stage filter (optional)
+ *
+ * @returns {Object} { asset_code, history, totals }
+ */
+async function getLifecycleHistory(req, res) {
+  try {
+    let reqObj = req.body;
+    let { _id, stage_type } = req.query;
+
+    if (!_id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const asset = await AssetTracker.findOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf })
+      .select("asset_code voucher_number asset_lifecycle")
+      .populate("asset_lifecycle.vendor_id", "vendor_name")
+      .populate("asset_lifecycle.item", "item_name item_code")
+      .lean();
+
+    if (!asset) {
+      return res.status(400).json(await Response.success({}, responseMessage(reqObj.langCode, "NO_RECORD_FOUND"), req));
+    }
+
+    let history = (asset.asset_lifecycle || []).filter((event) => !stage_type || event.stage_type === stage_type);
+    history.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const totals = history.reduce((acc, event) => {
+      acc[event.stage_type] = (acc[event.stage_type] || 0) + (Number(event.rate) || 0);
+      return acc;
+    }, {});
+
+    res.status(200).json(
+      await Response.success(
+        {
+          _id: asset._id,
+          asset_code: asset.asset_code,
+          voucher_number: asset.voucher_number,
+          history,
+          totals,
+        },
+        responseMessage(reqObj.langCode, "SUCCESS"),
+        req
+      )
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
   }
-});
+}
 
-module.exports = router;
+/**
+ * Create Assets From DMR Entry
+ * Called after a DMR entry is saved. For "Assets (P&M)" receipts, creates one
+ * asset record per unit of net received quantity (received minus debit note qty).
+ * Skips entries that already produced assets so re-saves do not duplicate them.
+ *
+ * @param {Object} dmrEntryDoc - Saved dmr_Entry document
+ * @param {String} userId - User who recorded the receipt
+ * @returns {Promise<Array>} Created asset documents
+ */
+async function createAssetsFromDMREntry(dmrEntryDoc, userId) {
+  if (!dmrEntryDoc || !ASSET_PR_TYPES.includes(dmrEntryDoc.prType)) return [];
+
+  const companyIdf = dmrEntryDoc.companyIdf;
+  const alreadyCreated = await AssetTracker.countDocuments({ dmr_entry: dmrEntryDoc._id, companyIdf });
+  if (alreadyCreated > 0) return [];
+
+  const isInvoice = dmrEntryDoc.entry_type === "InvoiceNumber";
+  const created = [];
+
+  for (const itemData of dmrEntryDoc.dmritem || []) {
+    if (!itemData || !itemData.item || !itemData.item.item_id) continue;
+
+    const netQuantity = Math.floor((Number(itemData.receivedQuantity) || 0) - (Number(itemData.DebitNoteQty) || 0));
+
+    // Build all units of this line first; the offset keeps codes unique until they are saved
+    const pending = [];
+    for (let unit = 0; unit < netQuantity; unit++) {
+      pending.push(
+        await buildAsset(
+          {
+            item_id: itemData.item.item_id,
+            po_number: dmrEntryDoc.PONumber,
+            po_date: toDate(dmrEntryDoc.poDate) || dmrEntryDoc.created_at,
+            invoice_number: isInvoice ? dmrEntryDoc.InvoiceNumber : dmrEntryDoc.ChallanNumber,
+            invoice_date: toDate(isInvoice ? dmrEntryDoc.invoice_date : dmrEntryDoc.challan_date),
+            rate_per_unit: itemData.Rate,
+            basic_invoice_value: itemData.Rate,
+            current_location: dmrEntryDoc.Site,
+            vendor_id: dmrEntryDoc.vendor_detail && dmrEntryDoc.vendor_detail._id ? dmrEntryDoc.vendor_detail._id : undefined,
+            dmr_entry: dmrEntryDoc._id,
+            remarks: `Received via DMR ${dmrEntryDoc.DMR_No}`,
+            created_by: userId,
+          },
+          companyIdf,
+          unit
+        )
+      );
+    }
+
+    for (const asset of pending) {
+      created.push(await asset.save());
+    }
+  }
+
+  if (created.length > 0) {
+    await invalidateEntityList("asset");
+  }
+
+  return created;
+}
+
+/**
+ * Parse a DMR date string ("YYYY-MM-DD", ISO or "DD-MM-YYYY") into a Date
+ *
+ * @param {String|Date} value - Date value stored on the DMR entry
+ * @returns {Date|undefined} Parsed date, or undefined when empty/invalid
+ */
+function toDate(value) {
+  if (!value) return undefined;
+  if (value instanceof Date) return value;
+  const ddmmyyyy = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value);
+  const parsed = ddmmyyyy ? new Date(`${ddmmyyyy[3]}-${ddmmyyyy[2]}-${ddmmyyyy[1]}`) : new Date(value);
+  return isNaN(parsed.getTime()) ? undefined : parsed;
+}
@@ -10,8 +10,7 @@
  */
 
 const mongoose = require("mongoose");
-const InventoryOut = require("../../models/InventoryOut");
-const { createInventoryData } = require("../web/inventoryIn");
+const { insertInventoryEntries } = require("../web/inventoryIn");
 const Transfer = require("../../models/SiteInventoryTransfer");
 const { Inventory } = require("../../models/Inventory");
 const Site = require("../../models/Site");
@@ -26,6 +25,7 @@ const {
   invalidateEntityList,
 } = require("../../utils/cache");
 const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+const { dispatchEvent } = require("../../libs/webhooks");
 
 /**
  * Create Transfer Request
@@ -294,8 +294,9 @@ exports.dispatchTransfer = async (req, res) => {
             operation: "use",
             inventoryType: transfer.itemType,
           },
+          user: req.user,
         },
-        { status: () => ({ json: () => {} }) }
+        session
       );
 
       // 3C. Add InventoryOut entry
@@ -307,7 +308,8 @@ exports.dispatchTransfer = async (req, res) => {
         quantity: dispatched_quantity,
         useType: "interSite",
         authorized_person:dispatched_by,
-        
+        companyIdf: req.user.companyIdf,
+        session,
       });
 
       if (!outEntryResponse.success) {
@@ -316,16 +318,8 @@ exports.dispatchTransfer = async (req, res) => {
         );
       }
 
-      // 3D. Fetch rate from latest InventoryOut entry
-      const lastOut = await InventoryOut.findOne({
-        item_id,
-        site_id: transfer.origin_site,
-        companyIdf: req.user.companyIdf,
-      })
-        .sort({ date: -1 })
-        .session(session);
-
-      trItem.rate = lastOut?.rate || 0; // save dispatch rate
+      // 3D. Dispatch rate per the company's valuation method
+      trItem.rate = outEntryResponse.data.rate || 0;
     }
 
     // 4. Save Transfer with updated items
@@ -418,8 +412,9 @@ exports.receiveTransfer = async (req, res) => {
             operation: "add",
             inventoryType: transfer.itemType,
           },
+          user: req.user,
         },
-        { status: () => ({ json: () => {} }) }
+        session
       );
 
       // ==== PREPARE InventoryIn ENTRY ====
@@ -445,7 +440,8 @@ exports.receiveTransfer = async (req, res) => {
         source: "InterSite",
       };
 
-      inventoryInArray.push(invIn);
+      // Zero-quantity receipts add no FIFO layer
+      if (qty > 0) inventoryInArray.push(invIn);
     }
 
     // ==== FINALIZE STATUS ====
@@ -453,22 +449,9 @@ exports.receiveTransfer = async (req, res) => {
 
     // ==== SAVE INVENTORY-IN DATA ====
     //console.log("Inventory In Data:", inventoryInArray);
-      const response = await createInventoryData(
-          {
-            body: {
-              data: inventoryInArray,
-            },
-          },
-          {
-            status: (statusCode) => ({
-              json: (responseData) => ({
-                statusCode,
-                responseData,
-              }),
-            }),
-          }
-        );
-   console.log("Inventory In Response:", response);
+    if (inventoryInArray.length > 0) {
+      await insertInventoryEntries(inventoryInArray, req.user.companyIdf, session);
+    }
 
     // ==== TIMELINE ENTRY ====
     transfer.timeline.push({
@@ -482,6 +465,8 @@ exports.receiveTransfer = async (req, res) => {
     await session.commitTransaction();
      await invalidateEntityList("INVENTORY");
  await invalidateEntity("INVENTORY");
+
+    await dispatchEvent(req.user.companyIdf, "site_transfer_received", transfer);
     
 
     return res.json({
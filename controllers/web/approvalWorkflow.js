@@ -0,0 +1,566 @@
+/**
+ * Approval Workflow Controller
+ * Handles the configurable approval chains of purchase requests, rate
+ * approvals and purchase orders including:
+ * - Per-company workflow configuration for each document type
+ * - A document's approval progress and who can act on it
+ * - Delegating a pending approval step to another user
+ * - Overdue approvals (past their step SLA) for the dashboard
+ *
+ * Approve / reject / revise actions go through the document's own update
+ * endpoint (PUT /purchase-request, /rate-approval, /purchase_order), which
+ * hands them to libs/approvalEngine.js.
+ */
+
+const { ApprovalWorkflow, DocumentTypes, SiteRoles } = require("../../models/ApprovalWorkflow");
+const PurchaseRequest = require("../../models/PurchaseRequest");
+const RateApprovalSchema = require("../../models/RateApproval");
+const PurchaseOrderSchema = require("../../models/PurchaseOrder");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const { deleteCache, invalidateEntity } = require("../../utils/cache");
+const {
+  DEFAULT_SLA_HOURS,
+  getWorkflow,
+  getApprovalState,
+  delegateApproval: delegate,
+} = require("../../libs/approvalEngine");
+const { getStepApprovers, getOverdueApprovals, checkApprovalSla } = require("../../jobs/approvalSla");
+
+// Export all controller functions
+module.exports = {
+  getList,
+  getDetails,
+  saveData,
+  deleteData,
+  getApprovalStatus,
+  delegateApproval,
+  getOverdue,
+  runSlaCheck,
+};
+
+/**
+ * Document models and their cache entities by document type
+ * @type {Object}
+ */
+const DOCUMENTS = {
+  purchase_request: { model: PurchaseRequest, cacheEntity: "pr" },
+  rate_approval: { model: RateApprovalSchema, cacheEntity: "rc" },
+  purchase_order: { model: PurchaseOrderSchema, cacheEntity: "PO" },
+};
+
+/**
+ * Assert a supported document type
+ * @param {String} documentType
+ */
+function assertDocumentType(documentType) {
+  if (!DocumentTypes.includes(documentType)) {
+    throw {
+      errors: [],
+      message: `document_type must be one of ${DocumentTypes.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+}
+
+/**
+ * Load a document of the caller's company or throw
+ *
+ * @param {String} documentType
+ * @param {String} id - Document ID
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Document (lean)
+ */
+async function findDocument(documentType, id, req) {
+  assertDocumentType(documentType);
+  if (!id || !ObjectID.isValid(id)) {
+    throw {
+      errors: [],
+      message: responseMessage(req.body.langCode || req.query.langCode, "ID_MISSING"),
+      statusCode: 412,
+    };
+  }
+
+  const doc = await DOCUMENTS[documentType].model
+    .findOne({ _id: ObjectID(id), companyIdf: req.user.companyIdf })
+    .lean();
+  if (!doc) {
+    throw {
+      errors: [],
+      message: responseMessage(req.body.langCode || req.query.langCode, "NO_RECORD_FOUND"),
+      statusCode: 404,
+    };
+  }
+  return doc;
+}
+
+/**
+ * Validate workflow steps
+ *
+ * @param {Array} steps - Workflow steps from the request
+ * @returns {Array} Cleaned steps
+ */
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw {
+      errors: [],
+      message: "At least one approval step is required",
+      statusCode: 400,
+    };
+  }
+
+  return steps.map((step, index) => {
+    const level = Number(step.level);
+    const approver_roles = Array.isArray(step.approver_roles) ? step.approver_roles.filter(Boolean) : [];
+    const mode = step.mode || "any";
+
+    if (!step.name || !Number.isInteger(level) || level < 1) {
+      throw {
+        errors: [],
+        message: `Step ${index + 1}: name and a level of 1 or more are required`,
+        statusCode: 400,
+      };
+    }
+    if (mode === "all" && approver_roles.length === 0) {
+      throw {
+        errors: [],
+        message: `Step ${index + 1}: mode "all" needs approver_roles`,
+        statusCode: 400,
+      };
+    }
+    if (step.sla_hours !== undefined && step.sla_hours !== "" && !(Number(step.sla_hours) >= 0)) {
+      throw {
+        errors: [],
+        message: `Step ${index + 1}: sla_hours must be 0 or more`,
+        statusCode: 400,
+      };
+    }
+    if (
+      step.max_amount !== null &&
+      step.max_amount !== undefined &&
+      step.max_amount !== "" &&
+      Number(step.max_amount) < (Number(step.min_amount) || 0)
+    ) {
+      throw {
+        errors: [],
+        message: `Step ${index + 1}: max_amount is below min_amount`,
+        statusCode: 400,
+      };
+    }
+
+    return {
+      name: step.name,
+      level,
+      approver_roles,
+      permission: {
+        module: (step.permission && step.permission.module) || "",
+        action: (step.permission && step.permission.action) || "",
+      },
+      min_amount: Number(step.min_amount) || 0,
+      max_amount:
+        step.max_amount === null || step.max_amount === undefined || step.max_amount === ""
+          ? null
+          : Number(step.max_amount),
+      mode,
+      history_label: step.history_label || "",
+      sla_hours:
+        step.sla_hours === undefined || step.sla_hours === "" ? DEFAULT_SLA_HOURS : Number(step.sla_hours),
+    };
+  });
+}
+
+/**
+ * Get Workflow List
+ * GET /api/web/approval-workflow
+ * Returns the workflow in effect for every document type, the default chain
+ * where the company hasn't configured one
+ *
+ * @returns {Array} [{ document_type, steps, is_default, ... }]
+ */
+async function getList(req, res) {
+  try {
+    let workflows = [];
+    for (const documentType of DocumentTypes) {
+      workflows.push(await getWorkflow(req.user.companyIdf, documentType));
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { workflows, site_roles: SiteRoles },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Workflow Details
+ * GET /api/web/approval-workflow/detail
+ *
+ * @param {String} req.query.document_type - purchase_request, rate_approval or purchase_order (required)
+ *
+ * @returns {Object} Workflow in effect for the document type
+ */
+async function getDetails(req, res) {
+  try {
+    assertDocumentType(req.query.document_type);
+    const workflow = await getWorkflow(req.user.companyIdf, req.query.document_type);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          workflow,
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Save Workflow
+ * POST /api/web/approval-workflow
+ * Creates or replaces the company's workflow for a document type. Documents
+ * already in approval keep the chain they started with.
+ *
+ * @param {String} req.body.document_type - purchase_request, rate_approval or purchase_order (required)
+ * @param {Array} req.body.steps - [{ name, level, approver_roles, permission: { module, action },
+ *                                    min_amount, max_amount, mode: "any"|"all", history_label,
+ *                                    sla_hours }] (required)
+ * @param {String} req.body.name - Workflow name (optional)
+ * @param {Boolean} req.body.isActive - Set false to fall back to the default chain (optional)
+ * @param {String} req.body.login_user_id - User saving the workflow
+ *
+ * @returns {Object} Saved workflow
+ */
+async function saveData(req, res) {
+  try {
+    let reqObj = req.body;
+    assertDocumentType(reqObj.document_type);
+    const steps = validateSteps(reqObj.steps);
+    const userId = reqObj.login_user_id || req.user.id;
+
+    const workflow = await ApprovalWorkflow.findOneAndUpdate(
+      { companyIdf: req.user.companyIdf, document_type: reqObj.document_type },
+      {
+        $set: {
+          name: reqObj.name || "",
+          steps,
+          isActive: reqObj.isActive !== false,
+          updated_by: userId,
+        },
+        $setOnInsert: { created_by: userId },
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await deleteCache(`approvalworkflow:details:${req.user.companyIdf}:${reqObj.document_type}`);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          workflow,
+          responseMessage(reqObj.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.log(error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Delete Workflow
+ * DELETE /api/web/approval-workflow
+ * Removes the company's workflow so the document type goes back to the
+ * default chain
+ *
+ * @param {String} req.query.document_type - Document type (required)
+ *
+ * @returns {Object} Removed workflow
+ */
+async function deleteData(req, res) {
+  try {
+    const documentType = req.query.document_type || req.body.document_type;
+    assertDocumentType(documentType);
+
+    const workflow = await ApprovalWorkflow.findOneAndDelete({
+      companyIdf: req.user.companyIdf,
+      document_type: documentType,
+    });
+    if (!workflow) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    await deleteCache(`approvalworkflow:details:${req.user.companyIdf}:${documentType}`);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          workflow,
+          responseMessage(req.query.langCode, "RECORD_DELETED"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Approval Status
+ * GET /api/web/approval/status
+ * Returns a document's approval chain with the users who can act on its
+ * pending steps. For a document not yet in approval, the chain it would start.
+ *
+ * @param {String} req.query.document_type - Document type (required)
+ * @param {String} req.query._id - Document ID (required)
+ *
+ * @returns {Object} { document_status, approval, started, pending_steps: [{ name, level, approvers, escalation_approvers }] }
+ */
+async function getApprovalStatus(req, res) {
+  try {
+    const doc = await findDocument(req.query.document_type, req.query._id, req);
+    const started = !!doc.approval;
+    const approval = started ? doc.approval : await getApprovalState(req.query.document_type, doc);
+
+    let pending_steps = [];
+    if (approval.status === "in_progress") {
+      const toUser = (u) => ({ _id: u._id, name: u.name, email: u.email, role: u.role });
+      for (const step of approval.steps.filter((s) => s.status === "pending")) {
+        const { approvers, escalation_approvers } = await getStepApprovers(doc, step);
+        pending_steps.push({
+          name: step.name,
+          level: step.level,
+          started_at: step.started_at,
+          sla_hours: step.sla_hours,
+          approvers: approvers.map(toUser),
+          escalation_approvers: escalation_approvers.map(toUser),
+        });
+      }
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { document_status: doc.status, approval, started, pending_steps },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Delegate Approval
+ * PUT /api/web/approval/delegate
+ * Lets the current approver hand their pending step to another user, who then
+ * approves on their behalf
+ *
+ * @param {String} req.body.document_type - Document type (required)
+ * @param {String} req.body._id - Document ID (required)
+ * @param {String} req.body.delegate_to - User ID of the delegate (required)
+ * @param {String} req.body.remarks - Remarks (optional)
+ *
+ * @returns {Object} Updated document
+ */
+async function delegateApproval(req, res) {
+  try {
+    let reqObj = req.body;
+    const doc = await findDocument(reqObj.document_type, reqObj._id, req);
+
+    const { fields, historyEntry, condition } = await delegate(reqObj.document_type, doc, {
+      user: req.user,
+      delegate_to: reqObj.delegate_to,
+      remarks: reqObj.remarks,
+    });
+
+    const { model, cacheEntity } = DOCUMENTS[reqObj.document_type];
+    const updatedData = await model.findOneAndUpdate(
+      { _id: doc._id, companyIdf: req.user.companyIdf, ...condition },
+      { $set: { ...fields, updated_by: req.user.id }, $push: { prHistory: historyEntry } },
+      { new: true }
+    );
+    if (!updatedData) {
+      throw {
+        errors: [],
+        message: "The approval was changed by someone else meanwhile; reload the document and try again",
+        statusCode: 409,
+      };
+    }
+
+    await invalidateEntity(cacheEntity);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          updatedData,
+          responseMessage(reqObj.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.log(error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Overdue Approvals
+ * GET /api/web/approval/overdue
+ * Pending approval steps past their SLA, most overdue first, with the
+ * approvers they are waiting on (dashboard)
+ *
+ * @param {String} req.query.document_type - purchase_request, rate_approval or purchase_order (optional)
+ * @param {String} req.query.site - Site ID (optional)
+ *
+ * @returns {Object} { count, data: [{ document_type, _id, title, step, level, started_at, due_at,
+ *                     overdue_hours, reminders_sent, escalated, approvers }] }
+ */
+async function getOverdue(req, res) {
+  try {
+    const { document_type, site } = req.query;
+    if (document_type) assertDocumentType(document_type);
+    if (site && !ObjectID.isValid(site)) {
+      throw {
+        errors: [],
+        message: "Invalid site",
+        statusCode: 400,
+      };
+    }
+
+    const data = await getOverdueApprovals(req.user.companyIdf, { document_type, site });
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { count: data.length, data },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Run SLA Check
+ * POST /api/web/approval/sla-check
+ * Sends the company's due reminders and escalations now instead of waiting
+ * for the scheduled job
+ *
+ * @returns {Object} { checked, reminded, escalated }
+ */
+async function runSlaCheck(req, res) {
+  try {
+    const result = await checkApprovalSla(req.user.companyIdf);
+    await Promise.all(Object.values(DOCUMENTS).map((o) => invalidateEntity(o.cacheEntity)));
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          result,
+          responseMessage(req.body.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    console.log(error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
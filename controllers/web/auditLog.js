@@ -0,0 +1,159 @@
+/**
+ * Audit Log Controller
+ * Handles the company's audit trail (models/AuditLog.js) including:
+ * - The history of one document (PR, rate approval, PO, DMR entry, debit
+ *   note, vendor, item or role)
+ * - Everything a user changed
+ * - Changes in a date range, optionally to one field
+ *
+ * Entries are recorded by libs/auditTrail.js.
+ */
+
+const { AuditLog, AuditActions, AuditEntities } = require("../../models/AuditLog");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+
+// Export all controller functions
+module.exports = {
+  getList,
+};
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {String} value
+ * @returns {String}
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Validate an ID query param
+ *
+ * @param {String} value
+ * @param {String} langCode
+ * @returns {ObjectID}
+ */
+function toObjectId(value, langCode) {
+  if (!ObjectID.isValid(value)) {
+    throw {
+      errors: [],
+      message: responseMessage(langCode, "ID_MISSING"),
+      statusCode: 412,
+    };
+  }
+  return ObjectID(value);
+}
+
+/**
+ * Get Audit Log
+ * GET /api/web/audit-logs
+ * Returns audit entries, newest first
+ *
+ * @param {String} req.query.entity_type - purchase_request, rate_approval, purchase_order, dmr_entry,
+ *                                         debit_note, vendor, item or role (optional)
+ * @param {String} req.query.entity_id - Document ID (optional, with entity_type)
+ * @param {String} req.query.user_id - User who made the changes (optional)
+ * @param {String} req.query.action - create, update or delete; comma separated (optional)
+ * @param {String} req.query.path - Field path prefix, e.g. "items" or "status" (optional)
+ * @param {String} req.query.from - Range start date (optional)
+ * @param {String} req.query.to - Range end date, inclusive (optional)
+ * @param {Number} req.query.page - Page number (default: 1)
+ * @param {Number} req.query.per_page - Entries per page (default: 20, max: 100)
+ *
+ * @returns {Object} { data, total, page, per_page }
+ */
+async function getList(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const per_page = Math.min(parseInt(req.query.per_page) || 20, 100);
+    const { entity_type, entity_id, user_id, action, path, from, to } = req.query;
+
+    const filter = { companyIdf: req.user.companyIdf };
+    if (entity_type) {
+      if (!AuditEntities.includes(entity_type)) {
+        throw {
+          errors: [],
+          message: `entity_type must be one of ${AuditEntities.join(", ")}`,
+          statusCode: 400,
+        };
+      }
+      filter.entity_type = entity_type;
+    }
+    if (entity_id) {
+      if (!entity_type) {
+        throw {
+          errors: [],
+          message: "entity_type is required with entity_id",
+          statusCode: 400,
+        };
+      }
+      filter.entity_id = toObjectId(entity_id, req.query.langCode);
+    }
+    if (user_id) {
+      filter.user_id = toObjectId(user_id, req.query.langCode);
+    }
+    if (action) {
+      const actions = String(action).split(",");
+      if (actions.some((value) => !AuditActions.includes(value))) {
+        throw {
+          errors: [],
+          message: `action must be one of ${AuditActions.join(", ")}`,
+          statusCode: 400,
+        };
+      }
+      filter.action = { $in: actions };
+    }
+    if (path) {
+      filter["changes.path"] = { $regex: `^${escapeRegExp(path)}(\\.|$)` };
+    }
+    if (from || to) {
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : null;
+      if ((start && isNaN(start)) || (end && isNaN(end)) || (start && end && start > end)) {
+        throw {
+          errors: [],
+          message: "from and to must be valid dates, from before to",
+          statusCode: 400,
+        };
+      }
+      filter.created_at = {};
+      if (start) filter.created_at.$gte = start;
+      if (end) {
+        end.setDate(end.getDate() + 1);
+        filter.created_at.$lt = end;
+      }
+    }
+
+    const [data, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * per_page)
+        .limit(per_page)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { data, total, page, per_page },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
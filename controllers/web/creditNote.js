@@ -2,31 +2,220 @@
  * Credit Note Controller
  * Handles all operations related to Credit Notes including:
  * - Creating credit notes from vendor documents
+ * - Listing and fetching credit notes
+ * - Updating credit notes and re-matching them against debit notes
  * - Settling debit notes using credit notes (FIFO method)
  * - Tracking partial and full settlements
- * - Linking credit notes to debit notes
+ * - Rolling settled amounts up into DMR order vendor totals
  */
 
-const DMREntrySchema = require("../../models/dmrEntry");
 const DebitNote = require("../../models/DebitNote");
 const DMRorder = require("../../models/DmrPurchaseOrder");
 const CreditNote = require("../../models/CreditNote");
-const Response = require("../../libs/response");
-const ItemSchema = require("../../models/Item");
 const { responseMessage } = require("../../libs/responseMessages");
 const ObjectID = require("mongodb").ObjectID;
 
+/**
+ * Round an amount to 2 decimals so float leftovers don't keep notes "partial"
+ * @param {Number} value
+ * @returns {Number}
+ */
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Normalize debit note IDs from a string, comma separated string or array
+ * @param {String|Array} debitNoteIds
+ * @returns {Array<ObjectID>}
+ */
+const toDebitNoteIds = (debitNoteIds) => {
+  if (!debitNoteIds) return [];
+  const ids = Array.isArray(debitNoteIds)
+    ? debitNoteIds
+    : String(debitNoteIds).split(",");
+  return ids
+    .map((id) => String(id).trim())
+    .filter((id) => ObjectID.isValid(id))
+    .map((id) => ObjectID(id));
+};
+
+/**
+ * Work out a debit note's status from its settled total
+ * A debit note with nothing settled falls back to raised/sent
+ * @param {Object} debit - DebitNote document
+ * @returns {String}
+ */
+const getDebitStatus = (debit) => {
+  if (debit.totalSettledAmount <= 0) {
+    return debit.vendorStatus && debit.vendorStatus.emailed ? "sent" : "raised";
+  }
+  return debit.totalSettledAmount >= round2(debit.grandTotal) ? "settled" : "partial";
+};
+
+/**
+ * Work out a credit note's status from its settled total
+ * @param {Object} creditNote - CreditNote document
+ * @returns {String}
+ */
+const getCreditStatus = (creditNote) => {
+  if (creditNote.totalSettledAmount <= 0) return "pending";
+  return creditNote.totalSettledAmount >= round2(creditNote.creditNoteAmount)
+    ? "settled"
+    : "partial";
+};
+
+/**
+ * Apply the unapplied balance of a credit note to open debit notes
+ *
+ * Matching Logic:
+ * - Only debit notes for the same vendor and PO are considered
+ * - If specific debit note IDs are provided, settles only those
+ * - Otherwise uses FIFO to settle the oldest open debit notes first
+ * - Repeated settlement against the same debit note is merged into one entry
+ *
+ * @param {Object} creditNote - CreditNote document (saved by caller)
+ * @param {ObjectID} companyIdf - Tenant ID
+ * @param {String|Array} debitNoteIds - Optional debit notes to restrict matching to
+ */
+const applyCreditNote = async (creditNote, companyIdf, debitNoteIds) => {
+  let remainingAmount = round2(creditNote.creditNoteAmount - creditNote.totalSettledAmount);
+  if (remainingAmount <= 0) return;
+
+  const filter = {
+    companyIdf,
+    vendorId: creditNote.vendorId,
+    poNumber: creditNote.poNumber,
+    status: { $ne: "settled" }, // Get raised, sent or partial debit notes
+  };
+  const ids = toDebitNoteIds(debitNoteIds);
+  if (ids.length > 0) filter._id = { $in: ids };
+
+  // Oldest first (FIFO)
+  const debitNotesToSettle = await DebitNote.find(filter).sort({ createdAt: 1 });
+
+  for (const debit of debitNotesToSettle) {
+    // Stop if no remaining credit amount
+    if (remainingAmount <= 0) break;
+
+    const outstandingAmount = round2(debit.grandTotal - debit.totalSettledAmount);
+    if (outstandingAmount <= 0) continue;
+
+    // Settle the minimum of remaining credit amount and outstanding debit amount
+    const settleAmount = Math.min(remainingAmount, outstandingAmount);
+
+    // Update DebitNote: add or extend the credit note reference
+    const debitEntry = debit.creditNote.find(
+      (o) => String(o.creditNoteId) === String(creditNote._id)
+    );
+    if (debitEntry) {
+      debitEntry.settledAmount = round2(debitEntry.settledAmount + settleAmount);
+      debitEntry.settledOn = new Date();
+    } else {
+      debit.creditNote.push({
+        creditNoteId: creditNote._id,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        settledAmount: settleAmount,
+        creditNoteDoc: creditNote.creditNoteDoc,
+      });
+    }
+    debit.totalSettledAmount = round2(debit.totalSettledAmount + settleAmount);
+    debit.status = getDebitStatus(debit);
+    await debit.save();
+
+    // Update CreditNote: add or extend the settled debit note reference
+    const creditEntry = creditNote.settledDebitNotes.find(
+      (o) => String(o.debitNoteId) === String(debit._id)
+    );
+    if (creditEntry) {
+      creditEntry.settledAmount = round2(creditEntry.settledAmount + settleAmount);
+      creditEntry.status = debit.status === "settled" ? "settled" : "partial";
+    } else {
+      creditNote.settledDebitNotes.push({
+        debitNoteId: debit._id,
+        debitNoteNumber: debit.debitNoteNumber,
+        settledAmount: settleAmount,
+        status: debit.status === "settled" ? "settled" : "partial",
+      });
+    }
+
+    creditNote.totalSettledAmount = round2(creditNote.totalSettledAmount + settleAmount);
+    remainingAmount = round2(remainingAmount - settleAmount);
+  }
+
+  creditNote.status = getCreditStatus(creditNote);
+};
+
+/**
+ * Undo every settlement made by a credit note
+ * Removes the credit note from linked debit notes and restores their outstanding amounts
+ *
+ * @param {Object} creditNote - CreditNote document (saved by caller)
+ * @param {ObjectID} companyIdf - Tenant ID
+ */
+const releaseCreditNote = async (creditNote, companyIdf) => {
+  for (const entry of creditNote.settledDebitNotes) {
+    const debit = await DebitNote.findOne({ _id: entry.debitNoteId, companyIdf });
+    if (!debit) continue;
+
+    const released = debit.creditNote
+      .filter((o) => String(o.creditNoteId) === String(creditNote._id))
+      .reduce((sum, o) => sum + (o.settledAmount || 0), 0);
+
+    debit.creditNote = debit.creditNote.filter(
+      (o) => String(o.creditNoteId) !== String(creditNote._id)
+    );
+    debit.totalSettledAmount = Math.max(0, round2(debit.totalSettledAmount - released));
+    debit.status = getDebitStatus(debit);
+    await debit.save();
+  }
+
+  creditNote.settledDebitNotes = [];
+  creditNote.totalSettledAmount = 0;
+  creditNote.status = "pending";
+};
+
+/**
+ * Roll settled credit note amounts up into the DMR order
+ * Sets vendors_total[].CreditNoteDetails to the total settled by all
+ * credit notes for the vendor and PO
+ *
+ * @param {ObjectID} companyIdf - Tenant ID
+ * @param {String} poNumber - Purchase order number
+ * @param {String|ObjectID} vendorId - Vendor ID
+ */
+const rollUpCreditNotes = async (companyIdf, poNumber, vendorId) => {
+  const [summary] = await CreditNote.aggregate([
+    {
+      $match: {
+        companyIdf: ObjectID(companyIdf),
+        poNumber,
+        vendorId: ObjectID(vendorId),
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$totalSettledAmount" } } },
+  ]);
+
+  await DMRorder.updateMany(
+    {
+      companyIdf,
+      po_number: poNumber,
+      "vendor_detail._id": String(vendorId),
+    },
+    { $set: { "vendors_total.$[].CreditNoteDetails": round2(summary ? summary.total : 0) } }
+  );
+};
+
 /**
  * Create Credit Note
  * POST /api/web/creditNote
- * Creates a credit note and automatically settles debit notes using FIFO method
- * 
+ * Creates a credit note and automatically settles open debit notes for the same vendor and PO
+ *
  * Settlement Logic:
  * - If specific debit note IDs provided, settles only those
- * - If no IDs provided, uses FIFO (First In First Out) to settle oldest pending debit notes
+ * - If no IDs provided, uses FIFO (First In First Out) to settle oldest open debit notes
  * - Can partially or fully settle debit notes
- * - Updates debit note status (pending → partial → settled)
- * 
+ * - Updates debit note status (raised/sent → partial → settled)
+ * - Rolls the settled total into the DMR order's vendors_total[].CreditNoteDetails
+ *
  * @param {String} req.body.creditNoteNumber - Credit note number from vendor (required)
  * @param {Date} req.body.creditNoteDate - Credit note date (required)
  * @param {Number} req.body.creditNoteAmount - Credit note amount (required)
@@ -34,9 +223,9 @@ const ObjectID = require("mongodb").ObjectID;
  * @param {String} req.body.poNumber - Purchase order number (required)
  * @param {String} req.body.vendorId - Vendor ID (required)
  * @param {String} req.body.site - Site ID (required)
- * @param {String} req.body.debitNoteIds - Specific debit note IDs to settle (optional, if empty uses FIFO)
+ * @param {String|Array} req.body.debitNoteIds - Specific debit note IDs to settle (optional, if empty uses FIFO)
  * @param {String} req.body.created_by - User who created the credit note
- * 
+ *
  * @returns {Object} Created credit note with settled debit notes
  */
 const createData = async (req, res) => {
@@ -53,106 +242,272 @@ const createData = async (req, res) => {
       created_by,
     } = req.body;
 
-    // Track remaining credit note amount available for settlement
-    let remainingAmount = creditNoteAmount;
+    // Validate required fields
+    if (!creditNoteNumber || !creditNoteDate || !(Number(creditNoteAmount) > 0) || !poNumber || !vendorId || !site) {
+      return res.status(400).json({ message: "Missing required fields" });
+    }
 
     // Create credit note record
     const creditNote = await CreditNote.create({
       companyIdf: req.user.companyIdf,
       creditNoteNumber,
       creditNoteDate,
-      creditNoteAmount,
+      creditNoteAmount: round2(creditNoteAmount),
       creditNoteDoc,
       poNumber,
       vendorId,
       site,
-      created_by,
-      debitNoteIds,
+      created_by: created_by || req.body.login_user_id,
       settledDebitNotes: [], // Will be populated during settlement
     });
 
-    let debitNotesToSettle;
-    let debitNoteId = [];
-    
-    // Convert debit note IDs string to array if provided
-    if (debitNoteIds !== "") {
-      debitNoteId = [ObjectID(debitNoteIds)];
+    // Settle open debit notes and save the credit note with its settlements
+    await applyCreditNote(creditNote, req.user.companyIdf, debitNoteIds);
+    await creditNote.save();
+
+    await rollUpCreditNotes(req.user.companyIdf, poNumber, vendorId);
+
+    res.status(201).json({
+      message: "Credit note created and debit notes settled successfully",
+      creditNote,
+    });
+  } catch (error) {
+    console.error("Error creating credit note:", error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get Credit Notes List
+ * GET /api/web/creditNote
+ * Retrieves a list of credit notes with optional filtering and pagination
+ *
+ * @param {String} req.query.site - Filter by site ID (optional)
+ * @param {String} req.query.vendorId - Filter by vendor ID (optional)
+ * @param {String} req.query.poNumber - Filter by purchase order number (optional)
+ * @param {String} req.query.status - Filter by status: pending, partial, settled (optional)
+ * @param {String} req.query.search - Search by credit note number (optional)
+ * @param {Number} req.query.page - Page number (optional)
+ * @param {Number} req.query.per_page - Records per page (optional)
+ *
+ * @returns {Object} { data, total } - Credit notes with unapplied amounts
+ */
+const getList = async (req, res) => {
+  try {
+    const { site, vendorId, poNumber, status, search } = req.query;
+    const page = parseInt(req.query.page);
+    const perPage = parseInt(req.query.per_page);
+
+    // Build filter object based on query parameters
+    const filter = { companyIdf: req.user.companyIdf };
+    if (site) filter.site = site;
+    if (vendorId) filter.vendorId = vendorId;
+    if (poNumber) filter.poNumber = poNumber;
+    if (status) filter.status = status;
+    if (search) filter.creditNoteNumber = { $regex: search.trim(), $options: "i" };
+
+    const total = await CreditNote.countDocuments(filter);
+
+    let query = CreditNote.find(filter)
+      .sort({ createdAt: -1 }) // Sort by creation date descending
+      .populate({ path: "vendorId", model: "vendor", select: "vendor_name" })
+      .populate({ path: "site", model: "site", select: "site_name" })
+      .lean();
+
+    if (page > 0 && perPage > 0) {
+      query = query.skip((page - 1) * perPage).limit(perPage);
     }
-    
-    // Step 2: Determine which debit notes to settle
-    if (debitNoteId && debitNoteId.length > 0) {
-      // Specific debit notes provided - settle only those
-      debitNotesToSettle = await DebitNote.find({
-        _id: { $in: debitNoteId },
-        vendorId,
-        site,
-        companyIdf: req.user.companyIdf,
-        status: { $ne: "settled" }, // Exclude already settled debit notes
-      }).sort({ createdAt: 1 }); // Sort by creation date (oldest first)
-    } else {
-      // FIFO method: Get all pending/partial debit notes for this vendor and site
-      // Settle oldest debit notes first
-      debitNotesToSettle = await DebitNote.find({
-        vendorId,
-        site,
-        companyIdf: req.user.companyIdf,
-        status: { $ne: "settled" }, // Get pending or partial debit notes
-      }).sort({ createdAt: 1 }); // Oldest first (FIFO)
+
+    const creditNotes = (await query).map((o) => ({
+      ...o,
+      unappliedAmount: round2(o.creditNoteAmount - (o.totalSettledAmount || 0)),
+    }));
+
+    res.status(200).json({ data: creditNotes, total });
+  } catch (err) {
+    console.error("Error fetching credit notes:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+/**
+ * Get Credit Note Details
+ * GET /api/web/creditNote/detail
+ * Retrieves a credit note with the current state of each linked debit note
+ *
+ * @param {String} req.query._id - Credit note ID (required)
+ *
+ * @returns {Object} Credit note object with linked debit notes
+ */
+const getDetails = async (req, res) => {
+  try {
+    const { _id } = req.query;
+
+    if (!_id || !ObjectID.isValid(_id)) {
+      return res.status(412).json({ message: responseMessage(req.body.langCode, "ID_MISSING") });
     }
-    
-    console.log("Debit Notes to Settle:", debitNotesToSettle.length);
-    
-    // Step 3: Loop through debit notes and settle with credit note
-    for (const debit of debitNotesToSettle) {
-      // Stop if no remaining credit amount
-      if (remainingAmount <= 0) break;
-
-      // Calculate outstanding amount for this debit note
-      const outstandingAmount = debit.grandTotal - debit.totalSettledAmount;
-      
-      // Settle the minimum of remaining credit amount and outstanding debit amount
-      const settleAmount = Math.min(remainingAmount, outstandingAmount);
-      
-      // Update DebitNote: Add credit note reference
-      debit.creditNote.push({
-        creditNoteId: creditNote._id,
-        creditNoteNumber: creditNote.creditNoteNumber,
-        settledAmount: settleAmount,
-        creditNoteDoc: creditNote.creditNoteDoc,
-      });
 
-      // Update debit note totals and status
-      debit.totalSettledAmount += settleAmount;
-      // Update status: settled if fully paid, partial if partially paid
-      debit.status =
-        debit.totalSettledAmount >= debit.grandTotal ? "settled" : "partial";
-      
-      console.log(debit);
-      await debit.save();
+    const creditNote = await CreditNote.findOne({ _id, companyIdf: req.user.companyIdf })
+      .populate({ path: "vendorId", model: "vendor", select: "vendor_name" })
+      .populate({ path: "site", model: "site", select: "site_name" })
+      .lean();
 
-      // Update CreditNote: Add settled debit note reference
-      creditNote.settledDebitNotes.push({
-        debitNoteId: debit._id,
-        debitNoteNumber: debit.debitNoteNumber,
-        settledAmount: settleAmount,
-        status: debit.status, // pending, partial, or settled
-      });
+    if (!creditNote) {
+      return res.status(404).json({ message: "Credit Note not found" });
+    }
+
+    // Attach each linked debit note's current totals and status
+    const debitNotes = await DebitNote.find({
+      _id: { $in: creditNote.settledDebitNotes.map((o) => o.debitNoteId) },
+      companyIdf: req.user.companyIdf,
+    })
+      .select("debitNoteNumber grandTotal totalSettledAmount status")
+      .lean();
+
+    creditNote.settledDebitNotes = creditNote.settledDebitNotes.map((entry) => {
+      const debit = debitNotes.find((o) => String(o._id) === String(entry.debitNoteId));
+      return {
+        ...entry,
+        debitNote: debit
+          ? {
+              grandTotal: debit.grandTotal,
+              totalSettledAmount: debit.totalSettledAmount,
+              outstandingAmount: round2(debit.grandTotal - debit.totalSettledAmount),
+              status: debit.status,
+            }
+          : null,
+      };
+    });
+    creditNote.unappliedAmount = round2(creditNote.creditNoteAmount - (creditNote.totalSettledAmount || 0));
+
+    res.status(200).json(creditNote);
+  } catch (err) {
+    console.error("Error fetching credit note:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+/**
+ * Update Credit Note
+ * PUT /api/web/creditNote
+ * Updates credit note details. When the amount or linked debit notes change,
+ * existing settlements are released and the credit note is matched again.
+ *
+ * @param {String} req.body._id - Credit note ID (required)
+ * @param {String} req.body.creditNoteNumber - Credit note number (optional)
+ * @param {Date} req.body.creditNoteDate - Credit note date (optional)
+ * @param {Number} req.body.creditNoteAmount - Credit note amount (optional, triggers re-matching)
+ * @param {String} req.body.creditNoteDoc - Credit note document URL/path (optional)
+ * @param {String|Array} req.body.debitNoteIds - Debit notes to match against (optional, triggers re-matching)
+ * @param {String} req.body.login_user_id - User updating the credit note
+ *
+ * @returns {Object} Updated credit note
+ */
+const updateData = async (req, res) => {
+  try {
+    const { _id, creditNoteNumber, creditNoteDate, creditNoteAmount, creditNoteDoc, debitNoteIds } = req.body;
+
+    if (!_id || !ObjectID.isValid(_id)) {
+      return res.status(412).json({ message: responseMessage(req.body.langCode, "ID_MISSING") });
+    }
+
+    const creditNote = await CreditNote.findOne({ _id, companyIdf: req.user.companyIdf });
+    if (!creditNote) {
+      return res.status(404).json({ message: "Credit Note not found" });
+    }
 
-      // Reduce remaining credit amount
-      remainingAmount -= settleAmount;
+    if (creditNoteAmount !== undefined && !(Number(creditNoteAmount) > 0)) {
+      return res.status(400).json({ message: "Credit note amount must be greater than zero" });
+    }
+
+    const amountChanged =
+      creditNoteAmount !== undefined && round2(creditNoteAmount) !== round2(creditNote.creditNoteAmount);
+    const rematch = amountChanged || debitNoteIds !== undefined;
+
+    if (rematch) {
+      await releaseCreditNote(creditNote, req.user.companyIdf);
+    }
+
+    if (creditNoteNumber) creditNote.creditNoteNumber = creditNoteNumber;
+    if (creditNoteDate) creditNote.creditNoteDate = creditNoteDate;
+    if (creditNoteDoc !== undefined) creditNote.creditNoteDoc = creditNoteDoc;
+    if (amountChanged) creditNote.creditNoteAmount = round2(creditNoteAmount);
+    creditNote.updated_by = req.body.login_user_id;
+
+    if (rematch) {
+      await applyCreditNote(creditNote, req.user.companyIdf, debitNoteIds);
+    } else if (creditNoteNumber || creditNoteDoc !== undefined) {
+      // Keep the snapshot on linked debit notes in sync
+      await DebitNote.updateMany(
+        { companyIdf: req.user.companyIdf, "creditNote.creditNoteId": creditNote._id },
+        {
+          $set: {
+            "creditNote.$[cn].creditNoteNumber": creditNote.creditNoteNumber,
+            "creditNote.$[cn].creditNoteDoc": creditNote.creditNoteDoc,
+          },
+        },
+        { arrayFilters: [{ "cn.creditNoteId": creditNote._id }] }
+      );
     }
 
-    // Step 4: Save final credit note with updated settledDebitNotes
     await creditNote.save();
 
-    res.status(201).json({
-      message: "Credit note created and debit notes settled successfully",
+    if (rematch) {
+      await rollUpCreditNotes(req.user.companyIdf, creditNote.poNumber, creditNote.vendorId);
+    }
+
+    res.status(200).json({
+      message: "Credit note updated successfully",
       creditNote,
     });
-  } catch (error) {
-    console.error("Error creating credit note:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+  } catch (err) {
+    console.error("Error updating credit note:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+/**
+ * Settle Credit Note
+ * PUT /api/web/creditNote/settle
+ * Applies the unapplied balance of a credit note to open debit notes
+ * for the same vendor and PO (e.g. debit notes raised after the credit note)
+ *
+ * @param {String} req.body._id - Credit note ID (required)
+ * @param {String|Array} req.body.debitNoteIds - Specific debit note IDs to settle (optional, if empty uses FIFO)
+ *
+ * @returns {Object} Updated credit note
+ */
+const settleData = async (req, res) => {
+  try {
+    const { _id, debitNoteIds } = req.body;
+
+    if (!_id || !ObjectID.isValid(_id)) {
+      return res.status(412).json({ message: responseMessage(req.body.langCode, "ID_MISSING") });
+    }
+
+    const creditNote = await CreditNote.findOne({ _id, companyIdf: req.user.companyIdf });
+    if (!creditNote) {
+      return res.status(404).json({ message: "Credit Note not found" });
+    }
+
+    if (creditNote.status === "settled") {
+      return res.status(400).json({ message: "Credit note is already fully applied" });
+    }
+
+    await applyCreditNote(creditNote, req.user.companyIdf, debitNoteIds);
+    creditNote.updated_by = req.body.login_user_id;
+    await creditNote.save();
+
+    await rollUpCreditNotes(req.user.companyIdf, creditNote.poNumber, creditNote.vendorId);
+
+    res.status(200).json({
+      message: "Debit notes settled successfully",
+      creditNote,
+    });
+  } catch (err) {
+    console.error("Error settling credit note:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 };
 
-module.exports = { createData };
+module.exports = { createData, getList, getDetails, updateData, settleData };
@@ -17,11 +17,15 @@ const Response = require("../../libs/response");
 const ItemSchema = require("../../models/Item");
 const { responseMessage } = require("../../libs/responseMessages");
 const ObjectID = require("mongodb").ObjectID;
+const { notifySiteUsers } = require("../../libs/notifications");
+const { getDebitNoteGSTDetails } = require("../../libs/placeOfSupply");
 
 /**
  * Create Debit Note
  * POST /api/web/debitNote
  * Creates a new debit note record
+ * GSTDetails (CGST + SGST or IGST) is worked out from the vendor, delivery
+ * and billing addresses (libs/placeOfSupply.js)
  * 
  * @param {String} req.body.poNumber - Purchase order number (required)
  * @param {String} req.body.vendorId - Vendor ID (required)
@@ -53,9 +57,20 @@ const createData = async (req, res) => {
     const newDebitNote = await DebitNote.create({
       ...req.body,
       companyIdf: req.user.companyIdf,
+      GSTDetails: getDebitNoteGSTDetails(req.body),
       creditNote: [], // Initialize with empty credit notes array
     });
 
+    await notifySiteUsers(newDebitNote.site, "debit_note_vendor", {
+      companyIdf: req.user.companyIdf,
+      title: `Debit Note raised for PO ${poNumber}`,
+      message: [newDebitNote.debitNoteNumber, newDebitNote.vendorDetail?.vendor_name].filter(Boolean).join(" - "),
+      link: `/debit-note/details/${newDebitNote._id}`,
+      entity_type: "debit_note",
+      entity_id: newDebitNote._id,
+      data: newDebitNote,
+    });
+
     res.send(newDebitNote);
   } catch (err) {
     console.error("Error creating debit note:", err);
@@ -105,6 +120,7 @@ const getList = async (req, res) => {
  * Update Debit Note
  * PUT /api/web/debitNote/:id
  * Updates an existing debit note and automatically recalculates totals
+ * and GSTDetails
  * 
  * @param {String} req.params.id - Debit note ID (required)
  * @param {Object} req.body - Update data (items, additionalDebits, etc.)
@@ -153,6 +169,18 @@ const updateData = async (req, res) => {
       updateData.grandTotal = updateData.totalAmount + updateData.totalGST;
     }
 
+    // Recalculate the CGST + SGST / IGST split if amounts or parties change
+    if (
+      ["items", "additionalDebits", "vendorDetail", "delivery_address", "billingAddress"].some(
+        (key) => updateData[key]
+      )
+    ) {
+      updateData.GSTDetails = getDebitNoteGSTDetails({
+        ...debitNote.toObject(),
+        ...updateData,
+      });
+    }
+
     // Update debit note and return updated document
     const updated = await DebitNote.findOneAndUpdate({ _id: debitNoteId, companyIdf: req.user.companyIdf }, updateData, {
       new: true, // Return updated document instead of original
@@ -271,6 +299,8 @@ const getEligibleInvoicesForDebitNote = async (req, res) => {
  * GET /api/web/debitNote/getDebitNoteFromDmr
  * Generates debit note data structure from selected DMR entries
  * Consolidates items, calculates totals, and prepares debit note for creation
+ * Freight and other charges debits carry their GST; GSTDetails splits the
+ * GST into CGST + SGST or IGST (libs/placeOfSupply.js)
  * 
  * @param {String} req.query.dmrIds - Comma-separated DMR entry IDs (required)
  * 
@@ -330,16 +360,23 @@ const getDebitNoteDataFromDMR = async (req, res) => {
     let AdditionalDebitNoteAmount = 0; // Additional debit amounts (rate differences, etc.)
     let AdditionalDebitNoteGST = 0; // GST on additional debits
     let freightDebit = 0; // Freight debit amount
+    let freightDebitGST = 0; // GST on freight debit
     let otherChargesDebit = 0; // Other charges debit amount
+    let otherChargesDebitGST = 0; // GST on other charges debit
 
     // Map to consolidate items by item_id (in case same item appears in multiple DMRs)
     const itemsMap = {};
 
     // Process each DMR entry to extract items and calculate totals
     dmrEntries.forEach((dmr) => {
-      // Extract freight and other charges from DMR
-      freightDebit = dmr.Freight.totalfreight;
-      otherChargesDebit = dmr.otherCharges.totalotherCharges;
+      // Extract freight and other charges from DMR, base and GST apart when the base is known
+      const freightBase = dmr.Freight.freight;
+      freightDebit = freightBase === undefined || freightBase === null ? dmr.Freight.totalfreight : freightBase;
+      freightDebitGST = Math.max((dmr.Freight.totalfreight || 0) - (freightDebit || 0), 0);
+      const chargesBase = dmr.otherCharges.charges;
+      otherChargesDebit =
+        chargesBase === undefined || chargesBase === null ? dmr.otherCharges.totalotherCharges : chargesBase;
+      otherChargesDebitGST = Math.max((dmr.otherCharges.totalotherCharges || 0) - (otherChargesDebit || 0), 0);
       
       // Process each item in the DMR entry
       dmr.dmritem.forEach((it) => {
@@ -409,53 +446,54 @@ const getDebitNoteDataFromDMR = async (req, res) => {
     const items = Object.values(itemsMap);
     
     // Add freight as a special item if invoice freight exceeds PO freight
+    const poTotals = dmrOrder[0].vendors_total[0];
+    const freightDebited =
+      poTotals.invoice_Freight_total.totalfreight > poTotals.freightTotal;
     items.push({
       item_id: "",
+      item_name: "Freight",
       item_details: "Freight",
       description: "",
       po_qty: 0,
       invoice_qty: 0,
       received_qty: 0,
-      rate: dmrOrder[0].vendors_total[0].freightTotal || 0,
+      rate: poTotals.freightTotal || 0,
       debit_qty: 0,
-      invoice_rate:
-        dmrOrder[0].vendors_total[0].invoice_Freight_total.totalfreight >
-        dmrOrder[0].vendors_total[0].freightTotal
-          ? freightDebit // Debit amount if invoice freight > PO freight
-          : 0,
+      invoice_rate: freightDebited
+        ? (freightDebit || 0) + freightDebitGST // Invoice freight incl. GST
+        : 0,
       debit_reason: "",
-      amount:
-        (dmrOrder[0].vendors_total[0].invoice_Freight_total.totalfreight >
-        dmrOrder[0].vendors_total[0].freightTotal
-          ? freightDebit
-          : 0) || 0,
-      gst_percentage: 0,
-      gst: 0,
+      amount: (freightDebited ? freightDebit : 0) || 0,
+      gst_percentage: poTotals.freightGST || 0,
+      gst: freightDebited ? freightDebitGST : 0,
     });
 
     // Add other charges as a special item if invoice charges exceed PO charges
+    const otherChargesDebited =
+      poTotals.invoice_otherCharges_total.totalotherCharges > poTotals.otherChargesTotal;
     items.push({
       item_id: "",
+      item_name: "Other Charges",
       item_details: "Other Charges",
       description: "",
       po_qty: 0,
       invoice_qty: 0,
       received_qty: 0,
-      rate: dmrOrder[0].vendors_total[0].otherChargesTotal || 0,
+      rate: poTotals.otherChargesTotal || 0,
       debit_qty: 0,
-      invoice_rate:
-        dmrOrder[0].vendors_total[0].invoice_otherCharges_total.totalotherCharges >
-        dmrOrder[0].vendors_total[0].otherChargesTotal
-          ? otherChargesDebit // Debit amount if invoice charges > PO charges
-          : 0,
+      invoice_rate: otherChargesDebited
+        ? (otherChargesDebit || 0) + otherChargesDebitGST // Invoice charges incl. GST
+        : 0,
       debit_reason: "",
-      amount:
-        dmrOrder[0].vendors_total[0].invoice_otherCharges_total.totalotherCharges >
-        dmrOrder[0].vendors_total[0].otherChargesTotal
-          ? otherChargesDebit
-          : 0,
-      gst_percentage: 0,
-      gst: 0,
+      amount: (otherChargesDebited ? otherChargesDebit : 0) || 0,
+      gst_percentage: poTotals.otherChargesGST || 0,
+      gst: otherChargesDebited ? otherChargesDebitGST : 0,
+    });
+
+    // Freight and other charges debits count towards the totals like items
+    items.slice(-2).forEach((line) => {
+      totalAmount += line.amount;
+      totalGST += line.gst;
     });
 
     // Calculate grand total
@@ -494,6 +532,7 @@ const getDebitNoteDataFromDMR = async (req, res) => {
       documentUrl: "",
       creditNote: {}, // Empty credit note object
     };
+    debitNoteData.GSTDetails = getDebitNoteGSTDetails(debitNoteData);
 
     res.json([{ data: debitNoteData }]);
   } catch (err) {
@@ -13,12 +13,13 @@ const dmrEntry = require("../../models/dmrEntry");
 const Imprest_Dmr_Entry = require("../../models/ImprestDmrEntry");
 const UserSchema = require("../../models/User");
 const mongoose = require("mongoose");
-const { createInventoryData } = require("../web/inventoryIn");
+const { insertInventoryEntries } = require("../web/inventoryIn");
 const { createOrUpdateInventory } = require("../web/inventory");
 const Response = require("../../libs/response");
 const ObjectID = require("mongodb").ObjectID;
 const { responseMessage } = require("../../libs/responseMessages");
 const { updateActivityLog } = require("./utilityController");
+const { createAssetsFromDMREntry } = require("./AssetTracker");
 const {
   getCache,
   setCache,
@@ -26,13 +27,21 @@ const {
   invalidateEntityList,
 } = require("../../utils/cache");
 const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+const { runInTransaction } = require("../../utils/transaction");
+const { applyThreeWayMatch, hasOpenExceptions } = require("../../libs/threeWayMatch");
+const { dispatchEvent } = require("../../libs/webhooks");
+const { applyInvoiceGSTDetails } = require("../../libs/placeOfSupply");
 
 /**
  * Create DMR Entry
  * POST /api/web/dmr_entry
  * Creates a new DMR entry for invoice or challan
  * Automatically updates inventory when materials are received
+ * The entry, challan closure and stock updates run in one transaction
+ * Creates asset tracker records for "Assets (P&M)" receipts
  * Closes related challans when invoice is created
+ * Runs the three-way match on the saved entry (see libs/threeWayMatch.js)
+ * Splits an invoice's GST into CGST + SGST or IGST (see libs/placeOfSupply.js)
  * 
  * @param {Array} req.body.dmritem - Array of items received in this DMR
  * @param {String} req.body.Site - Site ID where materials are received
@@ -57,120 +66,141 @@ async function createData(req, res) {
       order_Type,
     } = req.body;
 
-    // Create and save new DMR entry
-    let dmrForm = new dmrEntry({ ...req.body, companyIdf: req.user.companyIdf });
-    dmrForm = await dmrForm.save();
+    // DMR entry, challan closure and stock updates commit together or not at all
+    const dmrForm = await runInTransaction(async (session) => {
+      // Create and save new DMR entry
+      let dmrForm = new dmrEntry({ ...req.body, companyIdf: req.user.companyIdf });
+      dmrForm = await dmrForm.save({ session });
+
+      // If invoice is created, close related challans
+      // This links challans to their corresponding invoice
+      if (closedChallan && closedChallan.length > 0) {
+        for (const challanId of closedChallan) {
+          await dmrEntry.findOneAndUpdate(
+            { _id: ObjectID(challanId), companyIdf: req.user.companyIdf },
+            {
+              challanStatus: "closed",
+              InvoiceNumber: InvoiceNumber, // Link challan to invoice
+            },
+            { session }
+          );
+        }
+      }
+
+      if (order_Type !== "Purchase Order") return dmrForm;
+
+      // Prepare array for inventory updates
+      let dmritemArray = [];
+
+      // Map PR type to inventory type code
+      let prTypeValue = "";
+      if (prType && prType === "Project BOQ") {
+        prTypeValue = "BOQ";
+      } else if (prType && prType === "Site Establishment") {
+        prTypeValue = "SE";
+      } else if (prType && prType === "Assets") {
+        prTypeValue = "Asset";
+      }
+
+      // Process each item in the DMR entry
+      for (const itemData of dmritem) {
+        const { item, receivedQuantity, DebitNoteQty, Rate } = itemData;
+
+        // Validate item data
+        if (!item || typeof receivedQuantity !== "number") {
+          throw {
+            errors: [],
+            message: "Each dmritem must contain valid item_id and receivedQuantity.",
+            statusCode: 400,
+          };
+        }
 
-    // If invoice is created, close related challans
-    // This links challans to their corresponding invoice
-    if (closedChallan.length > 0) {
-      for (const challanId of closedChallan) {
-        await dmrEntry.findOneAndUpdate(
-          { _id: ObjectID(challanId), companyIdf: req.user.companyIdf },
+        // Format current date for inventory record
+        const date = new Date();
+        const formattedDate = `${String(date.getDate()).padStart(
+          2,
+          "0"
+        )}-${String(date.getMonth() + 1).padStart(2, "0")}-${date.getFullYear()}`;
+
+        // Calculate net quantity (received minus debit note quantity)
+        // This represents the actual usable quantity after accounting for defects/shortages
+        const netQuantity = receivedQuantity - (DebitNoteQty || 0);
+
+        // Nothing usable was received, so there is no stock to add
+        if (netQuantity <= 0) continue;
+
+        // Prepare inventory item object
+        const newItem = {
+          item_id: item.item_id,
+          site_id: Site,
+          quantity: netQuantity, // Net quantity after debit adjustments
+          remaining_quantity: netQuantity, // Initially same as quantity
+          updatedOn: new Date(),
+          date: formattedDate,
+          vendor_id: vendor_detail._id,
+          inventoryType: prTypeValue, // BOQ, SE, or Asset
+          rate: Rate,
+          source: "Vendor", // Source of inventory
+        };
+
+        // Update inventory: add received quantity to stock
+        await createOrUpdateInventory(
           {
-            challanStatus: "closed",
-            InvoiceNumber: InvoiceNumber, // Link challan to invoice
-          }
+            body: {
+              item_id: item.item_id,
+              site_id: Site,
+              quantity: netQuantity, // Add net quantity to inventory
+              operation: "add", // Add operation increases stock
+              inventoryType: prTypeValue,
+            },
+            user: req.user,
+          },
+          session
         );
-      }
-    }
 
-    // Prepare array for inventory updates
-  if(order_Type==="Purchase Order"){
-
-   let dmritemArray = [];
-
-    // Map PR type to inventory type code
-    let prTypeValue = "";
-    if (prType && prType === "Project BOQ") {
-      prTypeValue = "BOQ";
-    } else if (prType && prType === "Site Establishment") {
-      prTypeValue = "SE";
-    } else if (prType && prType === "Assets") {
-      prTypeValue = "Asset";
-    }
-    
-    // Process each item in the DMR entry
-    for (const itemData of dmritem) {
-      const { item, receivedQuantity, DebitNoteQty, Rate } = itemData;
-      
-      // Validate item data
-      if (!item || typeof receivedQuantity !== "number") {
-        return res.status(400).json({
-          message:
-            "Each dmritem must contain valid item_id and receivedQuantity.",
-        });
+        // Add to array for inventory record creation
+        dmritemArray.push(newItem);
       }
 
-      // Format current date for inventory record
-      const date = new Date();
-      const formattedDate = `${String(date.getDate()).padStart(
-        2,
-        "0"
-      )}-${String(date.getMonth() + 1).padStart(2, "0")}-${date.getFullYear()}`;
-      
-      // Calculate net quantity (received minus debit note quantity)
-      // This represents the actual usable quantity after accounting for defects/shortages
-      const netQuantity = receivedQuantity - DebitNoteQty;
-      
-      // Prepare inventory item object
-      const newItem = {
-        item_id: item.item_id,
-        site_id: Site,
-        quantity: netQuantity, // Net quantity after debit adjustments
-        remaining_quantity: netQuantity, // Initially same as quantity
-        updatedOn: new Date(),
-        date: formattedDate,
-        vendor_id: vendor_detail._id,
-        inventoryType: prTypeValue, // BOQ, SE, or Asset
-        rate: Rate,
-        source: "Vendor", // Source of inventory
-      };
+      // Create inventory records (FIFO layers) for all received items
+      if (dmritemArray.length > 0) {
+        await insertInventoryEntries(dmritemArray, req.user.companyIdf, session);
+      }
 
-      // Update inventory: add received quantity to stock
-      const response = await createOrUpdateInventory(
-        {
-          body: {
-            item_id: item.item_id,
-            site_id: Site,
-            quantity: netQuantity, // Add net quantity to inventory
-            operation: "add", // Add operation increases stock
-            inventoryType: prTypeValue,
-          },
-        },
-        {
-          status: () => ({ json: () => {} }), // Mocked response object
-        }
-      );
+      return dmrForm;
+    });
 
-      // Add to array for inventory record creation
-      dmritemArray.push(newItem);
+    // GST split and PO vs received vs invoiced match; the receipt stands even if these fail
+    let savedEntry = dmrForm;
+    try {
+      savedEntry = await dmrEntry.findById(dmrForm._id);
+      await applyInvoiceGSTDetails(savedEntry);
+      await applyThreeWayMatch(savedEntry, req.user.id);
+      await savedEntry.save();
+    } catch (matchError) {
+      console.error("Error running three-way match for DMR entry:", matchError);
     }
 
-    // Create inventory records for all received items
-    const response = await createInventoryData(
-      {
-        body: {
-          data: dmritemArray,
-        },
-      },
-      {
-        status: (statusCode) => ({
-          json: (responseData) => ({
-            statusCode,
-            responseData,
-          }),
-        }),
+    if (order_Type === "Purchase Order") {
+      // Register received Plant & Machinery units in the asset tracker
+      try {
+        await createAssetsFromDMREntry(dmrForm, req.user.id);
+      } catch (assetError) {
+        console.error("Error creating assets from DMR entry:", assetError);
       }
-    );
+
+      await invalidateEntity("INVENTORY");
+      await invalidateEntityList("INVENTORY");
+    }
 
     // Invalidate cache to ensure fresh data on next request
     await invalidateEntity("DMRENTRY");
     await invalidateEntityList("DMRENTRY");
-  }
+
+    await dispatchEvent(req.user.companyIdf, "dmr_entry_created", savedEntry);
 
     // Return created DMR entry
-    res.send(dmrForm);
+    res.send(savedEntry);
   } catch (error) {
     return res.status(error.statusCode || 422).json(
       await Response.errors(
@@ -190,12 +220,14 @@ async function createData(req, res) {
  * PUT /api/web/dmr_entry/updateDMREntries
  * Updates multiple DMR entries in bulk
  * Used for batch operations like document submission, audit remarks, etc.
+ * Re-runs the three-way match; entries with unresolved exceptions are not
+ * marked completed and are listed in `blocked`
  * 
  * @param {Array<String>} req.body.dmrIds - Array of DMR entry IDs to update
  * @param {Object} req.body.updates - Object with fields to update
  *   Example: { DateOfDocSubmissionToHO: '2025-09-01', remarksForAudit: 'Checked' }
  * 
- * @returns {Object} Update result with count of updated documents
+ * @returns {Object} Update result with count of updated documents and blocked DMR IDs
  */
 async function updateDMREntries(req, res) {
   try {
@@ -210,6 +242,8 @@ async function updateDMREntries(req, res) {
       return res.status(400).json({ message: "No update data provided" });
     }
 
+    const blocked = [];
+
     // Iterate to check if status should be updated
     const updatePromises = dmrIds.map(async (id) => {
       const dmr = await dmrEntry.findOne({ _id: id, companyIdf: req.user.companyIdf });
@@ -220,13 +254,20 @@ async function updateDMREntries(req, res) {
         dmr[key] = updates[key];
       });
 
+      await applyThreeWayMatch(dmr, req.user.id);
+
       // Automatically update status if all required fields exist
+      // and the three-way match has nothing left to resolve
       if (
         dmr.DateOfDocSubmissionToHO &&
         dmr.remarksForAudit &&
         dmr.InvoiceNumber?.length > 0
       ) {
-        dmr.status = "completed";
+        if (hasOpenExceptions(dmr)) {
+          blocked.push(dmr._id);
+        } else {
+          dmr.status = "completed";
+        }
       }
 
       return dmr.save();
@@ -239,6 +280,7 @@ async function updateDMREntries(req, res) {
     res.status(200).json({
       message: `${results.filter((r) => r).length} DMR(s) updated successfully`,
       data: results,
+      blocked,
     });
   } catch (error) {
     console.error("Error updating DMR:", error);
@@ -404,6 +446,10 @@ async function updateData(req, res) {
     );
 
     if (updatedData) {
+      await applyInvoiceGSTDetails(updatedData);
+      await applyThreeWayMatch(updatedData, req.user.id);
+      updatedData = await updatedData.save();
+
       await invalidateEntity("DMRENTRY");
       await invalidateEntityList("DMRENTRY");
       res
@@ -783,6 +829,145 @@ async function getGateEntryNumber(req, res) {
   }
 }
 
+/**
+ * Run Three-Way Match
+ * POST /api/web/dmr_entry/three-way-match
+ * Re-runs the match for an entry, e.g. after the company's tolerances change
+ *
+ * @param {String} req.body._id - DMR entry ID (required)
+ *
+ * @returns {Object} Updated DMR entry
+ */
+async function runThreeWayMatch(req, res) {
+  try {
+    let reqObj = req.body;
+    if (!reqObj._id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    let entry = await dmrEntry.findOne({ _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf });
+    if (!entry) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    await applyThreeWayMatch(entry, req.user.id);
+    entry = await entry.save();
+    await invalidateEntity("DMRENTRY");
+    await invalidateEntityList("DMRENTRY");
+
+    res.status(200).json(await Response.success(entry, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Resolve Three-Way Match Exceptions
+ * PUT /api/web/dmr_entry/three-way-match/resolve
+ * Resolves exceptions so the entry can be completed. "accepted" takes the
+ * invoice as billed and drops the line from the draft debit note;
+ * "debit_note" keeps it there to be raised with the debit note.
+ *
+ * @param {String} req.body._id - DMR entry ID (required)
+ * @param {Array<String>} req.body.exception_ids - Exceptions to resolve (required)
+ * @param {String} req.body.resolution - "accepted" or "debit_note" (required)
+ * @param {String} req.body.remarks - Resolution remarks (required for "accepted")
+ *
+ * @returns {Object} Updated DMR entry
+ */
+async function resolveMatchExceptions(req, res) {
+  try {
+    let reqObj = req.body;
+    const { exception_ids, resolution, remarks = "" } = reqObj;
+
+    if (!reqObj._id || !Array.isArray(exception_ids) || exception_ids.length === 0) {
+      throw {
+        errors: [],
+        message: "Missing required fields: _id, exception_ids",
+        statusCode: 400,
+      };
+    }
+    if (!["accepted", "debit_note"].includes(resolution)) {
+      throw {
+        errors: [],
+        message: "resolution must be accepted or debit_note",
+        statusCode: 400,
+      };
+    }
+    if (resolution === "accepted" && !remarks.trim()) {
+      throw {
+        errors: [],
+        message: "Remarks are required to accept a mismatch",
+        statusCode: 400,
+      };
+    }
+
+    let entry = await dmrEntry.findOne({ _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf });
+    if (!entry) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    const exceptions = (entry.threeWayMatch && entry.threeWayMatch.exceptions) || [];
+    const ids = exception_ids.map(String);
+    const selected = exceptions.filter((o) => ids.includes(String(o._id)));
+    if (selected.length !== ids.length) {
+      throw {
+        errors: [],
+        message: "Exception not found on this DMR entry",
+        statusCode: 404,
+      };
+    }
+
+    selected.forEach((o) => {
+      o.resolved = true;
+      o.resolution = resolution;
+      o.resolution_remarks = remarks;
+      o.resolved_by = req.user.id;
+      o.resolved_at = new Date();
+    });
+
+    // Re-run so the status and draft debit note reflect the resolutions
+    await applyThreeWayMatch(entry, req.user.id);
+    entry = await entry.save();
+    await invalidateEntity("DMRENTRY");
+    await invalidateEntityList("DMRENTRY");
+
+    res.status(200).json(await Response.success(entry, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
 module.exports = {
   createData,
   opneChallan,
@@ -795,4 +980,6 @@ module.exports = {
   checkDuplicateChallan,
   updateDMREntries,
   getGateEntryNumber,
+  runThreeWayMatch,
+  resolveMatchExceptions,
 };
@@ -54,11 +54,13 @@ module.exports = {
  * @param {Number} req.body.quantity - Quantity to add or use (required)
  * @param {String} req.body.operation - Operation type: "add" or "use" (required)
  * @param {String} req.body.inventoryType - Inventory type: "BOQ", "SE", or "Asset" (required)
+ * @param {Object} req.user - Authenticated user (companyIdf scopes the record)
+ * @param {ClientSession} session - Transaction session to run in (optional)
  * 
  * @returns {Object} Success message and updated inventory data
  * @throws {Error} If parameters are invalid or insufficient stock for "use" operation
  */
-async function createOrUpdateInventory(req) {
+async function createOrUpdateInventory(req, session = null) {
   console.log("checking body________________", req.body);
   const { item_id, site_id, quantity, operation, inventoryType } = req.body;
 
@@ -88,7 +90,7 @@ async function createOrUpdateInventory(req) {
     site_id,
     inventoryType,
     companyIdf: req.user.companyIdf,
-  });
+  }).session(session);
   
   // Format current date
   const date = new Date();
@@ -105,7 +107,7 @@ async function createOrUpdateInventory(req) {
       existingInventory.updated_at = new Date();
       existingInventory.date = formattedDate;
 
-      await existingInventory.save();
+      await existingInventory.save({ session });
 
       return {
         message: "Inventory updated successfully.",
@@ -129,7 +131,7 @@ async function createOrUpdateInventory(req) {
       existingInventory.updated_at = new Date();
       existingInventory.date = formattedDate;
 
-      await existingInventory.save();
+      await existingInventory.save({ session });
 
       return {
         message: "Inventory used successfully.",
@@ -157,7 +159,7 @@ async function createOrUpdateInventory(req) {
         updated_at: new Date(),
       });
 
-      await newInventory.save();
+      await newInventory.save({ session });
       //.log("Created New Inventory:", newInventory);
         await invalidateEntity("INVENTORY");
       await invalidateEntityList("INVENTORY");
@@ -23,6 +23,30 @@ const {
 const { TRANSACTIONAL } = require("../../libs/cacheConfig");
 
 
+/**
+ * Insert Inventory In Entries
+ * Internal function used by DMR receipts and transfers to add FIFO layers
+ * Validates each entry and stamps it with the tenant before inserting
+ * 
+ * @param {Array} entries - Inventory in entries (item_id, site_id, inventoryType, updatedOn, quantity, rate, ...)
+ * @param {ObjectId} companyIdf - Tenant ID
+ * @param {ClientSession} session - Transaction session to run in (optional)
+ * 
+ * @returns {Array} Inserted inventory in entries
+ * @throws {Error} If an entry is missing required fields
+ */
+const insertInventoryEntries = async (entries, companyIdf, session = null) => {
+  const requiredFields = ['item_id', 'site_id', 'inventoryType', 'updatedOn', 'quantity', 'rate'];
+  for (const entry of entries) {
+    const missingFields = requiredFields.filter(field => !entry[field]);
+    if (missingFields.length > 0) {
+      throw { errors: [], message: `Missing required fields: ${missingFields.join(', ')}`, statusCode: 400 };
+    }
+    entry.companyIdf = companyIdf;
+  }
+
+  return InventoryIn.insertMany(entries, { session });
+};
 
 /**
  * Create Inventory In Entry
@@ -280,7 +304,8 @@ if (search && search.trim() !== "") {
 
 module.exports = {
   getInStockData,
-  createInventoryData
+  createInventoryData,
+  insertInventoryEntries
   //getInventoryList,
   //getInventoryData,
   //createOrUpdateInventory
@@ -25,17 +25,32 @@ const {
   invalidateEntityList,
 } = require("../../utils/cache");
 const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+const { runInTransaction } = require("../../utils/transaction");
+const {
+  VALUATION_METHODS,
+  getValuationMethod,
+  getLayerSort,
+  getWeightedAverageRate,
+  consumeLayers,
+} = require("../../libs/valuation");
 
 /**
  * Add Inventory Out Entry
- * Creates an inventory out entry using FIFO (First In First Out) method
+ * Creates an inventory out entry valued by the company's valuation method
  * 
- * FIFO Logic:
- * - Fetches inventory in entries sorted by date (oldest first)
- * - Consumes from oldest entries first
- * - Calculates weighted average rate based on consumed quantities
+ * Valuation (per company, see libs/valuation.js):
+ * - FIFO: consumes oldest inventory in entries first, rate is the blend of consumed layers
+ * - LIFO: consumes newest inventory in entries first, rate is the blend of consumed layers
+ * - WEIGHTED_AVERAGE: rate is the moving average of stock on hand, layers depleted oldest first
  * - Updates remaining_quantity in inventory in entries
  * 
+ * Consistency:
+ * - Layer updates and the InventoryOut record are written in one transaction
+ * - InventoryIn uses optimistic concurrency, so two issues consuming the same layer
+ *   can't both succeed; the losing transaction is re-run against fresh layers
+ * - Pass the caller's session to join its transaction; errors are then rethrown
+ *   so the caller's transaction aborts (and can retry) as a whole
+ * 
  * @param {String} item_id - Item ID (required)
  * @param {String} site_id - Site ID (required)
  * @param {String} inventory_type - Inventory type (required)
@@ -45,9 +60,11 @@ const { TRANSACTIONAL } = require("../../libs/cacheConfig");
  * @param {String} useType - Use type (optional)
  * @param {String} authorized_person - Authorized person (optional)
  * @param {String} contractor - Contractor ID (optional)
+ * @param {ObjectId} companyIdf - Tenant ID (required)
+ * @param {ClientSession} session - Transaction session to run in (optional)
  * 
  * @returns {Object} Success status and created inventory out entry
- * @throws {Error} If insufficient inventory available
+ * @throws {Error} If a session is passed and the issue fails
  */
 async function addInventoryOutEntry({
   item_id,
@@ -60,54 +77,64 @@ async function addInventoryOutEntry({
   authorized_person,
   contractor,
   companyIdf,
+  session = null,
 }) {
-  try {
-    let remainingQuantity = quantity;
-  
-    // Step 1: Fetch FIFO entries sorted by date (oldest first)
-    const fifoEntries = await InventoryIn.find({
+  const consume = async (session) => {
+    const method = await getValuationMethod(companyIdf);
+    const match = {
       item_id: item_id,
       site_id: site_id,
       inventoryType: inventory_type,
       companyIdf: companyIdf,
-    }).sort({ date: 1 }); // FIFO based on date (oldest first)
+    };
+
+    // Weighted average rate is taken from stock on hand before this issue
+    const averageRate =
+      method === VALUATION_METHODS.WEIGHTED_AVERAGE
+        ? await getWeightedAverageRate(
+            {
+              ...match,
+              item_id: ObjectID(item_id),
+              site_id: ObjectID(site_id),
+              companyIdf: ObjectID(companyIdf),
+            },
+            session
+          )
+        : null;
+
+    // Step 1: Fetch layers with stock left in the method's consumption order
+    const layers = await InventoryIn.find({
+      ...match,
+      remaining_quantity: { $gt: 0 },
+    })
+      .sort(getLayerSort(method))
+      .session(session);
 
     // Validate sufficient inventory exists
-    if (fifoEntries.length === 0) {
+    if (layers.length === 0) {
       throw new Error(
         "Insufficient inventory available for the requested item and site."
       );
     }
 
-    // Step 2: Calculate total cost and consumed quantity using FIFO
-    let totalCost = 0;
-    let totalConsumedQuantity = 0;
-
-    for (const entry of fifoEntries) {
-      if (remainingQuantity <= 0) break;
-
-      const availableQuantity = entry.remaining_quantity;
-      const usedQuantity = Math.min(availableQuantity, remainingQuantity);
-
-      // Calculate cost for this portion
-      totalCost += usedQuantity * entry.rate;
-      totalConsumedQuantity += usedQuantity;
-      remainingQuantity -= usedQuantity;
-
-      // Update remaining quantity in inventory in entry
-      entry.remaining_quantity -= usedQuantity;
-      await entry.save();
-    }
+    // Step 2: Deplete layers and calculate the cost of the consumed quantity
+    const { consumedQuantity, totalCost, remainingQuantity, touched } =
+      consumeLayers(layers, quantity);
 
     // Validate all quantity was consumed
     if (remainingQuantity > 0) {
       throw new Error("Not enough inventory to fulfill the request.");
     }
 
-    // Step 3: Calculate weighted average rate
-    const averageRate = totalCost / totalConsumedQuantity;
+    // Update remaining quantity in inventory in entries (version checked)
+    for (const layer of touched) {
+      await layer.save({ session });
+    }
+
+    // Step 3: Issue rate - moving average, or blend of consumed layers (FIFO/LIFO)
+    const rate = averageRate !== null ? averageRate : totalCost / consumedQuantity;
 
-    // Step 4: Create InventoryOut entry with calculated average rate
+    // Step 4: Create InventoryOut entry with the issue rate
     const inventoryOutEntry = new InventoryOut({
       item_id,
       site_id,
@@ -115,15 +142,23 @@ async function addInventoryOutEntry({
       date,
       quantity,
       useType,
-      rate: averageRate, // Weighted average rate from FIFO
+      rate, // Issue rate per the company's valuation method
+      valuation_method: method,
       return_type,
       authorized_person,
       contractor,
       companyIdf,
     });
 
-    await inventoryOutEntry.save();
-    
+    await inventoryOutEntry.save({ session });
+    return inventoryOutEntry;
+  };
+
+  try {
+    const inventoryOutEntry = session
+      ? await consume(session)
+      : await runInTransaction(consume);
+
     // Invalidate inventory cache
     await invalidateEntity("INVENTORY");
     await invalidateEntityList("INVENTORY");
@@ -135,6 +170,7 @@ async function addInventoryOutEntry({
     };
   } catch (error) {
     console.error("Error in addInventoryOutEntry:", error);
+    if (session) throw error;
     return {
       success: false,
       message: error.message,
@@ -214,9 +250,11 @@ async function InventoryData(req, res) {
     }
     console.log("______________________", filters);
 
+    // Movements are bucketed by when they were posted; issue values use the
+    // rates stored per the company's valuation method
     const stockBeforeStartIn = startDate
       ? await InventoryIn.aggregate([
-          { $match: { ...filters, updated_at: { $lt: startNormalized } } },
+          { $match: { ...filters, created_at: { $lt: startNormalized } } },
           {
             $group: {
               _id: {
@@ -235,7 +273,7 @@ async function InventoryData(req, res) {
 
     const stockBeforeStartOut = startDate
       ? await InventoryOut.aggregate([
-          { $match: { ...filters, updated_at: { $lt: startNormalized } } },
+          { $match: { ...filters, created_at: { $lt: startNormalized } } },
           {
             $group: {
               _id: {
@@ -257,7 +295,7 @@ async function InventoryData(req, res) {
         {
           $match: {
             ...filters,
-            updated_at: {
+            created_at: {
               $gte: startNormalized || new Date(0),
               $lte: endNormalized || new Date(),
             },
@@ -281,7 +319,7 @@ async function InventoryData(req, res) {
         {
           $match: {
             ...filters,
-            updated_at: {
+            created_at: {
               $gte: startNormalized || new Date(0),
               $lte: endNormalized || new Date(),
             },
@@ -309,7 +347,7 @@ async function InventoryData(req, res) {
         {
           $match: {
             ...filters,
-            updated_at: { $lte: endNormalized || new Date() },
+            created_at: { $lte: endNormalized || new Date() },
           },
         },
         {
@@ -330,7 +368,7 @@ async function InventoryData(req, res) {
         {
           $match: {
             ...filters,
-            updated_at: { $lte: endNormalized || new Date() },
+            created_at: { $lte: endNormalized || new Date() },
           },
         },
         {
@@ -463,6 +501,7 @@ if (search && search.trim() !== "") {
     const paginatedData = report.slice(skip, skip + limit);
 
 const response = {
+      valuationMethod: await getValuationMethod(req.user.companyIdf),
       data: paginatedData,
       pagination: {
         currentPage: Number(page),
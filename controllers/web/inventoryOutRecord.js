@@ -24,6 +24,7 @@ const {
   invalidateEntityList,
 } = require("../../utils/cache");
 const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+const { runInTransaction } = require("../../utils/transaction");
 
 /*async function createData(req, res) {
   try {
@@ -87,6 +88,8 @@ const { TRANSACTIONAL } = require("../../libs/cacheConfig");
  *    - Creates inventory out entry using FIFO method
  *    - Updates inventory quantities
  * 
+ * All steps run in one transaction, so a failed item rolls back the whole slip
+ * 
  * @param {String} req.body.site - Site ID (required)
  * @param {String} req.body.itemType - Item type (required)
  * @param {String} req.body.type - Return type (optional)
@@ -102,83 +105,67 @@ const { TRANSACTIONAL } = require("../../libs/cacheConfig");
  */
 async function createData(req, res) {
   try {
-    // Step 1: Save data in Inventory_Out_Record schema
-    let inventoryOutRecord = new InventoryOutRecord({ ...req.body, companyIdf: req.user.companyIdf });
-    inventoryOutRecord = await inventoryOutRecord.save();
-
-    // Extract data from saved record
-    const InventoryItems = inventoryOutRecord.items;
-    const ReturnType = inventoryOutRecord.type;
-    const authorized_person = inventoryOutRecord.authorizedBy;
-    const contractor = inventoryOutRecord.receivedBy;
-    const Site = inventoryOutRecord.site;
-    const type = inventoryOutRecord.itemType;
-
-    // Step 2: Process each item in the record
-    for (const itemData of InventoryItems) {
-      const { item_id, issued_Qty, remarks, item_code, uom, inventoryType } = itemData;
-
-      // Validate item_id and issued_Qty
-      if (!item_id || typeof issued_Qty !== "number") {
-        return res
-          .status(400)
-          .json({ message: "Invalid item_id and quantity." });
-      }
+    // Record, stock and FIFO updates commit together or not at all
+    const inventoryOutRecord = await runInTransaction(async (session) => {
+      // Step 1: Save data in Inventory_Out_Record schema
+      let inventoryOutRecord = new InventoryOutRecord({ ...req.body, companyIdf: req.user.companyIdf });
+      inventoryOutRecord = await inventoryOutRecord.save({ session });
+
+      // Extract data from saved record
+      const InventoryItems = inventoryOutRecord.items;
+      const ReturnType = inventoryOutRecord.type;
+      const authorized_person = inventoryOutRecord.authorizedBy;
+      const contractor = inventoryOutRecord.receivedBy;
+      const Site = inventoryOutRecord.site;
+      const type = inventoryOutRecord.itemType;
+
+      // Step 2: Process each item in the record
+      for (const itemData of InventoryItems) {
+        const { item_id, issued_Qty, inventoryType } = itemData;
+
+        // Validate item_id and issued_Qty
+        if (!item_id || typeof issued_Qty !== "number") {
+          throw { errors: {}, message: "Invalid item_id and quantity.", statusCode: 400 };
+        }
 
-      // Update inventory database using FIFO method
-      const inventoryResponse = await createOrUpdateInventory(
-        {
-          body: {
-            item_id: item_id,
-            site_id: Site, // Use Site as site_id
-            quantity: issued_Qty,
-            date: inventoryOutRecord.issue_Date,
-            operation: "use",
-            inventoryType: type, // Operation is "use" in this context
+        // Reduce stock quantity for the site
+        await createOrUpdateInventory(
+          {
+            body: {
+              item_id: item_id,
+              site_id: Site, // Use Site as site_id
+              quantity: issued_Qty,
+              date: inventoryOutRecord.issue_Date,
+              operation: "use",
+              inventoryType: type, // Operation is "use" in this context
+            },
+            user: req.user,
           },
-          user: req.user,
-        },
-        { status: () => ({ json: () => {} }) }, // Mocked response object
-      );
-      //console.log("checking__________________", inventoryResponse);
-
-      // Step 3: Add data to InventoryOut table
-      //console.log("we got here");
-      const inventoryOutEntry = {
-        item_id,
-        site_id: Site,
-        inventory_type: inventoryType,
-        date: inventoryOutRecord.issue_Date,
-        quantity: issued_Qty,
-        return_type: ReturnType,
-        authorized_person: authorized_person,
-        contractor: contractor,
-      };
-
-      const outResponse = await addInventoryOutEntry({
-        item_id: inventoryOutEntry.item_id,
-        site_id: inventoryOutEntry.site_id,
-        inventory_type: inventoryOutEntry.inventory_type,
-        date: inventoryOutEntry.date,
-        quantity: inventoryOutEntry.quantity,
-        return_type: inventoryOutEntry.return_type,
-        useType: "intraSite",
-        authorized_person: inventoryOutEntry.authorized_person,
-        contractor: inventoryOutEntry.contractor,
-        companyIdf: req.user.companyIdf,
-      });
-
-      if (!outResponse.success) {
-        throw new Error(
-          `Failed to add inventory out entry for item ${item_id}`,
+          session,
         );
+
+        // Step 3: Consume FIFO layers and add data to InventoryOut table
+        await addInventoryOutEntry({
+          item_id,
+          site_id: Site,
+          inventory_type: inventoryType || type,
+          date: inventoryOutRecord.issue_Date,
+          quantity: issued_Qty,
+          return_type: ReturnType,
+          useType: "intraSite",
+          authorized_person: authorized_person,
+          contractor: contractor,
+          companyIdf: req.user.companyIdf,
+          session,
+        });
       }
-    }
 
-    // Respond with success after all operations
+      return inventoryOutRecord;
+    });
 
-     await invalidateEntityList("INVENTORY");
-            await invalidateEntity("INVENTORY");
+    // Respond with success after all operations
+    await invalidateEntityList("INVENTORY");
+    await invalidateEntity("INVENTORY");
     res.send({
       success: true,
       message: "Data processed and inventory updated successfully.",
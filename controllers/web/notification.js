@@ -0,0 +1,373 @@
+/**
+ * Notification Controller
+ * Handles the in-app notification inbox of the logged-in user including:
+ * - Listing notifications with read/unread and type filters
+ * - Marking notifications read
+ * - Live delivery over server-sent events, opened with a single-use ticket
+ * - Opting in or out per notification type (User.notifications)
+ *
+ * Notifications are created by libs/notifications.js when PRs, rate
+ * approvals, POs, debit notes and stock alerts raise an event.
+ */
+
+const Notification = require("../../models/Notification");
+const User = require("../../models/User");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const { deleteCache, invalidateEntityList } = require("../../utils/cache");
+const { NOTIFICATION_TYPES, subscribe } = require("../../libs/notifications");
+const { getSessionState, issueStreamTicket } = require("../../libs/authTokens");
+
+// Export all controller functions
+module.exports = {
+  getList,
+  markRead,
+  getStreamTicket,
+  stream,
+  getPreferences,
+  updatePreferences,
+};
+
+// Keeps idle event streams open through proxies, and checks their session
+const HEARTBEAT_MS = 25 * 1000;
+
+// setTimeout's upper limit
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Get Notifications
+ * GET /api/web/notifications
+ * Newest first
+ *
+ * @param {String} req.query.read - "true" / "false" to filter by read state (optional)
+ * @param {String} req.query.type - Notification type, or comma-separated types (optional)
+ * @param {Number} req.query.page - Page number (optional, default: 1)
+ * @param {Number} req.query.per_page - Items per page (optional, default: 20)
+ *
+ * @returns {Object} { data, unread_count, total, page, per_page }
+ */
+async function getList(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const per_page = Math.min(parseInt(req.query.per_page) || 20, 100);
+
+    const filter = { user_id: ObjectID(req.user.id), companyIdf: req.user.companyIdf };
+    if (req.query.read === "true" || req.query.read === "false") {
+      filter.read = req.query.read === "true";
+    }
+    if (req.query.type) {
+      filter.type = { $in: String(req.query.type).split(",") };
+    }
+
+    const [data, total, unread_count] = await Promise.all([
+      Notification.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * per_page)
+        .limit(per_page)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user_id: ObjectID(req.user.id), companyIdf: req.user.companyIdf, read: false }),
+    ]);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { data, unread_count, total, page, per_page },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Mark Read
+ * PUT /api/web/notifications/read
+ *
+ * @param {Array} req.body.ids - Notification IDs to mark read (optional)
+ * @param {Boolean} req.body.all - Mark every unread notification read (optional)
+ * @param {Boolean} req.body.read - false to mark unread instead (optional, default: true)
+ *
+ * @returns {Object} { modified, unread_count }
+ */
+async function markRead(req, res) {
+  try {
+    const { ids, all } = req.body;
+    const read = req.body.read !== false;
+
+    const filter = { user_id: ObjectID(req.user.id), companyIdf: req.user.companyIdf };
+    if (!all) {
+      if (!Array.isArray(ids) || !ids.length || ids.some((id) => !ObjectID.isValid(id))) {
+        throw {
+          errors: [],
+          message: "ids must be a non-empty array of notification IDs, or send all: true",
+          statusCode: 400,
+        };
+      }
+      filter._id = { $in: ids.map((id) => ObjectID(id)) };
+    }
+
+    const result = await Notification.updateMany(
+      { ...filter, read: !read },
+      read ? { $set: { read: true, read_at: new Date() } } : { $set: { read: false }, $unset: { read_at: "" } }
+    );
+    const unread_count = await Notification.countDocuments({
+      user_id: ObjectID(req.user.id),
+      companyIdf: req.user.companyIdf,
+      read: false,
+    });
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { modified: result.nModified, unread_count },
+          responseMessage(req.body.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Stream Ticket
+ * POST /api/web/notifications/stream-ticket
+ * A single-use ticket, valid for a few seconds, to open the notification
+ * stream with (EventSource can't send the Authorization header)
+ *
+ * @returns {Object} { ticket, expires_in }
+ */
+async function getStreamTicket(req, res) {
+  try {
+    const data = await issueStreamTicket(req.headers.authorization.replace("Bearer ", ""));
+
+    res.status(200).json(await Response.success(data, responseMessage(req.query.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Notification Stream
+ * GET /api/web/notifications/stream?ticket=
+ * Server-sent events: "ready" with the unread count on connect, then a
+ * "notification" event for each new notification. Opened with a ticket from
+ * getStreamTicket (middleware.streamTicket). The notifications missed since
+ * Last-Event-ID (or ?last_event_id= on a new stream) are replayed first.
+ *
+ * The stream lasts as long as the access token it was opened with: it sends
+ * "expired" and closes when the token expires or its session is revoked
+ * (logout, deactivation), checked on every heartbeat.
+ */
+async function stream(req, res) {
+  const userId = ObjectID(req.user.id);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  // compression buffers the response unless it is flushed
+  const flush = () => res.flush && res.flush();
+  const send = (event, data, id) => {
+    if (res.writableEnded) return;
+    res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    flush();
+  };
+
+  // Stops the heartbeat, the expiry timer and the subscription; only the first call counts
+  let stopped = false;
+  const stop = () => {
+    if (stopped) return false;
+    stopped = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+    return true;
+  };
+  const close = (code) => {
+    if (!stop()) return;
+    send("expired", { message: responseMessage("en", code) });
+    res.end();
+  };
+
+  const unsubscribe = subscribe(userId, (notification) => send("notification", notification, notification._id));
+  const heartbeat = setInterval(async () => {
+    try {
+      const session = await getSessionState(req.user);
+      if (!session.active) return close(session.code);
+    } catch (error) {
+      console.error("Error checking notification stream session:", error);
+    }
+    if (stopped) return;
+    res.write(": ping\n\n");
+    flush();
+  }, HEARTBEAT_MS);
+  const expiry = setTimeout(() => close("TOKEN_IS_EXPIRED"), Math.min(req.user.exp * 1000 - Date.now(), MAX_TIMEOUT_MS));
+  req.on("close", stop);
+
+  try {
+    const lastEventId = req.headers["last-event-id"] || req.query.last_event_id;
+    if (lastEventId && ObjectID.isValid(lastEventId)) {
+      const missed = await Notification.find({
+        user_id: userId,
+        companyIdf: req.user.companyIdf,
+        _id: { $gt: ObjectID(lastEventId) },
+      })
+        .sort({ _id: 1 })
+        .limit(100)
+        .lean();
+      missed.forEach((o) => send("notification", o, o._id));
+    }
+
+    const unread_count = await Notification.countDocuments({
+      user_id: userId,
+      companyIdf: req.user.companyIdf,
+      read: false,
+    });
+    send("ready", { unread_count });
+  } catch (error) {
+    console.error("Error starting notification stream:", error);
+    send("error", { message: error.message });
+  }
+}
+
+/**
+ * Get Notification Preferences
+ * GET /api/web/notifications/preferences
+ *
+ * @returns {Object} { types: [{ type, enabled }] }
+ */
+async function getPreferences(req, res) {
+  try {
+    const user = await User.findOne({ _id: req.user.id, companyIdf: req.user.companyIdf }, "notifications").lean();
+    if (!user) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    res.status(200).json(
+      await Response.success(
+        {
+          types: NOTIFICATION_TYPES.map((type) => ({
+            type,
+            enabled: (user.notifications || []).includes(type),
+          })),
+        },
+        responseMessage(req.query.langCode, "SUCCESS"),
+        req
+      )
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Update Notification Preferences
+ * PUT /api/web/notifications/preferences
+ * Opts the user in or out per type; covers both in-app notifications and emails
+ *
+ * @param {Array<String>} req.body.enable - Types to opt in to (optional)
+ * @param {Array<String>} req.body.disable - Types to opt out of (optional)
+ *
+ * @returns {Object} { notifications } - The user's opted-in types
+ */
+async function updatePreferences(req, res) {
+  try {
+    const enable = Array.isArray(req.body.enable) ? req.body.enable : [];
+    const disable = Array.isArray(req.body.disable) ? req.body.disable : [];
+    const unknown = [...enable, ...disable].filter((type) => !NOTIFICATION_TYPES.includes(type));
+    if (unknown.length) {
+      throw {
+        errors: [],
+        message: `Unknown notification type(s): ${unknown.join(", ")}`,
+        statusCode: 400,
+      };
+    }
+
+    const filter = { _id: req.user.id, companyIdf: req.user.companyIdf };
+    if (enable.length) await User.updateOne(filter, { $addToSet: { notifications: { $each: enable } } });
+    if (disable.length) await User.updateOne(filter, { $pull: { notifications: { $in: disable } } });
+
+    const user = await User.findOne(filter, "notifications").lean();
+    if (!user) {
+      throw {
+        errors: [],
+        message: responseMessage(req.body.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    await deleteCache(`user:details:${req.user.id}`);
+    await invalidateEntityList("user");
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { notifications: user.notifications },
+          responseMessage(req.body.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
@@ -1,20 +1,26 @@
 /**
  * Onboarding Company Controller
- * Handles CRUD operations for SaaS tenant companies
+ * Handles CRUD operations for SaaS tenant companies and reports their usage
+ * against their subscription plan
  */
 
 const OnboardingCompany = require("../../models/onboardingcompany");
 const { getCache, setCache, deleteCache, invalidateEntity, invalidateEntityList } = require("../../utils/cache");
 const { MASTER_DATA } = require("../../libs/cacheConfig");
 const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const { clearSubscriptionCache, getUsageReport } = require("../../libs/subscription");
+const { runWithTenant } = require("../../libs/tenantContext");
 const { uploadToS3 } = require("../../utils/s3");
 const slugify = require("slugify");
+const mongoose = require("mongoose");
 
 
 // Export functions
 module.exports = {
   getList,
   getDataByID,
+  getUsage,
   createData,
   updateData,
   deleteData,
@@ -133,6 +139,55 @@ async function getDataByID(req, res) {
 }
 
 
+/**
+ * Get Company Usage
+ * GET /api/web/onboardingcompany/:id/usage
+ * Plan, subscription status and usage against the plan's limits
+ * (libs/subscription.js)
+ *
+ * @returns {Object} { plan, status, expires_at, grace_until, modules, limits: { users, sites, monthlyPOs } }
+ *   each limit being { max (null = unlimited), used, remaining }
+ */
+async function getUsage(req, res) {
+  try {
+    // Counted as the company asked about, not the superadmin's own
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await runWithTenant(req.params.id, () => getUsageReport(req.params.id))
+      : null;
+    if (!report) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    res.status(200).json(await Response.success(report, responseMessage(req.query.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        { errors: error.errors, message: error.message },
+        error,
+        req
+      )
+    );
+  }
+}
+
+
+/**
+ * Parse nested company settings (three-way match tolerances, vendor scorecard,
+ * vendor compliance)
+ * Company forms are multipart, so nested settings arrive as a JSON string
+ */
+function parseSettings(value) {
+  if (typeof value === "string") {
+    return value ? JSON.parse(value) : undefined;
+  }
+  return value;
+}
+
+
 /**
  * Create Company
  * POST /api/web/onboardingcompany
@@ -173,6 +228,10 @@ if (signatureFile) {
       signature: signatureUrl,
       subscriptionPlan: req.body.subscriptionPlan,
       subscriptionExpiry: req.body.subscriptionExpiry,
+      inventoryValuationMethod: req.body.inventoryValuationMethod,
+      threeWayMatch: parseSettings(req.body.threeWayMatch),
+      vendorScorecard: parseSettings(req.body.vendorScorecard),
+      vendorCompliance: parseSettings(req.body.vendorCompliance),
       contactEmail: req.body.contactEmail,
       contactPhone: req.body.contactPhone,
       address: req.body.address,
@@ -220,6 +279,22 @@ async function updateData(req, res) {
       updateData.subscriptionExpiry = req.body.subscriptionExpiry;
     }
 
+    if (req.body.inventoryValuationMethod !== undefined) {
+      updateData.inventoryValuationMethod = req.body.inventoryValuationMethod;
+    }
+
+    if (req.body.threeWayMatch !== undefined) {
+      updateData.threeWayMatch = parseSettings(req.body.threeWayMatch);
+    }
+
+    if (req.body.vendorScorecard !== undefined) {
+      updateData.vendorScorecard = parseSettings(req.body.vendorScorecard);
+    }
+
+    if (req.body.vendorCompliance !== undefined) {
+      updateData.vendorCompliance = parseSettings(req.body.vendorCompliance);
+    }
+
     if (req.body.contactEmail !== undefined) {
       updateData.contactEmail = req.body.contactEmail;
     }
@@ -251,10 +326,11 @@ async function updateData(req, res) {
     const company = await OnboardingCompany.findByIdAndUpdate(
       req.params.id,
       { $set: updateData },
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     await deleteCache(`onboardingcompany:details:${req.params.id}`);
+    await clearSubscriptionCache(req.params.id);
     await invalidateEntityList("onboardingcompany");
 
     res.send(company);
@@ -276,6 +352,7 @@ async function deleteData(req, res) {
     if (!company) return res.send("company not deleted");
 
     await deleteCache(`onboardingcompany:details:${req.params.id}`);
+    await clearSubscriptionCache(req.params.id);
     await invalidateEntityList("onboardingcompany");
 
     res.send(company);
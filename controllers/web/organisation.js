@@ -17,6 +17,7 @@ const {
   invalidateEntity
 } = require("../../utils/cache");
 const { MASTER_DATA } = require("../../libs/cacheConfig");
+const { normaliseTaxId, assertValidTaxDetails } = require("../../libs/gstin");
 
 // Export all controller functions
 module.exports = {
@@ -31,9 +32,13 @@ module.exports = {
  * Create Organisation
  * POST /api/web/organisation
  * Creates a new organisation in the master data
+ * GST and PAN numbers are checked for format and against each other and
+ * address.state (libs/gstin.js)
  * 
  * @param {Object} req.body - Organisation data
  * @param {String} req.body.organisation_name - Organisation name (required)
+ * @param {String} req.body.gst_number - GSTIN
+ * @param {String} req.body.pan_number - PAN
  * @param {String} req.body.langCode - Language code for response messages
  * @param {String} req.body.login_user_id - User creating the organisation
  * 
@@ -45,6 +50,14 @@ async function createData(req, res) {
         reqObj.companyIdf = req.user.companyIdf;
         reqObj.created_by = reqObj.login_user_id;
         reqObj.updated_by = reqObj.login_user_id;
+        if (reqObj.gst_number !== undefined) reqObj.gst_number = normaliseTaxId(reqObj.gst_number);
+        if (reqObj.pan_number !== undefined) reqObj.pan_number = normaliseTaxId(reqObj.pan_number);
+
+        assertValidTaxDetails({
+            gst_number: reqObj.gst_number,
+            pan_number: reqObj.pan_number,
+            state: reqObj.address && reqObj.address.state
+        });
 
         // Create new organisation record
         let newData = await new OrganisationSchema(reqObj).save();
@@ -76,6 +89,8 @@ async function createData(req, res) {
  * Update Organisation
  * PUT /api/web/organisation
  * Updates an existing organisation
+ * GST and PAN numbers are checked as on create, together with the stored
+ * values of the fields not being changed
  * 
  * @param {String} req.body._id - Organisation ID (required)
  * @param {Object} req.body - Organisation fields to update
@@ -100,6 +115,23 @@ async function updateData(req, res) {
 
         // Prepare update data with user tracking
         let requestedData = { ...reqObj, ...{ updated_by: loginUserId } };
+        if (requestedData.gst_number !== undefined) requestedData.gst_number = normaliseTaxId(requestedData.gst_number);
+        if (requestedData.pan_number !== undefined) requestedData.pan_number = normaliseTaxId(requestedData.pan_number);
+
+        // Check GST / PAN against the organisation as it will be after the update
+        if (requestedData.gst_number !== undefined || requestedData.pan_number !== undefined || requestedData.address) {
+            const existing = await OrganisationSchema.findOne({
+                _id: ObjectID(reqObj._id),
+                companyIdf: req.user.companyIdf
+            }, 'gst_number pan_number address.state').lean();
+            if (existing) {
+                assertValidTaxDetails({
+                    gst_number: requestedData.gst_number !== undefined ? requestedData.gst_number : existing.gst_number,
+                    pan_number: requestedData.pan_number !== undefined ? requestedData.pan_number : existing.pan_number,
+                    state: requestedData.address ? requestedData.address.state : existing.address && existing.address.state
+                });
+            }
+        }
 
         // Update organisation and return updated document
         let updatedData = await OrganisationSchema.findOneAndUpdate({
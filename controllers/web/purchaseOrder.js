@@ -16,6 +16,11 @@ const UserSchema = require("../../models/User");
 const { responseMessage } = require("../../libs/responseMessages");
 const ObjectID = require("mongodb").ObjectID;
 const { getVendorListByLocation } = require("./utilityController");
+const { processApproval } = require("../../libs/approvalEngine");
+const { getDelegatedSites } = require("../../libs/outOfOffice");
+const { notifySiteUsers } = require("../../libs/notifications");
+const { assertValidTaxDetails } = require("../../libs/gstin");
+const { addOrderGSTDetails } = require("../../libs/placeOfSupply");
 require("dotenv").config();
 const sendEmailsInBatches = require("../../emails/sendEmail");
 const OrganisationSchema = require("../../models/Organisation");
@@ -55,14 +60,70 @@ module.exports = {
 // Access path for email links (from environment)
 const accessPath = process.env.ACCESS_PATH;
 
+/**
+ * Approval action requested by an update
+ * Clients may send approval_action directly; older clients still send the
+ * target status ("pending" sends the order back to the purchase department)
+ *
+ * @param {Object} requestedData - Request body
+ * @param {Object} existingPO - Purchase order before the update
+ * @returns {String|null} approve | reject | revise, or null for a plain edit
+ */
+function getApprovalAction(requestedData, existingPO) {
+  if (existingPO.status !== "ApprovalPending") return null;
+  if (requestedData.approval_action) return requestedData.approval_action;
+  if (requestedData.status === "approved") return "approve";
+  if (requestedData.status === "rejected") return "reject";
+  if (requestedData.status === "pending") return "revise";
+  return null;
+}
+
+/**
+ * In-app notification for each PO status, by notification type
+ * @type {Object}
+ */
+const PO_NOTIFICATIONS = {
+  ApprovalPending: { type: "RO_approval", title: "awaiting your approval", link: "/purchase-order/approve/" },
+  approved: { type: "RO_approved", title: "approved", link: "/purchase-order/details/" },
+  rejected: { type: "PO_reject", title: "rejected", link: "/purchase-order/details/" },
+  revised: { type: "PO_revised_by_superadmin", title: "revised by SuperAdmin", link: "/purchase-order/details/" },
+};
+
+/**
+ * Notify the site's users when a purchase order changes status
+ * (in-app notifications; the matching emails are not sent yet)
+ *
+ * @param {Object} updatedPO - Purchase order after the update
+ * @param {Object} existingPO - Purchase order before the update
+ */
+async function notifyPurchaseOrderUsers(updatedPO, existingPO) {
+  const event = PO_NOTIFICATIONS[updatedPO.status];
+  if (!event || updatedPO.status === existingPO.status) return;
+
+  await notifySiteUsers(updatedPO.site, event.type, {
+    companyIdf: updatedPO.companyIdf,
+    title: `Purchase Order ${updatedPO.po_number} ${event.title}`,
+    message: `Requisition Request ${updatedPO.purchase_request_number}`,
+    link: `${event.link}${updatedPO._id}`,
+    entity_type: "purchase_order",
+    entity_id: updatedPO._id,
+    data: updatedPO,
+  });
+}
+
 /**
  * Update Purchase Order
  * PUT /api/web/purchase_order
  * Updates a purchase order and maintains history of status changes
  * Sends email notifications based on status changes
+ * Approval of an ApprovalPending order is run by libs/approvalEngine.js, so
+ * it stays ApprovalPending until every applicable level has approved
+ * vendors_total GSTDetails (CGST + SGST or IGST) are recomputed when the
+ * totals, vendor, delivery or billing address change (libs/placeOfSupply.js)
  * 
  * @param {String} req.body._id - Purchase order ID (required)
  * @param {String} req.body.status - New status (revised, pending, approved, etc.)
+ * @param {String} req.body.approval_action - approve, reject or revise (optional, derived from status otherwise)
  * @param {Array} req.body.po_files - PO files uploaded by vendor (optional)
  * @param {String} req.body.login_user_id - User ID making the update
  * @param {Object} req.body - Other purchase order fields to update
@@ -85,11 +146,66 @@ async function updateData(req, res) {
 
     // Prepare update data with user tracking
     let requestedData = { ...reqObj, ...{ updated_by: loginUserId } };
+
+    // The approval state is only ever written by the approval engine
+    delete requestedData.approval;
     
     // Fetch existing PO to get history
     const existingPR = await PurchaseOrderSchema.findOne(
       { _id: requestedData._id, companyIdf: req.user.companyIdf }
     ).lean();
+    if (!existingPR) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+    const approvalAction = getApprovalAction(requestedData, existingPR);
+
+    // A changed billing address must have a GSTIN matching its PAN and state
+    const billingAddress = requestedData.billing_address;
+    const existingBilling = existingPR.billing_address || {};
+    if (
+      billingAddress &&
+      ["gst_number", "pan_card", "state"].some((key) => (billingAddress[key] || "") !== (existingBilling[key] || ""))
+    ) {
+      assertValidTaxDetails(
+        {
+          gst_number: billingAddress.gst_number,
+          pan_number: billingAddress.pan_card,
+          state: billingAddress.state,
+        },
+        {
+          gst_number: "billing_address.gst_number",
+          pan_number: "billing_address.pan_card",
+          state: "billing_address.state",
+        }
+      );
+    }
+
+    // Parties or totals changed: work out CGST + SGST or IGST again, for the
+    // revisions too (the PO PDF prints a revision's totals)
+    if (
+      ["vendors_total", "revision", "vendor_detail", "delivery_address", "billing_address"].some(
+        (key) => requestedData[key]
+      )
+    ) {
+      const parties = {
+        vendor_detail: requestedData.vendor_detail || existingPR.vendor_detail,
+        delivery_address: requestedData.delivery_address || existingPR.delivery_address,
+        billing_address: requestedData.billing_address || existingPR.billing_address,
+      };
+      requestedData.vendors_total = addOrderGSTDetails({
+        ...parties,
+        vendors_total: requestedData.vendors_total || existingPR.vendors_total,
+      }).vendors_total;
+      requestedData.revision = (requestedData.revision || existingPR.revision || []).map((revision) =>
+        revision && revision.vendors_total
+          ? { ...revision, vendors_total: addOrderGSTDetails({ ...parties, vendors_total: revision.vendors_total }).vendors_total }
+          : revision
+      );
+    }
 
     // Get existing history or initialize empty array
     let prHistory = Array.isArray(existingPR.prHistory)
@@ -98,8 +214,20 @@ async function updateData(req, res) {
     
     // Create history entry based on status change
     let historyEntry = {};
+    // Approval actions are saved only over the approval state they were worked out from
+    let approvalCondition = null;
     
-    if (requestedData.status === "revised") {
+    if (approvalAction) {
+      const approval = await processApproval("purchase_order", existingPR, {
+        action: approvalAction,
+        user: req.user,
+        remarks: requestedData.remarks,
+      });
+
+      Object.assign(requestedData, approval.fields);
+      historyEntry = approval.historyEntry;
+      approvalCondition = approval.condition;
+    } else if (requestedData.status === "revised") {
       historyEntry = {
         po_number: requestedData.po_number,
         updated_By: ObjectID(requestedData.login_user_id),
@@ -131,6 +259,11 @@ async function updateData(req, res) {
       };
     }
 
+    // (Re)submitted for approval: the approval chain starts again
+    if (requestedData.status === "ApprovalPending" && existingPR.status !== "ApprovalPending") {
+      requestedData.approval = null;
+    }
+
     // Add new history entry and attach to update data
     prHistory.push(historyEntry);
     requestedData.prHistory = prHistory;
@@ -139,16 +272,26 @@ async function updateData(req, res) {
       {
         _id: ObjectID(reqObj._id),
         companyIdf: req.user.companyIdf,
+        ...approvalCondition,
       },
       requestedData,
       {
         new: true,
       }
     );
+    if (!updatedData && approvalCondition) {
+      throw {
+        errors: [],
+        message: "The approval was changed by someone else meanwhile; reload the document and try again",
+        statusCode: 409,
+      };
+    }
 
     //console.log("updatedData", updatedData.remarks);
 
     if (updatedData) {
+      await notifyPurchaseOrderUsers(updatedData, existingPR);
+
       /*const users = await UserSchema.find({ sites: ObjectID(updatedData.site)}).lean();
       console.log(updatedData);
       if(updatedData.status === "ApprovalPending"){
@@ -392,7 +535,9 @@ async function getList(req, res) {
       if (!user) return res.status(404).json({ message: "User not found" });
 
       if (user.role !== "superadmin") {
-        const sites = user.sites || [];
+        // Plus the sites of users this one stands in for while they're out of office
+        const delegatedSites = await getDelegatedSites(userId, req.user.companyIdf);
+        const sites = [...new Set([...(user.sites || []).map(String), ...delegatedSites])];
         filterRequest.site = sites.length
           ? { $in: sites.map((id) => new ObjectID(id)) }
           : { $exists: false };
@@ -1546,8 +1691,7 @@ function mergePurchaseOrders(purchaseOrders) {
 
   merged.vendors_total = [vendorTotal];
 
-  merged.vendors_total[0].GSTDetails = basePO.vendors_total[0].GSTDetails;
-  merged.vendors_total[0].GSTDetails.GST = vendorTotal.gstAmount;
+  addOrderGSTDetails(merged);
   merged.vendors_total[0].category = basePO.vendors_total[0].category;
   merged.vendors_total[0].subCategory = basePO.vendors_total[0].subCategory;
   merged.vendors_total[0].Vendor = basePO.vendors_total[0].Vendor;
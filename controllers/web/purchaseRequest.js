@@ -36,6 +36,11 @@ const {
   addLocalPurchaseOrder,
   checkVendorCount,
 } = require("./utilityController");
+const { processApproval } = require("../../libs/approvalEngine");
+const { addOutOfOfficeDelegates, getDelegatedSites } = require("../../libs/outOfOffice");
+const { notifyUsers } = require("../../libs/notifications");
+const { assertVendorsCompliant } = require("../../libs/vendorCompliance");
+const { assertPlanLimit } = require("../../libs/subscription");
 const AWS = require("aws-sdk");
 const mime = require("mime-types");
 const fs = require("fs");
@@ -69,6 +74,9 @@ module.exports = {
   getLocalPurchaseCounts,
   getLocalRateApprovals,
   getPRWithLinkedData,
+  createPurchaseRequest,
+  getNextPurchaseRequestNumber,
+  getUsersBySiteId,
 };
 
 /**
@@ -161,33 +169,10 @@ async function createData(req, res) {
       });
     }
 
-    if (!Array.isArray(reqObj.prHistory)) {
-      reqObj.prHistory = [];
-    }
-
-    // Add the current status update to prHistory
-    reqObj.prHistory.push({
-      updated_By: ObjectID(reqObj.login_user_id), //loginUserId,
-      updated_Date: new Date(), // or moment().toDate()
-      status: "Created by Store Manager",
-    });
-
     //console.log("checking________________", reqObj);
-    reqObj.companyIdf = req.user.companyIdf;
-    let newData = await new PurchaseRequest(reqObj).save();
-
-    /* Update numbering group */
-    await updateNextNumberGroupId("", "purchase_request", req.user.companyIdf);
+    let newData = await createPurchaseRequest(reqObj, req.user.companyIdf);
 
     if (newData) {
-      //const site = await SiteSchema.findById(ObjectID(newData.site)).populate("roles.store_manager roles.project_manager roles.project_director");
-      //console.log("Check Site", site);
-      if (newData.status === "pending") {
-        await sendPurchaseRequestEmail(newData, accessPath, "pm_level");
-      }
-
-      await invalidateEntityList("pr");
-
       res
         .status(200)
         .json(
@@ -219,6 +204,94 @@ async function createData(req, res) {
   }
 }
 
+/**
+ * Create Purchase Request Record
+ * Saves a purchase request, bumps the numbering group and notifies approvers
+ * Shared by createData and the low-stock job (auto-drafted PRs)
+ *
+ * @param {Object} reqObj - Purchase request data (login_user_id is recorded in prHistory)
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {String} historyStatus - prHistory status for the creation entry
+ *
+ * @returns {Object} Created purchase request document
+ */
+async function createPurchaseRequest(
+  reqObj,
+  companyIdf,
+  historyStatus = "Created by Store Manager"
+) {
+  if (!Array.isArray(reqObj.prHistory)) {
+    reqObj.prHistory = [];
+  }
+
+  // Add the current status update to prHistory
+  reqObj.prHistory.push({
+    updated_By: ObjectID(reqObj.login_user_id), //loginUserId,
+    updated_Date: new Date(), // or moment().toDate()
+    status: historyStatus,
+  });
+
+  reqObj.companyIdf = companyIdf;
+  let newData = await new PurchaseRequest(reqObj).save();
+
+  /* Update numbering group */
+  await updateNextNumberGroupId("", "purchase_request", companyIdf);
+
+  if (newData) {
+    if (newData.status === "pending") {
+      await sendPurchaseRequestEmail(newData, accessPath, "pm_level");
+    }
+
+    await invalidateEntityList("pr");
+  }
+
+  return newData;
+}
+
+/**
+ * Get Next Purchase Request Number
+ * Next purchase_request_number for a site (drafts don't take a number)
+ *
+ * @param {ObjectId} siteId - Site ID
+ * @param {ObjectId} companyIdf - Company ID
+ *
+ * @returns {Number} Next purchase request number
+ */
+async function getNextPurchaseRequestNumber(siteId, companyIdf) {
+  const latest = await PurchaseRequest.find({
+    site: siteId,
+    companyIdf,
+    status: { $ne: "draft" },
+  })
+    .lean()
+    .then((list) =>
+      list.sort((a, b) => b.purchase_request_number - a.purchase_request_number)
+    );
+
+  return latest.length > 0 && latest[0].purchase_request_number
+    ? parseInt(latest[0].purchase_request_number, 10) + 1
+    : 1;
+}
+
+/**
+ * Approval action requested by an update
+ * Clients may send approval_action directly; older clients still send the
+ * target status (and PM_approvedBy for the PM level)
+ *
+ * @param {Object} reqObj - Request body
+ * @param {Object} existingPR - Purchase request before the update
+ * @returns {String|null} approve | reject | revise, or null for a plain edit
+ */
+function getApprovalAction(reqObj, existingPR) {
+  if (reqObj.approval_action) return reqObj.approval_action;
+  if (!["pending", "revised"].includes(existingPR.status)) return null;
+  if (reqObj.status === "approved") return "approve";
+  if (reqObj.status === "rejected") return "reject";
+  if (reqObj.status === "revise") return "revise";
+  if (reqObj.status === "pending" && reqObj.PM_approvedBy && !existingPR.PM_approvedBy) return "approve";
+  return null;
+}
+
 async function updateData(req, res) {
   try {
     let reqObj = req.body;
@@ -305,12 +378,25 @@ async function updateData(req, res) {
     }
 
     const existingPR = await PurchaseRequest.findOne({ _id: reqObj._id, companyIdf: req.user.companyIdf }).lean();
+    if (!existingPR) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    // The approval state is only ever written by the approval engine
+    delete reqObj.approval;
+    const approvalAction = getApprovalAction(reqObj, existingPR);
 
     let prHistory = Array.isArray(existingPR.prHistory)
       ? [...existingPR.prHistory]
       : [];
     // Add the current status update to prHistory
-    let historyEntry = {};
+    let historyEntry = null;
+    // Approval actions are saved only over the approval state they were worked out from
+    let approvalCondition = null;
     //console.log(reqObj);
 
     if (
@@ -318,6 +404,11 @@ async function updateData(req, res) {
       reqObj.purchaseRateApproval &&
       reqObj.purchaseRateApproval?.status === "approved"
     ) {
+      // Approving the rate raises the local PO, so the vendor must not be blocked
+      // and the plan's monthly PO limit must allow it
+      await assertVendorsCompliant(req.user.companyIdf, [reqObj.vendor || existingPR.vendor]);
+      await assertPlanLimit(req.user.companyIdf, "monthlyPOs");
+
       //console.log("check if we r getting here");
       historyEntry = {
         updated_By: ObjectID(reqObj.login_user_id),
@@ -343,37 +434,10 @@ async function updateData(req, res) {
         updated_Date: new Date(),
         status: "Revised by Store Manager",
       };
-    } else if (reqObj.PM_approvedBy !== "" && reqObj.status === "pending") {
-      historyEntry = {
-        updated_By: ObjectID(reqObj.login_user_id),
-        updated_Date: new Date(),
-        status: "Approved by Project Manager",
-      };
-    } else if (reqObj.PM_approvedBy === "" && reqObj.status !== "pending") {
-      historyEntry = {
-        updated_By: ObjectID(reqObj.login_user_id),
-        updated_Date: new Date(),
-        status: `${reqObj.status} by Project Manager`,
-      };
-    } else if (reqObj.status === "approved") {
-      historyEntry = {
-        updated_By: ObjectID(reqObj.login_user_id),
-        updated_Date: new Date(),
-        status: `Approved by Project Director`,
-      };
-    } else if (
-      reqObj.PM_approvedBy !== "" &&
-      reqObj.PD_approvedBy === "" &&
-      reqObj.status !== "pending"
-    ) {
-      historyEntry = {
-        updated_By: ObjectID(reqObj.login_user_id),
-        updated_Date: new Date(),
-        status: `${reqObj.status} by Project Director`,
-      };
 
-      reqObj.PM_approvedBy = "";
-    } else if (reqObj.PD_approvedBy !== "" && reqObj.status === "revise") {
+      // Resubmitted: the approval chain starts again on the next action
+      reqObj.approval = null;
+    } else if (existingPR.status === "approved" && reqObj.status === "revise") {
       historyEntry = {
         updated_By: ObjectID(reqObj.login_user_id),
         updated_Date: new Date(),
@@ -382,9 +446,25 @@ async function updateData(req, res) {
 
       reqObj.PM_approvedBy = "";
       reqObj.PD_approvedBy = "";
+      reqObj.approval = null;
+    } else if (approvalAction) {
+      // PM / PD levels and any configured steps are run by the approval engine,
+      // which also sets status and PM_approvedBy / PD_approvedBy
+      const approval = await processApproval("purchase_request", existingPR, {
+        action: approvalAction,
+        user: req.user,
+        remarks: reqObj.remarks,
+      });
+
+      ["status", "PM_approvedBy", "PD_approvedBy", "pm_approvedDate", "pd_approvedDate"].forEach(
+        (field) => delete reqObj[field]
+      );
+      Object.assign(reqObj, approval.fields);
+      historyEntry = approval.historyEntry;
+      approvalCondition = approval.condition;
     }
 
-    prHistory.push(historyEntry);
+    if (historyEntry) prHistory.push(historyEntry);
     reqObj.prHistory = prHistory;
 
     let requestedData = { ...reqObj, ...{ updated_by: loginUserId } };
@@ -393,12 +473,20 @@ async function updateData(req, res) {
       {
         _id: ObjectID(reqObj._id),
         companyIdf: req.user.companyIdf,
+        ...approvalCondition,
       },
       { $set: requestedData },
       {
         new: true,
       }
     );
+    if (!updatedData && approvalCondition) {
+      throw {
+        errors: [],
+        message: "The approval was changed by someone else meanwhile; reload the document and try again",
+        statusCode: 409,
+      };
+    }
 
     if (updatedData) {
       if (
@@ -570,7 +658,11 @@ async function getList(req, res) {
       if (!user) return res.status(404).json({ message: "User not found" });
 
       if (user.role !== "superadmin") {
-        const siteIds = user.sites?.map((id) => new ObjectID(id)) || [];
+        // Plus the sites of users this one stands in for while they're out of office
+        const delegatedSites = await getDelegatedSites(userId, req.user.companyIdf);
+        const siteIds = [...new Set([...(user.sites || []).map(String), ...delegatedSites])].map(
+          (id) => new ObjectID(id)
+        );
         if (!siteIds.length)
           return res
             .status(403)
@@ -1631,6 +1723,12 @@ async function EditApprovedData(req, res) {
 
     const existingPR = await PurchaseRequest.findOne({ _id: reqObj._id, companyIdf: req.user.companyIdf }).lean();
 
+    // An approved local purchase raises its PO again on save
+    if ((reqObj.local_purchase || existingPR.local_purchase) === "yes") {
+      await assertVendorsCompliant(req.user.companyIdf, [reqObj.vendor || existingPR.vendor]);
+      await assertPlanLimit(req.user.companyIdf, "monthlyPOs");
+    }
+
     let prHistory = Array.isArray(existingPR.prHistory)
       ? [...existingPR.prHistory]
       : [];
@@ -1823,6 +1921,7 @@ async function getUsersBySiteId(siteId) {
   // console.log(">>>>>>>>>>>>>>>____________________>>>>>>>>>>>>>>", siteId);
   try {
     let users = await User.find({ sites: siteId }).lean(); // Use .lean() for better performance
+    users = await addOutOfOfficeDelegates(users); // Stand-ins for users on leave
     let roles = await Role.find({ role: { $in: users.map((u) => u.role) } });
     //console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>", users);
     users = users.map((user) => ({
@@ -1852,6 +1951,19 @@ async function sendPurchaseRequestEmail(newData, accessPath, level) {
       revised: "PR_revised",
     };
 
+    await notifyUsers(users, notificationTypes[level], {
+      companyIdf: newData.companyIdf,
+      title: `Purchase Request ${newData.purchase_request_number} awaiting your approval`,
+      message:
+        level === "revised"
+          ? `Revised purchase request for ${site.site_name} submitted for approval`
+          : `Purchase request for ${site.site_name} is waiting for ${level === "pm_level" ? "Project Manager" : "Project Director"} approval`,
+      link: `/procurement/update/${newData._id}`,
+      entity_type: "purchase_request",
+      entity_id: newData._id,
+      data: newData,
+    });
+
     const filteredEmails = users
       .filter((user) => user.notifications?.includes(notificationTypes[level]))
       .map((user) => user.email);
@@ -1960,6 +2072,16 @@ async function sendPurchaseRequestDetailsEmail(newData, accessPath, level) {
       approved: "RR_approved",
     };
 
+    await notifyUsers(users, notificationMapping[level], {
+      companyIdf: newData.companyIdf,
+      title: `Purchase Request ${newData.purchase_request_number} ${newData.status}`,
+      message: `Purchase request for ${site.site_name} has been ${newData.status}`,
+      link: `/procurement/details/${newData._id}`,
+      entity_type: "purchase_request",
+      entity_id: newData._id,
+      data: newData,
+    });
+
     const filteredEmails = users
       .filter((user) =>
         user.notifications?.includes(notificationMapping[level])
@@ -2075,6 +2197,16 @@ async function sendRevisionPREmail(newData, accessPath, level) {
       pd_level: "PR_revise_reject_PD",
     };
 
+    await notifyUsers(users, notificationMapping[level], {
+      companyIdf: newData.companyIdf,
+      title: `Purchase Request ${newData.purchase_request_number} sent back for revision`,
+      message: `Purchase request for ${site.site_name} was sent back by the ${level === "pm_level" ? "Project Manager" : "Project Director"}`,
+      link: `/procurement/revise/${newData._id}`,
+      entity_type: "purchase_request",
+      entity_id: newData._id,
+      data: newData,
+    });
+
     const filteredEmails = users
       .filter((user) =>
         user.notifications?.includes(notificationMapping[level])
@@ -2196,7 +2328,15 @@ async function sendEditedApprovedPREmail(newData, accessPath) {
 
     const users = await getUsersBySiteId(ObjectID(newData.site));
 
-    // Notification mapping for filtering emails
+    await notifyUsers(users, "PR_edited_by_superadmin", {
+      companyIdf: newData.companyIdf,
+      title: `Purchase Request ${newData.purchase_request_number} updated by SuperAdmin`,
+      message: `Approved purchase request for ${site.site_name} was revised and updated by SuperAdmin`,
+      link: `/procurement/details/${newData._id}`,
+      entity_type: "purchase_request",
+      entity_id: newData._id,
+      data: newData,
+    });
 
     const filteredEmails = users
       .filter((user) => user.notifications?.includes("PR_edited_by_superadmin"))
@@ -27,6 +27,11 @@ const {
   addPurchaseOrder,
   addRateApproval,
 } = require("./utilityController");
+const { processApproval } = require("../../libs/approvalEngine");
+const { addOutOfOfficeDelegates, getDelegatedSites } = require("../../libs/outOfOffice");
+const { notifyUsers, notifySiteUsers } = require("../../libs/notifications");
+const { assertVendorsCompliant } = require("../../libs/vendorCompliance");
+const { assertPlanLimit } = require("../../libs/subscription");
 require("dotenv").config();
 const sendEmailsInBatches = require("../../emails/sendEmail");
 const {
@@ -58,6 +63,108 @@ module.exports = {
 };
 
 const accessPath = process.env.ACCESS_PATH;
+
+/**
+ * Vendors with rates in a comparative (each gets a PO on final approval)
+ *
+ * @param {Object} vendorRatesItemWise - { items: [{ vendors: { [vendorId]: {...} } }] }
+ * @returns {Array<String>} Vendor IDs
+ */
+function getQuotedVendorIds(vendorRatesItemWise) {
+  const items = (vendorRatesItemWise && vendorRatesItemWise.items) || [];
+  return [...new Set(items.flatMap((item) => Object.keys((item && item.vendors) || {})))];
+}
+
+/**
+ * Approval action requested by an update
+ * Clients may send approval_action directly; older clients still send the
+ * target status (and initial_approved for the initial approval)
+ *
+ * @param {Object} requestedData - Request body
+ * @param {Object} existingRA - Rate approval before the update
+ * @returns {String|null} approve | reject | revise, or null for a plain edit
+ */
+function getApprovalAction(requestedData, existingRA) {
+  if (requestedData.local_purchase === "yes") return null;
+  if (requestedData.approval_action) return requestedData.approval_action;
+  if (existingRA.stage !== "rate_approval" || !["pending", "revised"].includes(existingRA.status)) {
+    return null;
+  }
+  if (requestedData.status === "approved") return "approve";
+  if (requestedData.status === "rejected") return "reject";
+  if (requestedData.status === "revise") return "revise";
+  if (
+    requestedData.status === "pending" &&
+    requestedData.initial_approved === true &&
+    !existingRA.initial_approved
+  ) {
+    return "approve";
+  }
+  return null;
+}
+
+/**
+ * Notify the site's users of a rate approval's new status / stage
+ * (in-app notifications; the matching emails are not sent yet)
+ *
+ * @param {Object} updatedRA - Rate approval after the update
+ * @param {Object} existingRA - Rate approval before the update
+ */
+async function notifyRateApprovalUsers(updatedRA, existingRA) {
+  if (
+    updatedRA.status === existingRA.status &&
+    updatedRA.stage === existingRA.stage &&
+    !!updatedRA.initial_approved === !!existingRA.initial_approved
+  ) {
+    return;
+  }
+
+  const number = updatedRA.purchase_request_number;
+  let event = null;
+  if (updatedRA.status === "approved") {
+    event = {
+      type: "rate_approved",
+      title: `Rates approved for Requisition Request ${number}`,
+      link: "/rate-comparative/details/",
+    };
+  } else if (updatedRA.stage === "rate_approval" && updatedRA.status === "pending" && updatedRA.initial_approved) {
+    event = {
+      type: "RC_final_approval",
+      title: `Rate Comparative for Requisition Request ${number} needs final approval`,
+      link: "/rate-approval/final/",
+    };
+  } else if (updatedRA.stage === "rate_approval" && ["pending", "revised"].includes(updatedRA.status)) {
+    event = {
+      type: "RC_initial_approval",
+      title: `Rate Comparative for Requisition Request ${number} needs approval`,
+      link: "/rate-approval/update/",
+    };
+  } else if (updatedRA.stage === "rate_approval" && updatedRA.status === "rejected") {
+    event = {
+      type: "RC_reject_initial",
+      title: `Rate Comparative for Requisition Request ${number} rejected`,
+      link: "/rate-comparative/details/",
+    };
+  } else if (updatedRA.status === "revise") {
+    event = {
+      type: "RC_revise_initial",
+      title: `Revise Rate Comparative for Requisition Request ${number}`,
+      link: "/rate-comparative/update/",
+    };
+  }
+  if (!event) return;
+
+  await notifySiteUsers(updatedRA.site, event.type, {
+    companyIdf: updatedRA.companyIdf,
+    title: event.title,
+    message: updatedRA.rate_approval_number ? `Rate approval ${updatedRA.rate_approval_number}` : "",
+    link: `${event.link}${updatedRA._id}`,
+    entity_type: "rate_approval",
+    entity_id: updatedRA._id,
+    data: updatedRA,
+  });
+}
+
 /**
  * Update Rate Approval
  * PUT /api/web/rateApproval
@@ -72,11 +179,16 @@ const accessPath = process.env.ACCESS_PATH;
  * - Local purchase: Automatically sets stage to "rate_approval" and status to "approved"
  * - PR Splitting: Creates history entry when splitting for rate comparative
  * - Initial Approval: Tracks initial approval separately from final approval
+ * - Approval actions at the rate_approval stage are run by libs/approvalEngine.js,
+ *   which sets status, initial_approved and final_approved
+ * - Vendor compliance: submitting for approval, approving or a local purchase
+ *   fails (422) while a vendor with rates has expired mandatory documents
  * 
  * @param {String} req.body._id - Rate Approval ID (required)
  * @param {String} req.body.stage - Current workflow stage
  * @param {String} req.body.status - Approval status
  * @param {Boolean} req.body.initial_approved - Initial approval flag
+ * @param {String} req.body.approval_action - approve, reject or revise (optional, derived from status otherwise)
  * @param {String} req.body.local_purchase - "yes" for local purchase
  * @param {String} req.body.langCode - Language code for response messages
  * @param {String} req.body.login_user_id - User updating the rate approval
@@ -100,6 +212,9 @@ async function updateData(req, res) {
     // Prepare update data with user tracking
     let requestedData = { ...reqObj, ...{ updated_by: loginUserId } };
 
+    // The approval state is only ever written by the approval engine
+    delete requestedData.approval;
+
     // Special handling for local purchase
     if (requestedData.local_purchase === "yes") {
       requestedData.stage = "rate_approval";
@@ -108,6 +223,24 @@ async function updateData(req, res) {
 
     // Get existing PR to preserve history
     const existingPR = await RateApprovalSchema.findOne({ _id: reqObj._id, companyIdf: req.user.companyIdf }).lean();
+    if (!existingPR) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+    const approvalAction = getApprovalAction(requestedData, existingPR);
+
+    // Vendors blocked by expired mandatory documents can't be sent for
+    // approval, approved or given a PO
+    const submitted = requestedData.stage === "rate_approval" && existingPR.stage !== "rate_approval";
+    if (submitted || approvalAction === "approve" || requestedData.status === "approved") {
+      await assertVendorsCompliant(
+        req.user.companyIdf,
+        getQuotedVendorIds(requestedData.vendorRatesItemWise || existingPR.vendorRatesItemWise)
+      );
+    }
 
     // Build PR history array
     let prHistory = Array.isArray(existingPR.prHistory)
@@ -116,6 +249,8 @@ async function updateData(req, res) {
     
     // Create history entry based on status and stage
     let historyEntry = {};
+    // Approval actions are saved only over the approval state they were worked out from
+    let approvalCondition = null;
     
     // Special case: PR splitting for rate comparative
     if (
@@ -129,6 +264,23 @@ async function updateData(req, res) {
         status: "PR Splitted for Rate Comparative",
         stage: requestedData.stage,
       };
+    } else if (approvalAction) {
+      // Initial / final approval and any configured steps
+      const approval = await processApproval("rate_approval", existingPR, {
+        action: approvalAction,
+        user: req.user,
+        remarks: requestedData.remarks,
+      });
+
+      ["status", "initial_approved", "final_approved", "initial_approvedBy", "final_approvedBy"].forEach(
+        (field) => delete requestedData[field]
+      );
+      Object.assign(requestedData, approval.fields);
+      historyEntry = {
+        ...approval.historyEntry,
+        stage: requestedData.stage || existingPR.stage,
+      };
+      approvalCondition = approval.condition;
     } else {
       // Standard history entry
       historyEntry = {
@@ -144,6 +296,11 @@ async function updateData(req, res) {
       };
     }
 
+    // Final approval raises the POs, within the plan's monthly PO limit
+    if (requestedData.status === "approved") {
+      await assertPlanLimit(req.user.companyIdf, "monthlyPOs");
+    }
+
     // Add new history entry
     prHistory.push(historyEntry);
     requestedData.prHistory = prHistory;
@@ -152,14 +309,24 @@ async function updateData(req, res) {
       {
         _id: ObjectID(reqObj._id),
         companyIdf: req.user.companyIdf,
+        ...approvalCondition,
       },
       requestedData,
       {
         new: true,
       }
     );
+    if (!updatedData && approvalCondition) {
+      throw {
+        errors: [],
+        message: "The approval was changed by someone else meanwhile; reload the document and try again",
+        statusCode: 409,
+      };
+    }
 
     if (updatedData) {
+      await notifyRateApprovalUsers(updatedData, existingPR);
+
       /*const users = await UserSchema.find({ sites: ObjectID(updatedData.site)}).lean();
       console.log(updatedData);
       if(updatedData.status === "pending" && updatedData.stage=== 'rate_approval' && updatedData.initial_approved===false){
@@ -511,7 +678,11 @@ async function getList(req, res) {
       if (!user) return res.status(404).json({ message: "User not found" });
 
       if (user.role !== "superadmin") {
-        const siteIds = user.sites?.map((id) => new ObjectID(id)) || [];
+        // Plus the sites of users this one stands in for while they're out of office
+        const delegatedSites = await getDelegatedSites(userId, req.user.companyIdf);
+        const siteIds = [...new Set([...(user.sites || []).map(String), ...delegatedSites])].map(
+          (id) => new ObjectID(id)
+        );
         filterRequest.site = siteIds.length
           ? { $in: siteIds }
           : { $exists: false };
@@ -721,7 +892,11 @@ async function getPendingRateApprovalList(req, res) {
       if (!user) return res.status(404).json({ message: "User not found" });
 
       if (user.role !== "superadmin") {
-        const siteIds = user.sites?.map((id) => new ObjectID(id)) || [];
+        // Plus the sites of users this one stands in for while they're out of office
+        const delegatedSites = await getDelegatedSites(userId, req.user.companyIdf);
+        const siteIds = [...new Set([...(user.sites || []).map(String), ...delegatedSites])].map(
+          (id) => new ObjectID(id)
+        );
         filterRequest.site = siteIds.length
           ? { $in: siteIds }
           : { $exists: false };
@@ -1578,6 +1753,16 @@ async function sendRevisionPREmail(newData, accessPath) {
 
     const users = await getUsersBySiteId(ObjectID(newData.site));
 
+    await notifyUsers(users, "PR_revise_reject_PM", {
+      companyIdf: newData.companyIdf,
+      title: `Purchase Request ${newData.purchase_request_number} sent back for revision`,
+      message: `Purchase request for ${site.site_name} was sent back by the Procurement Department`,
+      link: `/procurement/revise/${newData._id}`,
+      entity_type: "purchase_request",
+      entity_id: newData._id,
+      data: newData,
+    });
+
     const filteredEmails = users
       .filter((user) => user.notifications?.includes("PR_revise_reject_PM"))
       .map((user) => user.email);
@@ -1672,6 +1857,7 @@ async function getUsersBySiteId(siteId) {
   // console.log(">>>>>>>>>>>>>>>____________________>>>>>>>>>>>>>>", siteId);
   try {
     let users = await User.find({ sites: siteId }).lean(); // Use .lean() for better performance
+    users = await addOutOfOfficeDelegates(users); // Stand-ins for users on leave
     let roles = await Role.find({ role: { $in: users.map((u) => u.role) } });
     //console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>", users);
     users = users.map((user) => ({
@@ -0,0 +1,321 @@
+/**
+ * Reorder Level Controller
+ * Handles stock reorder levels and low-stock alerts including:
+ * - Setting min/max/reorder levels per item per site
+ * - Listing levels with current stock and low-stock status
+ * - Running the low-stock check (alerts and auto-drafted PRs) on demand
+ *
+ * The scheduled low-stock job lives in jobs/lowStock.js.
+ */
+
+const ReorderLevel = require("../../models/ReorderLevel");
+const Item = require("../../models/Item");
+const SiteSchema = require("../../models/site");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const { getStockLevels, checkLowStock } = require("../../jobs/lowStock");
+
+// Export all controller functions
+module.exports = {
+  getList,
+  createData,
+  updateData,
+  deleteData,
+  runLowStockCheck,
+};
+
+/**
+ * Validate Levels
+ * Checks min_level <= reorder_level <= max_level (max_level 0 means not set)
+ *
+ * @param {Object} levels - { min_level, reorder_level, max_level }
+ * @throws {Object} 400 error when the levels are out of order
+ */
+function validateLevels({ min_level = 0, reorder_level, max_level = 0 }) {
+  const values = [min_level, reorder_level, max_level].map(Number);
+  if (values.some((value) => isNaN(value) || value < 0)) {
+    throw {
+      errors: [],
+      message: "min_level, reorder_level and max_level must be non-negative numbers",
+      statusCode: 400,
+    };
+  }
+
+  const [min, reorder, max] = values;
+  if (min > reorder || (max > 0 && max < reorder)) {
+    throw {
+      errors: [],
+      message: "Levels must satisfy min_level <= reorder_level <= max_level",
+      statusCode: 400,
+    };
+  }
+}
+
+/**
+ * Create Reorder Level
+ * POST /api/web/reorder-level
+ * Sets the levels for an item at a site; an existing entry for the same
+ * item / site / inventory type is updated instead
+ *
+ * @param {String} req.body.item_id - Item ID (required)
+ * @param {String} req.body.site_id - Site ID (required)
+ * @param {String} req.body.inventoryType - BOQ, SE or Asset (default: BOQ)
+ * @param {Number} req.body.reorder_level - Reorder level (required)
+ * @param {Number} req.body.min_level - Safety stock (optional)
+ * @param {Number} req.body.max_level - Reorder-up-to level (optional)
+ * @param {Boolean} req.body.auto_draft_pr - Auto-draft a PR when stock runs low (optional)
+ * @param {String} req.body.login_user_id - User setting the levels
+ *
+ * @returns {Object} Saved reorder level
+ */
+async function createData(req, res) {
+  try {
+    let reqObj = req.body;
+
+    if (!ObjectID.isValid(reqObj.item_id) || !ObjectID.isValid(reqObj.site_id) || reqObj.reorder_level === undefined) {
+      throw {
+        errors: [],
+        message: "Missing required fields: item_id, site_id, reorder_level",
+        statusCode: 400,
+      };
+    }
+    validateLevels(reqObj);
+
+    const [item, site] = await Promise.all([
+      Item.findOne({ _id: ObjectID(reqObj.item_id), companyIdf: req.user.companyIdf }, "_id").lean(),
+      SiteSchema.findOne({ _id: ObjectID(reqObj.site_id), companyIdf: req.user.companyIdf }, "_id").lean(),
+    ]);
+    if (!item || !site) {
+      throw {
+        errors: [],
+        message: "Item or site not found",
+        statusCode: 404,
+      };
+    }
+
+    const userId = reqObj.login_user_id || req.user.id;
+    const savedData = await ReorderLevel.findOneAndUpdate(
+      {
+        companyIdf: req.user.companyIdf,
+        item_id: ObjectID(reqObj.item_id),
+        site_id: ObjectID(reqObj.site_id),
+        inventoryType: reqObj.inventoryType || "BOQ",
+      },
+      {
+        $set: {
+          reorder_level: reqObj.reorder_level,
+          min_level: reqObj.min_level || 0,
+          max_level: reqObj.max_level || 0,
+          auto_draft_pr: !!reqObj.auto_draft_pr,
+          updated_by: userId,
+        },
+        $setOnInsert: { created_by: userId },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json(await Response.success(savedData, responseMessage(reqObj.langCode, "RECORD_CREATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Update Reorder Level
+ * PUT /api/web/reorder-level
+ * Changes the levels or auto-draft setting of an entry
+ *
+ * @param {String} req.body._id - Reorder level ID (required)
+ * @param {Number} req.body.reorder_level - Reorder level (optional)
+ * @param {Number} req.body.min_level - Safety stock (optional)
+ * @param {Number} req.body.max_level - Reorder-up-to level (optional)
+ * @param {Boolean} req.body.auto_draft_pr - Auto-draft a PR when stock runs low (optional)
+ * @param {String} req.body.login_user_id - User updating the levels
+ *
+ * @returns {Object} Updated reorder level
+ */
+async function updateData(req, res) {
+  try {
+    let reqObj = req.body;
+
+    if (!reqObj._id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const existing = await ReorderLevel.findOne({ _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf }).lean();
+    if (!existing) {
+      return res.status(400).json(await Response.success({}, responseMessage(reqObj.langCode, "NO_RECORD_FOUND"), req));
+    }
+
+    let requestedData = { updated_by: reqObj.login_user_id || req.user.id };
+    ["min_level", "reorder_level", "max_level", "auto_draft_pr"].forEach((field) => {
+      if (reqObj[field] !== undefined) requestedData[field] = reqObj[field];
+    });
+    validateLevels({ ...existing, ...requestedData });
+
+    const updatedData = await ReorderLevel.findOneAndUpdate(
+      { _id: existing._id, companyIdf: req.user.companyIdf },
+      requestedData,
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json(await Response.success(updatedData, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Delete Reorder Level
+ * DELETE /api/web/reorder-level?_id=
+ *
+ * @param {String} req.query._id - Reorder level ID (required)
+ *
+ * @returns {Object} Success message
+ */
+async function deleteData(req, res) {
+  try {
+    let reqObj = req.body;
+    let { _id } = req.query;
+
+    if (!_id) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const deleted = await ReorderLevel.findOneAndDelete({ _id: ObjectID(_id), companyIdf: req.user.companyIdf });
+    if (!deleted) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 412,
+      };
+    }
+
+    res.status(200).json(await Response.success({}, responseMessage(reqObj.langCode, "RECORD_DELETED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Reorder Level List
+ * GET /api/web/reorder-level
+ * Reorder levels with current stock, shortfall and low-stock status
+ *
+ * @param {String} req.query.site_id - Site ID (optional)
+ * @param {String} req.query.item_id - Item ID (optional)
+ * @param {String} req.query.low_only - "true" to only return items at or below reorder level (optional)
+ *
+ * @returns {Array} Reorder levels with item/site names, stock_quantity, shortfall, is_low, is_critical
+ */
+async function getList(req, res) {
+  try {
+    const reqObj = req.body;
+    const { site_id, item_id, low_only } = req.query;
+
+    if ((site_id && !ObjectID.isValid(site_id)) || (item_id && !ObjectID.isValid(item_id))) {
+      throw {
+        errors: [],
+        message: "Invalid site_id or item_id",
+        statusCode: 400,
+      };
+    }
+
+    let levels = await getStockLevels(req.user.companyIdf, { site_id, item_id });
+    if (low_only === "true") {
+      levels = levels.filter((o) => o.is_low);
+    }
+
+    // Attach item and site names for display
+    const [items, sites] = await Promise.all([
+      Item.find({ _id: { $in: levels.map((o) => o.item_id) }, companyIdf: req.user.companyIdf }, "item_name item_code").lean(),
+      SiteSchema.find({ _id: { $in: levels.map((o) => o.site_id) }, companyIdf: req.user.companyIdf }, "site_name").lean(),
+    ]);
+
+    const data = levels.map((o) => {
+      const item = items.find((i) => String(i._id) === String(o.item_id));
+      const site = sites.find((s) => String(s._id) === String(o.site_id));
+      return {
+        ...o,
+        item_name: item ? item.item_name : "",
+        item_code: item ? item.item_code : "",
+        site_name: site ? site.site_name : "",
+      };
+    });
+
+    res.status(200).json(await Response.success(data, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Run Low Stock Check
+ * POST /api/web/reorder-level/check
+ * Runs the low-stock check for the company now instead of waiting for the scheduled job
+ *
+ * @returns {Object} { checked, alerted, recovered, drafted }
+ */
+async function runLowStockCheck(req, res) {
+  try {
+    const result = await checkLowStock(req.user.companyIdf);
+
+    res.status(200).json(await Response.success(result, responseMessage(req.body.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
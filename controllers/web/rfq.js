@@ -0,0 +1,784 @@
+/**
+ * RFQ Controller
+ * Handles vendor quotation requests for rate comparatives including:
+ * - Generating a tokenized, expiring quotation link per vendor
+ * - Listing and revoking a rate approval's links
+ * - The vendor-facing quotation form and submission (no login, the token
+ *   in the URL is the credential)
+ *
+ * A submission is written into the rate approval's vendorRatesItemWise: the
+ * vendor's rate, GST and amounts under items[].vendors[<vendor_id>] and their
+ * freight, other charges and totals under totals[<vendor_id>], each with a
+ * submitted_at timestamp. Attachments are added to RateApproval.files, so
+ * they are included in /vendor-quotations.
+ */
+
+const crypto = require("crypto");
+const { RfqInvitation } = require("../../models/RfqInvitation");
+const RateApprovalSchema = require("../../models/RateApproval");
+const VendorSchema = require("../../models/Vendor");
+const ItemSchema = require("../../models/Item");
+const OnboardingCompany = require("../../models/onboardingcompany");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const { sendMail } = require("../../libs/mailer");
+const { uploadToS3 } = require("../../utils/s3");
+const { invalidateEntity, invalidateEntityList } = require("../../utils/cache");
+const { assertVendorsCompliant } = require("../../libs/vendorCompliance");
+const { runAsSystem } = require("../../libs/tenantContext");
+require("dotenv").config();
+
+// Export all controller functions
+module.exports = {
+  createInvitations,
+  getInvitations,
+  revokeInvitation,
+  getQuotationForm,
+  submitQuotation,
+};
+
+const accessPath = process.env.ACCESS_PATH;
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+// Rate approval statuses that still accept quotations (rate_comparitive stage)
+const OPEN_STATUSES = ["pending", "draft", "revise"];
+
+/**
+ * Hash a link token for storage and lookup
+ *
+ * @param {String} token
+ * @returns {String} Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Whether a rate approval still accepts vendor quotations
+ *
+ * @param {Object} rateApproval
+ * @returns {Boolean}
+ */
+function isOpenForQuotes(rateApproval) {
+  return rateApproval.stage === "rate_comparitive" && OPEN_STATUSES.includes(rateApproval.status);
+}
+
+/**
+ * Round to 2 decimals
+ * @param {Number} value
+ * @returns {Number}
+ */
+function round(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Invitation as returned to purchase staff (token hash removed)
+ *
+ * @param {Object} invitation - Invitation (lean)
+ * @returns {Object}
+ */
+function toResponse(invitation) {
+  const { token_hash, ...rest } = invitation;
+  return { ...rest, expired: new Date(invitation.expires_at) <= new Date() };
+}
+
+/**
+ * Email a vendor their quotation link
+ *
+ * @param {Object} vendor - Vendor (lean)
+ * @param {Object} rateApproval - Rate approval (lean)
+ * @param {String} link - Quotation link
+ * @param {Date} expiresAt
+ * @returns {Promise<Boolean>} Whether the email was sent
+ */
+async function sendInvitationEmail(vendor, rateApproval, link, expiresAt) {
+  if (!vendor.email) return false;
+  try {
+    await sendMail({
+      to: vendor.email,
+      subject: `Request for Quotation - ${rateApproval.title}`,
+      html: `
+        <p>Dear ${vendor.contact_person || vendor.vendor_name},</p>
+        <p>We invite you to quote for <strong>${rateApproval.title}</strong>
+        (Rate Comparative ${rateApproval.rate_approval_number || ""}).</p>
+        <p>Please enter your item-wise rates, GST, freight and attach your quotation
+        <a href="${link}">here</a> before ${expiresAt.toLocaleString("en-IN")}.</p>
+        <p>This link is for your company only; please do not forward it.</p>
+      `,
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error sending RFQ email to vendor ${vendor._id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Load the open invitation for a link token or throw
+ *
+ * @param {String} token - Token from the link
+ * @returns {Promise<Object>} { invitation, rateApproval } (lean)
+ */
+async function findInvitationByToken(token) {
+  // No login on these links: the token decides the tenant, so its lookup spans tenants
+  const invitation = token
+    ? await runAsSystem(() => RfqInvitation.findOne({ token_hash: hashToken(token) }).lean())
+    : null;
+  if (!invitation) {
+    throw {
+      errors: [],
+      message: "This quotation link is not valid",
+      statusCode: 404,
+    };
+  }
+  if (invitation.status === "revoked") {
+    throw {
+      errors: [],
+      message: "This quotation link has been withdrawn",
+      statusCode: 410,
+    };
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw {
+      errors: [],
+      message: "This quotation link has expired",
+      statusCode: 410,
+    };
+  }
+
+  const rateApproval = await RateApprovalSchema.findOne({
+    _id: invitation.rate_approval_id,
+    companyIdf: invitation.companyIdf,
+  }).lean();
+  if (!rateApproval || !isOpenForQuotes(rateApproval)) {
+    throw {
+      errors: [],
+      message: "Quotations for this request are closed",
+      statusCode: 410,
+    };
+  }
+  return { invitation, rateApproval };
+}
+
+/**
+ * Validate a vendor's quotation against the rate approval items
+ *
+ * @param {Object} body - Request body (items may be a JSON string in multipart requests)
+ * @param {Object} rateApproval - Rate approval (lean)
+ * @returns {Object} Cleaned quotation (without attachments)
+ */
+function validateQuotation(body, rateApproval) {
+  let items = body.items;
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch (err) {
+      items = null;
+    }
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw {
+      errors: [],
+      message: "Quote a rate for at least one item",
+      statusCode: 400,
+    };
+  }
+
+  const raItems = new Map((rateApproval.items || []).map((o) => [String(o._id), o]));
+  const seen = new Set();
+  const cleanItems = items.map((item, index) => {
+    const raItem = raItems.get(String(item.item_id));
+    const rate = Number(item.rate);
+    const gst = item.gst === undefined || item.gst === "" ? 0 : Number(item.gst);
+
+    if (!raItem || seen.has(String(item.item_id))) {
+      throw {
+        errors: [],
+        message: `Item ${index + 1}: unknown or repeated item_id`,
+        statusCode: 400,
+      };
+    }
+    if (item.rate === undefined || item.rate === "" || !(rate >= 0)) {
+      throw {
+        errors: [],
+        message: `Item ${index + 1}: rate must be 0 or more`,
+        statusCode: 400,
+      };
+    }
+    if (!(gst >= 0 && gst <= 100)) {
+      throw {
+        errors: [],
+        message: `Item ${index + 1}: gst must be a percentage between 0 and 100`,
+        statusCode: 400,
+      };
+    }
+    seen.add(String(item.item_id));
+
+    return {
+      item_id: raItem._id,
+      item_code: raItem.item_code || "",
+      qty: raItem.qty || 0,
+      rate,
+      gst,
+      brand: item.brand || "",
+      remark: item.remark || "",
+    };
+  });
+
+  const charges = {};
+  ["freight", "freightGst", "otherCharges", "otherChargesGst"].forEach((field) => {
+    const value = body[field] === undefined || body[field] === "" ? 0 : Number(body[field]);
+    if (!(value >= 0) || (field.endsWith("Gst") && value > 100)) {
+      throw {
+        errors: [],
+        message: `${field} must be ${field.endsWith("Gst") ? "a percentage between 0 and 100" : "0 or more"}`,
+        statusCode: 400,
+      };
+    }
+    charges[field] = value;
+  });
+
+  return { items: cleanItems, ...charges, remarks: body.remarks || "" };
+}
+
+/**
+ * Make sure the rate approval has vendorRatesItemWise.items to fill, seeding
+ * them from its items when purchase staff haven't started the comparative
+ *
+ * @param {Object} rateApproval - Rate approval (lean)
+ * @returns {Promise<Object>} Rate approval as it is now (lean)
+ */
+async function ensureComparativeItems(rateApproval) {
+  const comparative = rateApproval.vendorRatesItemWise;
+  if (comparative && Array.isArray(comparative.items) && comparative.items.length) return rateApproval;
+
+  const itemNames = {};
+  const itemDocs = await ItemSchema.find(
+    { _id: { $in: (rateApproval.items || []).map((o) => o.item_id) }, companyIdf: rateApproval.companyIdf },
+    "item_name"
+  ).lean();
+  itemDocs.forEach((o) => (itemNames[String(o._id)] = o.item_name));
+
+  const items = (rateApproval.items || []).map((o) => ({
+    item_id: o._id,
+    item_code: o.item_code || "",
+    name: itemNames[String(o.item_id)] || "",
+    uom: o.prUOM,
+    prUOM: o.prUOM,
+    rateUOM: o.rateUOM,
+    gst: (o.tax && o.tax.amount) || 0,
+    remark: o.remark || "",
+    vendors: {},
+  }));
+
+  const seed =
+    comparative && typeof comparative === "object"
+      ? { "vendorRatesItemWise.items": items, ...(!comparative.totals && { "vendorRatesItemWise.totals": {} }) }
+      : { vendorRatesItemWise: { items, totals: {} } };
+
+  // Only seeds once when two vendors submit at the same time
+  await RateApprovalSchema.updateOne(
+    {
+      _id: rateApproval._id,
+      companyIdf: rateApproval.companyIdf,
+      $or: [
+        { vendorRatesItemWise: null },
+        { "vendorRatesItemWise.items": { $exists: false } },
+        { "vendorRatesItemWise.items": { $size: 0 } },
+      ],
+    },
+    { $set: seed }
+  );
+  return RateApprovalSchema.findOne({ _id: rateApproval._id, companyIdf: rateApproval.companyIdf }).lean();
+}
+
+/**
+ * Write a vendor's quotation into the rate comparative
+ *
+ * @param {Object} rateApproval - Rate approval (lean)
+ * @param {String} vendorId
+ * @param {Object} quotation - Validated quotation with attachments
+ * @param {Date} submittedAt
+ * @returns {Promise<Object>} Vendor totals written to vendorRatesItemWise.totals
+ */
+async function applyQuotation(rateApproval, vendorId, quotation, submittedAt) {
+  rateApproval = await ensureComparativeItems(rateApproval);
+
+  const quoted = new Map(quotation.items.map((o) => [String(o.item_id), o]));
+  const $set = {};
+  const $unset = {};
+  let totalAmount = 0;
+  let gstAmount = 0;
+
+  rateApproval.vendorRatesItemWise.items.forEach((item, index) => {
+    const path = `vendorRatesItemWise.items.${index}.vendors.${vendorId}`;
+    const quote = quoted.get(String(item.item_id));
+    if (!quote) {
+      // Not quoted this time (a resubmission may drop items)
+      $unset[path] = "";
+      return;
+    }
+
+    const subtotal = round(quote.qty * quote.rate);
+    const gst = round((subtotal * quote.gst) / 100);
+    totalAmount += subtotal;
+    gstAmount += gst;
+    $set[path] = {
+      requiredQty: quote.qty,
+      rate: quote.rate,
+      gst: quote.gst,
+      brand: quote.brand,
+      remark: quote.remark,
+      subtotal,
+      gstAmount: gst,
+      total: round(subtotal + gst),
+      source: "vendor_portal",
+      submitted_at: submittedAt,
+    };
+  });
+
+  const freightTotal = quotation.freight + (quotation.freight * quotation.freightGst) / 100;
+  const otherChargesTotal = quotation.otherCharges + (quotation.otherCharges * quotation.otherChargesGst) / 100;
+  const totals = {
+    totalAmount: round(totalAmount),
+    gstAmount: round(gstAmount),
+    freight: quotation.freight,
+    freightGst: quotation.freightGst,
+    otherCharges: quotation.otherCharges,
+    otherChargesGst: quotation.otherChargesGst,
+    grandTotal: round(totalAmount + gstAmount + freightTotal + otherChargesTotal),
+    remarks: quotation.remarks,
+    source: "vendor_portal",
+    submitted_at: submittedAt,
+  };
+  $set[`vendorRatesItemWise.totals.${vendorId}`] = totals;
+
+  // Attachments go where /vendor-quotations picks them up
+  const files = {};
+  quotation.attachments.forEach((url, index) => {
+    files[index === 0 ? vendorId : `${vendorId}_${index + 1}`] = url;
+  });
+  if (rateApproval.files && typeof rateApproval.files === "object") {
+    Object.keys(files).forEach((key) => ($set[`files.${key}`] = files[key]));
+    Object.keys(rateApproval.files)
+      .filter((key) => key.startsWith(`${vendorId}_`) && !files[key])
+      .forEach((key) => ($unset[`files.${key}`] = ""));
+  } else if (quotation.attachments.length) {
+    $set.files = files;
+  }
+
+  await RateApprovalSchema.updateOne(
+    { _id: rateApproval._id, companyIdf: rateApproval.companyIdf },
+    Object.keys($unset).length ? { $set, $unset } : { $set }
+  );
+
+  const vendorTotal = {
+    subtotal: totals.totalAmount,
+    total_tax: totals.gstAmount,
+    freight_charges: quotation.freight,
+    freight_tax: round(freightTotal - quotation.freight),
+    total_amount: totals.grandTotal,
+  };
+  const updated = await RateApprovalSchema.updateOne(
+    { _id: rateApproval._id, companyIdf: rateApproval.companyIdf, "vendors_total.vendor_id": ObjectID(vendorId) },
+    {
+      $set: Object.keys(vendorTotal).reduce((acc, key) => {
+        acc[`vendors_total.$.${key}`] = vendorTotal[key];
+        return acc;
+      }, {}),
+    }
+  );
+  if (!updated.n) {
+    await RateApprovalSchema.updateOne(
+      { _id: rateApproval._id, companyIdf: rateApproval.companyIdf },
+      { $push: { vendors_total: { vendor_id: ObjectID(vendorId), ...vendorTotal } } }
+    );
+  }
+
+  await invalidateEntity("rc");
+  await invalidateEntityList("rc");
+  return totals;
+}
+
+/**
+ * Create RFQ Links
+ * POST /api/web/rate-approval/rfq
+ * Generates a quotation link per vendor and emails it to vendors with an
+ * email address. A new link for a vendor withdraws their previous one. The
+ * links are only returned here. Vendors blocked by expired mandatory
+ * documents are refused (422), and so are their submissions.
+ *
+ * @param {String} req.body.rate_approval_id - Rate approval ID (required)
+ * @param {Array<String>} req.body.vendor_ids - Vendor IDs (required)
+ * @param {Number} req.body.expires_in_days - Link validity (optional, default: 7, max: 30)
+ * @param {Boolean} req.body.send_email - Set false to only return the links (optional)
+ * @param {String} req.body.login_user_id - User creating the links
+ *
+ * @returns {Array} [{ ...invitation, vendor_name, link, emailed }]
+ */
+async function createInvitations(req, res) {
+  try {
+    let reqObj = req.body;
+    if (!reqObj.rate_approval_id || !ObjectID.isValid(reqObj.rate_approval_id)) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+    const vendorIds = Array.isArray(reqObj.vendor_ids) ? [...new Set(reqObj.vendor_ids.map(String))] : [];
+    if (!vendorIds.length || vendorIds.some((id) => !ObjectID.isValid(id))) {
+      throw {
+        errors: [],
+        message: "vendor_ids must be a non-empty array of vendor IDs",
+        statusCode: 400,
+      };
+    }
+    const days = reqObj.expires_in_days === undefined ? DEFAULT_EXPIRY_DAYS : Number(reqObj.expires_in_days);
+    if (!(days > 0 && days <= MAX_EXPIRY_DAYS)) {
+      throw {
+        errors: [],
+        message: `expires_in_days must be between 1 and ${MAX_EXPIRY_DAYS}`,
+        statusCode: 400,
+      };
+    }
+
+    const rateApproval = await RateApprovalSchema.findOne({
+      _id: ObjectID(reqObj.rate_approval_id),
+      companyIdf: req.user.companyIdf,
+    }).lean();
+    if (!rateApproval) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+    if (!isOpenForQuotes(rateApproval)) {
+      throw {
+        errors: [],
+        message: "Quotations can only be requested while the rate comparative is open",
+        statusCode: 400,
+      };
+    }
+
+    const vendors = await VendorSchema.find({
+      _id: { $in: vendorIds.map((id) => ObjectID(id)) },
+      companyIdf: req.user.companyIdf,
+    }).lean();
+    if (vendors.length !== vendorIds.length) {
+      throw {
+        errors: [],
+        message: "One or more vendors were not found",
+        statusCode: 404,
+      };
+    }
+    await assertVendorsCompliant(req.user.companyIdf, vendorIds);
+
+    const userId = reqObj.login_user_id || req.user.id;
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const result = [];
+    for (const vendor of vendors) {
+      await RfqInvitation.updateMany(
+        {
+          companyIdf: req.user.companyIdf,
+          rate_approval_id: rateApproval._id,
+          vendor_id: vendor._id,
+          status: { $ne: "revoked" },
+        },
+        { $set: { status: "revoked", revoked_at: new Date(), updated_by: userId } }
+      );
+
+      const token = crypto.randomBytes(32).toString("hex");
+      const invitation = await RfqInvitation.create({
+        companyIdf: req.user.companyIdf,
+        rate_approval_id: rateApproval._id,
+        vendor_id: vendor._id,
+        token_hash: hashToken(token),
+        expires_at: expiresAt,
+        created_by: userId,
+        updated_by: userId,
+      });
+
+      const link = `${accessPath}/vendor-quotation/${token}`;
+      const emailed = reqObj.send_email === false ? false : await sendInvitationEmail(vendor, rateApproval, link, expiresAt);
+      result.push({ ...toResponse(invitation.toObject()), vendor_name: vendor.vendor_name, link, emailed });
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          result,
+          responseMessage(reqObj.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.error("Error creating RFQ invitations:", error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get RFQ Links
+ * GET /api/web/rate-approval/rfq
+ * A rate approval's links with their status and the vendors' latest quotation
+ *
+ * @param {String} req.query.rate_approval_id - Rate approval ID (required)
+ *
+ * @returns {Array} Invitations, newest first, with vendor_name and expired
+ */
+async function getInvitations(req, res) {
+  try {
+    if (!req.query.rate_approval_id || !ObjectID.isValid(req.query.rate_approval_id)) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const invitations = await RfqInvitation.find({
+      companyIdf: req.user.companyIdf,
+      rate_approval_id: ObjectID(req.query.rate_approval_id),
+    })
+      .populate("vendor_id", "vendor_name code email")
+      .sort({ created_at: -1 })
+      .lean();
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          invitations.map(toResponse),
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Revoke RFQ Link
+ * DELETE /api/web/rate-approval/rfq
+ * The link stops working; rates already submitted stay in the comparative
+ *
+ * @param {String} req.query._id - Invitation ID (required)
+ *
+ * @returns {Object} Revoked invitation
+ */
+async function revokeInvitation(req, res) {
+  try {
+    const id = req.query._id || req.body._id;
+    const langCode = req.query.langCode || req.body.langCode;
+    if (!id || !ObjectID.isValid(id)) {
+      throw {
+        errors: [],
+        message: responseMessage(langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const invitation = await RfqInvitation.findOneAndUpdate(
+      { _id: ObjectID(id), companyIdf: req.user.companyIdf },
+      { $set: { status: "revoked", revoked_at: new Date(), updated_by: req.user.id } },
+      { new: true }
+    ).lean();
+    if (!invitation) {
+      throw {
+        errors: [],
+        message: responseMessage(langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          toResponse(invitation),
+          responseMessage(langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Quotation Form
+ * GET /api/web/rfq/:token
+ * Public. What the vendor is asked to quote for, and their last submission.
+ *
+ * @param {String} req.params.token - Link token (required)
+ *
+ * @returns {Object} { company, vendor, rate_approval, expires_at, status, submitted_at, quotation }
+ */
+async function getQuotationForm(req, res) {
+  try {
+    const { invitation, rateApproval } = await findInvitationByToken(req.params.token);
+
+    const [company, vendor, itemDocs] = await Promise.all([
+      OnboardingCompany.findById(invitation.companyIdf, "name logo").lean(),
+      VendorSchema.findOne({ _id: invitation.vendor_id, companyIdf: invitation.companyIdf }, "vendor_name code").lean(),
+      ItemSchema.find(
+        { _id: { $in: (rateApproval.items || []).map((o) => o.item_id) }, companyIdf: invitation.companyIdf },
+        "item_name"
+      ).lean(),
+    ]);
+    const itemNames = {};
+    itemDocs.forEach((o) => (itemNames[String(o._id)] = o.item_name));
+
+    if (invitation.status === "sent") {
+      await RfqInvitation.updateOne(
+        { _id: invitation._id, companyIdf: invitation.companyIdf },
+        { $set: { status: "viewed", viewed_at: new Date() } }
+      );
+    }
+
+    res.status(200).json(
+      await Response.success(
+        {
+          company: company ? { name: company.name, logo: company.logo } : {},
+          vendor: vendor || {},
+          rate_approval: {
+            rate_approval_number: rateApproval.rate_approval_number,
+            title: rateApproval.title,
+            expected_delivery_date: rateApproval.expected_delivery_date,
+            items: (rateApproval.items || []).map((o) => ({
+              item_id: o._id,
+              item_code: o.item_code,
+              name: itemNames[String(o.item_id)] || "",
+              specification: o.specification,
+              hsnCode: o.hsnCode,
+              qty: o.qty,
+              uom: o.prUOM,
+              rateUOM: o.rateUOM,
+              brandName: o.brandName,
+            })),
+          },
+          expires_at: invitation.expires_at,
+          status: invitation.status === "sent" ? "viewed" : invitation.status,
+          submitted_at: invitation.submitted_at,
+          quotation: invitation.submission_count ? invitation.quotation : null,
+        },
+        responseMessage(req.query.langCode, "SUCCESS"),
+        req
+      )
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Submit Quotation
+ * POST /api/web/rfq/:token
+ * Public, multipart/form-data or JSON. Fills the rate comparative with the
+ * vendor's rates; may be resubmitted until the link expires, replacing the
+ * previous rates.
+ *
+ * @param {String} req.params.token - Link token (required)
+ * @param {Array|String} req.body.items - [{ item_id, rate, gst, brand, remark }], a JSON string in multipart (required)
+ * @param {Number} req.body.freight - Freight amount (optional)
+ * @param {Number} req.body.freightGst - GST % on freight (optional)
+ * @param {Number} req.body.otherCharges - Other charges (optional)
+ * @param {Number} req.body.otherChargesGst - GST % on other charges (optional)
+ * @param {String} req.body.remarks - Remarks (optional)
+ * @param {Array} req.files - Quotation attachments (optional)
+ *
+ * @returns {Object} { submitted_at, totals }
+ */
+async function submitQuotation(req, res) {
+  try {
+    const { invitation, rateApproval } = await findInvitationByToken(req.params.token);
+    await assertVendorsCompliant(invitation.companyIdf, [invitation.vendor_id]);
+    const quotation = validateQuotation(req.body, rateApproval);
+
+    quotation.attachments = [];
+    for (const file of req.files || []) {
+      quotation.attachments.push(await uploadToS3(file, "quotations", { download: true }));
+    }
+    // Keep the previous attachments when a resubmission doesn't send new ones
+    if (!quotation.attachments.length && invitation.quotation && invitation.quotation.attachments) {
+      quotation.attachments = invitation.quotation.attachments;
+    }
+
+    const submittedAt = new Date();
+    const totals = await applyQuotation(rateApproval, String(invitation.vendor_id), quotation, submittedAt);
+
+    await RfqInvitation.updateOne(
+      { _id: invitation._id, companyIdf: invitation.companyIdf },
+      {
+        $set: { status: "submitted", submitted_at: submittedAt, quotation },
+        $inc: { submission_count: 1 },
+      }
+    );
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { submitted_at: submittedAt, totals },
+          responseMessage(req.body.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.error("Error submitting RFQ quotation:", error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
@@ -367,6 +367,7 @@ async function updatePermData(req, res) {
     if (!role) return res.send("role not updated");
      await invalidateEntityList("role"); // role:list:*
     await invalidateEntity(`role:${role}`); // role:<role>
+    await invalidateEntity("role:grants"); // role:grants:* used by checkPermission
     res.send(role);
   } catch (error) {
     return res
@@ -15,6 +15,7 @@ const { responseMessage } = require("../../libs/responseMessages");
 const ObjectID = require('mongodb').ObjectID;
 const { getCache, setCache, deleteCache, invalidateEntity, invalidateEntityList } = require("../../utils/cache");
 const { MASTER_DATA } = require("../../libs/cacheConfig");
+const { assertPlanLimit } = require("../../libs/subscription");
 
 // Export all controller functions
 module.exports = {
@@ -51,6 +52,9 @@ async function createData(req, res) {
         reqObj.created_by = reqObj.login_user_id;
         reqObj.updated_by = reqObj.login_user_id;
 
+        // The company's plan caps its number of sites
+        await assertPlanLimit(req.user.companyIdf, "sites");
+
         // Create new site
         let newData = await new SiteSchema(reqObj).save();
 
@@ -0,0 +1,762 @@
+/**
+ * Stock Count Controller
+ * Handles physical stock counts (cycle counts) including:
+ * - Creating a count for a site with expected quantities frozen from Inventory
+ * - Recording counted quantities and variances
+ * - Project manager approval or rejection of variances
+ * - Posting adjustment movements (Inventory and FIFO InventoryIn layers) on approval
+ *
+ * The printable count sheet is generated by pdf/templates/countSheet.js.
+ */
+
+const StockCount = require("../../models/StockCount");
+const { Inventory } = require("../../models/Inventory");
+const { InventoryIn } = require("../../models/InventoryIn");
+const Item = require("../../models/Item");
+const SiteSchema = require("../../models/site");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const {
+  getCache,
+  setCache,
+  invalidateEntity,
+  invalidateEntityList,
+} = require("../../utils/cache");
+const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+const { runInTransaction } = require("../../utils/transaction");
+const { getWeightedAverageRate } = require("../../libs/valuation");
+const { BYPASS_ROLES, normalize } = require("../../config/route-permissions");
+const { getNextNumberGroupId, updateNextNumberGroupId } = require("./utilityController");
+const { createOrUpdateInventory } = require("./inventory");
+const { insertInventoryEntries } = require("./inventoryIn");
+const { addInventoryOutEntry } = require("./inventoryOut");
+
+// Counts that still block a new count for the same site and inventory type
+const OPEN_STATUSES = ["counting", "submitted", "rejected"];
+
+// Export all controller functions
+module.exports = {
+  getList,
+  getDetails,
+  createData,
+  updateCounts,
+  submitData,
+  approveData,
+  cancelData,
+};
+
+/**
+ * Round quantities/values to avoid float noise
+ * @param {Number} value
+ * @returns {Number}
+ */
+const round = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+/**
+ * Today's date as DD-MM-YYYY, the format stock movements store in `date`
+ * @returns {String}
+ */
+function formatMovementDate(date = new Date()) {
+  return `${String(date.getDate()).padStart(2, "0")}-${String(date.getMonth() + 1).padStart(2, "0")}-${date.getFullYear()}`;
+}
+
+/**
+ * Load a stock count for the caller's company or throw 412
+ *
+ * @param {String} _id - Stock count ID
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Stock count document
+ */
+async function findStockCount(_id, req) {
+  if (!_id || !ObjectID.isValid(_id)) {
+    throw {
+      errors: [],
+      message: responseMessage(req.body.langCode, "ID_MISSING"),
+      statusCode: 412,
+    };
+  }
+
+  const stockCount = await StockCount.findOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf });
+  if (!stockCount) {
+    throw {
+      errors: [],
+      message: responseMessage(req.body.langCode, "NO_RECORD_FOUND"),
+      statusCode: 412,
+    };
+  }
+  return stockCount;
+}
+
+/**
+ * Throw 400 unless the count is in one of the given statuses
+ *
+ * @param {Object} stockCount - Stock count document
+ * @param {Array<String>} statuses - Allowed statuses
+ * @param {String} action - Action name for the error message
+ */
+function assertStatus(stockCount, statuses, action) {
+  if (!statuses.includes(stockCount.status)) {
+    throw {
+      errors: [],
+      message: `Cannot ${action} a stock count that is ${stockCount.status}`,
+      statusCode: 400,
+    };
+  }
+}
+
+/**
+ * Surplus Rate
+ * Rate for a surplus layer: moving average of the site's stock on hand, else the
+ * item's latest receipt rate at any site
+ *
+ * @param {Object} match - { companyIdf, item_id, site_id, inventoryType } as ObjectIds
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<Number>} Rate per unit
+ */
+async function getSurplusRate(match, session) {
+  const averageRate = await getWeightedAverageRate(match, session);
+  if (averageRate) return averageRate;
+
+  const lastReceipt = await InventoryIn.findOne({
+    companyIdf: match.companyIdf,
+    item_id: match.item_id,
+    rate: { $gt: 0 },
+  })
+    .sort({ created_at: -1 })
+    .session(session)
+    .lean();
+  if (lastReceipt) return lastReceipt.rate;
+
+  throw {
+    errors: [],
+    message: "No receipt rate found to value the surplus for one or more items",
+    statusCode: 400,
+  };
+}
+
+/**
+ * Post Adjustments
+ * Posts a movement for every item with a variance, inside the caller's transaction
+ * - Shortage: reduces Inventory and issues from FIFO layers (useType "Stock Adjustment")
+ * - Surplus: increases Inventory and adds an InventoryIn layer (source "Adjustment")
+ *
+ * @param {Object} stockCount - Stock count document (items are updated with the adjustment)
+ * @param {Object} req - Express request (user and company)
+ * @param {ClientSession} session - Transaction session
+ */
+async function postAdjustments(stockCount, req, session) {
+  const companyIdf = req.user.companyIdf;
+  const now = new Date();
+  const date = formatMovementDate(now);
+
+  for (const item of stockCount.items) {
+    if (!item.variance) continue;
+
+    const quantity = Math.abs(item.variance);
+    const direction = item.variance > 0 ? "in" : "out";
+
+    await createOrUpdateInventory(
+      {
+        body: {
+          item_id: item.item_id,
+          site_id: stockCount.site_id,
+          quantity,
+          operation: direction === "in" ? "add" : "use",
+          inventoryType: item.inventoryType,
+        },
+        user: req.user,
+      },
+      session
+    );
+
+    if (direction === "out") {
+      const { data } = await addInventoryOutEntry({
+        item_id: item.item_id,
+        site_id: stockCount.site_id,
+        inventory_type: item.inventoryType,
+        date,
+        quantity,
+        useType: "Stock Adjustment",
+        authorized_person: req.user.id,
+        companyIdf,
+        session,
+      });
+
+      item.adjustment = {
+        direction,
+        quantity,
+        rate: data.rate,
+        value: round(quantity * data.rate),
+        inventory_out_id: data._id,
+        posted_at: now,
+      };
+    } else {
+      const rate = await getSurplusRate(
+        {
+          companyIdf: ObjectID(companyIdf),
+          item_id: ObjectID(item.item_id),
+          site_id: ObjectID(stockCount.site_id),
+          inventoryType: item.inventoryType,
+        },
+        session
+      );
+
+      const [layer] = await insertInventoryEntries(
+        [
+          {
+            item_id: item.item_id,
+            site_id: stockCount.site_id,
+            inventoryType: item.inventoryType,
+            updatedOn: now,
+            date,
+            quantity,
+            remaining_quantity: quantity,
+            rate,
+            source: "Adjustment",
+            createdBy: req.user.id,
+          },
+        ],
+        companyIdf,
+        session
+      );
+
+      item.adjustment = {
+        direction,
+        quantity,
+        rate,
+        value: round(quantity * rate),
+        inventory_in_id: layer._id,
+        posted_at: now,
+      };
+    }
+  }
+}
+
+/**
+ * Create Stock Count
+ * POST /api/web/stock-count
+ * Starts a count for a site, freezing the expected quantity of each item from Inventory
+ *
+ * @param {String} req.body.site_id - Site ID (required)
+ * @param {String} req.body.inventoryType - BOQ, SE or Asset (optional, all types when empty)
+ * @param {Array<String>} req.body.item_ids - Only count these items (optional, cycle count)
+ * @param {String} req.body.remarks - Remarks (optional)
+ * @param {String} req.body.login_user_id - User starting the count
+ *
+ * @returns {Object} Created stock count
+ */
+async function createData(req, res) {
+  try {
+    let reqObj = req.body;
+    const { site_id, inventoryType, item_ids } = reqObj;
+
+    if (!site_id || !ObjectID.isValid(site_id)) {
+      throw {
+        errors: [],
+        message: "Missing required fields: site_id",
+        statusCode: 400,
+      };
+    }
+
+    const site = await SiteSchema.findOne({ _id: ObjectID(site_id), companyIdf: req.user.companyIdf }, "_id").lean();
+    if (!site) {
+      throw {
+        errors: [],
+        message: "Site not found",
+        statusCode: 404,
+      };
+    }
+
+    // One open count per site and inventory type
+    const openCount = await StockCount.findOne({
+      companyIdf: req.user.companyIdf,
+      site_id: site._id,
+      status: { $in: OPEN_STATUSES },
+      ...(inventoryType && { inventoryType: { $in: [inventoryType, null] } }),
+    }).lean();
+    if (openCount) {
+      throw {
+        errors: [],
+        message: `Stock count ${openCount.count_number} is still open for this site`,
+        statusCode: 400,
+      };
+    }
+
+    // Freeze expected quantities
+    const inventoryFilter = { companyIdf: req.user.companyIdf, site_id: site._id };
+    if (inventoryType) inventoryFilter.inventoryType = inventoryType;
+    if (Array.isArray(item_ids) && item_ids.length > 0) {
+      inventoryFilter.item_id = { $in: item_ids.filter((id) => ObjectID.isValid(id)).map((id) => ObjectID(id)) };
+    }
+    const stock = await Inventory.find(inventoryFilter).lean();
+    if (stock.length === 0) {
+      throw {
+        errors: [],
+        message: "No inventory found to count for this site",
+        statusCode: 400,
+      };
+    }
+
+    const items = await Item.find(
+      { _id: { $in: stock.map((o) => o.item_id) }, companyIdf: req.user.companyIdf },
+      "item_name item_code"
+    ).lean();
+
+    const userId = reqObj.login_user_id || req.user.id;
+    const count_number = await getNextNumberGroupId("", "stock_count", req.user.companyIdf);
+
+    const newData = await new StockCount({
+      companyIdf: req.user.companyIdf,
+      count_number,
+      site_id: site._id,
+      inventoryType: inventoryType || null,
+      frozen_at: new Date(),
+      items: stock.map((o) => {
+        const item = items.find((i) => String(i._id) === String(o.item_id));
+        return {
+          item_id: o.item_id,
+          item_name: item ? item.item_name : "",
+          item_code: item ? item.item_code : "",
+          inventoryType: o.inventoryType,
+          expected_quantity: round(o.stock_quantity),
+        };
+      }),
+      remarks: reqObj.remarks || "",
+      history: [{ status: "counting", action: "Count started, expected quantities frozen", updated_by: userId }],
+      created_by: userId,
+      updated_by: userId,
+    }).save();
+
+    await updateNextNumberGroupId("", "stock_count", req.user.companyIdf);
+    await invalidateEntityList("stockcount");
+
+    res.status(200).json(await Response.success(newData, responseMessage(reqObj.langCode, "RECORD_CREATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Record Counts
+ * PUT /api/web/stock-count
+ * Records counted quantities; the variance is counted minus frozen expected quantity.
+ * Recording counts on a rejected count reopens it for counting.
+ *
+ * @param {String} req.body._id - Stock count ID (required)
+ * @param {Array} req.body.items - [{ item_id, inventoryType, counted_quantity, remarks }] (required)
+ * @param {String} req.body.login_user_id - User recording the counts
+ *
+ * @returns {Object} Updated stock count
+ */
+async function updateCounts(req, res) {
+  try {
+    let reqObj = req.body;
+    const stockCount = await findStockCount(reqObj._id, req);
+    assertStatus(stockCount, ["counting", "rejected"], "record counts on");
+
+    if (!Array.isArray(reqObj.items) || reqObj.items.length === 0) {
+      throw {
+        errors: [],
+        message: "Missing required fields: items",
+        statusCode: 400,
+      };
+    }
+
+    let recorded = 0;
+    for (const entry of reqObj.items) {
+      const item = stockCount.items.find(
+        (o) =>
+          String(o.item_id) === String(entry.item_id) &&
+          (!entry.inventoryType || o.inventoryType === entry.inventoryType)
+      );
+      if (!item) {
+        throw {
+          errors: [],
+          message: `Item ${entry.item_id} is not part of this count`,
+          statusCode: 400,
+        };
+      }
+
+      const counted = Number(entry.counted_quantity);
+      if (entry.counted_quantity === null || entry.counted_quantity === "" || isNaN(counted) || counted < 0) {
+        throw {
+          errors: [],
+          message: "counted_quantity must be a non-negative number",
+          statusCode: 400,
+        };
+      }
+
+      item.counted_quantity = counted;
+      item.variance = round(counted - item.expected_quantity);
+      if (entry.remarks !== undefined) item.remarks = entry.remarks;
+      recorded++;
+    }
+
+    const userId = reqObj.login_user_id || req.user.id;
+    stockCount.status = "counting";
+    stockCount.updated_by = userId;
+    stockCount.history.push({
+      status: "counting",
+      action: `Counts recorded for ${recorded} item(s)`,
+      updated_by: userId,
+    });
+    await stockCount.save();
+
+    await invalidateEntity("stockcount");
+
+    res.status(200).json(await Response.success(stockCount, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Submit Stock Count
+ * PUT /api/web/stock-count/submit
+ * Sends a fully counted stock count to the project manager for variance approval
+ *
+ * @param {String} req.body._id - Stock count ID (required)
+ * @param {String} req.body.remarks - Remarks (optional)
+ * @param {String} req.body.login_user_id - User submitting the count
+ *
+ * @returns {Object} Updated stock count
+ */
+async function submitData(req, res) {
+  try {
+    let reqObj = req.body;
+    const stockCount = await findStockCount(reqObj._id, req);
+    assertStatus(stockCount, ["counting"], "submit");
+
+    const uncounted = stockCount.items.filter((o) => o.counted_quantity === null || o.counted_quantity === undefined);
+    if (uncounted.length > 0) {
+      throw {
+        errors: uncounted.map((o) => o.item_code || String(o.item_id)),
+        message: `${uncounted.length} item(s) have not been counted`,
+        statusCode: 400,
+      };
+    }
+
+    const userId = reqObj.login_user_id || req.user.id;
+    stockCount.status = "submitted";
+    stockCount.updated_by = userId;
+    stockCount.history.push({
+      status: "submitted",
+      action: "Submitted for project manager approval",
+      updated_by: userId,
+      remarks: reqObj.remarks || "",
+    });
+    await stockCount.save();
+
+    await invalidateEntity("stockcount");
+
+    res.status(200).json(await Response.success(stockCount, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Approve or Reject Variances
+ * PUT /api/web/stock-count/approve
+ * Only the site's project manager (or a superadmin) can decide. Approval posts
+ * the adjustment movements and the count in one transaction.
+ *
+ * @param {String} req.body._id - Stock count ID (required)
+ * @param {String} req.body.action - "approve" or "reject" (required)
+ * @param {String} req.body.remarks - Approval remarks / rejection reason (optional)
+ *
+ * @returns {Object} Updated stock count with the posted adjustments
+ */
+async function approveData(req, res) {
+  try {
+    let reqObj = req.body;
+
+    if (!["approve", "reject"].includes(reqObj.action)) {
+      throw {
+        errors: [],
+        message: 'action must be "approve" or "reject"',
+        statusCode: 400,
+      };
+    }
+
+    let stockCount = await findStockCount(reqObj._id, req);
+    assertStatus(stockCount, ["submitted"], reqObj.action);
+
+    const site = await SiteSchema.findOne({ _id: stockCount.site_id, companyIdf: req.user.companyIdf }, "roles").lean();
+    const isProjectManager =
+      site && site.roles && String(site.roles.project_manager) === String(req.user.id);
+    if (!isProjectManager && !BYPASS_ROLES.includes(normalize(req.user.role))) {
+      throw {
+        errors: [],
+        message: "Only the site's project manager can approve stock count variances",
+        statusCode: 403,
+      };
+    }
+
+    if (reqObj.action === "reject") {
+      stockCount.status = "rejected";
+      stockCount.updated_by = req.user.id;
+      stockCount.history.push({
+        status: "rejected",
+        action: "Variances rejected by project manager",
+        updated_by: req.user.id,
+        remarks: reqObj.remarks || "",
+      });
+      await stockCount.save();
+    } else {
+      stockCount = await runInTransaction(async (session) => {
+        // Re-read inside the transaction so a retry starts from the stored count
+        const count = await StockCount.findOne({
+          _id: stockCount._id,
+          companyIdf: req.user.companyIdf,
+          status: "submitted",
+        }).session(session);
+        if (!count) {
+          throw {
+            errors: [],
+            message: "Stock count is no longer awaiting approval",
+            statusCode: 400,
+          };
+        }
+
+        await postAdjustments(count, req, session);
+
+        const adjusted = count.items.filter((o) => o.variance).length;
+        count.status = "approved";
+        count.approved_by = req.user.id;
+        count.approved_at = new Date();
+        count.updated_by = req.user.id;
+        count.history.push({
+          status: "approved",
+          action: `Variances approved, ${adjusted} adjustment(s) posted`,
+          updated_by: req.user.id,
+          remarks: reqObj.remarks || "",
+        });
+        await count.save({ session });
+        return count;
+      });
+
+      await invalidateEntity("INVENTORY");
+      await invalidateEntityList("INVENTORY");
+    }
+
+    await invalidateEntity("stockcount");
+
+    res.status(200).json(await Response.success(stockCount, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Cancel Stock Count
+ * PUT /api/web/stock-count/cancel
+ * Abandons a count that hasn't been approved; nothing is posted
+ *
+ * @param {String} req.body._id - Stock count ID (required)
+ * @param {String} req.body.remarks - Reason (optional)
+ * @param {String} req.body.login_user_id - User cancelling the count
+ *
+ * @returns {Object} Updated stock count
+ */
+async function cancelData(req, res) {
+  try {
+    let reqObj = req.body;
+    const stockCount = await findStockCount(reqObj._id, req);
+    assertStatus(stockCount, OPEN_STATUSES, "cancel");
+
+    const userId = reqObj.login_user_id || req.user.id;
+    stockCount.status = "cancelled";
+    stockCount.updated_by = userId;
+    stockCount.history.push({
+      status: "cancelled",
+      action: "Count cancelled",
+      updated_by: userId,
+      remarks: reqObj.remarks || "",
+    });
+    await stockCount.save();
+
+    await invalidateEntity("stockcount");
+
+    res.status(200).json(await Response.success(stockCount, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Stock Count Details
+ * GET /api/web/stock-count/detail?_id=
+ * Returns the count with site and history users populated
+ *
+ * @param {String} req.query._id - Stock count ID (required)
+ *
+ * @returns {Object} Stock count details
+ */
+async function getDetails(req, res) {
+  try {
+    let reqObj = req.body;
+    let { _id } = req.query;
+
+    if (!_id || !ObjectID.isValid(_id)) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const cacheKey = `stockcount:detail:${_id}`;
+    const cachedData = await getCache(cacheKey);
+    if (cachedData) {
+      return res.status(200).json({ ...cachedData, source: "cache" });
+    }
+
+    const recordDetail = await StockCount.findOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf })
+      .populate("site_id", "site_name code roles")
+      .populate("approved_by", "name email")
+      .populate("history.updated_by", "name")
+      .lean();
+
+    let response;
+    if (recordDetail) {
+      response = await Response.success(recordDetail, responseMessage(reqObj.langCode, "SUCCESS"));
+    } else {
+      response = await Response.success({}, responseMessage(reqObj.langCode, "NO_RECORD_FOUND"), req);
+    }
+
+    await setCache(cacheKey, response, TRANSACTIONAL);
+
+    return res.status(200).json({ ...response, source: "db" });
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Stock Count List
+ * GET /api/web/stock-count
+ * Paginated list of counts, without item lines
+ *
+ * @param {Number} req.query.page - Page number (optional)
+ * @param {Number} req.query.per_page - Items per page (optional)
+ * @param {String} req.query.site_id - Site ID (optional)
+ * @param {String} req.query.status - Status (optional)
+ *
+ * @returns {Object} { data, meta }
+ */
+async function getList(req, res) {
+  try {
+    const reqObj = req.body;
+    let { page, per_page, site_id, status } = req.query;
+
+    page = parseInt(page);
+    per_page = parseInt(per_page);
+    const hasPagination = page > 0 && per_page > 0;
+
+    const cacheKey = `stockcount:list:${req.user.companyIdf}:${JSON.stringify(req.query)}`;
+    const cachedData = await getCache(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(await Response.success(cachedData, responseMessage(reqObj.langCode, "SUCCESS"), req));
+    }
+
+    let matchQuery = { companyIdf: req.user.companyIdf };
+    if (site_id && ObjectID.isValid(site_id)) matchQuery.site_id = ObjectID(site_id);
+    if (status) matchQuery.status = status;
+
+    const total = await StockCount.countDocuments(matchQuery);
+
+    let dataQuery = StockCount.find(matchQuery)
+      .select("-items -history")
+      .populate("site_id", "site_name code")
+      .sort({ count_number: -1 });
+
+    if (hasPagination) {
+      dataQuery = dataQuery.skip((page - 1) * per_page).limit(per_page);
+    }
+
+    const data = await dataQuery.lean();
+
+    const responsePayload = {
+      data,
+      meta: hasPagination
+        ? {
+            total,
+            page,
+            per_page,
+            total_pages: Math.ceil(total / per_page),
+          }
+        : { total },
+    };
+
+    await setCache(cacheKey, responsePayload, TRANSACTIONAL);
+
+    return res.status(200).json(await Response.success(responsePayload, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
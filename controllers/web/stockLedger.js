@@ -0,0 +1,293 @@
+/**
+ * Stock Ledger Controller
+ * Handles stock ledger and reconciliation reports including:
+ * - Item/site stock ledger with opening balance, movements and running balance
+ * - Movement valuation (receipts at their rate, issues at their FIFO rate)
+ * - Stock reconciliation runs (stock summary vs FIFO layers)
+ */
+
+const Item = require("../../models/Item");
+const SiteSchema = require("../../models/site");
+const { Inventory } = require("../../models/Inventory");
+const { InventoryIn } = require("../../models/InventoryIn");
+const InventoryOut = require("../../models/InventoryOut");
+const StockReconciliation = require("../../models/StockReconciliation");
+const { runStockReconciliation } = require("../../jobs/stockReconciliation");
+const ObjectID = require("mongodb").ObjectID;
+const { getCache, setCache } = require("../../utils/cache");
+const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+
+// Export all controller functions
+module.exports = {
+  getStockLedger,
+  getReconciliation,
+  runReconciliation,
+};
+
+/**
+ * Movement labels by InventoryIn.source / InventoryOut.useType
+ * (Adjustment / Stock Adjustment are posted by approved stock counts)
+ */
+const IN_MOVEMENTS = {
+  Vendor: "Receipt",
+  InterSite: "Transfer In",
+  Adjustment: "Count Adjustment",
+};
+const OUT_MOVEMENTS = {
+  intraSite: "Issue",
+  interSite: "Transfer Out",
+  "Return to Vendor": "Return to Vendor",
+  "Stock Adjustment": "Count Adjustment",
+};
+
+/**
+ * Round quantities/values to avoid float noise in running balances
+ * @param {Number} value
+ * @returns {Number}
+ */
+const round = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+/**
+ * Parse a date query param; end dates include the whole day
+ * @param {String} value - ISO date (YYYY-MM-DD) or date-time
+ * @param {Boolean} endOfDay - Move to 23:59:59.999
+ * @returns {Date|null}
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * Get Stock Ledger
+ * GET /api/web/inventory/stock-ledger
+ * Returns the stock ledger for one item at one site
+ *
+ * Movements are taken from:
+ * - InventoryIn: vendor receipts (DMR) and inter-site transfer receipts
+ * - InventoryOut: issue slips, inter-site dispatches and returns to vendor
+ * Movements are dated by when they were posted (created_at).
+ *
+ * @param {String} req.query.item_id - Item ID (required)
+ * @param {String} req.query.site_id - Site ID (required)
+ * @param {String} req.query.inventoryType - Inventory type: BOQ, SE, Asset (optional)
+ * @param {String} req.query.startDate - Range start, YYYY-MM-DD (optional)
+ * @param {String} req.query.endDate - Range end, YYYY-MM-DD (optional)
+ *
+ * @returns {Object} { item, opening, movements, closing, current }
+ */
+async function getStockLedger(req, res) {
+  try {
+    const { item_id, site_id, inventoryType, startDate, endDate } = req.query;
+
+    if (!item_id || !ObjectID.isValid(item_id) || !site_id || !ObjectID.isValid(site_id)) {
+      return res.status(400).json({ message: "Valid item_id and site_id are required." });
+    }
+
+    const start = parseDate(startDate);
+    const end = parseDate(endDate, true);
+    if ((startDate && !start) || (endDate && !end)) {
+      return res.status(400).json({ message: "Invalid startDate or endDate." });
+    }
+
+    const cacheKey = `INVENTORY:LEDGER:${req.user.companyIdf}:${JSON.stringify(req.query)}`;
+    const cached = await getCache(cacheKey);
+    if (cached) {
+      return res.status(200).json(cached);
+    }
+
+    const match = {
+      companyIdf: ObjectID(req.user.companyIdf),
+      item_id: ObjectID(item_id),
+      site_id: ObjectID(site_id),
+    };
+    if (inventoryType) match.inventoryType = inventoryType;
+
+    const [inEntries, outEntries, item] = await Promise.all([
+      InventoryIn.find(end ? { ...match, created_at: { $lte: end } } : match).lean(),
+      InventoryOut.find(end ? { ...match, created_at: { $lte: end } } : match).lean(),
+      Item.findOne({ _id: match.item_id, companyIdf: req.user.companyIdf }, "item_name item_code uom").lean(),
+    ]);
+
+    // Normalize both sides into signed movements
+    const allMovements = [
+      ...inEntries.map((o) => ({
+        _id: o._id,
+        posted_at: o.created_at,
+        date: o.date,
+        movement: IN_MOVEMENTS[o.source] || "Receipt",
+        direction: "in",
+        inventoryType: o.inventoryType,
+        quantity: o.quantity,
+        rate: o.rate,
+        value: round(o.quantity * o.rate),
+        vendor_id: o.vendor_id || null,
+      })),
+      ...outEntries.map((o) => ({
+        _id: o._id,
+        posted_at: o.created_at,
+        date: o.date,
+        movement: OUT_MOVEMENTS[o.useType] || "Issue",
+        direction: "out",
+        inventoryType: o.inventoryType,
+        quantity: o.quantity,
+        rate: o.rate,
+        value: round(o.quantity * o.rate),
+        contractor: o.contractor || null,
+        return_type: o.return_type || null,
+      })),
+    ].sort((a, b) => new Date(a.posted_at) - new Date(b.posted_at));
+
+    // Opening balance from everything before the range
+    const opening = { quantity: 0, value: 0 };
+    const movements = [];
+    let balanceQuantity = 0;
+    let balanceValue = 0;
+
+    allMovements.forEach((movement) => {
+      const sign = movement.direction === "in" ? 1 : -1;
+      balanceQuantity = round(balanceQuantity + sign * movement.quantity);
+      balanceValue = round(balanceValue + sign * movement.value);
+
+      if (start && new Date(movement.posted_at) < start) {
+        opening.quantity = balanceQuantity;
+        opening.value = balanceValue;
+        return;
+      }
+
+      movements.push({
+        ...movement,
+        balance_quantity: balanceQuantity,
+        balance_value: balanceValue,
+      });
+    });
+
+    const totals = movements.reduce(
+      (acc, o) => {
+        acc[o.direction === "in" ? "in_quantity" : "out_quantity"] += o.quantity;
+        acc[o.direction === "in" ? "in_value" : "out_value"] += o.value;
+        return acc;
+      },
+      { in_quantity: 0, in_value: 0, out_quantity: 0, out_value: 0 }
+    );
+    Object.keys(totals).forEach((key) => (totals[key] = round(totals[key])));
+
+    // Current position, for comparing the ledger with the stock summary and FIFO layers
+    const [stock, fifo] = await Promise.all([
+      Inventory.aggregate([
+        { $match: match },
+        { $group: { _id: null, quantity: { $sum: "$stock_quantity" } } },
+      ]),
+      InventoryIn.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            quantity: { $sum: { $ifNull: ["$remaining_quantity", 0] } },
+            value: { $sum: { $multiply: [{ $ifNull: ["$remaining_quantity", 0] }, "$rate"] } },
+          },
+        },
+      ]),
+    ]);
+
+    const response = {
+      item: item || { _id: item_id },
+      site_id,
+      inventoryType: inventoryType || null,
+      startDate: start,
+      endDate: end,
+      opening,
+      movements,
+      totals,
+      closing: { quantity: balanceQuantity, value: balanceValue },
+      current: {
+        stock_quantity: stock.length ? round(stock[0].quantity) : 0,
+        fifo_quantity: fifo.length ? round(fifo[0].quantity) : 0,
+        fifo_value: fifo.length ? round(fifo[0].value) : 0,
+      },
+    };
+
+    await setCache(cacheKey, response, TRANSACTIONAL);
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error("Error fetching stock ledger:", error);
+    res.status(500).json({ message: "Error fetching stock ledger.", error: error.message });
+  }
+}
+
+/**
+ * Get Stock Reconciliation
+ * GET /api/web/inventory/reconciliation
+ * Returns the latest reconciliation run for the company, with item details
+ *
+ * @param {String} req.query.site_id - Only show mismatches for this site (optional)
+ *
+ * @returns {Object} Latest run ({ run_at, checked, mismatches }) or null if none yet
+ */
+async function getReconciliation(req, res) {
+  try {
+    const { site_id } = req.query;
+
+    const run = await StockReconciliation.findOne({ companyIdf: req.user.companyIdf })
+      .sort({ run_at: -1 })
+      .lean();
+
+    if (!run) {
+      return res.status(200).json(null);
+    }
+
+    if (site_id) {
+      run.mismatches = run.mismatches.filter((o) => String(o.site_id) === String(site_id));
+    }
+
+    // Attach item and site names for display
+    const itemIds = [...new Set(run.mismatches.map((o) => String(o.item_id)))];
+    const siteIds = [...new Set(run.mismatches.map((o) => String(o.site_id)))];
+    const [items, sites] = await Promise.all([
+      Item.find({ _id: { $in: itemIds }, companyIdf: req.user.companyIdf }, "item_name item_code").lean(),
+      SiteSchema.find({ _id: { $in: siteIds }, companyIdf: req.user.companyIdf }, "site_name").lean(),
+    ]);
+
+    run.mismatches = run.mismatches.map((o) => {
+      const item = items.find((i) => String(i._id) === String(o.item_id));
+      const site = sites.find((s) => String(s._id) === String(o.site_id));
+      return {
+        ...o,
+        item_name: item ? item.item_name : "",
+        item_code: item ? item.item_code : "",
+        site_name: site ? site.site_name : "",
+      };
+    });
+
+    return res.status(200).json(run);
+  } catch (error) {
+    console.error("Error fetching stock reconciliation:", error);
+    res.status(500).json({ message: "Error fetching stock reconciliation.", error: error.message });
+  }
+}
+
+/**
+ * Run Stock Reconciliation
+ * POST /api/web/inventory/reconciliation
+ * Runs a reconciliation for the company now instead of waiting for the scheduled job
+ *
+ * @returns {Object} The new run ({ run_at, checked, mismatches })
+ */
+async function runReconciliation(req, res) {
+  try {
+    const [run] = await runStockReconciliation({
+      companyIdf: req.user.companyIdf,
+      trigger: "manual",
+      created_by: req.user.id,
+    });
+
+    return res.status(200).json(run);
+  } catch (error) {
+    console.error("Error running stock reconciliation:", error);
+    res.status(500).json({ message: "Error running stock reconciliation.", error: error.message });
+  }
+}
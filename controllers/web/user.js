@@ -2,9 +2,11 @@
  * User Controller
  * Handles all user-related operations including:
  * - User CRUD operations
- * - User authentication (login, registration)
+ * - User authentication (login, registration, token refresh, logout)
+ * - Forgot / reset / change password and login lockout
  * - User role and permission management
  * - Site assignment to users
+ * - Out-of-office delegation of approvals
  * - Caching for performance optimization
  */
 
@@ -18,7 +20,20 @@ const { MASTER_DATA } = require("../../libs/cacheConfig");
 const bcrypt = require("bcryptjs");
 const mongoose = require("mongoose");
 const Response = require("../../libs/response");
-const jwt = require("jsonwebtoken");
+const { responseMessage } = require("../../libs/responseMessages");
+const { BYPASS_ROLES, normalize } = require("../../config/route-permissions");
+const { isOutOfOffice, getActiveDelegators } = require("../../libs/outOfOffice");
+const { issueTokens, rotateRefreshToken, revokeSession, revokeUserSessions } = require("../../libs/authTokens");
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require("../../libs/loginLockout");
+const {
+  verifyPassword,
+  assertValidPassword,
+  setPassword,
+  requestPasswordReset,
+  resetPassword: resetPasswordWithToken,
+} = require("../../libs/passwords");
+const { assertCompanyAccess, assertPlanLimit } = require("../../libs/subscription");
+const { runWithTenant, runAsSystem } = require("../../libs/tenantContext");
 require('dotenv').config();
 
 // Export all controller functions
@@ -31,7 +46,16 @@ module.exports = {
   deleteAllData,
   createUser,
   loginUser,
-  addSiteToUsers
+  refreshToken,
+  logoutUser,
+  logoutAllDevices,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  addSiteToUsers,
+  getOutOfOffice,
+  setOutOfOffice,
+  clearOutOfOffice,
 };
 
 
@@ -199,6 +223,7 @@ async function getDataByID(req, res) {
 
 async function createData(req, res) {
   try {
+    await assertPlanLimit(req.user.companyIdf, "users");
     let user = new User({
       name: req.body.name,
       email: req.body.email,
@@ -248,6 +273,7 @@ async function updateData(req, res) {
         notifications: req.body.notifications,
       };
     }
+    if (req.body.isActive !== undefined) updatedata.isActive = req.body.isActive !== false;
     const user = await User.findOneAndUpdate(
       { _id: req.params.id, companyIdf: req.user.companyIdf },
       updatedata,
@@ -255,7 +281,11 @@ async function updateData(req, res) {
     ).populate("sites");
 
     if (!user) return res.send("user not updated");
+    // Deactivated users are logged out of every device, as are users whose password was changed
+    if (user.isActive === false) await revokeUserSessions(user._id, "user_inactive");
+    else if (req.body.password) await revokeUserSessions(user._id, "password_changed");
 await deleteCache(`user:details:${req.params.id}`);
+await deleteCache(`role:grants:${req.params.id}`);
 await invalidateEntityList("user");
 
     res.send(user);
@@ -278,7 +308,9 @@ async function deleteData(req, res) {
     const user = await User.findOneAndRemove({ _id: req.params.id, companyIdf: req.user.companyIdf });
 
     if (!user) return res.send("user not deleted");
+    await revokeUserSessions(user._id, "user_inactive");
 await deleteCache(`user:details:${req.params.id}`);
+await deleteCache(`role:grants:${req.params.id}`);
 await invalidateEntityList("user");
 
 
@@ -306,6 +338,7 @@ async function deleteAllData(req, res) {
     let deleteProductsResponse = await User.remove({ _id: { $in: kk } });
 
     if (!deleteProductsResponse) return res.send("user not deleted");
+    for (const id of kk) await revokeUserSessions(id, "user_inactive");
 await invalidateEntityList("user");
 
     res.send(deleteProductsResponse);
@@ -340,12 +373,15 @@ await invalidateEntityList("user");
  */
 async function createUser(req, res) {
   try {
-    // Check if user with this email already exists
-    const userExists = await User.findOne({ email: req.body.email });
+    // Check if user with this email already exists (in any company: login is by email)
+    const userExists = await runAsSystem(() => User.findOne({ email: req.body.email }));
     if (userExists) {
       return res.status(400).json({ message: "Email already exists" });
     }
 
+    // The company's plan caps its number of users
+    await assertPlanLimit(req.body.companyIdf, "users");
+
     // Hash password using bcrypt with salt rounds of 10
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(req.body.password, salt);
@@ -367,7 +403,7 @@ async function createUser(req, res) {
     const savedUser = await user.save();
     
     // Fetch user with populated sites for response
-    const populatedUser = await User.findById(savedUser._id).populate("sites");
+    const populatedUser = await User.findOne({ _id: savedUser._id, companyIdf: savedUser.companyIdf }).populate("sites");
 
     // Create recent activity log entry
     let recentActivity = new RecentActivity({
@@ -397,40 +433,66 @@ async function createUser(req, res) {
 /**
  * User Login
  * POST /api/web/users/login
- * Authenticates user and returns JWT token with permissions
+ * Authenticates user and opens a session for the device: a short-lived
+ * access token (JWT) and a refresh token (libs/authTokens.js)
+ * Unknown emails and wrong passwords get the same 401; repeated failures lock
+ * the email and the IP out for a while (libs/loginLockout.js)
  * 
  * @param {String} req.body.email - User's email address (required)
  * @param {String} req.body.password - User's password (required)
+ * @param {String} req.body.device_id - Stable ID of the client device (optional; logging in again on it ends its previous session)
+ * @param {String} req.body.device_name - Device label shown to the user (optional)
  * 
- * @returns {Object} JWT token, user object, and permission structure
+ * @returns {Object} Access token, refresh token, user object, and permission structure
  */
 async function loginUser(req, res) {
   try {
-    // Find user by email and populate sites
-    const userExits = await User.findOne({ email: req.body.email }).populate(
+    const email = String(req.body.email || "");
+
+    // Refuse while the email or IP is locked out
+    await assertLoginAllowed(email, req.ip);
+
+    // Find user by email and populate sites (any tenant: the email decides which)
+    const userExits = await runAsSystem(() => User.findOne({ email }).populate(
       "sites"
-    )
-    // Validate user exists
-    if (!userExits) return res.status(400).send("email not exit");
-
-    // Verify password using bcrypt
-    const validPassword = await bcrypt.compare(
-      req.body.password,
-      userExits.password
-    );
+    ))
+
+    // Verify password using bcrypt (takes as long when the user doesn't exist)
+    const validPassword = await verifyPassword(req.body.password, userExits && userExits.password);
+
+    // Same answer for an unknown email and a wrong password
+    if (!validPassword) {
+      await recordLoginFailure(email, req.ip);
+      throw {
+        errors: [],
+        message: responseMessage(req.body.langCode, "INVALID_CREDENTIALS"),
+        statusCode: 401,
+      };
+    }
+    await clearLoginFailures(email);
 
-    // Validate password
-    if (!validPassword) return res.status(400).send("wrong password");
+    // Deactivated users can't log in
+    if (userExits.isActive === false) {
+      return res.status(403).json(
+        await Response.errors({ message: responseMessage(req.body.langCode, "INACTIVE_ACCOUNT") })
+      );
+    }
 
-    // Generate JWT token with user ID and name
-    // Note: In production, use environment variable for secret key
-    const token = jwt.sign(
-      { id: userExits._id, name: userExits.name, companyIdf: userExits.companyIdf, isActive: userExits.isActive },
-       process.env.JWT_SECRET,
+    // Nor can users of inactive companies or of subscriptions past their grace period
+    await assertCompanyAccess(userExits.companyIdf);
+
+    // Open a session for the device: access token (user ID, name, company, session) + refresh token
+    const tokens = await runWithTenant(userExits.companyIdf, () =>
+      issueTokens(userExits, {
+        device_id: req.body.device_id,
+        device_name: req.body.device_name,
+        user_agent: req.headers["user-agent"],
+        ip: req.ip,
+      })
     );
 
-    // Fetch user's role to get permissions
-    let role = await Role.findOne({ role: userExits.role });
+    // Fetch user's role (of the user's company) to get permissions
+    let role = await Role.findOne({ role: userExits.role, companyIdf: userExits.companyIdf });
 
     // Initialize permission structures
     let permission = {};
@@ -466,7 +528,7 @@ async function loginUser(req, res) {
 
     // Return token, user data, and permission structure
     res.send({
-      token: token,
+      ...tokens,
       user: userExits,
       permissions: role.dashboard_permissions,
       modules: modulesArray,
@@ -487,6 +549,208 @@ async function loginUser(req, res) {
 }
 
 
+/**
+ * Refresh Token
+ * POST /api/web/users/refresh-token
+ * Swaps a refresh token for a new access token and refresh token of the same
+ * session. Each refresh token works once; presenting a used one again logs
+ * out its session. No access token is needed.
+ *
+ * @param {String} req.body.refresh_token - Refresh token (required)
+ *
+ * @returns {Object} { token, expires_in, refresh_token, refresh_expires_at, session_id, device_id }
+ */
+async function refreshToken(req, res) {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refresh_token, {
+      user_agent: req.headers["user-agent"],
+      ip: req.ip,
+    });
+
+    res.status(200).json(await Response.success(tokens, responseMessage(req.body.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Logout
+ * POST /api/web/users/logout
+ * Ends the caller's current session; its access and refresh tokens stop
+ * working immediately
+ *
+ * @returns {Object} { sessions_revoked }
+ */
+async function logoutUser(req, res) {
+  try {
+    const revoked = await revokeSession(req.user.sid, "logout");
+
+    res.status(200).json(
+      await Response.success({ sessions_revoked: revoked }, responseMessage(req.body.langCode, "SUCCESS"), req)
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Logout All Devices
+ * POST /api/web/users/logout-all
+ * Ends every session of the caller, including the current one
+ *
+ * @returns {Object} { sessions_revoked }
+ */
+async function logoutAllDevices(req, res) {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, "logout_all");
+
+    res.status(200).json(
+      await Response.success({ sessions_revoked: revoked }, responseMessage(req.body.langCode, "SUCCESS"), req)
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+
+/**
+ * Forgot Password
+ * POST /api/web/users/forgot-password
+ * Emails a single-use reset link to an active user with this email. The
+ * answer is the same whether or not the email is registered.
+ *
+ * @param {String} req.body.email - Email address (required)
+ *
+ * @returns {Object} Message only
+ */
+async function forgotPassword(req, res) {
+  try {
+    await requestPasswordReset(req.body.email, req.ip);
+
+    res.status(200).json(await Response.success({}, responseMessage(req.body.langCode, "PASSWORD_RESET_SENT"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Reset Password
+ * POST /api/web/users/reset-password
+ * Sets a new password with the token from a reset link. The token works
+ * once; every session of the user is logged out.
+ *
+ * @param {String} req.body.token - Token from the reset link (required)
+ * @param {String} req.body.password - New password (required)
+ *
+ * @returns {Object} Message only
+ */
+async function resetPassword(req, res) {
+  try {
+    await resetPasswordWithToken(req.body.token, req.body.password);
+
+    res.status(200).json(await Response.success({}, responseMessage(req.body.langCode, "PASSWORD_CHANGED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Change Password
+ * POST /api/web/users/change-password
+ * Changes the caller's password. Wrong current passwords count towards the
+ * login lockout. The caller's other sessions are logged out; the current one
+ * stays.
+ *
+ * @param {String} req.body.current_password - Current password (required)
+ * @param {String} req.body.new_password - New password (required)
+ *
+ * @returns {Object} Message only
+ */
+async function changePassword(req, res) {
+  try {
+    const user = await User.findOne({ _id: req.user.id, companyIdf: req.user.companyIdf }, "email password").lean();
+    if (!user) {
+      throw {
+        errors: [],
+        message: responseMessage(req.body.langCode, "USER_NOT_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    await assertLoginAllowed(user.email, req.ip);
+    if (!(await verifyPassword(req.body.current_password, user.password))) {
+      await recordLoginFailure(user.email, req.ip);
+      throw {
+        errors: [],
+        message: responseMessage(req.body.langCode, "WRONG_CURRENT_PASSWORD"),
+        statusCode: 400,
+      };
+    }
+    assertValidPassword(req.body.new_password);
+
+    await setPassword(user, req.body.new_password, req.user.sid);
+
+    res.status(200).json(await Response.success({}, responseMessage(req.body.langCode, "PASSWORD_CHANGED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+
 async function addSiteToUsers(req, res) {
   try {
     const { userIds, siteId } = req.body;
@@ -561,3 +825,221 @@ console.log(userObjectIds);
     });
   }
 }
+
+/**
+ * Resolve the user an out-of-office request is for: the caller, or with
+ * user_id any user of the company when the caller is a superadmin
+ *
+ * @param {Object} req - Express request
+ * @param {String} userId - req.body.user_id / req.query.user_id (optional)
+ * @returns {Promise<String>} User ID
+ */
+async function outOfOfficeUserId(req, userId) {
+  if (!userId || String(userId) === String(req.user.id)) return req.user.id;
+
+  const caller = await User.findOne({ _id: req.user.id, companyIdf: req.user.companyIdf }, "role").lean();
+  if (!caller || !BYPASS_ROLES.includes(normalize(caller.role))) {
+    throw {
+      errors: [],
+      message: "Only a superadmin can set out of office for another user",
+      statusCode: 403,
+    };
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw {
+      errors: [],
+      message: "Invalid user_id",
+      statusCode: 400,
+    };
+  }
+  return userId;
+}
+
+/**
+ * Get Out of Office
+ * GET /api/web/users/out-of-office
+ *
+ * @param {String} req.query.user_id - User ID (optional, superadmin only; default: caller)
+ *
+ * @returns {Object} { out_of_office, active, standing_in_for: [{ _id, name, from, to }] }
+ */
+async function getOutOfOffice(req, res) {
+  try {
+    const userId = await outOfOfficeUserId(req, req.query.user_id);
+    const user = await User.findOne({ _id: userId, companyIdf: req.user.companyIdf }, "name out_of_office")
+      .populate("out_of_office.delegate", "name email")
+      .lean();
+    if (!user) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    const standingInFor = await getActiveDelegators(userId, req.user.companyIdf);
+
+    res.status(200).json(
+      await Response.success(
+        {
+          out_of_office: user.out_of_office || null,
+          active: isOutOfOffice(user),
+          standing_in_for: standingInFor.map((o) => ({
+            _id: o._id,
+            name: o.name,
+            from: o.out_of_office.from,
+            to: o.out_of_office.to,
+          })),
+        },
+        responseMessage(req.query.langCode, "SUCCESS"),
+        req
+      )
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Set Out of Office
+ * PUT /api/web/users/out-of-office
+ * From `from` to `to` the delegate can approve the user's PRs, rate approvals
+ * and POs on their behalf and receives their approval emails
+ *
+ * @param {String} req.body.delegate - Delegate user ID (required)
+ * @param {Date} req.body.from - Start (required)
+ * @param {Date} req.body.to - End (required)
+ * @param {String} req.body.remarks - Remarks (optional)
+ * @param {String} req.body.user_id - User ID (optional, superadmin only; default: caller)
+ *
+ * @returns {Object} Updated out_of_office
+ */
+async function setOutOfOffice(req, res) {
+  try {
+    const userId = await outOfOfficeUserId(req, req.body.user_id);
+    const { delegate, remarks = "" } = req.body;
+    const from = new Date(req.body.from);
+    const to = new Date(req.body.to);
+
+    if (!delegate || !mongoose.Types.ObjectId.isValid(delegate) || String(delegate) === String(userId)) {
+      throw {
+        errors: [],
+        message: "A valid delegate other than the user is required",
+        statusCode: 412,
+      };
+    }
+    if (isNaN(from) || isNaN(to) || from > to) {
+      throw {
+        errors: [],
+        message: "Valid from and to dates are required, with from before to",
+        statusCode: 400,
+      };
+    }
+    if (to < new Date()) {
+      throw {
+        errors: [],
+        message: "The out-of-office period has already ended",
+        statusCode: 400,
+      };
+    }
+
+    const delegateUser = await User.findOne({ _id: delegate, companyIdf: req.user.companyIdf }, "name").lean();
+    if (!delegateUser) {
+      throw {
+        errors: [],
+        message: "Delegate not found",
+        statusCode: 404,
+      };
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, companyIdf: req.user.companyIdf },
+      { $set: { out_of_office: { delegate: delegateUser._id, from, to, remarks } } },
+      { new: true, projection: "name out_of_office" }
+    ).lean();
+    if (!user) {
+      throw {
+        errors: [],
+        message: responseMessage(req.body.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    await deleteCache(`user:details:${userId}`);
+    await Promise.all(["user", "pr", "rc", "PO"].map((entity) => invalidateEntityList(entity)));
+
+    res.status(200).json(
+      await Response.success(
+        user.out_of_office,
+        responseMessage(req.body.langCode, "RECORD_UPDATED"),
+        req
+      )
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Clear Out of Office
+ * DELETE /api/web/users/out-of-office
+ * Ends the out-of-office period now
+ *
+ * @param {String} req.query.user_id - User ID (optional, superadmin only; default: caller)
+ */
+async function clearOutOfOffice(req, res) {
+  try {
+    const userId = await outOfOfficeUserId(req, req.query.user_id);
+    const user = await User.findOneAndUpdate(
+      { _id: userId, companyIdf: req.user.companyIdf },
+      { $unset: { out_of_office: "" } }
+    ).lean();
+    if (!user) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    await deleteCache(`user:details:${userId}`);
+    await Promise.all(["user", "pr", "rc", "PO"].map((entity) => invalidateEntityList(entity)));
+
+    res.status(200).json(
+      await Response.success(
+        {},
+        responseMessage(req.query.langCode, "RECORD_UPDATED"),
+        req
+      )
+    );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
@@ -70,10 +70,16 @@ const {
 } = require("../../libs/constant");
 require("dotenv").config();
 const sendEmailsInBatches = require("../../emails/sendEmail");
+const { addOutOfOfficeDelegates } = require("../../libs/outOfOffice");
+const OnboardingCompany = require("../../models/onboardingcompany");
+const { getLatestScores } = require("../../libs/vendorScorecard");
+const { getBlockedVendors, assertVendorsCompliant } = require("../../libs/vendorCompliance");
+const { addOrderGSTDetails } = require("../../libs/placeOfSupply");
 
 module.exports = {
   getNextNumberGroupId,
   updateNextNumberGroupId,
+  allocateNextNumber,
   addRateApproval,
   checkVendorCount,
   getVendorListByLocation,
@@ -165,11 +171,50 @@ function updateNextNumberGroupId(groupId, moduleName = "", companyIdf = "") {
   });
 }
 
-/* Filter VendorByCategory */
-function filterVendorByCategory(vendorList, categoryId) {
+/**
+ * Allocate Next Number
+ * Takes the module's next number in one atomic increment. Given a session,
+ * the increment joins the transaction, so an aborted transaction gives the
+ * number back and concurrent ones never share it.
+ *
+ * @param {String} moduleName - NumberGroup module, e.g. "payment_voucher"
+ * @param {ObjectId} companyIdf
+ * @param {ClientSession} session - Transaction session (optional)
+ *
+ * @returns {Promise<Number>} The allocated number
+ */
+async function allocateNextNumber(moduleName, companyIdf, session = null) {
+  const group = await NumberingGroupSchema.findOneAndUpdate(
+    { module: moduleName, companyIdf },
+    { $inc: { next_id: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return group.next_id;
+}
+
+/* Vendor filter for new rate comparatives: vendors blocked by expired mandatory
+ * documents, and the score filter (onboardingcompany.vendorScorecard.minScore) */
+async function getVendorFilter(companyIdf) {
+  const company = await OnboardingCompany.findById(companyIdf, "vendorScorecard").lean();
+  const minScore = Number(company && company.vendorScorecard && company.vendorScorecard.minScore) || 0;
+  return {
+    blocked: await getBlockedVendors(companyIdf),
+    ...(minScore && { minScore, scores: await getLatestScores(companyIdf) }),
+  };
+}
+
+/* Filter VendorByCategory
+ * options (from getVendorFilter) also leave out vendors blocked by expired
+ * mandatory documents and vendors whose latest scorecard is below minScore;
+ * vendors not scored yet stay in */
+function filterVendorByCategory(vendorList, categoryId, { blocked, minScore, scores } = {}) {
   return new Promise(async (resolve, reject) => {
     if (vendorList && vendorList.length > 0) {
       let vendorListData = vendorList.filter((o) => {
+        const vendorId = String(o.vendor_id || o._id);
+        if (blocked && blocked[vendorId]) return false;
+        const card = minScore && scores ? scores[vendorId] : null;
+        if (card && card.score < minScore) return false;
         if (o.category.includes(String(categoryId))) {
           return o;
         }
@@ -215,6 +260,7 @@ function addRateApproval(dataObj, langCode, login_user_id) {
       ]);
 
       let vendorTotal = [];
+      const vendorFilter = await getVendorFilter(dataObj.companyIdf);
 
       delete cloneData._id;
       delete cloneData.items;
@@ -290,7 +336,8 @@ function addRateApproval(dataObj, langCode, login_user_id) {
           if (getItemDetail && getItemDetail.length > 0) {
             let filteredVendor = await filterVendorByCategory(
               getVendors,
-              getItemDetail[0]["category"]
+              getItemDetail[0]["category"],
+              vendorFilter
             );
             selectedVendorArray = selectedVendorArray.concat(filteredVendor);
 
@@ -766,7 +813,6 @@ function addPurchaseOrder(dataObj, langCode, login_user_id, bodyobj) {
             gstAmount: vendorTotals.gstAmount || 0,
             subTotal: vendorTotals.totalAmount || 0,
             total: vendorTotals.grandTotal || 0,
-            GSTDetails: { type: "NO GST", GST: vendorTotals.gstAmount || 0 },
             Vendor: vendor_id,
             category: null,
             subCategory: null,
@@ -802,6 +848,8 @@ function addPurchaseOrder(dataObj, langCode, login_user_id, bodyobj) {
         if (vendorsAssociatedArray && vendorsAssociatedArray[vendor_id]) {
           order["vendor_detail"] = vendorsAssociatedArray[vendor_id];
         }
+        // CGST + SGST or IGST from the vendor's state and the site's
+        addOrderGSTDetails(order);
 
         order.prHistory = [];
 
@@ -1010,7 +1058,8 @@ async function addLocalPurchaseOrder(input, langCode, login_user_id) {
   };
 
   //console.log("newPurchaseOrder", newPurchaseOrder.vendor_detail);
-  newPurchaseOrder = addGSTDetails(newPurchaseOrder);
+  // CGST + SGST or IGST from the vendor's state and the site's
+  newPurchaseOrder = addOrderGSTDetails(newPurchaseOrder);
 
   newPurchaseOrder.prHistory = [];
 
@@ -1101,63 +1150,6 @@ function formatToFourDigits(number) {
   return number.toString().padStart(4, "0");
 }
 
-function addGSTDetails(poDetails) {
-  // Extract the first two digits of the billing company's GST number
-  const billingGST = poDetails.billing_address.gst_number || "";
-  const billingGSTStateCode = billingGST.replace(/\s+/g, "").slice(0, 2);
-
-  // Define default GST structure if vendor GST is missing
-  const defaultGST = {
-    type: "Default",
-    CGST: 0,
-    SGST: 0,
-    IGST: 0,
-  };
-
-  // Iterate over vendors_total to add GST details based on conditions
-
-  const vendorGST = poDetails.vendor_detail.gst_number || "";
-  const gstRate = poDetails.vendors_total.gstAmount || 0;
-  //console.log(gstRate);
-  if (vendorGST) {
-    const vendorGSTStateCode = vendorGST.replace(/\s+/g, "").slice(0, 2);
-
-    //console.log(billingGSTStateCode, vendorGSTStateCode)
-    if (billingGSTStateCode === vendorGSTStateCode) {
-      //console.log("here, intraSatate");
-      // Intrastate: Split GST into CGST and SGST
-      poDetails.vendors_total.GSTDetails = {
-        type: "Intrastate",
-        CGST: gstRate / 2,
-        SGST: gstRate / 2,
-        IGST: 0,
-      };
-      //console.log(poDetails.vendors_total);
-    } else {
-      //console.log("here, interState");
-      // Interstate: Use IGST
-      poDetails.vendors_total.GSTDetails = {
-        type: "Interstate",
-        CGST: 0,
-        SGST: 0,
-        IGST: gstRate,
-      };
-
-      //console.log(poDetails.vendors_total);
-    }
-  } else {
-    // Vendor GST is missing: Use default GST setup
-    poDetails.vendors_total.GSTDetails = {
-      type: "NO GST",
-      GST: gstRate,
-    };
-    //console.log(poDetails.vendors_total);
-  }
-
-  //console.log(poDetails);
-  return poDetails;
-}
-
 async function getUsersBySiteId(siteId) {
   if (!siteId) {
     console.warn("Invalid siteId provided:", siteId);
@@ -1169,7 +1161,7 @@ async function getUsersBySiteId(siteId) {
 
     //console.log(`Fetched ${users.length} users for siteId: ${siteId}`);
 
-    return users;
+    return await addOutOfOfficeDelegates(users); // Stand-ins for users on leave
   } catch (error) {
     console.error("Error fetching users:", error);
     return []; // Returning an empty array instead of throwing an error
@@ -5,6 +5,8 @@
  * - Vendor validation (PAN, GST duplicate checking)
  * - Bulk vendor upload via CSV
  * - Vendor code generation
+ * - Performance scorecards (libs/vendorScorecard.js)
+ * - Document compliance on the vendor details (libs/vendorCompliance.js)
  * - Caching for performance optimization
  */
 
@@ -28,6 +30,16 @@ const {
   invalidateEntityList,
 } = require("../../utils/cache");
 const { MASTER_DATA } = require("../../libs/cacheConfig");
+const VendorScorecard = require("../../models/VendorScorecard");
+const {
+  getPeriodRange,
+  toPeriod,
+  computeScorecards,
+  refreshScorecards,
+  getLatestScores,
+} = require("../../libs/vendorScorecard");
+const { getVendorCompliance } = require("../../libs/vendorCompliance");
+const { normaliseTaxId, validateTaxDetails, assertValidTaxDetails } = require("../../libs/gstin");
 
 // Export all controller functions
 module.exports = {
@@ -37,7 +49,9 @@ module.exports = {
   getDetails,
   getList,
   uploadCSV,
-  getVendorCode
+  getVendorCode,
+  getScorecard,
+  getScorecards,
 };
 
 /**
@@ -46,6 +60,8 @@ module.exports = {
  * Creates a new vendor with duplicate validation for PAN and GST numbers
  * 
  * Validation Rules:
+ * - GST and PAN numbers must be well formed, and the GSTIN must match the PAN
+ *   and address.state (libs/gstin.js)
  * - GST number must be unique across all vendors
  * - PAN number must be unique across all vendors
  * - Cannot have both PAN and GST as duplicates
@@ -65,8 +81,12 @@ async function createData(req, res) {
     reqObj.updated_by = reqObj.login_user_id;
 
     reqObj.companyIdf = req.user.companyIdf;
+    if (reqObj.gst_number !== undefined) reqObj.gst_number = normaliseTaxId(reqObj.gst_number);
+    if (reqObj.pan_number !== undefined) reqObj.pan_number = normaliseTaxId(reqObj.pan_number);
     const { pan_number, gst_number, langCode } = reqObj;
     let existingVendorWithGST;
+
+    assertValidTaxDetails({ gst_number, pan_number, state: reqObj.address && reqObj.address.state });
     
     // Step 1: Check if GST number already exists (if provided)
     if (gst_number !== "") {
@@ -137,6 +157,8 @@ async function createData(req, res) {
  * Updates an existing vendor with duplicate validation for PAN and GST numbers
  * 
  * Validation Rules (same as create):
+ * - GST and PAN numbers are checked as on create, together with the stored
+ *   values of the fields not being changed
  * - GST number must be unique (excluding current vendor)
  * - PAN number must be unique (excluding current vendor)
  * 
@@ -151,6 +173,8 @@ async function createData(req, res) {
 async function updateData(req, res) {
   try {
     let reqObj = req.body;
+    if (reqObj.gst_number !== undefined) reqObj.gst_number = normaliseTaxId(reqObj.gst_number);
+    if (reqObj.pan_number !== undefined) reqObj.pan_number = normaliseTaxId(reqObj.pan_number);
     const { _id, pan_number, gst_number, langCode, login_user_id } = reqObj;
     
     // Validate vendor ID
@@ -162,6 +186,21 @@ async function updateData(req, res) {
       };
     }
 
+    // Check GST / PAN against the vendor as it will be after the update
+    if (gst_number !== undefined || pan_number !== undefined || reqObj.address) {
+      const existingVendor = await VendorSchema.findOne(
+        { _id: ObjectID(_id), companyIdf: req.user.companyIdf },
+        "gst_number pan_number address.state"
+      ).lean();
+      if (existingVendor) {
+        assertValidTaxDetails({
+          gst_number: gst_number !== undefined ? gst_number : existingVendor.gst_number,
+          pan_number: pan_number !== undefined ? pan_number : existingVendor.pan_number,
+          state: reqObj.address ? reqObj.address.state : existingVendor.address && existingVendor.address.state,
+        });
+      }
+    }
+
     // Prepare update data with user tracking
     const requestedData = { ...reqObj, updated_by: login_user_id };
 
@@ -326,12 +365,15 @@ async function deleteData(req, res) {
  * Get Vendor Details
  * GET /api/web/vendor
  * Retrieves detailed information about a specific vendor by ID
- * Uses caching for performance optimization
+ * Uses caching for performance optimization; the scorecard and compliance
+ * are read fresh
  * 
  * @param {String} req.query._id - Vendor ID (required)
  * @param {String} req.body.langCode - Language code for response messages
  * 
- * @returns {Object} Vendor details with populated references
+ * @returns {Object} Vendor details with populated references, scorecard
+ *                   (latest monthly scorecard, null until one is computed)
+ *                   and compliance (document states, blocked)
  */
 async function getDetails(req, res) {
   try {
@@ -351,79 +393,86 @@ async function getDetails(req, res) {
     const cacheKey = `vendor:${_id}`;
 
     // 🔹 TRY CACHE
-    const cachedData = await getCache(cacheKey);
-    if (cachedData) {
-      return res.status(200).json(cachedData);
-    }
-
-    let recordDetail = await VendorSchema.aggregate([
-      { $match: { _id: ObjectID(_id), companyIdf: ObjectID(req.user.companyIdf) } },
-      {
-        $lookup: {
-          from: "categories",
-          localField: "category",
-          foreignField: "_id",
-          as: "categoryDetail",
+    let recordDetail = await getCache(cacheKey);
+    if (!recordDetail) {
+      recordDetail = await VendorSchema.aggregate([
+        { $match: { _id: ObjectID(_id), companyIdf: ObjectID(req.user.companyIdf) } },
+        {
+          $lookup: {
+            from: "categories",
+            localField: "category",
+            foreignField: "_id",
+            as: "categoryDetail",
+          },
         },
-      },
-      {
-        $project: {
-          vendor_name: 1,
-          category: 1,
-          SubCategory: 1,
-          code: 1,
-          Uniquecode: 1,
-          address: 1,
-          contact_person: 1,
-          dialcode: 1,
-          phone_number: 1,
-          gst_number: 1,
-          pan_number: 1,
-          MSME_number: 1,
-          scope: 1,
-          vendor_type: 1,
-          email: 1,
-          payment_terms: 1,
-          terms_condition: 1,
-          created_at: 1,
-          updated_at: 1,
-          created_by: 1,
-          updated_by: 1,
-          categoryDetail: { $arrayElemAt: ["$categoryDetail", 0] },
+        {
+          $project: {
+            vendor_name: 1,
+            category: 1,
+            SubCategory: 1,
+            code: 1,
+            Uniquecode: 1,
+            address: 1,
+            contact_person: 1,
+            dialcode: 1,
+            phone_number: 1,
+            gst_number: 1,
+            pan_number: 1,
+            MSME_number: 1,
+            scope: 1,
+            vendor_type: 1,
+            email: 1,
+            payment_terms: 1,
+            terms_condition: 1,
+            created_at: 1,
+            updated_at: 1,
+            created_by: 1,
+            updated_by: 1,
+            categoryDetail: { $arrayElemAt: ["$categoryDetail", 0] },
+          },
         },
-      },
-      {
-        $project: {
-          vendor_name: 1,
-          category: 1,
-          code: 1,
-          Uniquecode: 1,
-          SubCategory: 1,
-          address: 1,
-          contact_person: 1,
-          dialcode: 1,
-          phone_number: 1,
-          gst_number: 1,
-          pan_number: 1,
-          MSME_number: 1,
-          scope: 1,
-          vendor_type: 1,
-          email: 1,
-          payment_terms: 1,
-          terms_condition: 1,
-          created_at: 1,
-          updated_at: 1,
-          created_by: 1,
-          updated_by: 1,
-          "categoryDetail._id": 1,
-          "categoryDetail.name": 1,
-          "categoryDetail.code": 1,
+        {
+          $project: {
+            vendor_name: 1,
+            category: 1,
+            code: 1,
+            Uniquecode: 1,
+            SubCategory: 1,
+            address: 1,
+            contact_person: 1,
+            dialcode: 1,
+            phone_number: 1,
+            gst_number: 1,
+            pan_number: 1,
+            MSME_number: 1,
+            scope: 1,
+            vendor_type: 1,
+            email: 1,
+            payment_terms: 1,
+            terms_condition: 1,
+            created_at: 1,
+            updated_at: 1,
+            created_by: 1,
+            updated_by: 1,
+            "categoryDetail._id": 1,
+            "categoryDetail.name": 1,
+            "categoryDetail.code": 1,
+          },
         },
-      },
-    ]);
+      ]);
+      await setCache(cacheKey, recordDetail, MASTER_DATA);
+    }
 
     if (recordDetail) {
-      await setCache(cacheKey, recordDetail, MASTER_DATA);
+      const [scores, compliance] = await Promise.all([
+        getLatestScores(req.user.companyIdf, [_id]),
+        getVendorCompliance(req.user.companyIdf, [_id]),
+      ]);
+      recordDetail = recordDetail.map((o) => ({
+        ...o,
+        scorecard: scores[String(o._id)] || null,
+        compliance: compliance[String(o._id)] || null,
+      }));
       res
         .status(200)
         .json(
@@ -655,7 +704,155 @@ async function getList(req, res) {
   }
 }
 
+/**
+ * Get Vendor Scorecard
+ * GET /api/web/vendor/scorecard
+ * A vendor's scorecard for a date range, computed live, or else their
+ * monthly scorecards
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (required)
+ * @param {String} req.query.from - Range start date (optional, with to)
+ * @param {String} req.query.to - Range end date, inclusive (optional, with from)
+ * @param {Number} req.query.months - Monthly scorecards to return (optional, default: 12)
+ *
+ * @returns {Object} { vendor_id, from, to, ...metrics, score } for a range,
+ *                   else { vendor_id, latest, history }
+ */
+async function getScorecard(req, res) {
+  try {
+    const { vendor_id, from, to } = req.query;
+    if (!vendor_id || !ObjectID.isValid(vendor_id)) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
 
+    const vendor = await VendorSchema.findOne({ _id: ObjectID(vendor_id), companyIdf: req.user.companyIdf }, "_id").lean();
+    if (!vendor) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    let result;
+    if (from || to) {
+      const start = new Date(from);
+      const end = new Date(to);
+      if (isNaN(start) || isNaN(end) || start > end) {
+        throw {
+          errors: [],
+          message: "from and to must be valid dates, from before to",
+          statusCode: 400,
+        };
+      }
+      end.setDate(end.getDate() + 1);
+      const [card] = await computeScorecards(req.user.companyIdf, { from: start, to: end, vendorIds: [vendor_id] });
+      result = { ...card, from: start, to: new Date(end - 1) };
+    } else {
+      const history = await VendorScorecard.find({ companyIdf: req.user.companyIdf, vendor_id: ObjectID(vendor_id) })
+        .sort({ period: -1 })
+        .limit(Math.min(parseInt(req.query.months) || 12, 60))
+        .lean();
+      result = {
+        vendor_id,
+        latest: history.find((o) => o.score !== null) || null,
+        history,
+      };
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          result,
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Vendor Scorecards
+ * GET /api/web/vendor/scorecards
+ * Vendors ranked by score for a month. A month without stored scorecards is
+ * computed on the spot.
+ *
+ * @param {String} req.query.period - Month as YYYY-MM (optional, default: current month)
+ * @param {Number} req.query.min_score - Only vendors scoring at least this (optional)
+ * @param {String} req.query.category - Only vendors of this category (optional)
+ * @param {Boolean} req.query.refresh - "true" to recompute the month first (optional)
+ *
+ * @returns {Array} Scorecards with vendor_name and code, best score first
+ */
+async function getScorecards(req, res) {
+  try {
+    const period = req.query.period || toPeriod(new Date());
+    getPeriodRange(period);
+
+    const filter = { companyIdf: req.user.companyIdf, period };
+    let cards = req.query.refresh === "true" ? null : await VendorScorecard.find(filter).lean();
+    if (!cards || !cards.length) {
+      cards = await refreshScorecards(req.user.companyIdf, period);
+    }
+
+    const vendors = await VendorSchema.find(
+      {
+        _id: { $in: cards.map((o) => o.vendor_id) },
+        companyIdf: req.user.companyIdf,
+        ...(req.query.category && { category: String(req.query.category) }),
+      },
+      "vendor_name code category"
+    ).lean();
+    const vendorMap = new Map(vendors.map((o) => [String(o._id), o]));
+
+    const minScore = req.query.min_score === undefined ? null : Number(req.query.min_score);
+    const data = cards
+      .filter((o) => vendorMap.has(String(o.vendor_id)))
+      .filter((o) => minScore === null || (o.score !== null && o.score >= minScore))
+      .map((o) => {
+        const vendor = vendorMap.get(String(o.vendor_id));
+        return { ...o, vendor_name: vendor.vendor_name, code: vendor.code };
+      })
+      .sort((a, b) => (b.score === null ? -1 : b.score) - (a.score === null ? -1 : a.score));
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          data,
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
 
 async function uploadCSV(req, res) {
   try {
@@ -677,19 +874,33 @@ async function uploadCSV(req, res) {
         try {
           //console.log("Parsed CSV data:", results);
 
-          const { processedData, errors } = await processCSVData(results);
+          const { processedData, rows, errors } = await processCSVData(
+            results,
+            req.body.langCode,
+            req.user.companyIdf
+          );
 
           let savedVendors = [];
           if (processedData.length > 0) {
             //console.log("Change this", processedData);
 
-            // Attempt database insertion and catch any errors
+            // Rows that fail to save are reported with the validation errors
             try {
-              savedVendors = await VendorSchema.insertMany(processedData);
-              //console.log("Data successfully saved to database:", processedData);
+              savedVendors = await VendorSchema.insertMany(processedData, { ordered: false });
             } catch (dbError) {
-              //console.error("Error inserting data into database:", dbError);
+              savedVendors = dbError.insertedDocs || [];
+              (dbError.writeErrors || [dbError]).forEach((writeError) => {
+                const vendorData = processedData[writeError.index] || {};
+                errors.push({
+                  row: rows[writeError.index],
+                  vendor_name: vendorData.vendor_name || "Unknown",
+                  error: writeError.errmsg || writeError.message,
+                  errors: [],
+                  details: vendorData,
+                });
+              });
             }
+            if (savedVendors.length > 0) await invalidateEntityList("vendor");
           }
 
           // Delete the file after processing
@@ -742,10 +953,25 @@ async function uploadCSV(req, res) {
   }
 }
 
-async function processCSVData(data, langCode) {
+/**
+ * Process CSV Data
+ * Turns uploaded CSV rows into vendor records, checking each row as vendor
+ * creation does (GST / PAN format, GSTIN vs PAN and state, duplicates)
+ *
+ * @param {Array} data - Parsed CSV rows
+ * @param {String} langCode - Language code for error messages
+ * @param {ObjectId} companyIdf - Company the vendors are imported into
+ *
+ * @returns {Object} { processedData, rows, errors } rows holds the CSV line
+ *   number (the header is line 1) of each processed vendor; errors are
+ *   [{ row, vendor_name, error, errors: [{ field, message }], details }]
+ */
+async function processCSVData(data, langCode, companyIdf) {
   const processedData = [];
+  const rows = [];
   const errors = [];
   const existingVendors = new Set();
+  const existingGstNumbers = new Set();
 
   // Fetch countries and states
   let Country;
@@ -792,24 +1018,40 @@ async function processCSVData(data, langCode) {
     Contractor: "C",
   };
 
-  for (const row of data) {
+  for (const [index, row] of data.entries()) {
     try {
-      const vendorName = row.vendor_name.trim();
-      const gstNumber = row.gst_number?.trim();
-      const panNumber = row.pan_number?.trim();
+      const vendorName = (row.vendor_name || "").trim();
+      const gstNumber = normaliseTaxId(row.gst_number);
+      const panNumber = normaliseTaxId(row.pan_number);
       const vendorType = row.vendor_type;
       const scope = row.scope;
 
       if (existingVendors.has(vendorName.toLowerCase())) {
         throw new Error(`Duplicate vendor: ${vendorName}`);
       }
+      if (gstNumber && existingGstNumbers.has(gstNumber)) {
+        throw new Error(`Duplicate GST number in file: ${gstNumber}`);
+      }
+
+      const taxErrors = validateTaxDetails({
+        gst_number: gstNumber,
+        pan_number: panNumber,
+        state: row.address_state,
+      });
+      if (taxErrors.length > 0) {
+        throw {
+          errors: taxErrors,
+          message: taxErrors.map((o) => o.message).join("; "),
+          statusCode: 400,
+        };
+      }
 
       const existingVendorWithGST = gstNumber
-        ? await VendorSchema.findOne({ gst_number: gstNumber })
+        ? await VendorSchema.findOne({ gst_number: gstNumber, companyIdf })
         : null;
 
       const existingVendorWithPAN = panNumber
-        ? await VendorSchema.findOne({ pan_number: panNumber })
+        ? await VendorSchema.findOne({ pan_number: panNumber, companyIdf })
         : null;
 
       if (existingVendorWithPAN && !gstNumber) {
@@ -840,7 +1082,11 @@ async function processCSVData(data, langCode) {
       //console.log("Checking Payload",row.address_Country);
      
     
-      const cityCode = City.find((c)=>c.name===row.address_city).city_code;
+      const city = City.find((c) => c.name === row.address_city);
+      if (!city) {
+        throw new Error(`Unknown city: ${row.address_city || ""}`);
+      }
+      const cityCode = city.city_code;
       const formattedVendorCodeCounter = formatVendorCode(vendorCodeCounter);
 
       const scopeCode = scopeMap[scope] || "";
@@ -849,6 +1095,7 @@ async function processCSVData(data, langCode) {
       const combinedCode = `${vendorTypeCode}${scopeCode}${cityCode}${formattedVendorCodeCounter}`;
       //console.log("checking vendorCOunter", vendorCodeCounter);
       const vendorData = {
+        companyIdf,
         vendor_name: vendorName,
         contact_person: row.contact_person,
         dialcode: parseInt(row.dialcode),
@@ -910,18 +1157,24 @@ async function processCSVData(data, langCode) {
         }
       }
 
+      await new VendorSchema(vendorData).validate();
+
       processedData.push(vendorData);
+      rows.push(index + 2);
       existingVendors.add(vendorName.toLowerCase());
+      if (gstNumber) existingGstNumbers.add(gstNumber);
     } catch (error) {
       errors.push({
+        row: index + 2,
         vendor_name: row.vendor_name || "Unknown",
         error: error.message || error.message.message,
+        errors: error.errors || [],
         details: row,
       });
     }
   }
 
-  return { processedData, errors };
+  return { processedData, rows, errors };
 }
 
 async function getCountriesAndStates() {
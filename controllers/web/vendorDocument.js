@@ -0,0 +1,620 @@
+/**
+ * Vendor Document Controller
+ * Handles the vendor compliance document vault including:
+ * - Uploading GST certificate, PAN card, MSME certificate, cancelled cheque
+ *   and bank details, with issue and expiry dates
+ * - Verifying or rejecting uploaded documents
+ * - Each vendor's compliance state (expiring, expired, blocked)
+ *
+ * A vendor whose mandatory documents have expired is blocked from new rate
+ * approvals and POs (libs/vendorCompliance.js); expiry alerts are sent by
+ * jobs/vendorDocumentExpiry.js.
+ */
+
+const { VendorDocument, DocumentTypes } = require("../../models/VendorDocument");
+const VendorSchema = require("../../models/Vendor");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const { uploadToS3 } = require("../../utils/s3");
+const { deleteCache, invalidateEntity, invalidateEntityList } = require("../../utils/cache");
+const { isExpired, getComplianceSettings, getVendorCompliance } = require("../../libs/vendorCompliance");
+const { normaliseTaxId, assertValidTaxDetails } = require("../../libs/gstin");
+
+// Export all controller functions
+module.exports = {
+  getList,
+  getCompliance,
+  saveData,
+  verifyData,
+  deleteData,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Vendor master field kept in step with the verified document number
+const VENDOR_NUMBER_FIELDS = {
+  gst_certificate: "gst_number",
+  pan_card: "pan_number",
+  msme_certificate: "MSME_number",
+};
+
+// Document types that carry bank details
+const BANK_DOCUMENT_TYPES = ["cancelled_cheque", "bank_details"];
+
+/**
+ * Parse an optional date field
+ *
+ * @param {*} value
+ * @param {String} field - Field name for the error message
+ * @returns {Date|null|undefined} undefined when not sent, null when cleared
+ */
+function parseDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw {
+      errors: [],
+      message: `${field} is not a valid date`,
+      statusCode: 400,
+    };
+  }
+  return date;
+}
+
+/**
+ * Parse bank details (a JSON string in multipart requests)
+ *
+ * @param {Object|String} value
+ * @returns {Object|undefined}
+ */
+function parseBankDetails(value) {
+  if (value === undefined || value === "") return undefined;
+  let details = value;
+  if (typeof details === "string") {
+    try {
+      details = JSON.parse(details);
+    } catch (err) {
+      details = null;
+    }
+  }
+  if (!details || typeof details !== "object") {
+    throw {
+      errors: [],
+      message: "bank_details must be an object",
+      statusCode: 400,
+    };
+  }
+  const ifsc = String(details.ifsc_code || "").trim().toUpperCase();
+  if (ifsc && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) {
+    throw {
+      errors: [],
+      message: "bank_details.ifsc_code is not a valid IFSC",
+      statusCode: 400,
+    };
+  }
+  return {
+    account_holder_name: details.account_holder_name || "",
+    bank_name: details.bank_name || "",
+    branch: details.branch || "",
+    account_number: String(details.account_number || "").trim(),
+    ifsc_code: ifsc,
+  };
+}
+
+/**
+ * Load a document of the company or throw
+ *
+ * @param {String} id - Document ID
+ * @param {Object} req - Request (for companyIdf and langCode)
+ * @returns {Promise<Object>} Document (lean)
+ */
+async function findDocument(id, req) {
+  const langCode = req.query.langCode || req.body.langCode;
+  if (!id || !ObjectID.isValid(id)) {
+    throw {
+      errors: [],
+      message: responseMessage(langCode, "ID_MISSING"),
+      statusCode: 412,
+    };
+  }
+  const doc = await VendorDocument.findOne({ _id: ObjectID(id), companyIdf: req.user.companyIdf }).lean();
+  if (!doc) {
+    throw {
+      errors: [],
+      message: responseMessage(langCode, "NO_RECORD_FOUND"),
+      statusCode: 404,
+    };
+  }
+  return doc;
+}
+
+/**
+ * Document as returned to the client
+ *
+ * @param {Object} doc - Document (lean)
+ * @param {Date} now
+ * @returns {Object} Document with is_expired
+ */
+function toResponse(doc, now = new Date()) {
+  return { ...doc, is_expired: isExpired(doc, now) };
+}
+
+/**
+ * Clear cached vendor data after the vendor master changed
+ * @param {ObjectId} vendorId
+ */
+async function clearVendorCache(vendorId) {
+  await invalidateEntity("vendor");
+  await invalidateEntityList("vendor");
+  await deleteCache(`vendor:${vendorId}`);
+}
+
+/**
+ * Get Vendor Documents
+ * GET /api/web/vendor/documents
+ * Newest first
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (optional)
+ * @param {String} req.query.document_type - Document type (optional)
+ * @param {String} req.query.status - pending, verified or rejected (optional)
+ * @param {Number} req.query.expiring_within - Only documents expiring within this many days, expired ones included (optional)
+ *
+ * @returns {Array} Documents with is_expired
+ */
+async function getList(req, res) {
+  try {
+    const filter = { companyIdf: req.user.companyIdf };
+    if (req.query.vendor_id) {
+      if (!ObjectID.isValid(req.query.vendor_id)) {
+        throw {
+          errors: [],
+          message: responseMessage(req.query.langCode, "ID_MISSING"),
+          statusCode: 412,
+        };
+      }
+      filter.vendor_id = ObjectID(req.query.vendor_id);
+    }
+    if (req.query.document_type) filter.document_type = req.query.document_type;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.expiring_within !== undefined) {
+      const days = Number(req.query.expiring_within);
+      if (!(days >= 0)) {
+        throw {
+          errors: [],
+          message: "expiring_within must be a number of days",
+          statusCode: 400,
+        };
+      }
+      filter.expiry_date = { $ne: null, $lte: new Date(Date.now() + days * DAY) };
+    }
+
+    const docs = await VendorDocument.find(filter)
+      .populate("vendor_id", "vendor_name code")
+      .sort({ created_at: -1 })
+      .lean();
+
+    const now = new Date();
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          docs.map((o) => toResponse(o, now)),
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Vendor Compliance
+ * GET /api/web/vendor/compliance
+ * One vendor's compliance, or every vendor with documents
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (optional)
+ * @param {String} req.query.filter - "blocked", or "attention" for blocked, expired or expiring (optional)
+ *
+ * @returns {Object} { settings, compliance }: compliance is the vendor's
+ *                   { vendor_id, vendor_name, code, blocked, expired_documents, expiring_documents, documents },
+ *                   or an array of them without vendor_id
+ */
+async function getCompliance(req, res) {
+  try {
+    const { vendor_id, filter } = req.query;
+    if (vendor_id && !ObjectID.isValid(vendor_id)) {
+      throw {
+        errors: [],
+        message: responseMessage(req.query.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const [compliance, settings] = await Promise.all([
+      getVendorCompliance(req.user.companyIdf, vendor_id ? [vendor_id] : undefined),
+      getComplianceSettings(req.user.companyIdf),
+    ]);
+    const vendors = await VendorSchema.find(
+      {
+        _id: { $in: Object.keys(compliance).map((id) => ObjectID(id)) },
+        companyIdf: req.user.companyIdf,
+      },
+      "vendor_name code"
+    ).lean();
+
+    let result = vendors.map((vendor) => ({
+      vendor_id: vendor._id,
+      vendor_name: vendor.vendor_name,
+      code: vendor.code,
+      ...compliance[String(vendor._id)],
+    }));
+
+    if (vendor_id) {
+      if (!result.length) {
+        throw {
+          errors: [],
+          message: responseMessage(req.query.langCode, "NO_RECORD_FOUND"),
+          statusCode: 404,
+        };
+      }
+      result = result[0];
+    } else if (filter === "blocked") {
+      result = result.filter((o) => o.blocked);
+    } else if (filter === "attention") {
+      result = result.filter((o) => o.blocked || o.expired_documents.length || o.expiring_documents.length);
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { settings, compliance: result },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Save Vendor Document
+ * POST /api/web/vendor/documents
+ * multipart/form-data or JSON. Creates a document, or updates one when _id is
+ * sent. New and edited documents are pending until verified. Verified
+ * documents can't be edited; to renew one upload a new document.
+ *
+ * @param {String} req.body._id - Document ID to update (optional)
+ * @param {String} req.body.vendor_id - Vendor ID (required on create)
+ * @param {String} req.body.document_type - gst_certificate, pan_card, msme_certificate, cancelled_cheque or bank_details (required on create)
+ * @param {String} req.body.document_number - GSTIN, PAN, MSME or cheque number (optional)
+ * @param {Object|String} req.body.bank_details - { account_holder_name, bank_name, branch, account_number, ifsc_code } (cancelled_cheque, bank_details)
+ * @param {String} req.body.issue_date - Issue date (optional)
+ * @param {String} req.body.expiry_date - Expiry date (optional, empty = does not expire)
+ * @param {Array} req.files - Document files; on update they replace the previous files (optional)
+ * @param {String} req.body.login_user_id - User saving the document
+ *
+ * @returns {Object} Saved document
+ */
+async function saveData(req, res) {
+  try {
+    let reqObj = req.body;
+    const userId = reqObj.login_user_id || req.user.id;
+    const existing = reqObj._id ? await findDocument(reqObj._id, req) : null;
+    if (existing && existing.status === "verified") {
+      throw {
+        errors: [],
+        message: "A verified document can't be edited; upload the renewed document instead",
+        statusCode: 400,
+      };
+    }
+
+    const update = {};
+    if (reqObj.document_number !== undefined) {
+      update.document_number = String(reqObj.document_number).trim().toUpperCase();
+    }
+    const issueDate = parseDate(reqObj.issue_date, "issue_date");
+    if (issueDate !== undefined) update.issue_date = issueDate;
+    const expiryDate = parseDate(reqObj.expiry_date, "expiry_date");
+    if (expiryDate !== undefined) update.expiry_date = expiryDate;
+    const bankDetails = parseBankDetails(reqObj.bank_details);
+    if (bankDetails) update.bank_details = bankDetails;
+
+    const files = [];
+    for (const file of req.files || []) {
+      files.push(await uploadToS3(file, "vendor-documents"));
+    }
+    if (files.length) update.files = files;
+
+    const issue = update.issue_date !== undefined ? update.issue_date : existing && existing.issue_date;
+    const expiry = update.expiry_date !== undefined ? update.expiry_date : existing && existing.expiry_date;
+    if (issue && expiry && expiry < issue) {
+      throw {
+        errors: [],
+        message: "expiry_date must be after issue_date",
+        statusCode: 400,
+      };
+    }
+
+    let doc;
+    if (existing) {
+      // A rejected document goes back for checking, and a new expiry date re-arms the alerts
+      update.status = "pending";
+      update.updated_by = userId;
+      if (update.expiry_date !== undefined && String(update.expiry_date) !== String(existing.expiry_date)) {
+        update.expiry_alert_sent_at = null;
+        update.expired_alert_sent_at = null;
+      }
+
+      doc = await VendorDocument.findOneAndUpdate(
+        { _id: existing._id, companyIdf: req.user.companyIdf },
+        {
+          $set: update,
+          $push: { history: { status: "pending", updated_by: req.user.id, remarks: "Edited" } },
+        },
+        { new: true, runValidators: true }
+      ).lean();
+    } else {
+      if (!DocumentTypes.includes(reqObj.document_type)) {
+        throw {
+          errors: [],
+          message: `document_type must be one of ${DocumentTypes.join(", ")}`,
+          statusCode: 400,
+        };
+      }
+      if (!reqObj.vendor_id || !ObjectID.isValid(reqObj.vendor_id)) {
+        throw {
+          errors: [],
+          message: responseMessage(reqObj.langCode, "ID_MISSING"),
+          statusCode: 412,
+        };
+      }
+      const vendor = await VendorSchema.findOne(
+        { _id: ObjectID(reqObj.vendor_id), companyIdf: req.user.companyIdf },
+        "_id"
+      ).lean();
+      if (!vendor) {
+        throw {
+          errors: [],
+          message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+          statusCode: 404,
+        };
+      }
+      if (BANK_DOCUMENT_TYPES.includes(reqObj.document_type)) {
+        if (!bankDetails || !bankDetails.account_number || !bankDetails.ifsc_code) {
+          throw {
+            errors: [],
+            message: "bank_details with account_number and ifsc_code is required",
+            statusCode: 400,
+          };
+        }
+      }
+      if (reqObj.document_type !== "bank_details" && !files.length) {
+        throw {
+          errors: [],
+          message: "Attach the document file",
+          statusCode: 400,
+        };
+      }
+
+      doc = (
+        await VendorDocument.create({
+          ...update,
+          companyIdf: req.user.companyIdf,
+          vendor_id: vendor._id,
+          document_type: reqObj.document_type,
+          status: "pending",
+          history: [{ status: "pending", updated_by: req.user.id, remarks: "Uploaded" }],
+          created_by: userId,
+          updated_by: userId,
+        })
+      ).toObject();
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          toResponse(doc),
+          responseMessage(reqObj.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.log(error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Verify Vendor Document
+ * PUT /api/web/vendor/documents/verify
+ * Verifies or rejects a pending document. Verifying a GST certificate, PAN
+ * card or MSME certificate also sets the vendor's gst_number, pan_number or
+ * MSME_number to its document number; a GSTIN or PAN must first pass the
+ * vendor checks (libs/gstin.js) against the vendor's other number and state.
+ *
+ * @param {String} req.body._id - Document ID (required)
+ * @param {String} req.body.action - verify or reject (required)
+ * @param {String} req.body.remarks - Remarks (required to reject)
+ *
+ * @returns {Object} Updated document
+ */
+async function verifyData(req, res) {
+  try {
+    let reqObj = req.body;
+    const doc = await findDocument(reqObj._id, req);
+
+    if (!["verify", "reject"].includes(reqObj.action)) {
+      throw {
+        errors: [],
+        message: "action must be verify or reject",
+        statusCode: 400,
+      };
+    }
+    if (doc.status !== "pending") {
+      throw {
+        errors: [],
+        message: `The document is already ${doc.status}`,
+        statusCode: 400,
+      };
+    }
+    if (reqObj.action === "reject" && !reqObj.remarks) {
+      throw {
+        errors: [],
+        message: "remarks are required to reject a document",
+        statusCode: 400,
+      };
+    }
+    if (reqObj.action === "verify" && isExpired(doc)) {
+      throw {
+        errors: [],
+        message: "The document has already expired; upload the renewed one",
+        statusCode: 400,
+      };
+    }
+
+    const numberField = VENDOR_NUMBER_FIELDS[doc.document_type];
+    if (reqObj.action === "verify" && ["gst_number", "pan_number"].includes(numberField) && doc.document_number) {
+      const vendor = await VendorSchema.findOne(
+        { _id: doc.vendor_id, companyIdf: req.user.companyIdf },
+        "gst_number pan_number address.state"
+      ).lean();
+      assertValidTaxDetails({
+        gst_number: (vendor && vendor.gst_number) || "",
+        pan_number: (vendor && vendor.pan_number) || "",
+        state: vendor && vendor.address && vendor.address.state,
+        [numberField]: normaliseTaxId(doc.document_number),
+      });
+    }
+
+    const status = reqObj.action === "verify" ? "verified" : "rejected";
+    const updated = await VendorDocument.findOneAndUpdate(
+      { _id: doc._id, companyIdf: req.user.companyIdf, status: "pending" },
+      {
+        $set: {
+          status,
+          remarks: reqObj.remarks || "",
+          verified_by: req.user.id,
+          verified_at: new Date(),
+          updated_by: reqObj.login_user_id || req.user.id,
+        },
+        $push: { history: { status, updated_by: req.user.id, remarks: reqObj.remarks || "" } },
+      },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      throw {
+        errors: [],
+        message: "The document was changed meanwhile, reload and try again",
+        statusCode: 409,
+      };
+    }
+
+    if (status === "verified" && numberField && updated.document_number) {
+      const number = numberField === "MSME_number" ? updated.document_number : normaliseTaxId(updated.document_number);
+      await VendorSchema.updateOne(
+        { _id: updated.vendor_id, companyIdf: req.user.companyIdf },
+        { $set: { [numberField]: number } }
+      );
+      await clearVendorCache(updated.vendor_id);
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          toResponse(updated),
+          responseMessage(reqObj.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.log(error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Delete Vendor Document
+ * DELETE /api/web/vendor/documents
+ * Only pending or rejected documents; verified ones stay on file
+ *
+ * @param {String} req.query._id - Document ID (required)
+ *
+ * @returns {Object} Removed document
+ */
+async function deleteData(req, res) {
+  try {
+    const doc = await findDocument(req.query._id || req.body._id, req);
+    if (doc.status === "verified") {
+      throw {
+        errors: [],
+        message: "A verified document can't be deleted",
+        statusCode: 400,
+      };
+    }
+    await VendorDocument.deleteOne({ _id: doc._id, companyIdf: req.user.companyIdf });
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          toResponse(doc),
+          responseMessage(req.query.langCode || req.body.langCode, "RECORD_DELETED"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
@@ -0,0 +1,612 @@
+/**
+ * Vendor Payment Controller
+ * Handles vendor payables and payments including:
+ * - Payment vouchers against one or more DMR invoices, full or partial
+ * - TDS deduction and adjustment of settled debit notes / unapplied credit notes
+ * - Outstanding invoices with due dates from the vendor's payment terms
+ * - Vendor ageing report and ledger statement
+ *
+ * Due dates, ageing and the ledger are worked out in libs/payables.js; the
+ * ledger statement PDF is generated by pdf/templates/vendorLedger.js.
+ */
+
+const { PaymentVoucher, PaymentModes } = require("../../models/PaymentVoucher");
+const DMREntrySchema = require("../../models/dmrEntry");
+const DebitNote = require("../../models/DebitNote");
+const CreditNote = require("../../models/CreditNote");
+const VendorSchema = require("../../models/Vendor");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const {
+  getCache,
+  setCache,
+  invalidateEntity,
+  invalidateEntityList,
+} = require("../../utils/cache");
+const { TRANSACTIONAL } = require("../../libs/cacheConfig");
+const { runInTransaction } = require("../../utils/transaction");
+const {
+  round,
+  getOutstandingInvoices,
+  getAdjustableNotes,
+  getAgeing: buildAgeing,
+  getVendorLedger,
+} = require("../../libs/payables");
+const { allocateNextNumber } = require("./utilityController");
+
+// Export all controller functions
+module.exports = {
+  getList,
+  getDetails,
+  createData,
+  cancelData,
+  getOutstanding,
+  getAgeing,
+  getLedger,
+};
+
+/**
+ * Load a vendor of the caller's company or throw
+ *
+ * @param {String} vendorId - Vendor ID
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Vendor
+ */
+async function findVendor(vendorId, req) {
+  if (!vendorId || !ObjectID.isValid(vendorId)) {
+    throw {
+      errors: [],
+      message: "Missing required fields: vendor_id",
+      statusCode: 400,
+    };
+  }
+
+  const vendor = await VendorSchema.findOne(
+    { _id: ObjectID(vendorId), companyIdf: req.user.companyIdf },
+    "vendor_name payment_terms"
+  ).lean();
+  if (!vendor) {
+    throw {
+      errors: [],
+      message: "Vendor not found",
+      statusCode: 404,
+    };
+  }
+  return vendor;
+}
+
+/**
+ * Apply Voucher
+ * Adds (direction 1) or reverses (direction -1) a voucher's amounts on its
+ * invoices and adjusted notes, inside the caller's transaction
+ *
+ * @param {Object} voucher - Payment voucher
+ * @param {Number} direction - 1 to post, -1 to reverse
+ * @param {ClientSession} session - Transaction session
+ */
+async function applyVoucher(voucher, direction, session) {
+  for (const line of voucher.invoices) {
+    const entry = await DMREntrySchema.findOne({ _id: line.dmr_entry_id, companyIdf: voucher.companyIdf }).session(session);
+    if (!entry) continue;
+
+    entry.amount_paid = Math.max(round((entry.amount_paid || 0) + direction * line.amount), 0);
+    const invoiceAmount = round(entry.vendorInvoiceTotal || entry.TotalAmount || 0);
+    entry.payment_status =
+      entry.amount_paid <= 0 ? "unpaid" : entry.amount_paid >= invoiceAmount ? "paid" : "partial";
+    await entry.save({ session });
+  }
+
+  for (const adjustment of voucher.adjustments) {
+    const Model = adjustment.type === "debit_note" ? DebitNote : CreditNote;
+    await Model.updateOne(
+      { _id: adjustment.note_id, companyIdf: voucher.companyIdf },
+      { $inc: { adjusted_amount: direction * adjustment.amount } },
+      { session }
+    );
+  }
+}
+
+/**
+ * Create Payment Voucher
+ * POST /api/web/payment-voucher
+ * Records a payment to a vendor against one or more outstanding invoices.
+ * What is applied to the invoices is settled by TDS, note adjustments and
+ * the net amount paid.
+ *
+ * @param {String} req.body.vendor_id - Vendor ID (required)
+ * @param {Array} req.body.invoices - [{ dmr_entry_id, amount }] (required)
+ * @param {String} req.body.payment_mode - NEFT, RTGS, IMPS, UPI, Cheque, Cash or Other (required)
+ * @param {String} req.body.payment_date - Payment date (optional, default: today)
+ * @param {String} req.body.reference_number - UTR / cheque number (optional)
+ * @param {Object} req.body.tds - { section, rate, base_amount } (optional, base defaults to the gross amount)
+ * @param {Array} req.body.adjustments - [{ type: "debit_note"|"credit_note", note_id, amount }] (optional)
+ * @param {String} req.body.remarks - Remarks (optional)
+ * @param {String} req.body.login_user_id - User recording the payment
+ *
+ * @returns {Object} Created payment voucher
+ */
+async function createData(req, res) {
+  try {
+    let reqObj = req.body;
+    const { vendor_id, invoices, payment_mode, tds = {}, adjustments = [] } = reqObj;
+
+    await findVendor(vendor_id, req);
+    if (!Array.isArray(invoices) || invoices.length === 0 || !PaymentModes.includes(payment_mode)) {
+      throw {
+        errors: [],
+        message: `Missing required fields: invoices, payment_mode (${PaymentModes.join(", ")})`,
+        statusCode: 400,
+      };
+    }
+    const tdsRate = Number(tds.rate) || 0;
+    if (tdsRate < 0 || tdsRate > 100) {
+      throw {
+        errors: [],
+        message: "TDS rate must be between 0 and 100",
+        statusCode: 400,
+      };
+    }
+
+    const userId = reqObj.login_user_id || req.user.id;
+
+    const newData = await runInTransaction(async (session) => {
+      const outstanding = await getOutstandingInvoices(req.user.companyIdf, { vendor_id }, session);
+      const notes = await getAdjustableNotes(req.user.companyIdf, vendor_id, session);
+
+      // Each line is checked against the invoice's outstanding on its own, so an
+      // invoice or note may be listed only once
+      const lines = invoices.map((line, index) => {
+        const invoice = outstanding.find((o) => String(o.dmr_entry_id) === String(line.dmr_entry_id));
+        const amount = round(line.amount);
+        if (!invoice) {
+          throw {
+            errors: [],
+            message: "Invoice not found or already paid for this vendor",
+            statusCode: 400,
+          };
+        }
+        if (invoices.findIndex((o) => String(o.dmr_entry_id) === String(line.dmr_entry_id)) !== index) {
+          throw {
+            errors: [],
+            message: `Invoice ${invoice.invoice_number} is listed more than once`,
+            statusCode: 400,
+          };
+        }
+        if (invoice.payment_blocked) {
+          throw {
+            errors: [],
+            message: `Invoice ${invoice.invoice_number} has unresolved three-way match exceptions`,
+            statusCode: 400,
+          };
+        }
+        if (amount <= 0 || amount > invoice.outstanding) {
+          throw {
+            errors: [],
+            message: `Amount for invoice ${invoice.invoice_number} must be between 0 and the outstanding ${invoice.outstanding}`,
+            statusCode: 400,
+          };
+        }
+        return {
+          dmr_entry_id: invoice.dmr_entry_id,
+          dmr_no: invoice.dmr_no,
+          invoice_number: invoice.invoice_number,
+          invoice_date: invoice.invoice_date,
+          due_date: invoice.due_date,
+          invoice_amount: invoice.invoice_amount,
+          outstanding_before: invoice.outstanding,
+          amount,
+        };
+      });
+
+      const adjustmentLines = adjustments.map((adjustment, index) => {
+        const note = notes.find((o) => o.type === adjustment.type && String(o.note_id) === String(adjustment.note_id));
+        const amount = round(adjustment.amount);
+        if (note && adjustments.findIndex((o) => o.type === adjustment.type && String(o.note_id) === String(adjustment.note_id)) !== index) {
+          throw {
+            errors: [],
+            message: `${note.note_number} is listed more than once`,
+            statusCode: 400,
+          };
+        }
+        if (!note || amount <= 0 || amount > note.available) {
+          throw {
+            errors: [],
+            message: note
+              ? `Adjustment for ${note.note_number} must be between 0 and the available ${note.available}`
+              : "Debit/credit note not found or nothing left to adjust",
+            statusCode: 400,
+          };
+        }
+        return { type: note.type, note_id: note.note_id, note_number: note.note_number, amount };
+      });
+
+      const gross_amount = round(lines.reduce((sum, o) => sum + o.amount, 0));
+      const base_amount = tds.base_amount !== undefined ? round(tds.base_amount) : gross_amount;
+      const tdsAmount = round((base_amount * tdsRate) / 100);
+      const adjustment_total = round(adjustmentLines.reduce((sum, o) => sum + o.amount, 0));
+      const net_amount = round(gross_amount - tdsAmount - adjustment_total);
+      if (net_amount < 0) {
+        throw {
+          errors: [],
+          message: "TDS and adjustments exceed the amount applied to the invoices",
+          statusCode: 400,
+        };
+      }
+
+      // Allocated in the transaction: concurrent payments get distinct numbers
+      // and an aborted one does not use one up
+      const voucher_number = await allocateNextNumber("payment_voucher", req.user.companyIdf, session);
+      const [voucher] = await PaymentVoucher.create(
+        [
+          {
+            companyIdf: req.user.companyIdf,
+            voucher_number,
+            vendor_id: ObjectID(vendor_id),
+            payment_date: reqObj.payment_date || new Date(),
+            payment_mode,
+            reference_number: reqObj.reference_number || "",
+            invoices: lines,
+            gross_amount,
+            tds: { section: tds.section || "", rate: tdsRate, base_amount, amount: tdsAmount },
+            adjustments: adjustmentLines,
+            adjustment_total,
+            net_amount,
+            remarks: reqObj.remarks || "",
+            created_by: userId,
+            updated_by: userId,
+          },
+        ],
+        { session }
+      );
+
+      await applyVoucher(voucher, 1, session);
+      return voucher;
+    });
+
+    await invalidateEntityList("paymentvoucher");
+    await invalidateEntity("DMRENTRY");
+    await invalidateEntityList("DMRENTRY");
+
+    res.status(200).json(await Response.success(newData, responseMessage(reqObj.langCode, "RECORD_CREATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Cancel Payment Voucher
+ * PUT /api/web/payment-voucher/cancel
+ * Reverses a payment: the invoices become outstanding again and the
+ * adjusted notes can be used on another voucher
+ *
+ * @param {String} req.body._id - Payment voucher ID (required)
+ * @param {String} req.body.reason - Cancellation reason (required)
+ *
+ * @returns {Object} Cancelled payment voucher
+ */
+async function cancelData(req, res) {
+  try {
+    let reqObj = req.body;
+
+    if (!reqObj._id || !ObjectID.isValid(reqObj._id)) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+    if (!reqObj.reason || !String(reqObj.reason).trim()) {
+      throw {
+        errors: [],
+        message: "Cancellation reason is required",
+        statusCode: 400,
+      };
+    }
+
+    const updatedData = await runInTransaction(async (session) => {
+      const voucher = await PaymentVoucher.findOne({ _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf }).session(session);
+      if (!voucher) {
+        throw {
+          errors: [],
+          message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+          statusCode: 412,
+        };
+      }
+      if (voucher.status !== "paid") {
+        throw {
+          errors: [],
+          message: `Cannot cancel a payment voucher that is ${voucher.status}`,
+          statusCode: 400,
+        };
+      }
+
+      await applyVoucher(voucher, -1, session);
+
+      voucher.status = "cancelled";
+      voucher.cancelled_by = req.user.id;
+      voucher.cancelled_at = new Date();
+      voucher.cancel_reason = reqObj.reason;
+      voucher.updated_by = reqObj.login_user_id || req.user.id;
+      return voucher.save({ session });
+    });
+
+    await invalidateEntity("paymentvoucher");
+    await invalidateEntityList("paymentvoucher");
+    await invalidateEntity("DMRENTRY");
+    await invalidateEntityList("DMRENTRY");
+
+    res.status(200).json(await Response.success(updatedData, responseMessage(reqObj.langCode, "RECORD_UPDATED"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Payment Voucher List
+ * GET /api/web/payment-voucher
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (optional)
+ * @param {String} req.query.status - paid or cancelled (optional)
+ * @param {String} req.query.startDate - Payment date from (optional)
+ * @param {String} req.query.endDate - Payment date to (optional)
+ * @param {Number} req.query.page - Page number (optional)
+ * @param {Number} req.query.per_page - Items per page (optional)
+ *
+ * @returns {Object} { data, meta }
+ */
+async function getList(req, res) {
+  try {
+    const reqObj = req.body;
+    let { page, per_page, vendor_id, status, startDate, endDate } = req.query;
+
+    page = parseInt(page);
+    per_page = parseInt(per_page);
+    const hasPagination = page > 0 && per_page > 0;
+
+    const cacheKey = `paymentvoucher:list:${req.user.companyIdf}:${JSON.stringify(req.query)}`;
+    const cachedData = await getCache(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(await Response.success(cachedData, responseMessage(reqObj.langCode, "SUCCESS"), req));
+    }
+
+    let matchQuery = { companyIdf: req.user.companyIdf };
+    if (vendor_id && ObjectID.isValid(vendor_id)) matchQuery.vendor_id = ObjectID(vendor_id);
+    if (status) matchQuery.status = status;
+    if (startDate || endDate) {
+      matchQuery.payment_date = {};
+      if (startDate) matchQuery.payment_date.$gte = new Date(new Date(startDate).setHours(0, 0, 0, 0));
+      if (endDate) matchQuery.payment_date.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+    }
+
+    const total = await PaymentVoucher.countDocuments(matchQuery);
+
+    let dataQuery = PaymentVoucher.find(matchQuery)
+      .populate("vendor_id", "vendor_name code")
+      .sort({ voucher_number: -1 });
+
+    if (hasPagination) {
+      dataQuery = dataQuery.skip((page - 1) * per_page).limit(per_page);
+    }
+
+    const data = await dataQuery.lean();
+
+    const responsePayload = {
+      data,
+      meta: hasPagination
+        ? {
+            total,
+            page,
+            per_page,
+            total_pages: Math.ceil(total / per_page),
+          }
+        : { total },
+    };
+
+    await setCache(cacheKey, responsePayload, TRANSACTIONAL);
+
+    return res.status(200).json(await Response.success(responsePayload, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Payment Voucher Details
+ * GET /api/web/payment-voucher/detail?_id=
+ *
+ * @param {String} req.query._id - Payment voucher ID (required)
+ *
+ * @returns {Object} Payment voucher with vendor populated
+ */
+async function getDetails(req, res) {
+  try {
+    const reqObj = req.body;
+    const { _id } = req.query;
+
+    if (!_id || !ObjectID.isValid(_id)) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const cacheKey = `paymentvoucher:details:${_id}`;
+    let recordDetail = await getCache(cacheKey);
+    if (!recordDetail) {
+      recordDetail = await PaymentVoucher.findOne({ _id: ObjectID(_id), companyIdf: req.user.companyIdf })
+        .populate("vendor_id", "vendor_name code payment_terms")
+        .populate("cancelled_by", "name")
+        .lean();
+
+      if (!recordDetail) {
+        throw {
+          errors: [],
+          message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+          statusCode: 412,
+        };
+      }
+      await setCache(cacheKey, recordDetail, TRANSACTIONAL);
+    }
+
+    res.status(200).json(await Response.success(recordDetail, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Outstanding Payables
+ * GET /api/web/vendor-payables/outstanding
+ * A vendor's unpaid invoices (oldest due first) and the notes that can be
+ * adjusted, to build a payment voucher from
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (required)
+ * @param {String} req.query.site - Site ID (optional)
+ *
+ * @returns {Object} { vendor, invoices, notes, total_outstanding }
+ */
+async function getOutstanding(req, res) {
+  try {
+    const reqObj = req.body;
+    const { vendor_id, site } = req.query;
+
+    const vendor = await findVendor(vendor_id, req);
+    const [invoices, notes] = await Promise.all([
+      getOutstandingInvoices(req.user.companyIdf, { vendor_id, site }),
+      getAdjustableNotes(req.user.companyIdf, vendor_id),
+    ]);
+
+    const data = {
+      vendor,
+      invoices,
+      notes,
+      total_outstanding: round(invoices.reduce((sum, o) => sum + o.outstanding, 0)),
+    };
+
+    res.status(200).json(await Response.success(data, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Vendor Ageing
+ * GET /api/web/vendor-payables/ageing
+ * Outstanding per vendor by days past due: not due, 0-30, 31-60, 61-90, 90+
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (optional)
+ * @param {String} req.query.site - Site ID (optional)
+ * @param {String} req.query.as_of - Ageing date (optional, default: today)
+ *
+ * @returns {Object} { buckets, vendors, totals }
+ */
+async function getAgeing(req, res) {
+  try {
+    const reqObj = req.body;
+    const { vendor_id, site, as_of } = req.query;
+
+    if ((vendor_id && !ObjectID.isValid(vendor_id)) || (as_of && isNaN(new Date(as_of)))) {
+      throw {
+        errors: [],
+        message: "Invalid vendor_id or as_of",
+        statusCode: 400,
+      };
+    }
+
+    const data = await buildAgeing(req.user.companyIdf, { vendor_id, site, as_of });
+
+    res.status(200).json(await Response.success(data, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Vendor Ledger
+ * GET /api/web/vendor-payables/ledger
+ * Invoices, payments, TDS and note adjustments with a running balance
+ *
+ * @param {String} req.query.vendor_id - Vendor ID (required)
+ * @param {String} req.query.from - Statement from date (optional)
+ * @param {String} req.query.to - Statement to date (optional)
+ *
+ * @returns {Object} { vendor, opening_balance, entries, total_debit, total_credit, closing_balance }
+ */
+async function getLedger(req, res) {
+  try {
+    const reqObj = req.body;
+    const { vendor_id, from, to } = req.query;
+
+    const vendor = await findVendor(vendor_id, req);
+    const ledger = await getVendorLedger(req.user.companyIdf, vendor_id, { from, to });
+
+    res.status(200).json(await Response.success({ vendor, ...ledger }, responseMessage(reqObj.langCode, "SUCCESS"), req));
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
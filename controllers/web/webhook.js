@@ -0,0 +1,480 @@
+/**
+ * Webhook Controller
+ * Handles the company's outbound webhook subscriptions including:
+ * - Subscription CRUD (URL, event types, signing secret)
+ * - The delivery log with status, attempts and the last response's status code
+ * - Manually redelivering a logged delivery
+ *
+ * Events are raised by libs/notifications.js (every notification type) and by
+ * the DMR entry and site transfer controllers, and delivered by libs/webhooks.js.
+ */
+
+const { WebhookSubscription, WebhookDelivery, DeliveryStatus } = require("../../models/Webhook");
+const Response = require("../../libs/response");
+const { responseMessage } = require("../../libs/responseMessages");
+const ObjectID = require("mongodb").ObjectID;
+const { WEBHOOK_EVENTS, MAX_ATTEMPTS, generateSecret, resolveReceiver, redeliver } = require("../../libs/webhooks");
+
+// Export all controller functions
+module.exports = {
+  getEvents,
+  getList,
+  getDetails,
+  saveData,
+  deleteData,
+  getDeliveries,
+  redeliverData,
+};
+
+/**
+ * Hide all but the last characters of a subscription secret
+ *
+ * @param {Object} subscription - Subscription (lean)
+ * @returns {Object} Subscription with secret masked
+ */
+function maskSecret(subscription) {
+  return { ...subscription, secret: `${"*".repeat(8)}${String(subscription.secret || "").slice(-4)}` };
+}
+
+/**
+ * Validate a receiver URL
+ * It must resolve to public addresses only (libs/webhooks.js resolveReceiver)
+ *
+ * @param {String} url
+ * @returns {Promise<String>} Normalised URL
+ */
+async function validateUrl(url) {
+  const { target } = await resolveReceiver(url);
+  return target.toString();
+}
+
+/**
+ * Validate subscription event types
+ *
+ * @param {Array<String>} events
+ * @returns {Array<String>} Unique event types
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw {
+      errors: [],
+      message: "At least one event is required",
+      statusCode: 400,
+    };
+  }
+  const unknown = events.filter((event) => event !== "*" && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length) {
+    throw {
+      errors: [],
+      message: `Unknown event type(s): ${unknown.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+  return [...new Set(events)];
+}
+
+/**
+ * Load a subscription of the caller's company or throw
+ *
+ * @param {String} id - Subscription ID
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Subscription (lean)
+ */
+async function findSubscription(id, req) {
+  const langCode = req.body.langCode || req.query.langCode;
+  if (!id || !ObjectID.isValid(id)) {
+    throw {
+      errors: [],
+      message: responseMessage(langCode, "ID_MISSING"),
+      statusCode: 412,
+    };
+  }
+
+  const subscription = await WebhookSubscription.findOne({
+    _id: ObjectID(id),
+    companyIdf: req.user.companyIdf,
+  }).lean();
+  if (!subscription) {
+    throw {
+      errors: [],
+      message: responseMessage(langCode, "NO_RECORD_FOUND"),
+      statusCode: 404,
+    };
+  }
+  return subscription;
+}
+
+/**
+ * Get Webhook Events
+ * GET /api/web/webhooks/events
+ *
+ * @returns {Object} { events, max_attempts }
+ */
+async function getEvents(req, res) {
+  try {
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { events: WEBHOOK_EVENTS, max_attempts: MAX_ATTEMPTS },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Webhook Subscriptions
+ * GET /api/web/webhooks
+ * Secrets are masked
+ *
+ * @returns {Array} Subscriptions of the company, newest first
+ */
+async function getList(req, res) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ companyIdf: req.user.companyIdf })
+      .sort({ created_at: -1 })
+      .lean();
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          subscriptions.map(maskSecret),
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Webhook Subscription Details
+ * GET /api/web/webhooks/detail
+ * Includes delivery counts by status
+ *
+ * @param {String} req.query._id - Subscription ID (required)
+ *
+ * @returns {Object} Subscription (secret masked) with delivery_counts
+ */
+async function getDetails(req, res) {
+  try {
+    const subscription = await findSubscription(req.query._id, req);
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { companyIdf: subscription.companyIdf, subscription_id: subscription._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+    const delivery_counts = {};
+    DeliveryStatus.forEach((status) => {
+      const row = counts.find((o) => o._id === status);
+      delivery_counts[status] = row ? row.count : 0;
+    });
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { ...maskSecret(subscription), delivery_counts },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Save Webhook Subscription
+ * POST /api/web/webhooks
+ * Creates a subscription, or updates one when _id is sent. The secret is
+ * generated by the server and returned in full only when it is created or
+ * rotated; store it then to verify X-Webhook-Signature.
+ *
+ * @param {String} req.body._id - Subscription ID to update (optional)
+ * @param {String} req.body.url - Receiver URL, http or https (required on create)
+ * @param {Array<String>} req.body.events - Event types, or ["*"] for all (required on create)
+ * @param {String} req.body.name - Label (optional)
+ * @param {Boolean} req.body.isActive - Set false to pause deliveries (optional)
+ * @param {Boolean} req.body.rotate_secret - Generate a new secret (optional)
+ * @param {String} req.body.login_user_id - User saving the subscription
+ *
+ * @returns {Object} Saved subscription
+ */
+async function saveData(req, res) {
+  try {
+    let reqObj = req.body;
+    const userId = reqObj.login_user_id || req.user.id;
+    let subscription;
+    let revealSecret = false;
+
+    if (reqObj._id) {
+      await findSubscription(reqObj._id, req);
+
+      const update = { updated_by: userId };
+      if (reqObj.url !== undefined) update.url = await validateUrl(reqObj.url);
+      if (reqObj.events !== undefined) update.events = validateEvents(reqObj.events);
+      if (reqObj.name !== undefined) update.name = reqObj.name;
+      if (reqObj.isActive !== undefined) update.isActive = reqObj.isActive !== false;
+      if (reqObj.rotate_secret) {
+        update.secret = generateSecret();
+        revealSecret = true;
+      }
+
+      subscription = await WebhookSubscription.findOneAndUpdate(
+        { _id: ObjectID(reqObj._id), companyIdf: req.user.companyIdf },
+        { $set: update },
+        { new: true, runValidators: true }
+      ).lean();
+    } else {
+      subscription = (
+        await WebhookSubscription.create({
+          companyIdf: req.user.companyIdf,
+          name: reqObj.name || "",
+          url: await validateUrl(reqObj.url),
+          events: validateEvents(reqObj.events),
+          secret: generateSecret(),
+          isActive: reqObj.isActive !== false,
+          created_by: userId,
+          updated_by: userId,
+        })
+      ).toObject();
+      revealSecret = true;
+    }
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          revealSecret ? subscription : maskSecret(subscription),
+          responseMessage(reqObj.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    console.log(error);
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Delete Webhook Subscription
+ * DELETE /api/web/webhooks
+ * Pending retries of the subscription are marked failed; the delivery log is kept
+ *
+ * @param {String} req.query._id - Subscription ID (required)
+ *
+ * @returns {Object} Removed subscription (secret masked)
+ */
+async function deleteData(req, res) {
+  try {
+    const subscription = await findSubscription(req.query._id || req.body._id, req);
+
+    await WebhookSubscription.deleteOne({ _id: subscription._id, companyIdf: req.user.companyIdf });
+    await WebhookDelivery.updateMany(
+      { subscription_id: subscription._id, status: { $in: ["pending", "retrying"] } },
+      { $set: { status: "failed", error: "Subscription deleted" } }
+    );
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          maskSecret(subscription),
+          responseMessage(req.query.langCode || req.body.langCode, "RECORD_UPDATED"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Get Webhook Deliveries
+ * GET /api/web/webhooks/deliveries
+ * Delivery log, newest first
+ *
+ * @param {String} req.query.subscription_id - Subscription ID (optional)
+ * @param {String} req.query.status - Delivery status, or comma-separated statuses (optional)
+ * @param {String} req.query.event - Event type (optional)
+ * @param {Boolean} req.query.include_payload - "true" to include the posted body (optional)
+ * @param {Number} req.query.page - Page number (optional, default: 1)
+ * @param {Number} req.query.per_page - Items per page (optional, default: 20)
+ *
+ * @returns {Object} { data, total, page, per_page }
+ */
+async function getDeliveries(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const per_page = Math.min(parseInt(req.query.per_page) || 20, 100);
+
+    const filter = { companyIdf: req.user.companyIdf };
+    if (req.query.subscription_id) {
+      if (!ObjectID.isValid(req.query.subscription_id)) {
+        throw {
+          errors: [],
+          message: responseMessage(req.query.langCode, "ID_MISSING"),
+          statusCode: 412,
+        };
+      }
+      filter.subscription_id = ObjectID(req.query.subscription_id);
+    }
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(",") };
+    }
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    const [data, total] = await Promise.all([
+      // response_body: logged by earlier versions, no longer returned
+      WebhookDelivery.find(filter, req.query.include_payload === "true" ? { response_body: 0 } : { payload: 0, response_body: 0 })
+        .sort({ created_at: -1 })
+        .skip((page - 1) * per_page)
+        .limit(per_page)
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          { data, total, page, per_page },
+          responseMessage(req.query.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
+
+/**
+ * Redeliver Webhook
+ * POST /api/web/webhooks/redeliver
+ * Sends a logged delivery's payload again, as a new delivery with its own ID
+ * and retries, and returns the outcome of its first attempt
+ *
+ * @param {String} req.body._id - Delivery ID (required)
+ * @param {String} req.body.login_user_id - User requesting the redelivery
+ *
+ * @returns {Object} New delivery
+ */
+async function redeliverData(req, res) {
+  try {
+    let reqObj = req.body;
+    if (!reqObj._id || !ObjectID.isValid(reqObj._id)) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "ID_MISSING"),
+        statusCode: 412,
+      };
+    }
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: ObjectID(reqObj._id),
+      companyIdf: req.user.companyIdf,
+    }).lean();
+    if (!delivery) {
+      throw {
+        errors: [],
+        message: responseMessage(reqObj.langCode, "NO_RECORD_FOUND"),
+        statusCode: 404,
+      };
+    }
+
+    const subscription = await findSubscription(delivery.subscription_id, req);
+    if (!subscription.isActive) {
+      throw {
+        errors: [],
+        message: "Webhook subscription is disabled",
+        statusCode: 400,
+      };
+    }
+
+    const redelivery = await redeliver(delivery, reqObj.login_user_id || req.user.id);
+
+    res
+      .status(200)
+      .json(
+        await Response.success(
+          redelivery,
+          responseMessage(reqObj.langCode, "SUCCESS"),
+          req
+        )
+      );
+  } catch (error) {
+    return res.status(error.statusCode || 422).json(
+      await Response.errors(
+        {
+          errors: error.errors,
+          message: error.message,
+        },
+        error,
+        req
+      )
+    );
+  }
+}
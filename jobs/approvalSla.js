@@ -0,0 +1,377 @@
+/**
+ * Approval SLA Job
+ * Reminds and escalates purchase requests, rate approvals and purchase orders
+ * that have been waiting on an approver for too long
+ *
+ * Each pending approval step has an SLA (ApprovalWorkflow step sla_hours). Its
+ * timer runs from the prHistory entry that put the document in front of the
+ * approver: the submission for the first level, the previous level's approval
+ * after that.
+ * - First breach: the step's approvers get a reminder email
+ * - Second breach: the step is escalated to the approvers of the next level
+ *   (superadmin on the last level), who are emailed and can approve it too
+ *
+ * Approvers are resolved from the site's users (getUsersBySiteId) and the
+ * Site.roles assignments, plus any delegates of the step and the out-of-office
+ * stand-ins (libs/outOfOffice.js) of those approvers. Escalation to a role
+ * such as superadmin also reaches users of that role not assigned to the site.
+ *
+ * Run standalone: npm run check:approval-sla
+ */
+
+const mongoose = require("mongoose");
+const PurchaseRequest = require("../models/PurchaseRequest");
+const RateApprovalSchema = require("../models/RateApproval");
+const PurchaseOrderSchema = require("../models/PurchaseOrder");
+const SiteSchema = require("../models/site");
+const User = require("../models/User");
+const { sendMail } = require("../libs/mailer");
+const { getApprovalState, getEscalationTarget, filterApprovers } = require("../libs/approvalEngine");
+const { getUsersBySiteId } = require("../controllers/web/purchaseRequest");
+
+const HOUR = 60 * 60 * 1000;
+const accessPath = process.env.ACCESS_PATH;
+
+/**
+ * Documents that can be waiting on an approver, by document type
+ * @type {Object}
+ */
+const PENDING_DOCUMENTS = {
+  purchase_request: {
+    model: PurchaseRequest,
+    query: { status: { $in: ["pending", "revised"] } },
+    label: (doc) => `Requisition Request ${doc.purchase_request_number}`,
+    link: (doc) => `${accessPath}/procurement/update/${doc._id}`,
+  },
+  rate_approval: {
+    model: RateApprovalSchema,
+    query: { stage: "rate_approval", status: { $in: ["pending", "revised"] } },
+    label: (doc) => `Rate Comparative ${doc.rate_approval_number} (RR ${doc.purchase_request_number})`,
+    link: (doc) => `${accessPath}/rate-approval/update/${doc._id}`,
+  },
+  purchase_order: {
+    model: PurchaseOrderSchema,
+    query: { status: "ApprovalPending" },
+    label: (doc) => `Requisition Order ${doc.po_number}`,
+    link: (doc) => `${accessPath}/purchase-order/approve/${doc._id}`,
+  },
+};
+
+/**
+ * Get Pending Approvals
+ * Every pending approval step of a company with its SLA position
+ *
+ * @param {ObjectId} companyIdf - Company ID (required)
+ * @param {Object} filter - Optional narrowing
+ * @param {String} filter.document_type - purchase_request, rate_approval or purchase_order
+ * @param {String} filter.site - Site ID
+ *
+ * @returns {Array} [{ document_type, doc, state, step_index, started_at, due_at, breaches, overdue_hours }]
+ */
+async function getPendingApprovals(companyIdf, { document_type, site } = {}) {
+  const now = Date.now();
+  const pending = [];
+
+  for (const [documentType, config] of Object.entries(PENDING_DOCUMENTS)) {
+    if (document_type && document_type !== documentType) continue;
+
+    const query = { ...config.query, companyIdf: mongoose.Types.ObjectId(companyIdf) };
+    if (site) query.site = mongoose.Types.ObjectId(site);
+    const docs = await config.model.find(query).sort({ updated_at: 1 }).lean();
+
+    for (const doc of docs) {
+      const state = await getApprovalState(documentType, doc);
+      if (state.status !== "in_progress") continue;
+
+      state.steps.forEach((step, step_index) => {
+        if (step.status !== "pending") return;
+
+        const started_at = new Date(step.started_at || state.started_at);
+        const sla = (Number(step.sla_hours) || 0) * HOUR;
+        const elapsed = now - started_at.getTime();
+        pending.push({
+          document_type: documentType,
+          doc,
+          state,
+          step_index,
+          started_at,
+          due_at: sla ? new Date(started_at.getTime() + sla) : null,
+          breaches: sla ? Math.floor(elapsed / sla) : 0,
+          overdue_hours: sla && elapsed > sla ? Math.round(((elapsed - sla) / HOUR) * 10) / 10 : 0,
+        });
+      });
+    }
+  }
+
+  return pending;
+}
+
+/**
+ * Get Step Approvers
+ * Users who can act on a pending step, and whom it escalates to
+ *
+ * @param {Object} doc - Document being approved
+ * @param {Object} step - Pending step
+ * @param {Object} siteCache - Map of site ID to { users, site }, shared across calls
+ *
+ * @returns {Object} { approvers, escalation_approvers }
+ */
+async function getStepApprovers(doc, step, siteCache = new Map()) {
+  const siteId = String(doc.site);
+  if (!siteCache.has(siteId)) {
+    const [users, site] = await Promise.all([
+      getUsersBySiteId(doc.site),
+      SiteSchema.findOne({ _id: doc.site, companyIdf: doc.companyIdf }, "roles site_name").lean(),
+    ]);
+    siteCache.set(siteId, {
+      users: users.filter((u) => String(u.companyIdf) === String(doc.companyIdf)),
+      site,
+    });
+  }
+  const { users, site } = siteCache.get(siteId);
+
+  const delegateIds = (step.delegates || []).map((o) => String(o.user_id));
+  const approvers = withOutOfOfficeDelegates(
+    [...filterApprovers(step, users, site), ...users.filter((u) => delegateIds.includes(String(u._id)))],
+    users
+  );
+
+  let escalation_approvers = [];
+  if (step.escalation && step.escalation.escalated_at) {
+    const roleUsers = (step.escalation.approver_roles || []).length
+      ? await User.find(
+          {
+            companyIdf: doc.companyIdf,
+            role: { $in: step.escalation.approver_roles },
+            _id: { $nin: users.map((u) => u._id) },
+          },
+          "name email role"
+        ).lean()
+      : [];
+    escalation_approvers = withOutOfOfficeDelegates(
+      filterApprovers(step.escalation, [...users, ...roleUsers], site),
+      users
+    );
+  }
+
+  return { approvers, escalation_approvers };
+}
+
+/**
+ * Approvers plus the site users standing in for any of them while they're
+ * out of office (getUsersBySiteId marks those with on_behalf_of), deduplicated
+ *
+ * @param {Array} approvers - Users
+ * @param {Array} users - Site users
+ * @returns {Array} Users
+ */
+function withOutOfOfficeDelegates(approvers, users) {
+  const ids = approvers.map((u) => String(u._id));
+  return [
+    ...approvers,
+    ...users.filter((u) => (u.on_behalf_of || []).some((id) => ids.includes(String(id)))),
+  ].filter((u, i, list) => list.findIndex((o) => String(o._id) === String(u._id)) === i);
+}
+
+/**
+ * Get Overdue Approvals
+ * Pending approval steps past their SLA, most overdue first (dashboard)
+ *
+ * @param {ObjectId} companyIdf - Company ID (required)
+ * @param {Object} filter - { document_type, site } (optional)
+ *
+ * @returns {Array} Overdue approvals with the approvers they wait on
+ */
+async function getOverdueApprovals(companyIdf, filter = {}) {
+  const pending = (await getPendingApprovals(companyIdf, filter)).filter((o) => o.breaches > 0);
+  const siteCache = new Map();
+
+  const overdue = [];
+  for (const o of pending) {
+    const step = o.state.steps[o.step_index];
+    const { approvers, escalation_approvers } = await getStepApprovers(o.doc, step, siteCache);
+    const toUser = (u) => ({ _id: u._id, name: u.name, role: u.role });
+
+    overdue.push({
+      document_type: o.document_type,
+      _id: o.doc._id,
+      title: PENDING_DOCUMENTS[o.document_type].label(o.doc),
+      site: o.doc.site,
+      status: o.doc.status,
+      step: step.name,
+      level: step.level,
+      started_at: o.started_at,
+      due_at: o.due_at,
+      sla_hours: step.sla_hours,
+      overdue_hours: o.overdue_hours,
+      reminders_sent: step.reminders_sent || 0,
+      escalated: !!(step.escalation && step.escalation.escalated_at),
+      approvers: approvers.map(toUser),
+      escalation_approvers: escalation_approvers.map(toUser),
+    });
+  }
+
+  return overdue.sort((a, b) => b.overdue_hours - a.overdue_hours);
+}
+
+/**
+ * Send SLA Email
+ * Reminder to the approvers, or escalation to the next level's approvers
+ *
+ * @param {Object} pending - Pending approval (from getPendingApprovals)
+ * @param {Array} to - Recipients
+ * @param {Array} cc - CC recipients
+ * @param {Boolean} escalation - Whether this is the escalation email
+ */
+async function sendSlaEmail(pending, to, cc, escalation) {
+  const config = PENDING_DOCUMENTS[pending.document_type];
+  const step = pending.state.steps[pending.step_index];
+  const title = config.label(pending.doc);
+
+  const emails = [...new Set(to.map((u) => u.email).filter(Boolean))];
+  if (emails.length === 0) return false;
+
+  await sendMail({
+    to: emails.join(","),
+    cc: [...new Set(cc.map((u) => u.email).filter(Boolean))].join(",") || undefined,
+    subject: escalation
+      ? `Escalated - ${title} awaiting ${step.name} approval`
+      : `Reminder - ${title} awaiting your approval`,
+    html: `
+        <p>Dear Team,</p>
+        <p><strong>${title}</strong> has been waiting for <strong>${step.name}</strong> approval since
+        ${pending.started_at.toLocaleString("en-IN")}, ${pending.overdue_hours} hour(s) past its ${step.sla_hours} hour SLA.</p>
+        ${
+          escalation
+            ? "<p>It has been escalated to you and you can now approve it.</p>"
+            : ""
+        }
+        <p>Click <a href="${config.link(pending.doc)}">here</a> to review it.</p>
+        <p style="margin-top:20px">Thank you.</p>
+      `,
+  });
+  return true;
+}
+
+/**
+ * Check Approval SLA
+ * Sends the reminders and escalations due for one company
+ *
+ * @param {ObjectId} companyIdf - Company ID (required)
+ *
+ * @returns {Object} { checked, reminded, escalated }
+ */
+async function checkApprovalSla(companyIdf) {
+  const pending = await getPendingApprovals(companyIdf);
+  const siteCache = new Map();
+  let reminded = 0;
+  let escalated = 0;
+
+  for (const o of pending) {
+    const step = o.state.steps[o.step_index];
+    const sent = step.reminders_sent || 0;
+    const escalate = o.breaches >= 2 && !(step.escalation && step.escalation.escalated_at);
+    const remind = !escalate && o.breaches >= 1 && sent === 0;
+    if (!escalate && !remind) continue;
+
+    try {
+      if (escalate) {
+        step.escalation = { ...getEscalationTarget(o.state, step), escalated_at: new Date() };
+      }
+      const { approvers, escalation_approvers } = await getStepApprovers(o.doc, step, siteCache);
+      if (escalate) {
+        await sendSlaEmail(o, escalation_approvers, approvers, true);
+      } else {
+        await sendSlaEmail(o, approvers, [], false);
+      }
+
+      step.reminders_sent = sent + 1;
+      step.last_reminded_at = new Date();
+
+      // Only touch the state this run read, so a concurrent approval wins
+      const { model } = PENDING_DOCUMENTS[o.document_type];
+      if (o.doc.approval) {
+        await model.updateOne(
+          {
+            _id: o.doc._id,
+            "approval.status": "in_progress",
+            "approval.started_at": o.doc.approval.started_at,
+            [`approval.steps.${o.step_index}.status`]: "pending",
+          },
+          {
+            $set: {
+              [`approval.steps.${o.step_index}.reminders_sent`]: step.reminders_sent,
+              [`approval.steps.${o.step_index}.last_reminded_at`]: step.last_reminded_at,
+              ...(escalate && { [`approval.steps.${o.step_index}.escalation`]: step.escalation }),
+            },
+          }
+        );
+      } else {
+        await model.updateOne({ _id: o.doc._id, approval: null }, { $set: { approval: o.state } });
+      }
+
+      if (escalate) escalated++;
+      else reminded++;
+    } catch (error) {
+      console.error(`Approval SLA: could not process ${o.document_type} ${o.doc._id}:`, error);
+    }
+  }
+
+  return { checked: pending.length, reminded, escalated };
+}
+
+/**
+ * Run Approval SLA Check
+ * Checks every company with pending approvals (or one)
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.companyIdf - Only check this company (optional)
+ *
+ * @returns {Array} { companyIdf, checked, reminded, escalated } per company
+ */
+async function runApprovalSlaCheck({ companyIdf } = {}) {
+  let companies = [companyIdf];
+  if (!companyIdf) {
+    const ids = await Promise.all(
+      Object.values(PENDING_DOCUMENTS).map((o) => o.model.distinct("companyIdf", o.query))
+    );
+    companies = [...new Set(ids.flat().map(String))];
+  }
+
+  const results = [];
+  for (const company of companies) {
+    const result = await checkApprovalSla(company);
+    if (result.escalated > 0) {
+      console.warn(`Approval SLA: ${result.escalated} approval(s) escalated for company ${company}`);
+    }
+    results.push({ companyIdf: company, ...result });
+  }
+  return results;
+}
+
+module.exports = {
+  getPendingApprovals,
+  getStepApprovers,
+  getOverdueApprovals,
+  checkApprovalSla,
+  runApprovalSlaCheck,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runApprovalSlaCheck()
+    .then((results) => {
+      results.forEach((o) => {
+        console.log(`Company ${o.companyIdf}: checked ${o.checked}, reminded ${o.reminded}, escalated ${o.escalated}`);
+      });
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Approval SLA check failed:", error);
+      process.exit(1);
+    });
+}
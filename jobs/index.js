@@ -0,0 +1,111 @@
+/**
+ * Background Jobs
+ * Minimal in-process scheduler for periodic maintenance jobs
+ * 
+ * Jobs register a name, an interval and an async handler. startJobs() begins
+ * running every registered job on its interval; a job that is still running
+ * when its next tick comes round is skipped rather than overlapped.
+ * 
+ * Jobs run in the system tenant context (libs/tenantContext.js), across
+ * every company.
+ * 
+ * Jobs only start when config env.jobs.enabled is true (JOBS_ENABLED=true),
+ * so with several app instances (pm2 cluster) enable it on one of them only.
+ * 
+ * Usage:
+ * const jobs = require('./jobs');
+ * jobs.startJobs();
+ */
+
+const env = require("../config/env");
+const { runAsSystem } = require("../libs/tenantContext");
+const { runStockReconciliation } = require("./stockReconciliation");
+const { runLowStockCheck } = require("./lowStock");
+const { runApprovalSlaCheck } = require("./approvalSla");
+const { runWebhookRetry } = require("./webhookRetry");
+const { runVendorScorecards } = require("./vendorScorecard");
+const { runVendorDocumentExpiryCheck } = require("./vendorDocumentExpiry");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Registered jobs
+ * @type {Array<{name: String, interval: Number, handler: Function}>}
+ */
+const jobs = [
+  {
+    name: "stock-reconciliation",
+    interval: ((env.jobs && env.jobs.stockReconciliationHours) || 24) * HOUR,
+    handler: () => runStockReconciliation({ trigger: "job" }),
+  },
+  {
+    name: "low-stock-check",
+    interval: ((env.jobs && env.jobs.lowStockCheckHours) || 6) * HOUR,
+    handler: () => runLowStockCheck(),
+  },
+  {
+    name: "approval-sla-check",
+    interval: ((env.jobs && env.jobs.approvalSlaCheckHours) || 1) * HOUR,
+    handler: () => runApprovalSlaCheck(),
+  },
+  {
+    name: "webhook-retry",
+    interval: ((env.jobs && env.jobs.webhookRetryMinutes) || 1) * MINUTE,
+    handler: () => runWebhookRetry(),
+  },
+  {
+    name: "vendor-scorecard",
+    interval: ((env.jobs && env.jobs.vendorScorecardHours) || 24) * HOUR,
+    handler: () => runVendorScorecards(),
+  },
+  {
+    name: "vendor-document-expiry",
+    interval: ((env.jobs && env.jobs.vendorDocumentExpiryHours) || 24) * HOUR,
+    handler: () => runVendorDocumentExpiryCheck(),
+  },
+];
+
+/**
+ * Run a job once, skipping it if the previous run hasn't finished
+ * 
+ * @param {Object} job - Registered job
+ */
+async function runJob(job) {
+  if (job.running) {
+    console.log(`Job ${job.name} still running, skipping this run`);
+    return;
+  }
+  job.running = true;
+  try {
+    // Jobs work across every tenant
+    await runAsSystem(() => job.handler());
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start Jobs
+ * Schedules every registered job when background jobs are enabled
+ * 
+ * @returns {Boolean} Whether jobs were started
+ */
+function startJobs() {
+  if (!env.jobs || !env.jobs.enabled) return false;
+
+  jobs.forEach((job) => {
+    job.timer = setInterval(() => runJob(job), job.interval);
+    // Don't keep the process alive just for background jobs
+    if (job.timer.unref) job.timer.unref();
+    console.log(`Scheduled job ${job.name} every ${Math.round(job.interval / 60000)} min`);
+  });
+  return true;
+}
+
+module.exports = {
+  startJobs,
+  runJob,
+};
@@ -0,0 +1,348 @@
+/**
+ * Low Stock Job
+ * Raises alerts for items that have fallen below their reorder level
+ *
+ * For every ReorderLevel of a company, compares Inventory.stock_quantity for
+ * the item / site / inventory type with the configured levels. When stock is
+ * at or below reorder_level and no alert is active yet:
+ * - Emails and notifies (in-app) the site's users who have the
+ *   "low_stock_alert" notification
+ * - If auto_draft_pr is on, drafts a purchase request (status "draft") for the
+ *   shortfall, one PR per site and inventory type
+ *
+ * The alert stays active (no repeat emails or drafts) until stock recovers
+ * above reorder_level.
+ *
+ * Shortfall = max_level - stock, or reorder_level - stock when max_level is 0.
+ *
+ * Run standalone: npm run check:low-stock
+ */
+
+const mongoose = require("mongoose");
+const moment = require("moment");
+const { Inventory } = require("../models/Inventory");
+const ReorderLevel = require("../models/ReorderLevel");
+const Item = require("../models/Item");
+const SiteSchema = require("../models/site");
+const User = require("../models/User");
+const sendEmailsInBatches = require("../emails/sendEmail");
+const { notifyUsers } = require("../libs/notifications");
+const {
+  createPurchaseRequest,
+  getNextPurchaseRequestNumber,
+} = require("../controllers/web/purchaseRequest");
+
+/**
+ * PR type for each inventory type
+ * @type {Object}
+ */
+const PR_TYPES = {
+  BOQ: "Project BOQ (PB)",
+  SE: "Site Establishment (SE)",
+  Asset: "Assets (P&M)",
+};
+
+/**
+ * Days from today to the expected delivery date of an auto-drafted PR
+ * @type {Number}
+ */
+const DRAFT_DELIVERY_DAYS = 7;
+
+/**
+ * Round quantities to avoid float noise from partial issues
+ * @param {Number} value
+ * @returns {Number}
+ */
+const round = (value) => Math.round((Number(value) || 0) * 10000) / 10000;
+
+/**
+ * Get Stock Levels
+ * Current stock against reorder levels for one company
+ *
+ * @param {ObjectId} companyIdf - Company ID (required)
+ * @param {Object} filter - Optional narrowing
+ * @param {String} filter.site_id - Site ID
+ * @param {String} filter.item_id - Item ID
+ *
+ * @returns {Array} Reorder levels with stock_quantity, shortfall, is_low and is_critical
+ */
+async function getStockLevels(companyIdf, { site_id, item_id } = {}) {
+  const match = { companyIdf: mongoose.Types.ObjectId(companyIdf) };
+  if (site_id) match.site_id = mongoose.Types.ObjectId(site_id);
+  if (item_id) match.item_id = mongoose.Types.ObjectId(item_id);
+
+  const [levels, stockRows] = await Promise.all([
+    ReorderLevel.find(match).lean(),
+    Inventory.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { item_id: "$item_id", site_id: "$site_id", inventoryType: "$inventoryType" },
+          quantity: { $sum: "$stock_quantity" },
+        },
+      },
+    ]),
+  ]);
+
+  const keyOf = (o) => `${o.item_id}|${o.site_id}|${o.inventoryType}`;
+  const stock = new Map(stockRows.map((row) => [keyOf(row._id), row.quantity]));
+
+  return levels.map((level) => {
+    const stock_quantity = round(stock.get(keyOf(level)) || 0);
+    const target = level.max_level > 0 ? level.max_level : level.reorder_level;
+    return {
+      ...level,
+      stock_quantity,
+      shortfall: Math.max(round(target - stock_quantity), 0),
+      is_low: stock_quantity <= level.reorder_level,
+      is_critical: stock_quantity < level.min_level,
+    };
+  });
+}
+
+/**
+ * Send Low Stock Email
+ * Emails the site's users who opted in to low-stock alerts
+ *
+ * @param {Object} site - Site document
+ * @param {Array} alerts - Stock levels (from getStockLevels) with item details
+ */
+async function sendLowStockEmail(site, alerts) {
+  try {
+    const users = await User.find({
+      sites: site._id,
+      companyIdf: site.companyIdf,
+      notifications: "low_stock_alert",
+    }).lean();
+
+    await notifyUsers(users, "low_stock_alert", {
+      companyIdf: site.companyIdf,
+      title: `Low stock at ${site.site_name}`,
+      message: `${alerts.length} item(s) at or below their reorder level`,
+      entity_type: "site",
+      entity_id: site._id,
+      data: { site_id: site._id, site_name: site.site_name, alerts },
+    });
+
+    const emails = users.map((user) => user.email);
+    if (emails.length === 0) return;
+
+    const rows = alerts
+      .map(
+        (o) => `
+          <tr>
+            <td style="border: 1px solid #ddd; padding: 6px;">${o.item ? o.item.item_name : o.item_id}${o.is_critical ? " <strong>(critical)</strong>" : ""}</td>
+            <td style="border: 1px solid #ddd; padding: 6px;">${o.inventoryType}</td>
+            <td style="border: 1px solid #ddd; padding: 6px;">${o.stock_quantity}</td>
+            <td style="border: 1px solid #ddd; padding: 6px;">${o.reorder_level}</td>
+            <td style="border: 1px solid #ddd; padding: 6px;">${o.shortfall}</td>
+          </tr>`
+      )
+      .join("");
+
+    const drafted = alerts.filter((o) => o.draft_pr_number);
+    const htmlContent = `
+        <p>Dear Team,</p>
+        <p>The following items at <strong>{siteName}</strong> are at or below their reorder level:</p>
+        <table style="border-collapse: collapse;">
+          <tr>
+            <th style="border: 1px solid #ddd; padding: 6px;">Item</th>
+            <th style="border: 1px solid #ddd; padding: 6px;">Type</th>
+            <th style="border: 1px solid #ddd; padding: 6px;">Stock</th>
+            <th style="border: 1px solid #ddd; padding: 6px;">Reorder Level</th>
+            <th style="border: 1px solid #ddd; padding: 6px;">Shortfall</th>
+          </tr>
+          ${rows}
+        </table>
+        ${
+          drafted.length > 0
+            ? `<p>Draft purchase request(s) ${[...new Set(drafted.map((o) => o.draft_pr_number))].join(", ")} have been created for the shortfall and are waiting to be submitted.</p>`
+            : ""
+        }
+        <p style="margin-top:20px">Thank you.</p>
+      `;
+
+    await sendEmailsInBatches(
+      `Low Stock Alert for ${site.site_name}`,
+      emails,
+      [],
+      htmlContent,
+      { siteName: site.site_name || "N/A" }
+    );
+  } catch (error) {
+    console.error("Error sending low stock email:", error);
+  }
+}
+
+/**
+ * Draft Purchase Request
+ * Creates one draft PR for the shortfall of a site / inventory type
+ *
+ * @param {Object} site - Site document
+ * @param {String} inventoryType - Inventory type of the alerts
+ * @param {Array} alerts - Stock levels with auto_draft_pr on
+ *
+ * @returns {Object} Created purchase request
+ */
+async function draftPurchaseRequest(site, inventoryType, alerts) {
+  const now = moment();
+  const purchase_request_number = await getNextPurchaseRequestNumber(site._id, site.companyIdf);
+  const login_user_id = alerts[0].updated_by || alerts[0].created_by;
+
+  return createPurchaseRequest(
+    {
+      title: `Low stock reorder - ${site.site_name}`,
+      prType: PR_TYPES[inventoryType],
+      date: now.toDate(),
+      expected_delivery_date: now.clone().add(DRAFT_DELIVERY_DAYS, "days").toDate(),
+      purchase_request_number,
+      site: site._id,
+      status: "draft",
+      remarks: "Auto-drafted for items below reorder level",
+      items: alerts.map((o) => ({
+        item_id: o.item_id,
+        item_code: o.item ? o.item.item_code : "",
+        specification: o.item ? o.item.specification || "" : "",
+        uom: o.item && o.item.uom && o.item.uom.length ? String(o.item.uom[0]) : "",
+        qty: o.shortfall,
+        remark: `Stock ${o.stock_quantity}, reorder level ${o.reorder_level}`,
+      })),
+      login_user_id,
+      created_by: login_user_id,
+      updated_by: login_user_id,
+    },
+    site.companyIdf,
+    "Auto-drafted for low stock"
+  );
+}
+
+/**
+ * Check Low Stock
+ * Raises alerts (and draft PRs) for one company
+ *
+ * @param {ObjectId} companyIdf - Company ID (required)
+ *
+ * @returns {Object} { checked, alerted, recovered, drafted }
+ */
+async function checkLowStock(companyIdf) {
+  const levels = await getStockLevels(companyIdf);
+
+  // Stock is back above the reorder level, so the next dip alerts again
+  const recovered = levels.filter((o) => o.alert_active && !o.is_low);
+  if (recovered.length > 0) {
+    await ReorderLevel.updateMany(
+      { _id: { $in: recovered.map((o) => o._id) } },
+      { $set: { alert_active: false }, $unset: { draft_pr_id: "" } }
+    );
+  }
+
+  const alerts = levels.filter((o) => o.is_low && !o.alert_active);
+  if (alerts.length === 0) {
+    return { checked: levels.length, alerted: 0, recovered: recovered.length, drafted: 0 };
+  }
+
+  const [items, sites] = await Promise.all([
+    Item.find(
+      { _id: { $in: alerts.map((o) => o.item_id) }, companyIdf },
+      "item_name item_code specification uom"
+    ).lean(),
+    SiteSchema.find({ _id: { $in: alerts.map((o) => o.site_id) }, companyIdf }).lean(),
+  ]);
+  alerts.forEach((o) => {
+    o.item = items.find((i) => String(i._id) === String(o.item_id));
+  });
+
+  let drafted = 0;
+  for (const site of sites) {
+    const siteAlerts = alerts.filter((o) => String(o.site_id) === String(site._id));
+
+    // One draft PR per site and inventory type
+    for (const inventoryType of Object.keys(PR_TYPES)) {
+      const toDraft = siteAlerts.filter(
+        (o) => o.inventoryType === inventoryType && o.auto_draft_pr && o.shortfall > 0
+      );
+      if (toDraft.length === 0) continue;
+
+      try {
+        const pr = await draftPurchaseRequest(site, inventoryType, toDraft);
+        toDraft.forEach((o) => {
+          o.draft_pr_id = pr._id;
+          o.draft_pr_number = pr.purchase_request_number;
+        });
+        drafted++;
+      } catch (error) {
+        console.error(`Low stock: could not draft PR for site ${site._id}:`, error);
+      }
+    }
+
+    await sendLowStockEmail(site, siteAlerts);
+  }
+
+  const alertedAt = new Date();
+  await ReorderLevel.bulkWrite(
+    alerts.map((o) => ({
+      updateOne: {
+        filter: { _id: o._id },
+        update: {
+          $set: {
+            alert_active: true,
+            last_alerted_at: alertedAt,
+            ...(o.draft_pr_id && { draft_pr_id: o.draft_pr_id }),
+          },
+        },
+      },
+    }))
+  );
+
+  return { checked: levels.length, alerted: alerts.length, recovered: recovered.length, drafted };
+}
+
+/**
+ * Run Low Stock Check
+ * Checks every company with reorder levels (or one)
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.companyIdf - Only check this company (optional)
+ *
+ * @returns {Array} { companyIdf, checked, alerted, recovered, drafted } per company
+ */
+async function runLowStockCheck({ companyIdf } = {}) {
+  const companies = companyIdf
+    ? [companyIdf]
+    : await ReorderLevel.distinct("companyIdf");
+
+  const results = [];
+  for (const company of companies) {
+    const result = await checkLowStock(company);
+    if (result.alerted > 0) {
+      console.warn(`Low stock: ${result.alerted} item(s) below reorder level for company ${company}`);
+    }
+    results.push({ companyIdf: company, ...result });
+  }
+  return results;
+}
+
+module.exports = {
+  getStockLevels,
+  checkLowStock,
+  runLowStockCheck,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runLowStockCheck()
+    .then((results) => {
+      results.forEach((o) => {
+        console.log(`Company ${o.companyIdf}: checked ${o.checked}, alerted ${o.alerted}, drafted ${o.drafted}`);
+      });
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Low stock check failed:", error);
+      process.exit(1);
+    });
+}
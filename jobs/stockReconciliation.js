@@ -0,0 +1,134 @@
+/**
+ * Stock Reconciliation Job
+ * Flags item/site stock that is out of sync between the stock summary and FIFO layers
+ * 
+ * For every company, compares per item / site / inventory type:
+ * - Inventory.stock_quantity (running stock summary)
+ * - Sum of InventoryIn.remaining_quantity (FIFO layers still on hand)
+ * 
+ * Any combination where the two differ is recorded in a StockReconciliation
+ * run document, which the stock reconciliation report endpoint reads.
+ * 
+ * Run standalone: npm run reconcile:stock
+ */
+
+const mongoose = require("mongoose");
+const { Inventory } = require("../models/Inventory");
+const { InventoryIn } = require("../models/InventoryIn");
+const StockReconciliation = require("../models/StockReconciliation");
+
+/**
+ * Quantities closer than this are treated as equal (float noise from rates/partial issues)
+ * @type {Number}
+ */
+const TOLERANCE = 0.0001;
+
+/**
+ * Reconcile Stock
+ * Compares stock summary against FIFO layers for one company
+ * 
+ * @param {ObjectId} companyIdf - Company ID (required)
+ * @param {Object} filter - Optional narrowing
+ * @param {String} filter.site_id - Site ID
+ * @param {String} filter.item_id - Item ID
+ * 
+ * @returns {Object} { checked, mismatches }
+ */
+async function reconcileStock(companyIdf, { site_id, item_id } = {}) {
+  const match = { companyIdf: mongoose.Types.ObjectId(companyIdf) };
+  if (site_id) match.site_id = mongoose.Types.ObjectId(site_id);
+  if (item_id) match.item_id = mongoose.Types.ObjectId(item_id);
+
+  const groupKey = { item_id: "$item_id", site_id: "$site_id", inventoryType: "$inventoryType" };
+
+  const [stockRows, fifoRows] = await Promise.all([
+    Inventory.aggregate([
+      { $match: match },
+      { $group: { _id: groupKey, quantity: { $sum: "$stock_quantity" } } },
+    ]),
+    InventoryIn.aggregate([
+      { $match: match },
+      { $group: { _id: groupKey, quantity: { $sum: { $ifNull: ["$remaining_quantity", 0] } } } },
+    ]),
+  ]);
+
+  // Merge both sides by item/site/type
+  const rows = new Map();
+  const keyOf = (id) => `${id.item_id}|${id.site_id}|${id.inventoryType}`;
+  stockRows.forEach((row) => {
+    rows.set(keyOf(row._id), { ...row._id, stock_quantity: row.quantity, fifo_quantity: 0 });
+  });
+  fifoRows.forEach((row) => {
+    const existing = rows.get(keyOf(row._id));
+    if (existing) existing.fifo_quantity = row.quantity;
+    else rows.set(keyOf(row._id), { ...row._id, stock_quantity: 0, fifo_quantity: row.quantity });
+  });
+
+  const mismatches = [];
+  rows.forEach((row) => {
+    const difference = row.stock_quantity - row.fifo_quantity;
+    if (Math.abs(difference) > TOLERANCE) {
+      mismatches.push({ ...row, difference: Math.round(difference * 10000) / 10000 });
+    }
+  });
+
+  return { checked: rows.size, mismatches };
+}
+
+/**
+ * Run Stock Reconciliation
+ * Reconciles every company (or one) and stores a run document per company
+ * 
+ * @param {Object} options
+ * @param {ObjectId} options.companyIdf - Only reconcile this company (optional)
+ * @param {String} options.trigger - "job" or "manual" (default: "job")
+ * @param {String} options.created_by - User who started a manual run (optional)
+ * 
+ * @returns {Array} Saved StockReconciliation documents
+ */
+async function runStockReconciliation({ companyIdf, trigger = "job", created_by } = {}) {
+  const companies = companyIdf
+    ? [companyIdf]
+    : await Inventory.distinct("companyIdf");
+
+  const runs = [];
+  for (const company of companies) {
+    const { checked, mismatches } = await reconcileStock(company);
+    const run = await StockReconciliation.create({
+      companyIdf: company,
+      trigger,
+      checked,
+      mismatches,
+      created_by,
+    });
+    if (mismatches.length > 0) {
+      console.warn(`Stock reconciliation: ${mismatches.length} mismatch(es) for company ${company}`);
+    }
+    runs.push(run);
+  }
+  return runs;
+}
+
+module.exports = {
+  reconcileStock,
+  runStockReconciliation,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runStockReconciliation({ trigger: "manual" })
+    .then((runs) => {
+      runs.forEach((run) => {
+        console.log(`Company ${run.companyIdf}: checked ${run.checked}, mismatches ${run.mismatches.length}`);
+      });
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Stock reconciliation failed:", error);
+      process.exit(1);
+    });
+}
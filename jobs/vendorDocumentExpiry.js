@@ -0,0 +1,222 @@
+/**
+ * Vendor Document Expiry Job
+ * Alerts purchase staff to vendor documents that are about to expire or
+ * have expired
+ *
+ * For each company, verified vendor documents (models/VendorDocument.js):
+ * - expiring within vendorCompliance.expiryAlertDays get one "expiring" alert
+ * - past their expiry date get one "expired" alert; a vendor whose expired
+ *   document is mandatory is blocked from new rate approvals and POs
+ *   (libs/vendorCompliance.js)
+ *
+ * Alerts go to the company's users who have the "vendor_document_expiry"
+ * notification, in-app and by email. Documents already replaced by a newer
+ * verified one are marked as alerted without alerting. Changing a document's
+ * expiry date re-arms its alerts.
+ *
+ * Run standalone: npm run check:vendor-documents
+ */
+
+const mongoose = require("mongoose");
+const { VendorDocument } = require("../models/VendorDocument");
+const VendorSchema = require("../models/Vendor");
+const User = require("../models/User");
+const sendEmailsInBatches = require("../emails/sendEmail");
+const { notifyUsers } = require("../libs/notifications");
+const { getComplianceSettings, getVendorCompliance } = require("../libs/vendorCompliance");
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOTIFICATION_TYPE = "vendor_document_expiry";
+
+/**
+ * Format a date for alerts
+ * @param {Date} date
+ * @returns {String} DD-MM-YYYY
+ */
+function formatDate(date) {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, "0")}-${String(d.getMonth() + 1).padStart(2, "0")}-${d.getFullYear()}`;
+}
+
+/**
+ * Send Expiry Alerts
+ * Notifies and emails the opted-in users about one vendor's documents
+ *
+ * @param {Array} users - Opted-in users of the company
+ * @param {Object} vendor - Vendor (lean)
+ * @param {Array} alerts - [{ doc, expired, blocking }]
+ */
+async function sendExpiryAlerts(users, vendor, alerts) {
+  try {
+    const expired = alerts.filter((o) => o.expired);
+    const lines = alerts.map(
+      (o) =>
+        `${o.doc.document_type}${o.doc.document_number ? ` ${o.doc.document_number}` : ""}: ` +
+        `${o.expired ? "expired" : "expires"} on ${formatDate(o.doc.expiry_date)}` +
+        `${o.blocking ? " (mandatory, vendor blocked)" : ""}`
+    );
+
+    await notifyUsers(users, NOTIFICATION_TYPE, {
+      companyIdf: vendor.companyIdf,
+      title: expired.length
+        ? `Documents of ${vendor.vendor_name} have expired`
+        : `Documents of ${vendor.vendor_name} are expiring`,
+      message: lines.join("; "),
+      entity_type: "vendor",
+      entity_id: vendor._id,
+      data: {
+        vendor_id: vendor._id,
+        vendor_name: vendor.vendor_name,
+        documents: alerts.map((o) => ({
+          _id: o.doc._id,
+          document_type: o.doc.document_type,
+          document_number: o.doc.document_number,
+          expiry_date: o.doc.expiry_date,
+          expired: o.expired,
+          blocking: o.blocking,
+        })),
+      },
+    });
+
+    const emails = users.map((user) => user.email).filter(Boolean);
+    if (emails.length === 0) return;
+
+    const htmlContent = `
+        <p>Dear Team,</p>
+        <p>The following documents of <strong>{vendorName}</strong> need to be renewed:</p>
+        <ul>${lines.map((line) => `<li>${line}</li>`).join("")}</ul>
+        <p>Please upload and verify the renewed documents.</p>
+        <p style="margin-top:20px">Thank you.</p>
+      `;
+
+    await sendEmailsInBatches(
+      `Vendor Document Expiry Alert for ${vendor.vendor_name}`,
+      emails,
+      [],
+      htmlContent,
+      { vendorName: vendor.vendor_name || "N/A" }
+    );
+  } catch (error) {
+    console.error("Error sending vendor document expiry alert:", error);
+  }
+}
+
+/**
+ * Check Vendor Documents
+ * Sends the due expiry alerts of one company
+ *
+ * @param {ObjectId} companyIdf - Company ID (required)
+ *
+ * @returns {Object} { expiring, expired, vendors }
+ */
+async function checkVendorDocuments(companyIdf) {
+  const now = new Date();
+  const company = mongoose.Types.ObjectId(companyIdf);
+  const { expiryAlertDays } = await getComplianceSettings(companyIdf);
+
+  const [expiringDocs, expiredDocs] = await Promise.all([
+    VendorDocument.find({
+      companyIdf: company,
+      status: "verified",
+      expiry_date: { $gte: now, $lte: new Date(now.getTime() + expiryAlertDays * DAY) },
+      expiry_alert_sent_at: null,
+    }).lean(),
+    VendorDocument.find({
+      companyIdf: company,
+      status: "verified",
+      expiry_date: { $lt: now },
+      expired_alert_sent_at: null,
+    }).lean(),
+  ]);
+  const candidates = [
+    ...expiringDocs.map((doc) => ({ doc, expired: false })),
+    ...expiredDocs.map((doc) => ({ doc, expired: true })),
+  ];
+  if (candidates.length === 0) return { expiring: 0, expired: 0, vendors: 0 };
+
+  const vendorIds = [...new Set(candidates.map((o) => String(o.doc.vendor_id)))];
+  const [compliance, vendors, users] = await Promise.all([
+    getVendorCompliance(companyIdf, vendorIds),
+    VendorSchema.find({ _id: { $in: vendorIds.map((id) => mongoose.Types.ObjectId(id)) }, companyIdf: company })
+      .select("vendor_name companyIdf")
+      .lean(),
+    User.find({ companyIdf: company, notifications: NOTIFICATION_TYPE }).lean(),
+  ]);
+
+  // Only alert for the document that currently stands for its type
+  const alerts = candidates.filter(({ doc }) => {
+    const state = compliance[String(doc.vendor_id)].documents[doc.document_type];
+    return String(state.document_id) === String(doc._id);
+  });
+  alerts.forEach((o) => {
+    const state = compliance[String(o.doc.vendor_id)].documents[o.doc.document_type];
+    o.blocking = o.expired && state.mandatory;
+  });
+
+  for (const vendor of vendors) {
+    const vendorAlerts = alerts.filter((o) => String(o.doc.vendor_id) === String(vendor._id));
+    if (vendorAlerts.length > 0) await sendExpiryAlerts(users, vendor, vendorAlerts);
+  }
+
+  await VendorDocument.bulkWrite(
+    candidates.map(({ doc, expired }) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: expired ? { expired_alert_sent_at: now } : { expiry_alert_sent_at: now } },
+      },
+    }))
+  );
+
+  return {
+    expiring: alerts.filter((o) => !o.expired).length,
+    expired: alerts.filter((o) => o.expired).length,
+    vendors: new Set(alerts.map((o) => String(o.doc.vendor_id))).size,
+  };
+}
+
+/**
+ * Run Vendor Document Expiry Check
+ * Checks every company with vendor documents (or one)
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.companyIdf - Only check this company (optional)
+ *
+ * @returns {Array} { companyIdf, expiring, expired, vendors } per company
+ */
+async function runVendorDocumentExpiryCheck({ companyIdf } = {}) {
+  const companies = companyIdf ? [companyIdf] : await VendorDocument.distinct("companyIdf");
+
+  const results = [];
+  for (const company of companies) {
+    const result = await checkVendorDocuments(company);
+    if (result.expired > 0) {
+      console.warn(`Vendor documents: ${result.expired} document(s) expired for company ${company}`);
+    }
+    results.push({ companyIdf: company, ...result });
+  }
+  return results;
+}
+
+module.exports = {
+  checkVendorDocuments,
+  runVendorDocumentExpiryCheck,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runVendorDocumentExpiryCheck()
+    .then((results) => {
+      results.forEach((o) => {
+        console.log(`Company ${o.companyIdf}: expiring ${o.expiring}, expired ${o.expired}, vendors ${o.vendors}`);
+      });
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Vendor document expiry check failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,64 @@
+/**
+ * Vendor Scorecard Job
+ * Refreshes the monthly vendor scorecards (libs/vendorScorecard.js)
+ *
+ * Recomputes the current month, so scores follow new DMR entries, debit
+ * notes and quotations as they come in, and the previous month, which can
+ * still change through late entries.
+ *
+ * Run standalone: npm run refresh:vendor-scorecards
+ */
+
+const mongoose = require("mongoose");
+const OnboardingCompany = require("../models/onboardingcompany");
+const { refreshScorecards, toPeriod } = require("../libs/vendorScorecard");
+
+/**
+ * Run Vendor Scorecards
+ * Refreshes the current and previous month for every active company (or one)
+ *
+ * @param {Object} options
+ * @param {ObjectId} options.companyIdf - Only this company (optional)
+ *
+ * @returns {Array} { companyIdf, period, vendors } per company and month
+ */
+async function runVendorScorecards({ companyIdf } = {}) {
+  const companies = companyIdf
+    ? [companyIdf]
+    : (await OnboardingCompany.find({ isActive: true }, "_id").lean()).map((o) => o._id);
+
+  const now = new Date();
+  const periods = [toPeriod(new Date(now.getFullYear(), now.getMonth() - 1, 1)), toPeriod(now)];
+
+  const results = [];
+  for (const company of companies) {
+    for (const period of periods) {
+      const cards = await refreshScorecards(company, period);
+      results.push({ companyIdf: company, period, vendors: cards.length });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  runVendorScorecards,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runVendorScorecards()
+    .then((results) => {
+      results.forEach((o) => {
+        console.log(`Company ${o.companyIdf} ${o.period}: ${o.vendors} vendor scorecard(s)`);
+      });
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Vendor scorecard refresh failed:", error);
+      process.exit(1);
+    });
+}
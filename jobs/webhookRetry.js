@@ -0,0 +1,50 @@
+/**
+ * Webhook Retry Job
+ * Retries webhook deliveries whose next attempt is due
+ *
+ * The first attempt of a delivery is made right after the event is raised
+ * (libs/webhooks.js dispatchEvent). Failed ones are rescheduled with
+ * exponential backoff and picked up here until they succeed or run out of
+ * attempts. Deliveries left "sending" by a process that died mid-post are
+ * picked up again as well.
+ *
+ * Run standalone: npm run retry:webhooks
+ */
+
+const mongoose = require("mongoose");
+const { retryDueDeliveries } = require("../libs/webhooks");
+
+/**
+ * Run Webhook Retry
+ * Entry point for the scheduler and the standalone script
+ *
+ * @returns {Promise<Object>} { attempted, succeeded, failed }
+ */
+async function runWebhookRetry() {
+  const result = await retryDueDeliveries();
+  if (result.failed > 0) {
+    console.warn(`Webhook retry: ${result.failed} delivery(ies) failed for good`);
+  }
+  return result;
+}
+
+module.exports = {
+  runWebhookRetry,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runWebhookRetry()
+    .then((result) => {
+      console.log(`Attempted ${result.attempted}, succeeded ${result.succeeded}, failed ${result.failed}`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Webhook retry failed:", error);
+      process.exit(1);
+    });
+}
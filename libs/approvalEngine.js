@@ -0,0 +1,812 @@
+/**
+ * Approval Engine
+ * Runs the configurable approval chain of purchase requests, rate approvals
+ * and purchase orders (models/ApprovalWorkflow.js)
+ *
+ * Provides functions for:
+ * - Reading the company's workflow for a document type (or the default chain)
+ * - Starting a document's approval state from the steps that apply to its amount
+ * - Approving, rejecting or sending back the current level
+ * - Delegating a pending step to another user
+ * - Letting out-of-office delegates (libs/outOfOffice.js) act on behalf of
+ *   the absent approver
+ * - Picking, from a site's users, who can act on a step
+ *
+ * The engine only computes the update: it returns the fields to $set on the
+ * document (`approval`, `status` and the legacy approval fields below), the
+ * prHistory entry to push and the condition to save them under, and the
+ * controllers save them with their other changes. The condition matches the
+ * approval state the action was worked out from (its `version`), so of two
+ * approvers acting at once the second matches nothing and gets a 409.
+ *
+ * A document whose amount no step applies to is auto-approved: the first
+ * approve action saves it as approved without checking for an approver.
+ *
+ * Legacy fields kept in sync so existing lists, filters and emails still work:
+ * - PurchaseRequest: PM_approvedBy / pm_approvedDate once the first level is
+ *   approved, PD_approvedBy / pd_approvedDate and status "approved" at the end
+ * - RateApproval: initial_approved(By) once the first level is approved,
+ *   final_approved(By) and status "approved" at the end
+ * - PurchaseOrder: status "ApprovalPending" until the end, then "approved"
+ */
+
+const { ApprovalWorkflow, DocumentTypes, SiteRoles } = require("../models/ApprovalWorkflow");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const SiteSchema = require("../models/site");
+const ObjectID = require("mongodb").ObjectID;
+const { getCache, setCache } = require("../utils/cache");
+const { MASTER_DATA } = require("./cacheConfig");
+const { BYPASS_ROLES, normalize, buildGrants } = require("../config/route-permissions");
+const { getActiveDelegators } = require("./outOfOffice");
+
+/**
+ * Approval Actions
+ * @type {Array<String>}
+ */
+const APPROVAL_ACTIONS = ["approve", "reject", "revise"];
+
+/**
+ * SLA hours of steps that don't set their own
+ * @type {Number}
+ */
+const DEFAULT_SLA_HOURS = 48;
+
+/**
+ * Default Workflows
+ * The approval chains used before workflows became configurable, applied to
+ * companies that haven't saved their own
+ * @type {Object}
+ */
+const DEFAULT_WORKFLOWS = {
+  purchase_request: [
+    {
+      name: "Project Manager",
+      level: 1,
+      permission: { module: "Requisition_approval", action: "PM Level Approval" },
+      history_label: "Approved by Project Manager",
+    },
+    {
+      name: "Project Director",
+      level: 2,
+      permission: { module: "Requisition_approval", action: "PD Level Approval" },
+      history_label: "Approved by Project Director",
+    },
+  ],
+  rate_approval: [
+    {
+      name: "Initial Approval",
+      level: 1,
+      permission: { module: "Rate_approval", action: "initial Approval" },
+      history_label: "Initially Approved",
+    },
+    {
+      name: "Final Approval",
+      level: 2,
+      permission: { module: "Rate_approval", action: "Final Approval" },
+      history_label: "approved",
+    },
+  ],
+  purchase_order: [
+    {
+      name: "Purchase Order Approval",
+      level: 1,
+      permission: { module: "Requisition_order", action: "Purchase Order Approval" },
+      history_label: "approved",
+    },
+  ],
+};
+
+/**
+ * Document Adapters
+ * Per document type: amount used for thresholds, prHistory fields and wording,
+ * and the legacy fields to keep in sync
+ * @type {Object}
+ */
+const ADAPTERS = {
+  purchase_request: {
+    getAmount: (doc) => Number(doc.vendors_total && doc.vendors_total.total) || 0,
+    historyFields: () => ({}),
+    actionLabel: (step, status) => `${status} by ${step.name}`,
+    legacyFields(state, action, userId, doc) {
+      const now = new Date().toISOString();
+      if (action === "reject") return { status: "rejected", PM_approvedBy: "", PD_approvedBy: "" };
+      if (action === "revise") return { status: "revise", PM_approvedBy: "", PD_approvedBy: "" };
+
+      let fields = { status: state.status === "approved" ? "approved" : "pending" };
+      if (!doc.PM_approvedBy && approvedLevelCount(state) >= 1) {
+        fields.PM_approvedBy = String(userId);
+        fields.pm_approvedDate = now;
+      }
+      if (state.status === "approved") {
+        fields.PD_approvedBy = String(userId);
+        fields.pd_approvedDate = now;
+      }
+      return fields;
+    },
+  },
+
+  rate_approval: {
+    getAmount(doc) {
+      const totals = Array.isArray(doc.vendors_total) ? doc.vendors_total : [];
+      const preferred = totals.find((o) => o.preferred);
+      if (preferred) return Number(preferred.total_amount) || 0;
+      return totals.reduce((max, o) => Math.max(max, Number(o.total_amount) || 0), 0);
+    },
+    historyFields: (doc) => ({
+      rate_approval_number: doc.rate_approval_number,
+      stage: doc.stage || "rate_approval",
+    }),
+    actionLabel: (step, status) => status,
+    legacyFields(state, action, userId, doc) {
+      if (action === "reject") return { status: "rejected" };
+      if (action === "revise") return { status: "revise", initial_approved: false, final_approved: false };
+
+      let fields = { status: state.status === "approved" ? "approved" : "pending" };
+      if (!doc.initial_approved && approvedLevelCount(state) >= 1) {
+        fields.initial_approved = true;
+        fields.initial_approvedBy = String(userId);
+      }
+      if (state.status === "approved") {
+        fields.final_approved = true;
+        fields.final_approvedBy = String(userId);
+      }
+      return fields;
+    },
+  },
+
+  purchase_order: {
+    getAmount: (doc) =>
+      (Array.isArray(doc.vendors_total) ? doc.vendors_total : []).reduce(
+        (sum, o) => sum + (Number(o.total) || 0),
+        0
+      ),
+    historyFields: (doc) => ({ po_number: doc.po_number }),
+    actionLabel: (step, status) =>
+      status === "revise" ? "Order Details to be Revised by Purchase Department" : status,
+    legacyFields(state, action) {
+      if (action === "reject") return { status: "rejected" };
+      if (action === "revise") return { status: "pending" };
+      return { status: state.status === "approved" ? "approved" : "ApprovalPending" };
+    },
+  },
+};
+
+/**
+ * Assert Document Type
+ * @param {String} documentType
+ */
+function assertDocumentType(documentType) {
+  if (!DocumentTypes.includes(documentType)) {
+    throw {
+      errors: [],
+      message: `document_type must be one of ${DocumentTypes.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+}
+
+/**
+ * Get Workflow
+ * The company's active workflow for a document type, or the default chain
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {String} documentType - purchase_request | rate_approval | purchase_order
+ * @returns {Object} { _id, document_type, steps, is_default }
+ */
+async function getWorkflow(companyIdf, documentType) {
+  assertDocumentType(documentType);
+
+  const cacheKey = `approvalworkflow:details:${companyIdf}:${documentType}`;
+  let workflow = await getCache(cacheKey);
+  if (!workflow) {
+    workflow = await ApprovalWorkflow.findOne({
+      companyIdf: companyIdf,
+      document_type: documentType,
+      isActive: true,
+    }).lean();
+
+    workflow = workflow
+      ? { ...workflow, is_default: false }
+      : { _id: null, document_type: documentType, steps: DEFAULT_WORKFLOWS[documentType], is_default: true };
+    await setCache(cacheKey, workflow, MASTER_DATA);
+  }
+  return workflow;
+}
+
+/**
+ * Step Applies
+ * Whether a step applies to a document amount
+ *
+ * @param {Object} step - Workflow step
+ * @param {Number} amount - Document amount
+ * @returns {Boolean}
+ */
+function stepApplies(step, amount) {
+  if (amount < (Number(step.min_amount) || 0)) return false;
+  if (step.max_amount !== null && step.max_amount !== undefined && amount > Number(step.max_amount)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Approved Level Count
+ * Number of levels whose steps are all approved (skipped steps aside)
+ *
+ * @param {Object} state - Approval state
+ * @returns {Number}
+ */
+function approvedLevelCount(state) {
+  const levels = [...new Set(state.steps.filter((s) => s.status !== "skipped").map((s) => s.level))];
+  return levels.filter((level) =>
+    state.steps.filter((s) => s.level === level && s.status !== "skipped").every((s) => s.status === "approved")
+  ).length;
+}
+
+/**
+ * Open Next Level
+ * Moves the state to the lowest level still waiting, or completes it
+ *
+ * @param {Object} state - Approval state (modified in place)
+ */
+function openNextLevel(state) {
+  const now = new Date();
+  const waiting = state.steps.filter((s) => s.status === "waiting");
+
+  if (!waiting.length) {
+    state.status = "approved";
+    state.completed_at = now;
+    return;
+  }
+
+  const level = Math.min(...waiting.map((s) => s.level));
+  state.current_level = level;
+  waiting
+    .filter((s) => s.level === level)
+    .forEach((s) => {
+      s.status = "pending";
+      s.started_at = now;
+    });
+}
+
+/**
+ * Build Approval State
+ * Starts a document's approval chain from the company workflow
+ *
+ * @param {String} documentType
+ * @param {Object} doc - Document being approved
+ * @returns {Object} Approval state
+ */
+async function buildApprovalState(documentType, doc) {
+  const workflow = await getWorkflow(doc.companyIdf, documentType);
+  return createApprovalState(documentType, workflow, doc);
+}
+
+/**
+ * Create Approval State
+ * A document's approval chain from a workflow. The first level's SLA runs from
+ * the document's last prHistory entry (its submission). When no step applies
+ * to the amount the chain is complete and auto_approved.
+ *
+ * @param {String} documentType
+ * @param {Object} workflow - { _id, steps }
+ * @param {Object} doc - Document being approved
+ * @returns {Object} Approval state
+ */
+function createApprovalState(documentType, workflow, doc) {
+  const amount = ADAPTERS[documentType].getAmount(doc);
+
+  let state = {
+    workflow_id: workflow._id || null,
+    amount: amount,
+    current_level: 0,
+    status: "in_progress",
+    auto_approved: false,
+    version: 0,
+    started_at: new Date(),
+    steps: [...workflow.steps]
+      .sort((a, b) => a.level - b.level)
+      .map((step) => ({
+        name: step.name,
+        level: step.level,
+        approver_roles: step.approver_roles || [],
+        permission: step.permission || { module: "", action: "" },
+        min_amount: step.min_amount || 0,
+        max_amount: step.max_amount === undefined ? null : step.max_amount,
+        mode: step.mode || "any",
+        history_label: step.history_label || "",
+        sla_hours: step.sla_hours === undefined || step.sla_hours === null ? DEFAULT_SLA_HOURS : step.sla_hours,
+        status: stepApplies(step, amount) ? "waiting" : "skipped",
+        approvals: [],
+        delegates: [],
+      })),
+  };
+
+  openNextLevel(state);
+  state.auto_approved = state.status === "approved";
+
+  const history = Array.isArray(doc.prHistory) ? doc.prHistory : [];
+  const submittedAt = history.length ? history[history.length - 1].updated_Date : doc.created_at;
+  if (submittedAt) {
+    state.started_at = new Date(submittedAt);
+    state.steps.filter((s) => s.status === "pending").forEach((s) => (s.started_at = state.started_at));
+  }
+  return state;
+}
+
+/**
+ * Auto Approval
+ * The update approving a document whose chain was auto_approved when built
+ *
+ * @param {String} documentType
+ * @param {Object} doc - Document being approved (lean)
+ * @param {Object} state - Its auto_approved approval state (modified in place)
+ * @param {Object} user - req.user who approved it
+ * @returns {Object} { fields, historyEntry, state }
+ */
+function getAutoApproval(documentType, doc, state, user) {
+  const adapter = ADAPTERS[documentType];
+  state.version = (state.version || 0) + 1;
+  return {
+    state,
+    fields: { approval: state, ...adapter.legacyFields(state, "approve", user.id, doc) },
+    historyEntry: {
+      ...adapter.historyFields(doc),
+      updated_By: ObjectID(user.id),
+      updated_Date: new Date(),
+      status: "Auto-approved (no approval step applies to this amount)",
+    },
+  };
+}
+
+/**
+ * Get Approval State
+ * The document's running or completed approval state, or a fresh one when it
+ * has none (not started yet, or sent back / rejected since)
+ *
+ * @param {String} documentType
+ * @param {Object} doc - Document being approved
+ * @returns {Object} Approval state (a copy, safe to modify)
+ */
+async function getApprovalState(documentType, doc) {
+  if (doc.approval && ["in_progress", "approved"].includes(doc.approval.status)) {
+    return JSON.parse(JSON.stringify(doc.approval));
+  }
+  return buildApprovalState(documentType, doc);
+}
+
+/**
+ * Approval Condition
+ * Update filter matching the approval state a document was read with. States
+ * saved before versioning are matched on their level and status instead.
+ *
+ * @param {Object} doc - Document being approved (lean)
+ * @returns {Object} Filter to add to the document's update
+ */
+function getApprovalCondition(doc) {
+  if (!doc.approval) return { approval: null };
+  if (doc.approval.version === undefined) {
+    return {
+      "approval.version": { $exists: false },
+      "approval.status": doc.approval.status,
+      "approval.current_level": doc.approval.current_level,
+    };
+  }
+  return { "approval.version": doc.approval.version };
+}
+
+/**
+ * Get User Access
+ * The user's role and flattened permission grants, sharing the entry
+ * middleware.checkPermission caches under role:grants:<userId>
+ *
+ * @param {String} userId
+ * @param {ObjectId} companyIdf
+ * @returns {Object|null} { role, grants }
+ */
+async function getUserAccess(userId, companyIdf) {
+  const cacheKey = `role:grants:${userId}`;
+  let access = await getCache(cacheKey);
+  if (!access) {
+    const user = await User.findOne({ _id: userId, companyIdf: companyIdf }).select("role").lean();
+    if (!user) return null;
+    const role = await Role.findOne({ role: user.role, companyIdf: companyIdf })
+      .select("dashboard_permissions")
+      .lean();
+    access = {
+      role: user.role,
+      grants: buildGrants(role ? role.dashboard_permissions : []),
+    };
+    await setCache(cacheKey, access, MASTER_DATA);
+  }
+  return access;
+}
+
+/**
+ * Has Step Permission
+ * Whether a role's grants include the step's module + action
+ *
+ * @param {Object} step - Workflow step
+ * @param {Object} access - { role, grants }
+ * @returns {Boolean}
+ */
+function hasStepPermission(step, access) {
+  const permission = step.permission || {};
+  if (!permission.module) return true;
+  if (BYPASS_ROLES.includes(normalize(access.role))) return true;
+  return ((access.grants || {})[normalize(permission.module)] || []).includes(normalize(permission.action));
+}
+
+/**
+ * Can Approve
+ * Whether a user meets approver criteria (a step or its escalation)
+ *
+ * @param {Object} criteria - { approver_roles, permission }
+ * @param {String} userId
+ * @param {Object} access - { role, grants }
+ * @param {Object} site - Document site (with roles)
+ * @returns {Boolean}
+ */
+function canApprove(criteria, userId, access, site) {
+  if (!hasStepPermission(criteria, access)) return false;
+  if (!(criteria.approver_roles || []).length) return true;
+  return matchedRoles(criteria, userId, access, site).length > 0;
+}
+
+/**
+ * Matched Roles
+ * The step's approver roles a user holds, directly or through Site.roles
+ *
+ * @param {Object} step - Workflow step
+ * @param {String} userId
+ * @param {Object} access - { role, grants }
+ * @param {Object} site - Document site (with roles)
+ * @returns {Array<String>}
+ */
+function matchedRoles(step, userId, access, site) {
+  return (step.approver_roles || []).filter((role) => {
+    if (SiteRoles.includes(role)) {
+      return !!(site && site.roles && site.roles[role] && String(site.roles[role]) === String(userId));
+    }
+    return normalize(role) === normalize(access.role);
+  });
+}
+
+/**
+ * Step Claim
+ * How a user may act on a pending step: the approver role their approval
+ * satisfies and whose behalf they act on, or null when they can't act
+ *
+ * @param {Object} step - Approval state step
+ * @param {String} userId
+ * @param {Object} access - { role, grants }
+ * @param {Object} site - Document site (with roles)
+ * @returns {Object|null} { role, on_behalf_of }
+ */
+function stepClaim(step, userId, access, site) {
+  if (step.approvals.some((o) => String(o.user_id) === String(userId))) return null;
+
+  const delegation = step.delegates.find((o) => String(o.user_id) === String(userId));
+  if (delegation) {
+    const original = step.approvals.find((o) => String(o.user_id) === String(delegation.delegated_by));
+    if (!original) return { role: delegation.role || "", on_behalf_of: delegation.delegated_by, delegated: true };
+  }
+
+  if (hasStepPermission(step, access)) {
+    if (!(step.approver_roles || []).length) return { role: "", on_behalf_of: null };
+
+    const roles = matchedRoles(step, userId, access, site);
+    const satisfied = step.approvals.map((o) => o.role);
+    const role = step.mode === "all" ? roles.find((r) => !satisfied.includes(r)) : roles[0];
+    if (role) return { role: role, on_behalf_of: null };
+  }
+
+  // Escalated after a second SLA breach: the escalation approvers can approve it outright
+  if (step.escalation && step.escalation.escalated_at && canApprove(step.escalation, userId, access, site)) {
+    return { role: "", on_behalf_of: null, escalated: true };
+  }
+  return null;
+}
+
+/**
+ * Step Complete
+ * @param {Object} step - Approval state step
+ * @returns {Boolean}
+ */
+function stepComplete(step) {
+  if (step.approvals.some((o) => o.escalated)) return true;
+  if (step.mode !== "all" || !(step.approver_roles || []).length) {
+    return step.approvals.length > 0;
+  }
+  const satisfied = step.approvals.map((o) => o.role);
+  return step.approver_roles.every((role) => satisfied.includes(role));
+}
+
+/**
+ * Actionable Steps
+ * Pending steps of the current level the user can act on, themselves or on
+ * behalf of an out-of-office approver who made them their delegate
+ *
+ * @param {Object} state - Approval state
+ * @param {Object} doc - Document being approved
+ * @param {Object} user - req.user
+ * @returns {Array<Object>} [{ step, claim }]
+ */
+async function getActionableSteps(state, doc, user) {
+  const access = await getUserAccess(user.id, doc.companyIdf);
+  if (!access) return [];
+
+  const site = await SiteSchema.findOne({ _id: doc.site, companyIdf: doc.companyIdf }, "roles").lean();
+
+  const steps = state.steps
+    .filter((step) => step.status === "pending")
+    .map((step) => ({ step, claim: stepClaim(step, user.id, access, site) }));
+
+  const unclaimed = steps.filter(
+    (o) => !o.claim && !o.step.approvals.some((a) => String(a.user_id) === String(user.id))
+  );
+  if (unclaimed.length) {
+    for (const delegator of await getActiveDelegators(user.id, doc.companyIdf)) {
+      const delegatorAccess = await getUserAccess(delegator._id, doc.companyIdf);
+      if (!delegatorAccess) continue;
+      unclaimed
+        .filter((o) => !o.claim)
+        .forEach((o) => {
+          const claim = stepClaim(o.step, delegator._id, delegatorAccess, site);
+          if (claim && !claim.delegated) {
+            o.claim = { ...claim, on_behalf_of: delegator._id, delegated: true, out_of_office: true };
+          }
+        });
+    }
+  }
+
+  return steps.filter((o) => o.claim);
+}
+
+/**
+ * Process Approval
+ * Applies an approve / reject / revise action to a document's current level
+ *
+ * @param {String} documentType - purchase_request | rate_approval | purchase_order
+ * @param {Object} doc - Document being approved (lean)
+ * @param {Object} options
+ * @param {String} options.action - approve | reject | revise
+ * @param {Object} options.user - req.user
+ * @param {String} options.remarks - Approver remarks (optional)
+ * @returns {Object} { fields, historyEntry, state, condition }
+ */
+async function processApproval(documentType, doc, { action, user, remarks = "" }) {
+  assertDocumentType(documentType);
+  if (!APPROVAL_ACTIONS.includes(action)) {
+    throw {
+      errors: [],
+      message: `action must be one of ${APPROVAL_ACTIONS.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+
+  const adapter = ADAPTERS[documentType];
+  let state = await getApprovalState(documentType, doc);
+  const condition = getApprovalCondition(doc);
+
+  // Built just now with every step skipped: approved as it stands
+  const saved = doc.approval && doc.approval.status === "approved";
+  if (state.auto_approved && !saved) {
+    if (action !== "approve") {
+      throw {
+        errors: [],
+        message: "No approval step applies to this amount; the document can only be approved",
+        statusCode: 412,
+      };
+    }
+    return { ...getAutoApproval(documentType, doc, state, user), condition };
+  }
+
+  if (state.status !== "in_progress") {
+    throw {
+      errors: [],
+      message: "Approval is already complete",
+      statusCode: 412,
+    };
+  }
+
+  const actionable = await getActionableSteps(state, doc, user);
+  if (!actionable.length) {
+    throw {
+      errors: [],
+      message: "You are not an approver for the current approval step",
+      statusCode: 403,
+    };
+  }
+
+  const now = new Date();
+  const firstStep = actionable[0].step;
+  let label;
+
+  if (action === "approve") {
+    actionable.forEach(({ step, claim }) => {
+      step.approvals.push({
+        user_id: user.id,
+        role: claim.role,
+        on_behalf_of: claim.on_behalf_of,
+        escalated: !!claim.escalated,
+        approved_at: now,
+        remarks: remarks,
+      });
+      if (stepComplete(step)) {
+        step.status = "approved";
+        step.completed_at = now;
+      }
+    });
+
+    const levelDone = state.steps
+      .filter((s) => s.level === state.current_level && s.status !== "skipped")
+      .every((s) => s.status === "approved");
+    if (levelDone) openNextLevel(state);
+
+    label = firstStep.history_label || `Approved by ${firstStep.name}`;
+  } else {
+    const status = action === "reject" ? "rejected" : "revise";
+    firstStep.status = status;
+    firstStep.acted_by = user.id;
+    firstStep.completed_at = now;
+    state.status = status;
+    state.completed_at = now;
+
+    label = adapter.actionLabel(firstStep, status);
+  }
+
+  // Delegates (per document or out of office) are named with whom they stand in for
+  const onBehalfOf = actionable[0].claim.on_behalf_of || null;
+  if (onBehalfOf) {
+    const absent = await User.findById(onBehalfOf, "name").lean();
+    const behalf = `${user.name} on behalf of ${absent ? absent.name : "the approver"}`;
+    label = action === "approve" ? `${firstStep.name} approved by ${behalf}` : `${label} (by ${behalf})`;
+  }
+
+  state.version = (state.version || 0) + 1;
+  return {
+    state,
+    condition,
+    fields: { approval: state, ...adapter.legacyFields(state, action, user.id, doc) },
+    historyEntry: {
+      ...adapter.historyFields(doc),
+      updated_By: ObjectID(user.id),
+      updated_Date: now,
+      status: label,
+      ...(onBehalfOf && { on_behalf_of: onBehalfOf }),
+    },
+  };
+}
+
+/**
+ * Delegate Approval
+ * Lets another user approve the current approver's pending step(s)
+ *
+ * @param {String} documentType
+ * @param {Object} doc - Document being approved (lean)
+ * @param {Object} options
+ * @param {Object} options.user - req.user (current approver)
+ * @param {String} options.delegate_to - User ID of the delegate
+ * @param {String} options.remarks - Remarks (optional)
+ * @returns {Object} { fields, historyEntry, state, condition }
+ */
+async function delegateApproval(documentType, doc, { user, delegate_to, remarks = "" }) {
+  assertDocumentType(documentType);
+
+  if (!delegate_to || !ObjectID.isValid(delegate_to) || String(delegate_to) === String(user.id)) {
+    throw {
+      errors: [],
+      message: "A valid delegate other than yourself is required",
+      statusCode: 412,
+    };
+  }
+
+  const delegate = await User.findOne({ _id: delegate_to, companyIdf: doc.companyIdf }, "name").lean();
+  if (!delegate) {
+    throw {
+      errors: [],
+      message: "Delegate not found",
+      statusCode: 404,
+    };
+  }
+
+  let state = await getApprovalState(documentType, doc);
+  const actionable = (await getActionableSteps(state, doc, user)).filter(
+    ({ claim }) => !claim.delegated && !claim.escalated
+  );
+  if (state.status !== "in_progress" || !actionable.length) {
+    throw {
+      errors: [],
+      message: "You are not an approver for the current approval step",
+      statusCode: 403,
+    };
+  }
+
+  const now = new Date();
+  actionable.forEach(({ step, claim }) => {
+    step.delegates = step.delegates.filter((o) => String(o.delegated_by) !== String(user.id));
+    step.delegates.push({
+      user_id: delegate._id,
+      delegated_by: user.id,
+      role: claim.role,
+      delegated_at: now,
+      remarks: remarks,
+    });
+  });
+
+  state.version = (state.version || 0) + 1;
+  return {
+    state,
+    condition: getApprovalCondition(doc),
+    fields: { approval: state },
+    historyEntry: {
+      ...ADAPTERS[documentType].historyFields(doc),
+      updated_By: ObjectID(user.id),
+      updated_Date: now,
+      status: `${actionable[0].step.name} approval delegated to ${delegate.name}`,
+    },
+  };
+}
+
+/**
+ * Escalation Target
+ * Who a step escalates to: the approvers of the next level, or superadmin
+ * when it is the last level
+ *
+ * @param {Object} state - Approval state
+ * @param {Object} step - Pending step
+ * @returns {Object} { level, approver_roles, permission }
+ */
+function getEscalationTarget(state, step) {
+  const next = state.steps
+    .filter((s) => s.level > step.level && s.status !== "skipped")
+    .sort((a, b) => a.level - b.level)[0];
+
+  if (next) {
+    return {
+      level: next.level,
+      approver_roles: next.approver_roles || [],
+      permission: next.permission || { module: "", action: "" },
+    };
+  }
+  return { level: null, approver_roles: [...BYPASS_ROLES], permission: { module: "", action: "" } };
+}
+
+/**
+ * Filter Approvers
+ * The users (from getUsersBySiteId, with roleDetails) who meet approver
+ * criteria: a step, or its escalation
+ *
+ * @param {Object} criteria - { approver_roles, permission }
+ * @param {Array} users - Site users with roleDetails
+ * @param {Object} site - Document site (with roles)
+ * @returns {Array} Users
+ */
+function filterApprovers(criteria, users, site) {
+  return users.filter((user) => {
+    const access = {
+      role: user.role,
+      grants: buildGrants(user.roleDetails ? user.roleDetails.dashboard_permissions : []),
+    };
+    return canApprove(criteria, user._id, access, site);
+  });
+}
+
+module.exports = {
+  APPROVAL_ACTIONS,
+  DEFAULT_SLA_HOURS,
+  DEFAULT_WORKFLOWS,
+  getWorkflow,
+  stepApplies,
+  buildApprovalState,
+  createApprovalState,
+  getAutoApproval,
+  getApprovalState,
+  getApprovalCondition,
+  processApproval,
+  delegateApproval,
+  getEscalationTarget,
+  filterApprovers,
+};
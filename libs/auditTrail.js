@@ -0,0 +1,421 @@
+/**
+ * Audit Trail Plugin
+ * Mongoose plugin that records the field-level history of a model's
+ * documents in the audit log (models/AuditLog.js)
+ *
+ * Recorded writes:
+ * - doc.save() (Model.create too), doc.remove() and doc.deleteOne()
+ * - update, replace and delete queries (updateOne, findOneAndUpdate,
+ *   findByIdAndDelete, deleteMany, ...), including upserts
+ * - Model.insertMany
+ * Model.bulkWrite and writes through Model.collection are not recorded.
+ *
+ * Who did it is taken from the request context (libs/tenantContext.js):
+ * middleware.jwtVerify records the signed in user, IP, user agent and route;
+ * runAsSystem (background jobs) records "system". Writes made outside any
+ * context (public RFQ links) are recorded without a user.
+ *
+ * Before a write the documents it will change are read with the same
+ * filter and session; after it they are read again, and the fields that
+ * differ are recorded. Entries are written in the write's session, so they
+ * commit or abort with its transaction. A failure to record is logged and
+ * does not fail the write, which has already happened.
+ */
+
+const mongoose = require("mongoose");
+const { AuditLog, AuditEntities } = require("../models/AuditLog");
+const { getTenantContext, runAsSystem } = require("./tenantContext");
+
+const UPDATE_OPS = [
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "update",
+  "updateMany",
+  "updateOne",
+];
+const DELETE_OPS = ["deleteMany", "deleteOne", "findOneAndDelete", "findOneAndRemove", "remove"];
+const REPLACE_OPS = ["findOneAndReplace", "replaceOne"];
+
+// Fields that change on every write or identify the document anyway
+const IGNORED_FIELDS = ["_id", "__v", "created_at", "updated_at", "createdAt", "updatedAt"];
+const SYSTEM_ACTOR = { name: "system" };
+
+// Query property holding what the pre hook read for the post hook
+const STATE = Symbol("auditTrail");
+
+/**
+ * ID of a companyIdf value (populated or not)
+ * @param {*} value
+ * @returns {*}
+ */
+function idOf(value) {
+  return value && value._id ? value._id : value;
+}
+
+/**
+ * Who is writing, from the current context
+ * @returns {Object} { user_id, name, ip, user_agent, route }, empty outside any context
+ */
+function getActor() {
+  const context = getTenantContext();
+  if (!context) return {};
+  return context.system ? SYSTEM_ACTOR : context.actor || {};
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} Whether the value is recorded as a whole
+ */
+function isLeaf(value) {
+  return (
+    value === null ||
+    typeof value !== "object" ||
+    value instanceof Date ||
+    Buffer.isBuffer(value) ||
+    !!value._bsontype
+  );
+}
+
+/**
+ * Flatten a document into field path → value
+ * Arrays of values are kept whole; array items with an _id are keyed by it,
+ * other items by position.
+ *
+ * @param {*} value
+ * @param {Array<String>} ignore - Field names to leave out
+ * @param {String} path
+ * @param {Object} out
+ * @returns {Object}
+ */
+function flatten(value, ignore, path = "", out = {}) {
+  if (isLeaf(value) || (Array.isArray(value) && value.every(isLeaf))) {
+    if (path) out[path] = value;
+    return out;
+  }
+
+  const prefix = path ? `${path}.` : "";
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, ignore, `${prefix}${item._id || i}`, out));
+    return out;
+  }
+  Object.keys(value).forEach((key) => {
+    if (!ignore.includes(key)) flatten(value[key], ignore, `${prefix}${key}`, out);
+  });
+  return out;
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean} Whether two recorded values are the same (missing and null are)
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Changed fields between two versions of a document
+ *
+ * @param {Object|null} before - Plain object (lean); null for a create
+ * @param {Object|null} after - Plain object (lean); null for a delete
+ * @param {Array<String>} ignore - Field names to leave out
+ * @returns {Array<Object>} [{ path, from, to }]
+ */
+function diffDocuments(before, after, ignore = IGNORED_FIELDS) {
+  const from = before ? flatten(before, ignore) : {};
+  const to = after ? flatten(after, ignore) : {};
+  const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return paths
+    .filter((path) => !sameValue(from[path], to[path]))
+    .map((path) => ({
+      path,
+      from: from[path] === undefined ? null : from[path],
+      to: to[path] === undefined ? null : to[path],
+    }));
+}
+
+/**
+ * Only the given top level fields of a document
+ *
+ * @param {Object} doc
+ * @param {Array<String>|null} fields - null for all
+ * @returns {Object}
+ */
+function pickFields(doc, fields) {
+  if (!doc || !fields) return doc;
+  return fields.reduce((acc, field) => (doc[field] === undefined ? acc : { ...acc, [field]: doc[field] }), {});
+}
+
+/**
+ * Top level fields an update writes
+ *
+ * @param {Object|Array} update - Query update
+ * @returns {Array<String>|null} null when it can write any field (pipelines)
+ */
+function getUpdatedFields(update) {
+  if (!update || Array.isArray(update)) return null;
+  const fields = Object.keys(update).reduce(
+    (acc, key) => acc.concat(key.startsWith("$") ? Object.keys(update[key] || {}) : [key]),
+    []
+  );
+  return [...new Set(fields.map((field) => field.split(".")[0]))];
+}
+
+/**
+ * Audit log entry for one write of one document
+ *
+ * @param {Object} settings - { entity, ignore }
+ * @param {String} action - create, update or delete
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {Object} actor - From getActor
+ * @returns {Object|null} null when nothing changed
+ */
+function buildEntry(settings, action, before, after, actor) {
+  const doc = after || before;
+  const changes = diffDocuments(before, after, settings.ignore);
+  if (!doc || !doc.companyIdf || (action === "update" && !changes.length)) return null;
+
+  return {
+    companyIdf: idOf(doc.companyIdf),
+    entity_type: settings.entity,
+    entity_id: doc._id,
+    action,
+    changes,
+    user_id: actor.user_id || null,
+    user_name: actor.name || "",
+    ip: actor.ip || "",
+    user_agent: actor.user_agent || "",
+    route: actor.route || "",
+  };
+}
+
+/**
+ * Write audit log entries; failures are logged
+ *
+ * @param {Array<Object|null>} entries
+ * @param {ClientSession} session - The write's session (optional)
+ * @returns {Promise<void>}
+ */
+async function writeEntries(entries, session) {
+  const valid = entries.filter(Boolean);
+  if (!valid.length) return;
+  try {
+    await runAsSystem(() => AuditLog.insertMany(valid, { session }));
+  } catch (error) {
+    console.error(`Error writing audit trail of ${valid[0].entity_type}:`, error);
+  }
+}
+
+/**
+ * Plain copy of a document for diffing
+ * @param {Document|Object} doc
+ * @returns {Object}
+ */
+function toPlain(doc) {
+  return doc && typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+}
+
+/**
+ * Save hook: reads the stored version of a changed document
+ *
+ * @param {Document} doc
+ * @param {Function} next
+ */
+function captureSave(doc, next) {
+  if (typeof doc.ownerDocument === "function") return next();
+  const state = { actor: getActor(), isNew: doc.isNew, fields: null, before: null };
+  if (!doc.isNew) {
+    if (!doc.isModified()) return next();
+    state.fields = [...new Set(doc.modifiedPaths().map((path) => path.split(".")[0]).concat("companyIdf"))];
+  }
+  doc.$locals.auditTrail = state;
+  if (doc.isNew) return next();
+
+  doc.constructor
+    .findOne({ _id: doc._id, companyIdf: idOf(doc.companyIdf) }, state.fields.join(" "))
+    .session(doc.$session())
+    .lean()
+    .then((before) => {
+      state.before = before;
+      next();
+    })
+    .catch(next);
+}
+
+/**
+ * Save hook: records the create or update
+ *
+ * @param {Object} settings - { entity, ignore }
+ * @param {Document} doc
+ * @param {Function} next
+ */
+function recordSave(settings, doc, next) {
+  const state = doc.$locals.auditTrail;
+  if (!state) return next();
+  delete doc.$locals.auditTrail;
+
+  const after = pickFields(toPlain(doc), state.fields && [...state.fields, "_id"]);
+  const entry = state.isNew
+    ? buildEntry(settings, "create", null, after, state.actor)
+    : buildEntry(settings, "update", state.before, after, state.actor);
+  writeEntries([entry], doc.$session()).then(() => next());
+}
+
+/**
+ * Document remove hook: records the delete
+ *
+ * @param {Object} settings - { entity, ignore }
+ * @param {Document} doc
+ * @param {Function} next
+ */
+function recordRemove(settings, doc, next) {
+  if (typeof doc.ownerDocument === "function") return next();
+  const entry = buildEntry(settings, "delete", toPlain(doc), null, getActor());
+  writeEntries([entry], doc.$session()).then(() => next());
+}
+
+/**
+ * Query hook: reads the documents the query will change
+ *
+ * @param {Query} query
+ * @param {Function} next
+ */
+function captureQuery(query, next) {
+  const options = query.options || {};
+  const single =
+    !["deleteMany", "remove", "updateMany"].includes(query.op) && !(query.op === "update" && options.multi);
+  const fields =
+    DELETE_OPS.includes(query.op) || REPLACE_OPS.includes(query.op) ? null : getUpdatedFields(query.getUpdate());
+  const projection = fields ? [...fields, "companyIdf"].join(" ") : null;
+
+  const actor = getActor();
+
+  const read = query.model.find(query.getFilter(), projection).session(options.session || null).lean();
+  if (single) read.limit(1);
+  if (single && options.sort) read.sort(options.sort);
+
+  read
+    .then((before) => {
+      query[STATE] = { actor, before, projection };
+      next();
+    })
+    .catch(next);
+}
+
+/**
+ * Query hook: records what the query changed
+ *
+ * @param {Object} settings - { entity, ignore }
+ * @param {Query} query
+ * @param {Function} next
+ */
+function recordQuery(settings, query, next) {
+  const state = query[STATE];
+  if (!state) return next();
+  delete query[STATE];
+
+  const options = query.options || {};
+  const session = options.session || null;
+  const readAfter = async () => {
+    if (DELETE_OPS.includes(query.op)) {
+      return state.before.map((doc) => buildEntry(settings, "delete", doc, null, state.actor));
+    }
+    if (!state.before.length) {
+      // Nothing matched: an upsert created the document the filter now finds
+      const created = options.upsert
+        ? await runAsSystem(() => query.model.findOne(query.getFilter()).session(session).lean())
+        : null;
+      return [buildEntry(settings, "create", null, created, state.actor)];
+    }
+
+    const after = await runAsSystem(() =>
+      query.model
+        .find({ _id: { $in: state.before.map((doc) => doc._id) } }, state.projection)
+        .session(session)
+        .lean()
+    );
+    return state.before.map((before) =>
+      buildEntry(
+        settings,
+        "update",
+        before,
+        after.find((doc) => String(doc._id) === String(before._id)) || null,
+        state.actor
+      )
+    );
+  };
+
+  readAfter()
+    .then((entries) => writeEntries(entries, session))
+    .catch((error) => console.error(`Error reading audit trail of ${settings.entity}:`, error))
+    .then(() => next());
+}
+
+/**
+ * Audit Trail Plugin
+ *
+ * @param {Schema} schema - Schema with a companyIdf path
+ * @param {Object} options
+ * @param {String} options.entity - Entity type (models/AuditLog.js AuditEntities)
+ * @param {Array<String>} options.ignore - More field names not to record (optional)
+ */
+function auditTrailPlugin(schema, options = {}) {
+  if (!AuditEntities.includes(options.entity)) {
+    throw new Error(`Audit trail: unknown entity type "${options.entity}"`);
+  }
+  const settings = { entity: options.entity, ignore: IGNORED_FIELDS.concat(options.ignore || []) };
+
+  schema.pre("save", function (next) {
+    captureSave(this, next);
+  });
+  schema.post("save", function (doc, next) {
+    recordSave(settings, doc, next);
+  });
+  schema.post(["remove", "deleteOne"], { document: true, query: false }, function (doc, next) {
+    recordRemove(settings, doc, next);
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, function (next) {
+    captureQuery(this, next);
+  });
+  schema.post([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, function (res, next) {
+    recordQuery(settings, this, next);
+  });
+
+  schema.static("insertMany", function (docs, insertOptions, callback) {
+    if (typeof insertOptions === "function") {
+      callback = insertOptions;
+      insertOptions = {};
+    }
+    const actor = getActor();
+    const session = (insertOptions && insertOptions.session) || null;
+    const record = (inserted) =>
+      writeEntries(
+        inserted.map((doc) => buildEntry(settings, "create", null, toPlain(doc), actor)),
+        session
+      );
+
+    const promise = mongoose.Model.insertMany.call(this, docs, insertOptions || {}).then(
+      async (inserted) => {
+        // rawResult returns the driver's result instead of the documents
+        if (Array.isArray(inserted)) await record(inserted);
+        return inserted;
+      },
+      async (error) => {
+        // ordered: false keeps the documents inserted before the failure
+        if (Array.isArray(error.insertedDocs)) await record(error.insertedDocs);
+        throw error;
+      }
+    );
+    if (!callback) return promise;
+    promise.then((inserted) => callback(null, inserted), callback);
+  });
+}
+
+module.exports = {
+  auditTrailPlugin,
+  diffDocuments,
+};
@@ -0,0 +1,352 @@
+/**
+ * Auth Tokens Library
+ * Short-lived access tokens, rotating refresh tokens and server-side
+ * revocation of login sessions (models/RefreshToken.js)
+ *
+ * Provides functions for:
+ * - Opening a session for a device at login (access + refresh token)
+ * - Rotating a refresh token for a new access token, revoking the session
+ *   when a rotated token is presented again
+ * - Revoking one session (logout) or all sessions of a user (logout of all
+ *   devices, password change, user deactivated or deleted)
+ * - Checking on every request that the access token's session is still open
+ *   and its user active (middleware.jwtVerify)
+ * - Single-use tickets that open an event stream in place of the access
+ *   token, which EventSource could only send in the URL
+ *
+ * Lifetimes come from config auth.accessTokenExpiresIn and
+ * auth.refreshTokenDays. The session check is cached under
+ * auth:session:<sid>; revoking a session clears it.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config/env");
+const User = require("../models/User");
+const { RefreshToken } = require("../models/RefreshToken");
+const { getCache, setCache, deleteCache } = require("../utils/cache");
+const { getRedis } = require("../config/redis");
+const { TRANSACTIONAL } = require("./cacheConfig");
+const { responseMessage } = require("./responseMessages");
+const { runWithTenant, runAsSystem } = require("./tenantContext");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stream tickets are redeemed straight away by the EventSource they are made for
+const STREAM_TICKET_SECONDS = 30;
+
+/**
+ * Auth Settings
+ * @returns {Object} { accessTokenExpiresIn, refreshTokenDays, maxLoginAttempts,
+ *   maxLoginAttemptsPerIp, loginLockoutMinutes, passwordResetMinutes }
+ */
+function getAuthSettings() {
+  const auth = config.auth || {};
+  return {
+    accessTokenExpiresIn: auth.accessTokenExpiresIn || "15m",
+    refreshTokenDays: Number(auth.refreshTokenDays) || 30,
+    maxLoginAttempts: Number(auth.maxLoginAttempts) || 5,
+    maxLoginAttemptsPerIp: Number(auth.maxLoginAttemptsPerIp) || 20,
+    loginLockoutMinutes: Number(auth.loginLockoutMinutes) || 15,
+    passwordResetMinutes: Number(auth.passwordResetMinutes) || 30,
+  };
+}
+
+/**
+ * SHA-256 of a refresh token
+ * @param {String} token
+ * @returns {String}
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Session cache key
+ * @param {String} sessionId
+ * @returns {String}
+ */
+function sessionCacheKey(sessionId) {
+  return `auth:session:${sessionId}`;
+}
+
+/**
+ * Throw a 401
+ * @param {String} code - responseMessages code
+ */
+function unauthorized(code) {
+  throw { errors: [], message: responseMessage("en", code), statusCode: 401 };
+}
+
+/**
+ * Sign Access Token
+ *
+ * @param {Object} user - { _id, name, companyIdf }
+ * @param {String} sessionId
+ * @returns {Object} { token, expires_in } expires_in in seconds
+ */
+function signAccessToken(user, sessionId) {
+  const token = jwt.sign(
+    { id: user._id, name: user.name, companyIdf: user.companyIdf, sid: sessionId },
+    config.secret,
+    { expiresIn: getAuthSettings().accessTokenExpiresIn }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+}
+
+/**
+ * Create a refresh token of a session
+ *
+ * @param {Object} session - { companyIdf, user_id, session_id, device_id, device_name, user_agent, ip }
+ * @returns {Promise<Object>} { doc, refresh_token }
+ */
+async function createRefreshToken(session) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const doc = await RefreshToken.create({
+    ...session,
+    token_hash: hashToken(refreshToken),
+    expires_at: new Date(Date.now() + getAuthSettings().refreshTokenDays * DAY),
+  });
+  return { doc, refresh_token: refreshToken };
+}
+
+/**
+ * Tokens returned to the client
+ *
+ * @param {Object} user
+ * @param {Object} created - { doc, refresh_token } from createRefreshToken
+ * @returns {Object} { token, expires_in, refresh_token, refresh_expires_at, session_id, device_id }
+ */
+function tokenResponse(user, { doc, refresh_token }) {
+  return {
+    ...signAccessToken(user, doc.session_id),
+    refresh_token,
+    refresh_expires_at: doc.expires_at,
+    session_id: doc.session_id,
+    device_id: doc.device_id,
+  };
+}
+
+/**
+ * Revoke Sessions
+ * Revokes the open tokens of the matching sessions and clears their cached
+ * state
+ *
+ * @param {Object} filter - RefreshToken filter
+ * @param {String} reason - Revoke reason
+ * @returns {Promise<Number>} Sessions revoked
+ */
+async function revokeSessions(filter, reason) {
+  const query = { ...filter, revoked_at: null };
+  const sessionIds = await RefreshToken.distinct("session_id", query);
+  if (!sessionIds.length) return 0;
+
+  await RefreshToken.updateMany(query, { $set: { revoked_at: new Date(), revoked_reason: reason } });
+  await Promise.all(sessionIds.map((id) => deleteCache(sessionCacheKey(id))));
+  return sessionIds.length;
+}
+
+/**
+ * Revoke Session
+ *
+ * @param {String} sessionId
+ * @param {String} reason - Revoke reason (default: logout)
+ * @returns {Promise<Number>} Sessions revoked (0 or 1)
+ */
+function revokeSession(sessionId, reason = "logout") {
+  return revokeSessions({ session_id: String(sessionId) }, reason);
+}
+
+/**
+ * Revoke User Sessions
+ * Logs the user out of every device, or every device but one
+ *
+ * @param {ObjectId} userId
+ * @param {String} reason - Revoke reason (default: logout_all)
+ * @param {String} keepSessionId - Session to leave open (optional)
+ * @returns {Promise<Number>} Sessions revoked
+ */
+function revokeUserSessions(userId, reason = "logout_all", keepSessionId) {
+  return revokeSessions(
+    { user_id: userId, ...(keepSessionId && { session_id: { $ne: String(keepSessionId) } }) },
+    reason
+  );
+}
+
+/**
+ * Issue Tokens
+ * Opens a session for the device at login. An open session of the same
+ * device is revoked.
+ *
+ * @param {Object} user - User document
+ * @param {Object} device
+ * @param {String} device.device_id - Client's device ID (optional, generated when missing)
+ * @param {String} device.device_name - e.g. "Chrome on Windows" (optional)
+ * @param {String} device.user_agent
+ * @param {String} device.ip
+ *
+ * @returns {Promise<Object>} See tokenResponse
+ */
+async function issueTokens(user, { device_id, device_name, user_agent, ip } = {}) {
+  const deviceId = device_id ? String(device_id) : crypto.randomBytes(16).toString("hex");
+  await revokeSessions({ user_id: user._id, device_id: deviceId }, "new_login");
+
+  const created = await createRefreshToken({
+    companyIdf: user.companyIdf,
+    user_id: user._id,
+    session_id: crypto.randomBytes(16).toString("hex"),
+    device_id: deviceId,
+    device_name: device_name || "",
+    user_agent: user_agent || "",
+    ip: ip || "",
+  });
+  return tokenResponse(user, created);
+}
+
+/**
+ * Rotate Refresh Token
+ * Swaps a refresh token for a new access and refresh token of the same
+ * session. The new token is stored before the old one is revoked, so the
+ * session stays open throughout. A token that was already rotated revokes
+ * the whole session.
+ *
+ * @param {String} refreshToken
+ * @param {Object} device - { user_agent, ip } of the request
+ *
+ * @returns {Promise<Object>} See tokenResponse
+ */
+async function rotateRefreshToken(refreshToken, device = {}) {
+  if (!refreshToken) unauthorized("INVALID_TOKEN");
+
+  // The token is the credential: it decides the tenant
+  const current = await runAsSystem(() => RefreshToken.findOne({ token_hash: hashToken(refreshToken) }).lean());
+  if (!current) unauthorized("INVALID_TOKEN");
+  return runWithTenant(current.companyIdf, () => rotateSessionToken(current, device));
+}
+
+/**
+ * Rotate a found refresh token (as its tenant)
+ *
+ * @param {Object} current - RefreshToken (lean)
+ * @param {Object} device - { user_agent, ip } of the request
+ *
+ * @returns {Promise<Object>} See tokenResponse
+ */
+async function rotateSessionToken(current, { user_agent, ip }) {
+  if (current.revoked_at) {
+    if (current.revoked_reason === "rotated") await revokeSession(current.session_id, "reuse_detected");
+    unauthorized("TOKEN_IS_EXPIRED");
+  }
+  if (current.expires_at < new Date()) unauthorized("TOKEN_IS_EXPIRED");
+
+  const user = await User.findOne({ _id: current.user_id, companyIdf: current.companyIdf }).lean();
+  if (!user || user.isActive === false) {
+    await revokeSession(current.session_id, "user_inactive");
+    unauthorized("INACTIVE_ACCOUNT");
+  }
+
+  const created = await createRefreshToken({
+    companyIdf: current.companyIdf,
+    user_id: current.user_id,
+    session_id: current.session_id,
+    device_id: current.device_id,
+    device_name: current.device_name,
+    user_agent: user_agent || current.user_agent,
+    ip: ip || current.ip,
+  });
+
+  // Only one request may rotate a token; the loser is treated as reuse
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: "rotated", replaced_by: created.doc._id, last_used_at: new Date() } }
+  );
+  if (!rotated) {
+    await RefreshToken.deleteOne({ _id: created.doc._id });
+    await revokeSession(current.session_id, "reuse_detected");
+    unauthorized("TOKEN_IS_EXPIRED");
+  }
+
+  return tokenResponse(user, created);
+}
+
+/**
+ * Get Session State
+ * Whether an access token's session is open and its user active
+ *
+ * @param {Object} decoded - Verified access token payload { id, companyIdf, sid }
+ * @returns {Promise<Object>} { active, code } code being the responseMessages code when not active
+ */
+async function getSessionState(decoded) {
+  // Tokens issued before sessions existed never expire; they are not accepted
+  if (!decoded.sid) return { active: false, code: "TOKEN_IS_EXPIRED" };
+
+  const cacheKey = sessionCacheKey(decoded.sid);
+  let state = await getCache(cacheKey);
+  if (!state) {
+    const [user, session] = await Promise.all([
+      User.findOne({ _id: decoded.id, companyIdf: decoded.companyIdf }).select("isActive").lean(),
+      // Runs before the request's tenant context is set, so scoped by hand
+      RefreshToken.exists({
+        companyIdf: decoded.companyIdf,
+        session_id: String(decoded.sid),
+        user_id: decoded.id,
+        revoked_at: null,
+        expires_at: { $gt: new Date() },
+      }),
+    ]);
+    if (!user || user.isActive === false) state = { active: false, code: "INACTIVE_ACCOUNT" };
+    else if (!session) state = { active: false, code: "TOKEN_IS_EXPIRED" };
+    else state = { active: true };
+    await setCache(cacheKey, state, TRANSACTIONAL);
+  }
+  return state;
+}
+
+/**
+ * Stream ticket key
+ * @param {String} ticket
+ * @returns {String}
+ */
+function streamTicketKey(ticket) {
+  return `auth:stream-ticket:${hashToken(ticket)}`;
+}
+
+/**
+ * Issue Stream Ticket
+ * A ticket that stands in for the access token on one event stream request
+ *
+ * @param {String} accessToken - The caller's access token
+ * @returns {Promise<Object>} { ticket, expires_in } expires_in in seconds
+ */
+async function issueStreamTicket(accessToken) {
+  const ticket = crypto.randomBytes(32).toString("hex");
+  await getRedis().setEx(streamTicketKey(ticket), STREAM_TICKET_SECONDS, accessToken);
+  return { ticket, expires_in: STREAM_TICKET_SECONDS };
+}
+
+/**
+ * Redeem Stream Ticket
+ * Uses up a ticket
+ *
+ * @param {String} ticket
+ * @returns {Promise<String|null>} The access token it was issued for; null when
+ *   unknown, expired or already used
+ */
+async function redeemStreamTicket(ticket) {
+  if (!ticket) return null;
+  return getRedis().getDel(streamTicketKey(String(ticket)));
+}
+
+module.exports = {
+  getAuthSettings,
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getSessionState,
+  issueStreamTicket,
+  redeemStreamTicket,
+};
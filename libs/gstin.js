@@ -0,0 +1,246 @@
+/**
+ * GSTIN Library
+ * Offline validation of GST and PAN numbers
+ *
+ * Provides functions for:
+ * - Checking a PAN's format (AAAAA9999A)
+ * - Checking a GSTIN's format, state code and check character
+ * - Checking a GSTIN against the PAN and state it is filed with
+ * - Mapping an address state (name or ISO code) to its GST state code(s)
+ *
+ * GSTIN layout (15 characters):
+ * - 1-2: GST state code (GST_STATE_CODES)
+ * - 3-12: PAN of the holder
+ * - 13: Entity number for the same PAN in the state (1-9, A-Z)
+ * - 14: "Z"
+ * - 15: Check character (base-36 checksum of the first 14)
+ *
+ * Used for vendors (including CSV uploads), organisations and PO billing
+ * addresses.
+ */
+
+const CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * GST State Codes
+ * Code → state / union territory, with the names and ISO 3166-2:IN codes an
+ * address may use for it
+ * @type {Object<String, {name: String, aliases: Array<String>}>}
+ */
+const GST_STATE_CODES = {
+  "01": { name: "Jammu and Kashmir", aliases: ["JK"] },
+  "02": { name: "Himachal Pradesh", aliases: ["HP"] },
+  "03": { name: "Punjab", aliases: ["PB"] },
+  "04": { name: "Chandigarh", aliases: ["CH"] },
+  "05": { name: "Uttarakhand", aliases: ["Uttaranchal", "UK", "UT", "UL"] },
+  "06": { name: "Haryana", aliases: ["HR"] },
+  "07": { name: "Delhi", aliases: ["New Delhi", "NCT of Delhi", "National Capital Territory of Delhi", "DL"] },
+  "08": { name: "Rajasthan", aliases: ["RJ"] },
+  "09": { name: "Uttar Pradesh", aliases: ["UP"] },
+  "10": { name: "Bihar", aliases: ["BR"] },
+  "11": { name: "Sikkim", aliases: ["SK"] },
+  "12": { name: "Arunachal Pradesh", aliases: ["AR"] },
+  "13": { name: "Nagaland", aliases: ["NL"] },
+  "14": { name: "Manipur", aliases: ["MN"] },
+  "15": { name: "Mizoram", aliases: ["MZ"] },
+  "16": { name: "Tripura", aliases: ["TR"] },
+  "17": { name: "Meghalaya", aliases: ["ML"] },
+  "18": { name: "Assam", aliases: ["AS"] },
+  "19": { name: "West Bengal", aliases: ["WB"] },
+  "20": { name: "Jharkhand", aliases: ["JH"] },
+  "21": { name: "Odisha", aliases: ["Orissa", "OR", "OD"] },
+  "22": { name: "Chhattisgarh", aliases: ["Chattisgarh", "CT", "CG"] },
+  "23": { name: "Madhya Pradesh", aliases: ["MP"] },
+  "24": { name: "Gujarat", aliases: ["GJ"] },
+  // Merged into 26 in 2020; GSTINs issued before keep 25
+  "25": { name: "Daman and Diu", aliases: ["Dadra and Nagar Haveli and Daman and Diu", "DD", "DH"] },
+  "26": {
+    name: "Dadra and Nagar Haveli and Daman and Diu",
+    aliases: ["Dadra and Nagar Haveli", "Daman and Diu", "DN", "DH", "DD"],
+  },
+  "27": { name: "Maharashtra", aliases: ["MH"] },
+  // Andhra Pradesh before the 2014 split; GSTINs issued before keep 28
+  "28": { name: "Andhra Pradesh", aliases: ["AP"] },
+  "29": { name: "Karnataka", aliases: ["KA"] },
+  "30": { name: "Goa", aliases: ["GA"] },
+  "31": { name: "Lakshadweep", aliases: ["LD"] },
+  "32": { name: "Kerala", aliases: ["KL"] },
+  "33": { name: "Tamil Nadu", aliases: ["TN"] },
+  "34": { name: "Puducherry", aliases: ["Pondicherry", "PY"] },
+  "35": { name: "Andaman and Nicobar Islands", aliases: ["Andaman and Nicobar", "AN"] },
+  "36": { name: "Telangana", aliases: ["TG", "TS"] },
+  "37": { name: "Andhra Pradesh", aliases: ["AP"] },
+  "38": { name: "Ladakh", aliases: ["LA"] },
+  "97": { name: "Other Territory", aliases: [] },
+  "99": { name: "Centre Jurisdiction", aliases: [] },
+};
+
+// Codes not tied to one state, so not checked against the address
+const NON_STATE_CODES = ["97", "99"];
+
+/**
+ * Normalise a GSTIN or PAN as entered (spaces removed, upper case)
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function normaliseTaxId(value) {
+  return String(value || "").replace(/\s+/g, "").toUpperCase();
+}
+
+/**
+ * Normalise a state name or code for comparison
+ * @param {String} value
+ * @returns {String}
+ */
+function normaliseState(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/^in-/, "")
+    .replace(/[^a-z]/g, "");
+}
+
+/**
+ * Get State Codes
+ * GST state codes of an address state
+ *
+ * @param {String} state - State name or ISO code, e.g. "Tamil Nadu", "TN", "IN-TN"
+ * @returns {Array<String>} Matching codes (Andhra Pradesh and Daman and Diu have two), empty when unknown
+ */
+function getStateCodes(state) {
+  const key = normaliseState(state);
+  if (!key) return [];
+  return Object.keys(GST_STATE_CODES).filter((code) => {
+    const { name, aliases } = GST_STATE_CODES[code];
+    return [name, ...aliases].some((o) => normaliseState(o) === key);
+  });
+}
+
+/**
+ * GSTIN check character of the first 14 characters
+ *
+ * @param {String} body - First 14 characters of a GSTIN
+ * @returns {String}
+ */
+function getGstinCheckChar(body) {
+  const sum = body.split("").reduce((acc, char, i) => {
+    const product = CHARSET.indexOf(char) * (i % 2 === 0 ? 1 : 2);
+    return acc + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Whether a PAN is well formed
+ * @param {String} pan
+ * @returns {Boolean}
+ */
+function isValidPan(pan) {
+  return PAN_PATTERN.test(normaliseTaxId(pan));
+}
+
+/**
+ * Validate GSTIN
+ * Format, state code and check character
+ *
+ * @param {String} gstin
+ * @returns {Array<String>} Problems found, empty when valid
+ */
+function validateGstin(gstin) {
+  const value = normaliseTaxId(gstin);
+  if (value.length !== 15) return [`GSTIN ${value} must be 15 characters`];
+  if (!GSTIN_PATTERN.test(value)) return [`GSTIN ${value} is not in the format 99AAAAA9999A9Z9`];
+
+  const errors = [];
+  if (!GST_STATE_CODES[value.slice(0, 2)]) {
+    errors.push(`GSTIN ${value} has an unknown state code ${value.slice(0, 2)}`);
+  }
+  if (getGstinCheckChar(value.slice(0, 14)) !== value[14]) {
+    errors.push(`GSTIN ${value} has an invalid check character`);
+  }
+  return errors;
+}
+
+/**
+ * Validate Tax Details
+ * Checks a record's GSTIN and PAN on their own and against each other and
+ * the address state. Blank values are not checked.
+ *
+ * @param {Object} details
+ * @param {String} details.gst_number - GSTIN
+ * @param {String} details.pan_number - PAN
+ * @param {String} details.state - Address state (name or ISO code)
+ * @param {Object} fields - Field names to report errors against (optional)
+ *
+ * @returns {Array} [{ field, message }], empty when valid
+ */
+function validateTaxDetails({ gst_number, pan_number, state } = {}, fields = {}) {
+  const names = { gst_number: "gst_number", pan_number: "pan_number", state: "address.state", ...fields };
+  const gstin = normaliseTaxId(gst_number);
+  const pan = normaliseTaxId(pan_number);
+  const errors = [];
+
+  if (pan && !isValidPan(pan)) {
+    errors.push({ field: names.pan_number, message: `PAN ${pan} is not in the format AAAAA9999A` });
+  }
+  if (!gstin) return errors;
+
+  const gstinErrors = validateGstin(gstin);
+  if (gstinErrors.length) {
+    return [...errors, ...gstinErrors.map((message) => ({ field: names.gst_number, message }))];
+  }
+
+  if (pan && gstin.slice(2, 12) !== pan) {
+    errors.push({
+      field: names.gst_number,
+      message: `GSTIN ${gstin} belongs to PAN ${gstin.slice(2, 12)}, not ${pan}`,
+    });
+  }
+
+  const code = gstin.slice(0, 2);
+  if (state && !NON_STATE_CODES.includes(code)) {
+    const stateCodes = getStateCodes(state);
+    if (!stateCodes.length) {
+      errors.push({ field: names.state, message: `${state} is not a recognised Indian state or union territory` });
+    } else if (!stateCodes.includes(code)) {
+      errors.push({
+        field: names.state,
+        message: `GSTIN ${gstin} is registered in ${GST_STATE_CODES[code].name} (${code}), not ${state}`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Assert Valid Tax Details
+ * Throws a 400 listing the problems found by validateTaxDetails
+ *
+ * @param {Object} details - { gst_number, pan_number, state }
+ * @param {Object} fields - Field names to report errors against (optional)
+ * @returns {void}
+ */
+function assertValidTaxDetails(details, fields) {
+  const errors = validateTaxDetails(details, fields);
+  if (!errors.length) return;
+
+  throw {
+    errors,
+    message: errors.map((o) => o.message).join("; "),
+    statusCode: 400,
+  };
+}
+
+module.exports = {
+  GST_STATE_CODES,
+  normaliseTaxId,
+  getStateCodes,
+  getGstinCheckChar,
+  isValidPan,
+  validateGstin,
+  validateTaxDetails,
+  assertValidTaxDetails,
+};
@@ -0,0 +1,139 @@
+/**
+ * Login Lockout Library
+ * Locks out repeated failed logins per email and per client IP
+ * (models/LoginAttempt.js)
+ *
+ * Provides functions for:
+ * - Refusing a login while its email or IP is locked
+ * - Counting a failure against the email and the IP
+ * - Clearing an email's failures after a successful login or password reset
+ * - The same limits on password reset requests (every request counts), kept
+ *   in their own counters
+ *
+ * Failures are counted per email whether or not a user has it, so a lock
+ * says nothing about which emails are registered. An email is locked after
+ * auth.maxLoginAttempts failures within auth.loginLockoutMinutes, an IP after
+ * auth.maxLoginAttemptsPerIp; either lock lasts auth.loginLockoutMinutes.
+ */
+
+const LoginAttempt = require("../models/LoginAttempt");
+const { getAuthSettings } = require("./authTokens");
+const { responseMessage } = require("./responseMessages");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Counter key prefix and lock message of each scope
+ * @type {Object<String, {prefix: String, message: String}>}
+ */
+const SCOPES = {
+  login: { prefix: "", message: "LOGIN_LOCKED" },
+  password_reset: { prefix: "password_reset:", message: "PASSWORD_RESET_LOCKED" },
+};
+
+/**
+ * Normalise an email for counting
+ * @param {String} email
+ * @returns {String}
+ */
+function normaliseEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/**
+ * Counter keys of a login (or reset request) and their limits
+ *
+ * @param {String} email
+ * @param {String} ip
+ * @param {String} scope - login or password_reset (default: login)
+ * @returns {Array} [{ key, limit }]
+ */
+function getAttemptKeys(email, ip, scope = "login") {
+  const settings = getAuthSettings();
+  const { prefix } = SCOPES[scope];
+  return [
+    { key: `${prefix}email:${normaliseEmail(email)}`, limit: settings.maxLoginAttempts },
+    ...(ip ? [{ key: `${prefix}ip:${ip}`, limit: settings.maxLoginAttemptsPerIp }] : []),
+  ];
+}
+
+/**
+ * Assert Login Allowed
+ * Throws a 429 while the email or the IP is locked
+ *
+ * @param {String} email
+ * @param {String} ip
+ * @param {String} scope - login or password_reset (default: login)
+ * @returns {Promise<void>}
+ */
+async function assertLoginAllowed(email, ip, scope = "login") {
+  const now = new Date();
+  const locks = await LoginAttempt.find({
+    key: { $in: getAttemptKeys(email, ip, scope).map((o) => o.key) },
+    locked_until: { $gt: now },
+  }).lean();
+  if (!locks.length) return;
+
+  const until = Math.max(...locks.map((o) => new Date(o.locked_until).getTime()));
+  throw {
+    errors: [],
+    message: responseMessage("en", SCOPES[scope].message, String(Math.ceil((until - now.getTime()) / MINUTE))),
+    statusCode: 429,
+  };
+}
+
+/**
+ * Record Login Failure
+ * Counts a failure against the email and the IP, locking the ones that reach
+ * their limit
+ *
+ * @param {String} email
+ * @param {String} ip
+ * @param {String} scope - login or password_reset (default: login)
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure(email, ip, scope = "login") {
+  const now = new Date();
+  const { loginLockoutMinutes } = getAuthSettings();
+  const windowEnd = new Date(now.getTime() + loginLockoutMinutes * MINUTE);
+
+  for (const { key, limit } of getAttemptKeys(email, ip, scope)) {
+    // A window the TTL monitor has not removed yet starts over
+    await LoginAttempt.deleteOne({ key, expires_at: { $lte: now } });
+
+    let attempt;
+    try {
+      attempt = await LoginAttempt.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $setOnInsert: { expires_at: windowEnd } },
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      // Lost a race to insert the counter; count against the winner's
+      if (error.code !== 11000) throw error;
+      attempt = await LoginAttempt.findOneAndUpdate({ key }, { $inc: { failures: 1 } }, { new: true }).lean();
+    }
+
+    if (attempt && attempt.failures >= limit && !(attempt.locked_until > now)) {
+      await LoginAttempt.updateOne({ _id: attempt._id }, { $set: { locked_until: windowEnd, expires_at: windowEnd } });
+    }
+  }
+}
+
+/**
+ * Clear Login Failures
+ * Resets an email's count; the IP's count is left to expire
+ *
+ * @param {String} email
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(email) {
+  await LoginAttempt.deleteOne({ key: `email:${normaliseEmail(email)}` });
+}
+
+module.exports = {
+  getAttemptKeys,
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+};
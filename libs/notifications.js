@@ -0,0 +1,200 @@
+/**
+ * Notifications Library
+ * In-app notification inbox and live delivery
+ *
+ * Provides functions for:
+ * - Creating notifications for the users who opted in to a type
+ * - Notifying a site's users (and the out-of-office delegates of absent ones)
+ * - Subscribing an event stream to a user's new notifications
+ *
+ * Opt-in is per user and type: a user only gets a notification (and the
+ * matching email) when the type is in User.notifications.
+ *
+ * Every notification event is also sent to the company's webhook
+ * subscriptions for that type (libs/webhooks.js), whoever opted in.
+ *
+ * Live delivery goes over Redis pub/sub so a notification created on one
+ * instance (or by a job) reaches streams open on any instance. Without Redis
+ * (e.g. one-off job scripts) it is delivered to this process only; the inbox
+ * still has it.
+ */
+
+const EventEmitter = require("events");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { getRedis } = require("../config/redis");
+const { addOutOfOfficeDelegates } = require("./outOfOffice");
+const { dispatchEvent } = require("./webhooks");
+
+const CHANNEL = "notifications";
+
+/**
+ * Notification Types
+ * Values users can opt in to (User.notifications enum)
+ * @type {Array<String>}
+ */
+const NOTIFICATION_TYPES = User.schema.path("notifications").caster.enumValues;
+
+// Local fan-out to this process's event streams, keyed by user ID
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let subscriber = null;
+
+/**
+ * Deliver to this process's streams
+ * @param {Array} notifications - Notification documents (lean)
+ */
+function emitLocal(notifications) {
+  notifications.forEach((o) => events.emit(String(o.user_id), o));
+}
+
+/**
+ * Init Notification Bus
+ * Subscribes this process to notifications published by other instances.
+ * Call once after initRedis().
+ */
+async function initNotificationBus() {
+  if (subscriber) return;
+  try {
+    subscriber = getRedis().duplicate();
+    subscriber.on("error", (err) => console.error("❌ Notification bus error", err));
+    await subscriber.connect();
+    await subscriber.subscribe(CHANNEL, (message) => {
+      try {
+        emitLocal(JSON.parse(message));
+      } catch (err) {
+        console.error("❌ Notification bus message error", err);
+      }
+    });
+  } catch (err) {
+    subscriber = null;
+    console.error("❌ Notification bus not started, live notifications are local only", err);
+  }
+}
+
+/**
+ * Publish new notifications to every instance (this one included)
+ * @param {Array} notifications - Notification documents (lean)
+ */
+async function publish(notifications) {
+  if (subscriber) {
+    try {
+      await getRedis().publish(CHANNEL, JSON.stringify(notifications));
+      return;
+    } catch (err) {
+      console.error("❌ Notification publish error", err);
+    }
+  }
+  emitLocal(notifications);
+}
+
+/**
+ * Notify Users
+ * Creates a notification for each user who opted in to the type, pushes
+ * it to their open streams and sends the event to the company's webhooks.
+ * Calls without a type send nothing, to users or webhooks.
+ * Never throws: a failed notification must not fail the action that raised it.
+ *
+ * @param {Array} users - Recipients (lean, with notifications and companyIdf)
+ * @param {String} type - Notification type (User.notifications value)
+ * @param {Object} payload
+ * @param {ObjectId} payload.companyIdf - Company ID (required)
+ * @param {String} payload.title - Heading (required)
+ * @param {String} payload.message - Text (optional)
+ * @param {String} payload.link - Frontend path (optional)
+ * @param {String} payload.entity_type - purchase_request | rate_approval | purchase_order | debit_note | site | vendor
+ * @param {ObjectId} payload.entity_id - Document ID (optional)
+ * @param {Object} payload.data - Document sent to webhooks as data.document (optional)
+ *
+ * @returns {Promise<Array>} Created notifications
+ */
+async function notifyUsers(users, type, { companyIdf, title, message = "", link = "", entity_type, entity_id, data }) {
+  if (!type) {
+    console.error(`Notification "${title}" has no type; not sent`);
+    return [];
+  }
+
+  await dispatchEvent(companyIdf, type, {
+    title,
+    message,
+    link,
+    entity_type,
+    entity_id,
+    ...(data && { document: data }),
+  });
+
+  try {
+    const recipients = [
+      ...new Set(
+        (users || [])
+          .filter((u) => String(u.companyIdf) === String(companyIdf))
+          .filter((u) => (u.notifications || []).includes(type))
+          .map((u) => String(u._id))
+      ),
+    ];
+    if (!recipients.length) return [];
+
+    const created = await Notification.insertMany(
+      recipients.map((user_id) => ({
+        companyIdf,
+        user_id,
+        type,
+        title,
+        message,
+        link,
+        entity_type,
+        entity_id,
+      }))
+    );
+
+    const notifications = created.map((o) => o.toObject());
+    await publish(notifications);
+    return notifications;
+  } catch (err) {
+    console.error(`Error creating ${type} notifications:`, err);
+    return [];
+  }
+}
+
+/**
+ * Notify Site Users
+ * notifyUsers for the users of a site, plus the out-of-office delegates of
+ * absent ones
+ *
+ * @param {ObjectId} siteId
+ * @param {String} type - Notification type
+ * @param {Object} payload - See notifyUsers (companyIdf required)
+ *
+ * @returns {Promise<Array>} Created notifications
+ */
+async function notifySiteUsers(siteId, type, payload) {
+  try {
+    const users = await User.find({ sites: siteId, companyIdf: payload.companyIdf }).lean();
+    return notifyUsers(await addOutOfOfficeDelegates(users), type, payload);
+  } catch (err) {
+    console.error(`Error creating ${type} notifications:`, err);
+    return [];
+  }
+}
+
+/**
+ * Subscribe
+ * Calls listener with each new notification of the user
+ *
+ * @param {String} userId
+ * @param {Function} listener - (notification) => void
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(userId, listener) {
+  events.on(String(userId), listener);
+  return () => events.removeListener(String(userId), listener);
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  initNotificationBus,
+  notifyUsers,
+  notifySiteUsers,
+  subscribe,
+};
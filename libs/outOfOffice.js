@@ -0,0 +1,109 @@
+/**
+ * Out of Office Library
+ * Routes approvals and notifications of absent users to their delegate
+ *
+ * Provides functions for:
+ * - Checking whether a user's out-of-office period is running
+ * - Finding whom a user is standing in for right now
+ * - Adding the delegates of absent users to a notification recipient list
+ *
+ * A user sets User.out_of_office { delegate, from, to }. Between from and to
+ * the delegate may act on any approval step the absent user could act on
+ * (libs/approvalEngine.js records it as on their behalf), sees the absent
+ * user's sites in the PR / rate approval / PO lists and receives the emails
+ * the absent user is subscribed to. The absent user keeps their own rights.
+ */
+
+const User = require("../models/User");
+
+/**
+ * Active Out-of-Office Filter
+ * User query for out-of-office periods running at a time
+ *
+ * @param {Date} at
+ * @returns {Object} Mongo filter
+ */
+const activeFilter = (at = new Date()) => ({
+  "out_of_office.delegate": { $ne: null },
+  "out_of_office.from": { $lte: at },
+  "out_of_office.to": { $gte: at },
+});
+
+/**
+ * Is Out of Office
+ *
+ * @param {Object} user - User (with out_of_office)
+ * @param {Date} at - Time to check (optional, default now)
+ * @returns {Boolean}
+ */
+function isOutOfOffice(user, at = new Date()) {
+  const ooo = user && user.out_of_office;
+  if (!ooo || !ooo.delegate || !ooo.from || !ooo.to) return false;
+  return new Date(ooo.from) <= at && new Date(ooo.to) >= at;
+}
+
+/**
+ * Get Active Delegators
+ * Users whose out-of-office delegate is this user right now
+ *
+ * @param {String} userId - Delegate
+ * @param {ObjectId} companyIdf
+ * @returns {Promise<Array>} Users { _id, name, role, sites, out_of_office }
+ */
+async function getActiveDelegators(userId, companyIdf) {
+  return User.find(
+    { ...activeFilter(), "out_of_office.delegate": userId, companyIdf: companyIdf },
+    "name role sites out_of_office"
+  ).lean();
+}
+
+/**
+ * Get Delegated Sites
+ * Sites of the users this user is standing in for, so their documents show
+ * up in the delegate's lists
+ *
+ * @param {String} userId - Delegate
+ * @param {ObjectId} companyIdf
+ * @returns {Promise<Array<String>>} Site IDs
+ */
+async function getDelegatedSites(userId, companyIdf) {
+  const delegators = await getActiveDelegators(userId, companyIdf);
+  return [...new Set(delegators.flatMap((o) => (o.sites || []).map(String)))];
+}
+
+/**
+ * Add Out-of-Office Delegates
+ * Adds the delegates of absent users to a recipient list. A delegate gets the
+ * absent users' notification types on top of their own and lists them in
+ * on_behalf_of.
+ *
+ * @param {Array} users - Users (lean, with notifications and out_of_office)
+ * @returns {Promise<Array>} Users and delegates
+ */
+async function addOutOfOfficeDelegates(users) {
+  const now = new Date();
+  const absent = users.filter((u) => isOutOfOffice(u, now));
+  if (!absent.length) return users;
+
+  const ids = [...new Set(absent.map((u) => String(u.out_of_office.delegate)))];
+  const missing = ids.filter((id) => !users.some((u) => String(u._id) === id));
+  const delegates = missing.length ? await User.find({ _id: { $in: missing } }).lean() : [];
+
+  const result = [...users, ...delegates].map((u) => ({ ...u }));
+  absent.forEach((absentUser) => {
+    const delegate = result.find((u) => String(u._id) === String(absentUser.out_of_office.delegate));
+    if (!delegate || String(delegate.companyIdf) !== String(absentUser.companyIdf)) return;
+
+    delegate.notifications = [...new Set([...(delegate.notifications || []), ...(absentUser.notifications || [])])];
+    delegate.on_behalf_of = [...(delegate.on_behalf_of || []), absentUser._id];
+  });
+
+  return result.filter((u) => !delegates.some((d) => String(d._id) === String(u._id)) || u.on_behalf_of);
+}
+
+module.exports = {
+  isOutOfOffice,
+  getActiveDelegators,
+  getDelegatedSites,
+  addOutOfOfficeDelegates,
+};
@@ -0,0 +1,211 @@
+/**
+ * Passwords Library
+ * Password hashing, strength rules and self-service reset
+ *
+ * Provides functions for:
+ * - Hashing and checking passwords (bcrypt); checking against a missing user
+ *   takes as long as against a real one
+ * - The minimum password rules
+ * - Emailing a single-use, time-limited reset link (models/PasswordResetToken.js);
+ *   requests are limited per email and per IP like failed logins
+ * - Resetting a password with the link's token
+ * - Setting a new password: other sessions are revoked and the email's
+ *   failed logins cleared
+ *
+ * The reset link is `${ACCESS_PATH}/reset-password/<token>` and lives for
+ * auth.passwordResetMinutes.
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const { sendMail } = require("./mailer");
+const { getAuthSettings, hashToken, revokeUserSessions } = require("./authTokens");
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require("./loginLockout");
+const { deleteCache } = require("../utils/cache");
+const { responseMessage } = require("./responseMessages");
+const { runWithTenant, runAsSystem } = require("./tenantContext");
+
+const accessPath = process.env.ACCESS_PATH;
+const MINUTE = 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Compared against when the user does not exist, so both cases take as long
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+/**
+ * Hash Password
+ * @param {String} password
+ * @returns {Promise<String>}
+ */
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+/**
+ * Verify Password
+ *
+ * @param {String} password
+ * @param {String} hash - Stored hash; missing when the user was not found
+ * @returns {Promise<Boolean>}
+ */
+async function verifyPassword(password, hash) {
+  const valid = await bcrypt.compare(String(password || ""), hash || DUMMY_HASH);
+  return !!hash && valid;
+}
+
+/**
+ * Assert Valid Password
+ * At least MIN_PASSWORD_LENGTH characters with a letter and a digit
+ *
+ * @param {String} password
+ * @returns {void}
+ */
+function assertValidPassword(password) {
+  const value = typeof password === "string" ? password : "";
+  if (value.length >= MIN_PASSWORD_LENGTH && /[A-Za-z]/.test(value) && /[0-9]/.test(value)) return;
+
+  throw {
+    errors: [],
+    message: responseMessage("en", "WEAK_PASSWORD", String(MIN_PASSWORD_LENGTH)),
+    statusCode: 400,
+  };
+}
+
+/**
+ * Set Password
+ * Saves a new password, logs the user out of their other devices and clears
+ * the email's failed logins
+ *
+ * @param {Object} user - User (_id, email)
+ * @param {String} password - New password (already checked)
+ * @param {String} keepSessionId - Session to leave open (optional)
+ * @returns {Promise<void>}
+ */
+async function setPassword(user, password, keepSessionId) {
+  await User.updateOne({ _id: user._id }, { $set: { password: await hashPassword(password) } });
+  await revokeUserSessions(user._id, "password_changed", keepSessionId);
+  await clearLoginFailures(user.email);
+  await deleteCache(`user:details:${user._id}`);
+}
+
+/**
+ * Email the reset link
+ *
+ * @param {Object} user
+ * @param {String} link
+ * @param {Date} expiresAt
+ * @returns {Promise<void>}
+ */
+async function sendResetEmail(user, link, expiresAt) {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      html: `
+        <p>Dear ${user.name},</p>
+        <p>We received a request to reset your password. Set a new one
+        <a href="${link}">here</a> before ${expiresAt.toLocaleString("en-IN")}.</p>
+        <p>The link works once. If you did not ask for it, ignore this email; your password stays the same.</p>
+      `,
+    });
+  } catch (error) {
+    console.error(`Error sending password reset email to user ${user._id}:`, error);
+  }
+}
+
+/**
+ * Send Reset Link
+ * Replaces the user's unused reset tokens with a new one and emails it
+ *
+ * @param {Object} user - User (_id, name, email, companyIdf)
+ * @param {String} ip - Requesting IP
+ * @returns {Promise<void>}
+ */
+async function sendResetLink(user, ip) {
+  await PasswordResetToken.deleteMany({ companyIdf: user.companyIdf, user_id: user._id, used_at: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + getAuthSettings().passwordResetMinutes * MINUTE);
+  await PasswordResetToken.create({
+    companyIdf: user.companyIdf,
+    user_id: user._id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt,
+    requested_ip: ip || "",
+  });
+
+  await sendResetEmail(user, `${accessPath}/reset-password/${token}`, expiresAt);
+}
+
+/**
+ * Request Password Reset
+ * Emails an active user a reset link, replacing their unused ones. Does
+ * nothing for unknown or inactive emails; the caller answers the same either
+ * way. The link is made and sent in the background, so the answer takes as
+ * long for a registered email as for any other.
+ *
+ * Requests count against the email and the IP; too many throw a 429
+ * (libs/loginLockout.js), whether or not the email is registered.
+ *
+ * @param {String} email
+ * @param {String} ip - Requesting IP
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email, ip) {
+  await assertLoginAllowed(email, ip, "password_reset");
+  await recordLoginFailure(email, ip, "password_reset");
+
+  // Any tenant's user: the email decides which
+  const user = await runAsSystem(() =>
+    User.findOne({ email: String(email || "") }, "name email companyIdf isActive").lean()
+  );
+  if (!user || user.isActive === false) return;
+
+  sendResetLink(user, ip).catch((error) => {
+    console.error(`Error sending password reset link to user ${user._id}:`, error);
+  });
+}
+
+/**
+ * Reset Password
+ * Uses up a reset token and sets the new password; every session of the
+ * user is revoked
+ *
+ * @param {String} token - Token from the reset link
+ * @param {String} password - New password
+ * @returns {Promise<void>}
+ */
+async function resetPassword(token, password) {
+  assertValidPassword(password);
+
+  const invalid = { errors: [], message: responseMessage("en", "INVALID_RESET_TOKEN"), statusCode: 400 };
+  if (!token) throw invalid;
+
+  // Marking it used first makes the token single-use under concurrent requests.
+  // The token is the credential: it decides the tenant.
+  const reset = await runAsSystem(() =>
+    PasswordResetToken.findOneAndUpdate(
+      { token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } },
+      { $set: { used_at: new Date() } }
+    ).lean()
+  );
+  if (!reset) throw invalid;
+
+  const user = await User.findOne({ _id: reset.user_id, companyIdf: reset.companyIdf }, "email isActive").lean();
+  if (!user || user.isActive === false) throw invalid;
+
+  await runWithTenant(reset.companyIdf, () => setPassword(user, password));
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  assertValidPassword,
+  setPassword,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,331 @@
+/**
+ * Vendor Payables Library
+ * Outstanding invoices, due dates, ageing and ledger for vendor payments
+ *
+ * Provides functions for:
+ * - Reading credit days from Vendor.payment_terms and working out due dates
+ * - Listing a vendor's outstanding DMR invoices and adjustable debit/credit notes
+ * - Ageing outstanding amounts by days past due (0-30 / 31-60 / 61-90 / 90+)
+ * - Building the vendor ledger statement with a running balance
+ *
+ * An invoice is a DMR entry with entry_type "InvoiceNumber". Its amount is
+ * vendorInvoiceTotal (TotalAmount when not captured) and what has been applied
+ * by payment vouchers is kept in dmrEntry.amount_paid.
+ *
+ * Adjustable notes (deducted from a payment instead of being paid in cash):
+ * - Debit notes: the amount settled by credit notes (totalSettledAmount)
+ * - Credit notes: the amount not applied to any debit note
+ * Whatever earlier vouchers deducted is tracked in adjusted_amount on each note.
+ */
+
+const DMREntrySchema = require("../models/dmrEntry");
+const DebitNote = require("../models/DebitNote");
+const CreditNote = require("../models/CreditNote");
+const { PaymentVoucher } = require("../models/PaymentVoucher");
+const VendorSchema = require("../models/Vendor");
+const ObjectID = require("mongodb").ObjectID;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Ageing buckets, by days past due (0 on the due date)
+ * @type {Array<{key: String, label: String, from: Number, to: Number}>}
+ */
+const AGEING_BUCKETS = [
+  { key: "not_due", label: "Not Due", from: -Infinity, to: -1 },
+  { key: "0_30", label: "0-30", from: 0, to: 30 },
+  { key: "31_60", label: "31-60", from: 31, to: 60 },
+  { key: "61_90", label: "61-90", from: 61, to: 90 },
+  { key: "90_plus", label: "90+", from: 91, to: Infinity },
+];
+
+/**
+ * Round amounts to paise
+ * @param {Number} value
+ * @returns {Number}
+ */
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Get Credit Days
+ * Reads the credit period from free-text payment terms ("30 days", "Net 45")
+ *
+ * @param {String} paymentTerms - Vendor.payment_terms
+ * @returns {Number} Credit days (0 for advance/immediate or when no number is given)
+ */
+function getCreditDays(paymentTerms) {
+  const match = String(paymentTerms || "").match(/(\d+)/);
+  return match ? parseInt(match[1]) : 0;
+}
+
+/**
+ * Parse Invoice Date
+ * invoice_date is stored as entered, either YYYY-MM-DD or DD-MM-YYYY
+ *
+ * @param {String} value - dmrEntry.invoice_date
+ * @param {Date} fallback - Date used when the value can't be read
+ * @returns {Date}
+ */
+function parseInvoiceDate(value, fallback) {
+  const ddmmyyyy = String(value || "").match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+  const date = ddmmyyyy ? new Date(`${ddmmyyyy[3]}-${ddmmyyyy[2]}-${ddmmyyyy[1]}`) : new Date(value);
+  return value && !isNaN(date) ? date : new Date(fallback || Date.now());
+}
+
+/**
+ * Invoice Amount
+ * @param {Object} entry - DMR entry
+ * @returns {Number}
+ */
+function getInvoiceAmount(entry) {
+  return round(entry.vendorInvoiceTotal || entry.TotalAmount || 0);
+}
+
+/**
+ * Get Ageing Bucket
+ * @param {Number} daysPastDue - Whole days past the due date
+ * @returns {Object} The AGEING_BUCKETS entry covering it
+ */
+function getAgeingBucket(daysPastDue) {
+  return AGEING_BUCKETS.find((bucket) => daysPastDue >= bucket.from && daysPastDue <= bucket.to);
+}
+
+/**
+ * Get Outstanding Invoices
+ * A vendor's invoices with a balance left to pay, oldest due first
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Object} filters - { vendor_id, site, as_of }
+ * @param {ClientSession} session - Transaction session (optional)
+ * @returns {Promise<Array>} [{ dmr_entry_id, dmr_no, invoice_number, site, vendor_id, invoice_date,
+ *   due_date, invoice_amount, amount_paid, outstanding, days_past_due, payment_blocked }]
+ */
+async function getOutstandingInvoices(companyIdf, { vendor_id, site, as_of } = {}, session = null) {
+  const filter = {
+    companyIdf: ObjectID(companyIdf),
+    entry_type: "InvoiceNumber",
+    payment_status: { $ne: "paid" },
+  };
+  if (vendor_id) filter["vendor_detail._id"] = String(vendor_id);
+  if (site) filter.Site = String(site);
+
+  const entries = await DMREntrySchema.find(filter)
+    .select("DMR_No InvoiceNumber invoice_date Site vendor_detail vendorInvoiceTotal TotalAmount amount_paid threeWayMatch created_at")
+    .session(session)
+    .lean();
+
+  const vendorIds = [...new Set(entries.map((o) => o.vendor_detail && o.vendor_detail._id).filter((id) => ObjectID.isValid(id)))];
+  const vendors = await VendorSchema.find({ _id: { $in: vendorIds.map((id) => ObjectID(id)) } }, "vendor_name payment_terms")
+    .session(session)
+    .lean();
+
+  const asOf = as_of ? new Date(as_of) : new Date();
+
+  return entries
+    .map((entry) => {
+      const vendorId = entry.vendor_detail && entry.vendor_detail._id;
+      const vendor = vendors.find((v) => String(v._id) === String(vendorId));
+      const paymentTerms = (vendor && vendor.payment_terms) || (entry.vendor_detail && entry.vendor_detail.payment_terms);
+      const invoiceDate = parseInvoiceDate(entry.invoice_date, entry.created_at);
+      const dueDate = new Date(invoiceDate.getTime() + getCreditDays(paymentTerms) * DAY);
+      const invoiceAmount = getInvoiceAmount(entry);
+      const amountPaid = round(entry.amount_paid);
+
+      return {
+        dmr_entry_id: entry._id,
+        dmr_no: entry.DMR_No,
+        invoice_number: entry.InvoiceNumber,
+        site: entry.Site,
+        vendor_id: vendorId,
+        vendor_name: vendor ? vendor.vendor_name : entry.vendor_detail && entry.vendor_detail.vendor_name,
+        invoice_date: invoiceDate,
+        due_date: dueDate,
+        invoice_amount: invoiceAmount,
+        amount_paid: amountPaid,
+        outstanding: round(invoiceAmount - amountPaid),
+        days_past_due: Math.floor((asOf - dueDate) / DAY),
+        payment_blocked: !!(entry.threeWayMatch && (entry.threeWayMatch.exceptions || []).some((o) => !o.resolved)),
+      };
+    })
+    .filter((o) => o.outstanding > 0)
+    .sort((a, b) => a.due_date - b.due_date);
+}
+
+/**
+ * Get Adjustable Notes
+ * Debit and credit notes whose amount can still be deducted from a payment
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {String} vendorId - Vendor ID
+ * @param {ClientSession} session - Transaction session (optional)
+ * @returns {Promise<Array>} [{ type, note_id, note_number, po_number, available }]
+ */
+async function getAdjustableNotes(companyIdf, vendorId, session = null) {
+  const match = { companyIdf: ObjectID(companyIdf), vendorId: ObjectID(vendorId) };
+
+  const [debitNotes, creditNotes] = await Promise.all([
+    DebitNote.find({ ...match, status: { $in: ["partial", "settled"] } }, "debitNoteNumber poNumber totalSettledAmount adjusted_amount")
+      .session(session)
+      .lean(),
+    CreditNote.find(match, "creditNoteNumber poNumber creditNoteAmount totalSettledAmount adjusted_amount")
+      .session(session)
+      .lean(),
+  ]);
+
+  return [
+    ...debitNotes.map((o) => ({
+      type: "debit_note",
+      note_id: o._id,
+      note_number: o.debitNoteNumber,
+      po_number: o.poNumber,
+      available: round((o.totalSettledAmount || 0) - (o.adjusted_amount || 0)),
+    })),
+    ...creditNotes.map((o) => ({
+      type: "credit_note",
+      note_id: o._id,
+      note_number: o.creditNoteNumber,
+      po_number: o.poNumber,
+      available: round((o.creditNoteAmount || 0) - (o.totalSettledAmount || 0) - (o.adjusted_amount || 0)),
+    })),
+  ].filter((o) => o.available > 0);
+}
+
+/**
+ * Get Ageing
+ * Outstanding amounts per vendor split into ageing buckets
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Object} filters - { vendor_id, site, as_of }
+ * @returns {Promise<Object>} { buckets, vendors: [{ vendor_id, vendor_name, not_due, 0_30, ..., total }], totals }
+ */
+async function getAgeing(companyIdf, filters = {}) {
+  const invoices = await getOutstandingInvoices(companyIdf, filters);
+  const emptyRow = () => AGEING_BUCKETS.reduce((row, bucket) => ({ ...row, [bucket.key]: 0 }), { total: 0 });
+
+  const vendors = {};
+  const totals = emptyRow();
+  invoices.forEach((invoice) => {
+    const key = String(invoice.vendor_id);
+    if (!vendors[key]) {
+      vendors[key] = { vendor_id: invoice.vendor_id, vendor_name: invoice.vendor_name, ...emptyRow() };
+    }
+    const bucket = getAgeingBucket(invoice.days_past_due);
+    [vendors[key], totals].forEach((row) => {
+      row[bucket.key] = round(row[bucket.key] + invoice.outstanding);
+      row.total = round(row.total + invoice.outstanding);
+    });
+  });
+
+  return {
+    buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    vendors: Object.values(vendors).sort((a, b) => b.total - a.total),
+    totals,
+  };
+}
+
+/**
+ * Get Vendor Ledger
+ * Invoices (credit) and payments, TDS and note adjustments (debit) for a vendor,
+ * with the opening balance before `from` and a running balance payable
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {String} vendorId - Vendor ID
+ * @param {Object} range - { from, to } (optional)
+ * @returns {Promise<Object>} { opening_balance, entries, total_debit, total_credit, closing_balance }
+ */
+async function getVendorLedger(companyIdf, vendorId, { from, to } = {}) {
+  const fromDate = from ? new Date(new Date(from).setHours(0, 0, 0, 0)) : null;
+  const toDate = to ? new Date(new Date(to).setHours(23, 59, 59, 999)) : null;
+
+  const [invoices, vouchers] = await Promise.all([
+    DMREntrySchema.find(
+      { companyIdf: ObjectID(companyIdf), entry_type: "InvoiceNumber", "vendor_detail._id": String(vendorId) },
+      "DMR_No InvoiceNumber invoice_date vendorInvoiceTotal TotalAmount created_at"
+    ).lean(),
+    PaymentVoucher.find({ companyIdf: ObjectID(companyIdf), vendor_id: ObjectID(vendorId), status: "paid" }).lean(),
+  ]);
+
+  let lines = invoices.map((o) => ({
+    date: parseInvoiceDate(o.invoice_date, o.created_at),
+    type: "Invoice",
+    reference: o.InvoiceNumber,
+    narration: `DMR ${o.DMR_No || ""}`.trim(),
+    debit: 0,
+    credit: getInvoiceAmount(o),
+  }));
+
+  vouchers.forEach((voucher) => {
+    const date = new Date(voucher.payment_date);
+    const invoiceList = (voucher.invoices || []).map((o) => o.invoice_number).join(", ");
+    if (voucher.net_amount > 0) {
+      lines.push({
+        date,
+        type: "Payment",
+        reference: `PV-${voucher.voucher_number}`,
+        narration: `${voucher.payment_mode}${voucher.reference_number ? ` ${voucher.reference_number}` : ""} against ${invoiceList}`,
+        debit: voucher.net_amount,
+        credit: 0,
+      });
+    }
+    if (voucher.tds && voucher.tds.amount > 0) {
+      lines.push({
+        date,
+        type: "TDS",
+        reference: `PV-${voucher.voucher_number}`,
+        narration: `TDS ${voucher.tds.section || ""} @ ${voucher.tds.rate}%`.replace(/\s+/g, " "),
+        debit: voucher.tds.amount,
+        credit: 0,
+      });
+    }
+    (voucher.adjustments || []).forEach((o) => {
+      lines.push({
+        date,
+        type: o.type === "debit_note" ? "Debit Note" : "Credit Note",
+        reference: o.note_number,
+        narration: `Adjusted in PV-${voucher.voucher_number}`,
+        debit: o.amount,
+        credit: 0,
+      });
+    });
+  });
+
+  lines.sort((a, b) => a.date - b.date);
+
+  let opening_balance = 0;
+  if (fromDate) {
+    lines
+      .filter((o) => o.date < fromDate)
+      .forEach((o) => {
+        opening_balance = round(opening_balance + o.credit - o.debit);
+      });
+    lines = lines.filter((o) => o.date >= fromDate);
+  }
+  if (toDate) lines = lines.filter((o) => o.date <= toDate);
+
+  let balance = opening_balance;
+  const entries = lines.map((o) => {
+    balance = round(balance + o.credit - o.debit);
+    return { ...o, balance };
+  });
+
+  return {
+    opening_balance,
+    entries,
+    total_debit: round(entries.reduce((sum, o) => sum + o.debit, 0)),
+    total_credit: round(entries.reduce((sum, o) => sum + o.credit, 0)),
+    closing_balance: balance,
+  };
+}
+
+module.exports = {
+  AGEING_BUCKETS,
+  round,
+  getCreditDays,
+  parseInvoiceDate,
+  getInvoiceAmount,
+  getAgeingBucket,
+  getOutstandingInvoices,
+  getAdjustableNotes,
+  getAgeing,
+  getVendorLedger,
+};
@@ -0,0 +1,279 @@
+/**
+ * Place of Supply Library
+ * Decides whether a purchase is an intra-state (CGST + SGST) or inter-state
+ * (IGST) supply and splits its GST accordingly
+ *
+ * Provides functions for:
+ * - The supplier's state: the vendor's GSTIN state code, else its address state
+ * - The place of supply: the delivery (site) address state, else the billing
+ *   organisation's GSTIN state code, else its address state
+ * - GSTDetails for PO, local PO, DMR entry (invoice) and debit note totals,
+ *   covering item, freight and other charges GST
+ *
+ * Supply types:
+ * - Intrastate: supplier state is the place of supply, GST split equally into CGST and SGST
+ * - Interstate: supplier state differs, GST charged as IGST
+ * - NO GST: vendor has no GSTIN (unregistered)
+ * - Undetermined: supplier state or place of supply unknown, GST left unsplit
+ *
+ * States are matched by GST state code (libs/gstin.js), so names, ISO codes
+ * and GSTINs can be compared with each other.
+ */
+
+const ObjectID = require("mongodb").ObjectID;
+const DMROrderSchema = require("../models/DmrPurchaseOrder");
+const SiteSchema = require("../models/site");
+const { GST_STATE_CODES, getStateCodes, normaliseTaxId } = require("./gstin");
+const { round } = require("./payables");
+
+/**
+ * Supply Types
+ * @type {Object}
+ */
+const SUPPLY_TYPES = {
+  INTRASTATE: "Intrastate",
+  INTERSTATE: "Interstate",
+  NO_GST: "NO GST",
+  UNDETERMINED: "Undetermined",
+};
+
+/**
+ * State codes of a GSTIN, falling back to an address state
+ *
+ * @param {String} gstNumber
+ * @param {String} state - Address state (name or ISO code)
+ * @returns {Array<String>} GST state codes, empty when unknown
+ */
+function getCodes(gstNumber, state) {
+  const code = normaliseTaxId(gstNumber).slice(0, 2);
+  if (GST_STATE_CODES[code]) return [code];
+  return getStateCodes(state);
+}
+
+/**
+ * Get Supply Type
+ *
+ * @param {Object} parties
+ * @param {Object} parties.vendor - { gst_number, address: { state } }
+ * @param {Object} parties.deliveryAddress - { state } of the site delivered to (optional)
+ * @param {Object} parties.billingAddress - { gst_number, state } of the billing organisation (optional)
+ *
+ * @returns {Object} { type, supplier_state, place_of_supply } (state codes, null when unknown)
+ */
+function getSupplyType({ vendor, deliveryAddress, billingAddress } = {}) {
+  const vendorGST = normaliseTaxId(vendor && vendor.gst_number);
+  const supplierCodes = getCodes(vendorGST, vendor && vendor.address && vendor.address.state);
+
+  const deliveryCodes = getStateCodes(deliveryAddress && deliveryAddress.state);
+  const placeCodes = deliveryCodes.length
+    ? deliveryCodes
+    : getCodes(billingAddress && billingAddress.gst_number, billingAddress && billingAddress.state);
+
+  let type;
+  if (!vendorGST) type = SUPPLY_TYPES.NO_GST;
+  else if (!supplierCodes.length || !placeCodes.length) type = SUPPLY_TYPES.UNDETERMINED;
+  else if (supplierCodes.some((code) => placeCodes.includes(code))) type = SUPPLY_TYPES.INTRASTATE;
+  else type = SUPPLY_TYPES.INTERSTATE;
+
+  const placeOfSupply =
+    type === SUPPLY_TYPES.INTRASTATE ? supplierCodes.find((code) => placeCodes.includes(code)) : placeCodes[0];
+  return {
+    type,
+    supplier_state: supplierCodes[0] || null,
+    place_of_supply: placeOfSupply || null,
+  };
+}
+
+/**
+ * Split one GST amount by supply type
+ *
+ * @param {Number} amount - GST amount
+ * @param {String} type - Supply type
+ * @returns {Object} { GST, CGST, SGST, IGST }
+ */
+function splitGST(amount, type) {
+  const GST = round(amount);
+  if (type === SUPPLY_TYPES.INTRASTATE) {
+    const CGST = round(GST / 2);
+    return { GST, CGST, SGST: round(GST - CGST), IGST: 0 };
+  }
+  if (type === SUPPLY_TYPES.INTERSTATE) return { GST, CGST: 0, SGST: 0, IGST: GST };
+  return { GST, CGST: 0, SGST: 0, IGST: 0 };
+}
+
+/**
+ * Get GST Details
+ *
+ * @param {Object} parties - { vendor, deliveryAddress, billingAddress } (see getSupplyType)
+ * @param {Object} taxes - GST amounts
+ * @param {Number} taxes.items - GST on items
+ * @param {Number} taxes.freight - GST on freight
+ * @param {Number} taxes.otherCharges - GST on other charges
+ *
+ * @returns {Object} { type, supplier_state, place_of_supply, GST, CGST, SGST, IGST,
+ *   breakup: { items, freight, otherCharges } } each breakup line being { GST, CGST, SGST, IGST }
+ */
+function getGSTDetails(parties, { items = 0, freight = 0, otherCharges = 0 } = {}) {
+  const supply = getSupplyType(parties);
+  const breakup = {
+    items: splitGST(items, supply.type),
+    freight: splitGST(freight, supply.type),
+    otherCharges: splitGST(otherCharges, supply.type),
+  };
+  const sum = (key) => round(Object.values(breakup).reduce((acc, o) => acc + o[key], 0));
+
+  return {
+    ...supply,
+    GST: sum("GST"),
+    CGST: sum("CGST"),
+    SGST: sum("SGST"),
+    IGST: sum("IGST"),
+    breakup,
+  };
+}
+
+/**
+ * GST amounts of a PO vendors_total
+ * gstAmount is the item GST; freight and other charges carry their GST %
+ *
+ * @param {Object} vendorsTotal - { gstAmount, freight, freightGST, otherCharges, otherChargesGST }
+ * @returns {Object} { items, freight, otherCharges }
+ */
+function getOrderTaxes(vendorsTotal = {}) {
+  return {
+    items: Number(vendorsTotal.gstAmount) || 0,
+    freight: ((Number(vendorsTotal.freight) || 0) * (Number(vendorsTotal.freightGST) || 0)) / 100,
+    otherCharges: ((Number(vendorsTotal.otherCharges) || 0) * (Number(vendorsTotal.otherChargesGST) || 0)) / 100,
+  };
+}
+
+/**
+ * Add GST Details to a purchase order
+ * Sets GSTDetails on each vendors_total (object or array) of the order
+ *
+ * @param {Object} order - { vendor_detail, delivery_address, billing_address, vendors_total }
+ * @returns {Object} The order
+ */
+function addOrderGSTDetails(order) {
+  const parties = {
+    vendor: order.vendor_detail,
+    deliveryAddress: order.delivery_address,
+    billingAddress: order.billing_address,
+  };
+  const totals = Array.isArray(order.vendors_total) ? order.vendors_total : [order.vendors_total];
+  totals.filter(Boolean).forEach((vendorsTotal) => {
+    vendorsTotal.GSTDetails = getGSTDetails(parties, getOrderTaxes(vendorsTotal));
+  });
+  return order;
+}
+
+/**
+ * GST amounts of a DMR entry invoice
+ * Items at the invoice quantity and rate (the PO rate when not invoiced
+ * separately); freight and other charges as their total less the base
+ *
+ * @param {Object} entry - DMR entry
+ * @returns {Object} { items, freight, otherCharges }
+ */
+function getInvoiceTaxes(entry) {
+  const items = (entry.dmritem || []).reduce((sum, it) => {
+    if (!it) return sum;
+    const qty = Number(it.invoiceQty) || Number(it.receivedQuantity) || 0;
+    const rate = Number(it.InvoiceRate) || Number(it.Rate) || 0;
+    return sum + (qty * rate * (Number(it.gst) || 0)) / 100;
+  }, 0);
+  // Without the base amount the GST share of a total can't be told
+  const charge = (total, base) =>
+    base === undefined || base === null ? 0 : Math.max((Number(total) || 0) - (Number(base) || 0), 0);
+
+  return {
+    items,
+    freight: entry.Freight ? charge(entry.Freight.totalfreight, entry.Freight.freight) : 0,
+    otherCharges: entry.otherCharges ? charge(entry.otherCharges.totalotherCharges, entry.otherCharges.charges) : 0,
+  };
+}
+
+/**
+ * Apply Invoice GST Details
+ * Sets GSTDetails on a DMR invoice entry. The place of supply is its PO's
+ * delivery address, else its site's address. Challan entries are left as
+ * they are. The caller saves the entry.
+ *
+ * @param {Document} entry - DMR entry
+ * @returns {Promise<Object>} entry.GSTDetails
+ */
+async function applyInvoiceGSTDetails(entry) {
+  if (entry.entry_type !== "InvoiceNumber") return entry.GSTDetails;
+
+  const po = entry.PONumber
+    ? await DMROrderSchema.findOne(
+        { po_number: entry.PONumber, companyIdf: entry.companyIdf },
+        "vendor_detail delivery_address billing_address"
+      ).lean()
+    : null;
+  let deliveryAddress = po && po.delivery_address;
+  if (!(deliveryAddress && deliveryAddress.state) && ObjectID.isValid(entry.Site)) {
+    const site = await SiteSchema.findOne({ _id: ObjectID(entry.Site), companyIdf: entry.companyIdf }, "address").lean();
+    deliveryAddress = site && site.address;
+  }
+
+  const vendor = entry.vendor_detail && entry.vendor_detail.gst_number ? entry.vendor_detail : po && po.vendor_detail;
+  entry.GSTDetails = getGSTDetails(
+    { vendor, deliveryAddress, billingAddress: po && po.billing_address },
+    getInvoiceTaxes(entry)
+  );
+  return entry.GSTDetails;
+}
+
+/**
+ * GST amounts of a debit note
+ * Lines named or typed "Freight" / "Other Charges" count as freight and
+ * other charges, the rest as items
+ *
+ * @param {Object} note - { items, additionalDebits }
+ * @returns {Object} { items, freight, otherCharges }
+ */
+function getDebitNoteTaxes(note) {
+  const taxes = { items: 0, freight: 0, otherCharges: 0 };
+  [...(note.items || []), ...(note.additionalDebits || [])].forEach((line) => {
+    if (!line) return;
+    const names = [line.item_name, line.item_details, line.type].filter((o) => typeof o === "string");
+    const key = names.some((o) => /^freight$/i.test(o.trim()))
+      ? "freight"
+      : names.some((o) => /^other( charges)?$/i.test(o.trim()))
+      ? "otherCharges"
+      : "items";
+    taxes[key] += Number(line.gst) || 0;
+  });
+  return taxes;
+}
+
+/**
+ * Get Debit Note GST Details
+ *
+ * @param {Object} note - { vendorDetail, delivery_address, billingAddress, items, additionalDebits }
+ * @returns {Object} GSTDetails (see getGSTDetails)
+ */
+function getDebitNoteGSTDetails(note) {
+  return getGSTDetails(
+    {
+      vendor: note.vendorDetail,
+      deliveryAddress: note.delivery_address,
+      billingAddress: note.billingAddress,
+    },
+    getDebitNoteTaxes(note)
+  );
+}
+
+module.exports = {
+  SUPPLY_TYPES,
+  getSupplyType,
+  splitGST,
+  getGSTDetails,
+  getOrderTaxes,
+  addOrderGSTDetails,
+  getInvoiceTaxes,
+  applyInvoiceGSTDetails,
+  getDebitNoteTaxes,
+  getDebitNoteGSTDetails,
+};
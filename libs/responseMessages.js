@@ -28,6 +28,15 @@ const responseCode = {
         "TOKEN_VERIFICATON_FAILED": "Token Verificaton failed",
         "INACTIVE_ACCOUNT": "Inactive account",
         "INVALID_TOKEN": "Invalid token",
+        "INVALID_CREDENTIALS": "Invalid email or password",
+        "LOGIN_LOCKED": "Too many failed login attempts. Please try again in {DYNAMIC_VALUE} minute(s)",
+        "PASSWORD_RESET_LOCKED": "Too many password reset requests. Please try again in {DYNAMIC_VALUE} minute(s)",
+        "WEAK_PASSWORD": "Password must be at least {DYNAMIC_VALUE} characters long and contain a letter and a digit",
+        "WRONG_CURRENT_PASSWORD": "Current password is incorrect",
+        "PASSWORD_RESET_SENT": "If the email is registered, a password reset link has been sent to it",
+        "INVALID_RESET_TOKEN": "This password reset link is invalid or has expired",
+        "PASSWORD_CHANGED": "Password has been changed successfully",
+        "PERMISSION_DENIED": "You do not have permission to perform this action",
         "VENDOR_NOT_EXISTS": "Please add vendors",
         "PAN_ALREADY_EXISTS": "PAN Already Exists",
         "PAN_AND_GST_DUPLICATE": "PAN & GST Both already Exists",
@@ -0,0 +1,320 @@
+/**
+ * Subscription Library
+ * Enforces tenants' (OnboardingCompany) active flag, subscription expiry and
+ * plan limits (config/subscription-plans.js)
+ *
+ * Provides functions for:
+ * - A tenant's subscription status: active, grace (expired, read-only for
+ *   GRACE_PERIOD_DAYS), expired (no access) or inactive (isActive false)
+ * - Refusing requests the status or plan does not allow (middleware.jwtVerify)
+ * - Refusing logins of inactive and expired tenants
+ * - Refusing new users, sites and POs beyond the plan's limits
+ * - Usage against the plan's limits
+ *
+ * The company's isActive, subscriptionPlan and subscriptionExpiry are cached
+ * under subscription:<companyIdf>; updating or deleting the company clears it.
+ */
+
+const ObjectID = require("mongodb").ObjectID;
+const OnboardingCompany = require("../models/onboardingcompany");
+const User = require("../models/User");
+const SiteSchema = require("../models/site");
+const PurchaseOrderSchema = require("../models/PurchaseOrder");
+const { getCache, setCache, deleteCache } = require("../utils/cache");
+const { MASTER_DATA } = require("./cacheConfig");
+const {
+  PLAN_MODULES,
+  PLANS,
+  DEFAULT_PLAN,
+  LEGACY_PLAN,
+  GRACE_PERIOD_DAYS,
+  READ_ONLY_EXEMPT,
+} = require("../config/subscription-plans");
+
+const DAY = 24 * 60 * 60 * 1000;
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Subscription Status
+ * @type {Object}
+ */
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: "active",
+  GRACE: "grace",
+  EXPIRED: "expired",
+  INACTIVE: "inactive",
+};
+
+/**
+ * Limit labels for messages
+ * @type {Object}
+ */
+const LIMIT_LABELS = {
+  users: "users",
+  sites: "sites",
+  monthlyPOs: "purchase orders a month",
+};
+
+/**
+ * Format a date for messages
+ * @param {Date} date
+ * @returns {String} DD-MM-YYYY
+ */
+function formatDate(date) {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, "0")}-${String(d.getMonth() + 1).padStart(2, "0")}-${d.getFullYear()}`;
+}
+
+/**
+ * Get Plan
+ *
+ * @param {String} planKey - OnboardingCompany.subscriptionPlan
+ * @returns {Object} { key, name, limits, modules } (the legacy plan when none is stored,
+ *   the default plan when unknown)
+ */
+function getPlan(planKey) {
+  let key = PLANS[planKey] ? planKey : DEFAULT_PLAN;
+  if (planKey === undefined || planKey === null) key = LEGACY_PLAN;
+  return { key, ...PLANS[key] };
+}
+
+/**
+ * Subscription cache key
+ * @param {ObjectId} companyIdf
+ * @returns {String}
+ */
+function subscriptionCacheKey(companyIdf) {
+  return `subscription:${companyIdf}`;
+}
+
+/**
+ * Get Company Subscription (cached)
+ *
+ * @param {ObjectId} companyIdf
+ * @returns {Promise<Object|null>} { isActive, subscriptionPlan, subscriptionExpiry }, null when the company is gone
+ */
+async function getCompanySubscription(companyIdf) {
+  const cacheKey = subscriptionCacheKey(companyIdf);
+  const cached = await getCache(cacheKey);
+  if (cached) return cached.company;
+
+  const company = ObjectID.isValid(companyIdf)
+    ? await OnboardingCompany.findById(companyIdf, "isActive subscriptionPlan subscriptionExpiry").lean()
+    : null;
+  const subscription = company
+    ? {
+        isActive: company.isActive !== false,
+        subscriptionPlan: company.subscriptionPlan,
+        subscriptionExpiry: company.subscriptionExpiry || null,
+      }
+    : null;
+  await setCache(cacheKey, { company: subscription }, MASTER_DATA);
+  return subscription;
+}
+
+/**
+ * Clear Subscription Cache
+ * Call after changing a company's isActive, plan or expiry
+ *
+ * @param {ObjectId} companyIdf
+ * @returns {Promise<void>}
+ */
+async function clearSubscriptionCache(companyIdf) {
+  await deleteCache(subscriptionCacheKey(companyIdf));
+}
+
+/**
+ * Get Subscription Status
+ *
+ * @param {Object} company - { isActive, subscriptionExpiry } (null when the company is gone)
+ * @param {Date} now
+ * @returns {Object} { status, expires_at, grace_until }
+ */
+function getSubscriptionStatus(company, now = new Date()) {
+  if (!company || company.isActive === false) {
+    return { status: SUBSCRIPTION_STATUS.INACTIVE, expires_at: null, grace_until: null };
+  }
+  if (!company.subscriptionExpiry) {
+    return { status: SUBSCRIPTION_STATUS.ACTIVE, expires_at: null, grace_until: null };
+  }
+
+  const expiresAt = new Date(company.subscriptionExpiry);
+  const graceUntil = new Date(expiresAt.getTime() + GRACE_PERIOD_DAYS * DAY);
+  let status = SUBSCRIPTION_STATUS.ACTIVE;
+  if (now >= graceUntil) status = SUBSCRIPTION_STATUS.EXPIRED;
+  else if (now >= expiresAt) status = SUBSCRIPTION_STATUS.GRACE;
+  return { status, expires_at: expiresAt, grace_until: graceUntil };
+}
+
+/**
+ * Refusal for a tenant that can't be used at all
+ *
+ * @param {Object} state - From getSubscriptionStatus
+ * @returns {Object|null} { statusCode, message }
+ */
+function getLockedOutDenial(state) {
+  if (state.status === SUBSCRIPTION_STATUS.INACTIVE) {
+    return { statusCode: 403, message: "Your company account is inactive. Please contact support" };
+  }
+  if (state.status === SUBSCRIPTION_STATUS.EXPIRED) {
+    return {
+      statusCode: 402,
+      message: `Your subscription expired on ${formatDate(state.expires_at)}. Please renew it to continue`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Allowed During Grace
+ * Whether a request is allowed while access is read-only
+ *
+ * @param {String} method - HTTP method
+ * @param {String} routePath - Express route path
+ * @returns {Boolean}
+ */
+function isAllowedDuringGrace(method, routePath) {
+  const verb = String(method).toUpperCase();
+  return READ_METHODS.includes(verb) || READ_ONLY_EXEMPT.includes(`${verb} ${routePath}`);
+}
+
+/**
+ * Check Subscription Access
+ * Whether the tenant's status and plan allow a request
+ *
+ * @param {ObjectId} companyIdf
+ * @param {String} method - HTTP method
+ * @param {String} routePath - Express route path, e.g. "/asset-tracker/detail"
+ *
+ * @returns {Promise<Object|null>} { statusCode, message } when refused, null when allowed
+ */
+async function checkSubscriptionAccess(companyIdf, method, routePath) {
+  const company = await getCompanySubscription(companyIdf);
+  const state = getSubscriptionStatus(company);
+  const lockedOut = getLockedOutDenial(state);
+  if (lockedOut) return lockedOut;
+
+  if (state.status === SUBSCRIPTION_STATUS.GRACE && !isAllowedDuringGrace(method, routePath)) {
+    return {
+      statusCode: 402,
+      message:
+        `Your subscription expired on ${formatDate(state.expires_at)}. Access is read-only until it is renewed; ` +
+        `it stops on ${formatDate(state.grace_until)}`,
+    };
+  }
+
+  const plan = getPlan(company.subscriptionPlan);
+  const moduleKey = Object.keys(PLAN_MODULES).find((key) =>
+    PLAN_MODULES[key].routes.some((prefix) => routePath === prefix || String(routePath).startsWith(`${prefix}/`))
+  );
+  if (moduleKey && !plan.modules.includes(moduleKey)) {
+    return {
+      statusCode: 403,
+      message: `The ${PLAN_MODULES[moduleKey].name} module is not included in your ${plan.name} plan`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Assert Company Access
+ * Throws for inactive tenants and tenants past their grace period (login)
+ *
+ * @param {ObjectId} companyIdf
+ * @returns {Promise<void>}
+ */
+async function assertCompanyAccess(companyIdf) {
+  const denial = getLockedOutDenial(getSubscriptionStatus(await getCompanySubscription(companyIdf)));
+  if (denial) throw { errors: [], ...denial };
+}
+
+/**
+ * Get Usage
+ *
+ * @param {ObjectId} companyIdf
+ * @param {Array<String>} limits - Only these limits (optional; default: all)
+ * @returns {Promise<Object>} { users, sites, monthlyPOs }
+ */
+async function getUsage(companyIdf, limits = Object.keys(LIMIT_LABELS)) {
+  const company = ObjectID(companyIdf);
+  const now = new Date();
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const counters = {
+    users: () => User.countDocuments({ companyIdf: company }),
+    sites: () => SiteSchema.countDocuments({ companyIdf: company }),
+    monthlyPOs: () => PurchaseOrderSchema.countDocuments({ companyIdf: company, created_at: { $gte: monthStart } }),
+  };
+
+  const counts = await Promise.all(limits.map((key) => counters[key]()));
+  return limits.reduce((acc, key, i) => ({ ...acc, [key]: counts[i] }), {});
+}
+
+/**
+ * Assert Plan Limit
+ * Throws a 403 when adding records would take the tenant over its plan's limit
+ *
+ * @param {ObjectId} companyIdf
+ * @param {String} limit - "users", "sites" or "monthlyPOs"
+ * @param {Number} adding - Records being added (default: 1)
+ * @returns {Promise<void>}
+ */
+async function assertPlanLimit(companyIdf, limit, adding = 1) {
+  const company = await getCompanySubscription(companyIdf);
+  const plan = getPlan(company ? company.subscriptionPlan : DEFAULT_PLAN);
+  const max = plan.limits[limit];
+  if (max === null || max === undefined) return;
+
+  const usage = await getUsage(companyIdf, [limit]);
+  if (usage[limit] + adding <= max) return;
+
+  throw {
+    errors: [{ limit, max, used: usage[limit] }],
+    message: `Your ${plan.name} plan allows ${max} ${LIMIT_LABELS[limit]}; ${usage[limit]} are used. Upgrade the plan to add more`,
+    statusCode: 403,
+  };
+}
+
+/**
+ * Get Usage Report
+ *
+ * @param {ObjectId} companyIdf
+ * @returns {Promise<Object|null>} { plan, status, expires_at, grace_until, modules,
+ *   limits: { [limit]: { max, used, remaining } } }, null when the company is gone
+ */
+async function getUsageReport(companyIdf) {
+  const company = await getCompanySubscription(companyIdf);
+  if (!company) return null;
+
+  const plan = getPlan(company.subscriptionPlan);
+  const usage = await getUsage(companyIdf);
+  const limits = Object.keys(LIMIT_LABELS).reduce((acc, key) => {
+    const max = plan.limits[key] === undefined ? null : plan.limits[key];
+    acc[key] = { max, used: usage[key], remaining: max === null ? null : Math.max(max - usage[key], 0) };
+    return acc;
+  }, {});
+
+  return {
+    plan: { key: plan.key, name: plan.name },
+    ...getSubscriptionStatus(company),
+    modules: Object.keys(PLAN_MODULES).map((key) => ({
+      key,
+      name: PLAN_MODULES[key].name,
+      included: plan.modules.includes(key),
+    })),
+    limits,
+  };
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUS,
+  getPlan,
+  getCompanySubscription,
+  clearSubscriptionCache,
+  getSubscriptionStatus,
+  isAllowedDuringGrace,
+  checkSubscriptionAccess,
+  assertCompanyAccess,
+  getUsage,
+  assertPlanLimit,
+  getUsageReport,
+};
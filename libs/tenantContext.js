@@ -0,0 +1,107 @@
+/**
+ * Tenant Context Library
+ * The tenant the current request or job works for, read by the tenant
+ * isolation plugin (libs/tenantIsolation.js)
+ *
+ * Provides functions for:
+ * - Running code as one tenant: middleware.jwtVerify runs every
+ *   authenticated request as the token's company, public endpoints run their
+ *   work as the company they resolved (login, reset and RFQ links)
+ * - Running code as the system, across tenants: background jobs, and the
+ *   lookups by email or token that find the tenant in the first place
+ * - Reading the current context, including who is acting (the audit trail,
+ *   libs/auditTrail.js)
+ *
+ * The context follows the function's async work (AsyncLocalStorage), so it
+ * does not need to be passed down, except past middleware that calls next
+ * from the request stream's events (multer): wrap those in keepContext.
+ * Outside both, queries of tenant models must name their tenant themselves.
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const mongoose = require("mongoose");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Tenant isolation error
+ *
+ * @param {String} message
+ * @param {Number} statusCode - 403 for another tenant's data, 500 for a query without a tenant
+ * @returns {Object} { errors, message, statusCode }
+ */
+function tenantError(message, statusCode = 403) {
+  return { errors: [], message: `Tenant isolation: ${message}`, statusCode };
+}
+
+/**
+ * Run fn in a context
+ * Mongoose queries only start when awaited, which would be outside the
+ * context, so returned thenables are started inside it
+ *
+ * @param {Object} store
+ * @param {Function} fn
+ * @returns {*} fn's result (a Promise for thenables)
+ */
+function runIn(store, fn) {
+  return storage.run(store, () => {
+    const result = fn();
+    return result && typeof result.then === "function" ? Promise.resolve(result) : result;
+  });
+}
+
+/**
+ * Run With Tenant
+ *
+ * @param {ObjectId|String} companyIdf - Tenant (OnboardingCompany ID)
+ * @param {Function} fn - Called with no arguments; its async work runs as the tenant
+ * @param {Object} actor - Who is acting (optional): { user_id, name, ip, user_agent, route }
+ * @returns {*} fn's result
+ */
+function runWithTenant(companyIdf, fn, actor = null) {
+  if (!companyIdf || !mongoose.Types.ObjectId.isValid(String(companyIdf))) {
+    throw tenantError("a valid companyIdf is required", 403);
+  }
+  return runIn({ companyIdf: mongoose.Types.ObjectId(String(companyIdf)), actor }, fn);
+}
+
+/**
+ * Run As System
+ * Bypasses tenant isolation. Only for work that has to span tenants or
+ * find its tenant first.
+ *
+ * @param {Function} fn - Called with no arguments
+ * @returns {*} fn's result
+ */
+function runAsSystem(fn) {
+  return runIn({ system: true }, fn);
+}
+
+/**
+ * Get Tenant Context
+ *
+ * @returns {Object|null} { companyIdf, actor } for a tenant, { system: true } for the system, null outside both
+ */
+function getTenantContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Keep Context
+ * Wraps a middleware so the rest of the request stays in the current
+ * context even when it calls next from a stream event (multer)
+ *
+ * @param {Function} handler - Express middleware
+ * @returns {Function} Express middleware
+ */
+function keepContext(handler) {
+  return (req, res, next) => handler(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+  tenantError,
+  runWithTenant,
+  runAsSystem,
+  getTenantContext,
+  keepContext,
+};
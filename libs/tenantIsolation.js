@@ -0,0 +1,405 @@
+/**
+ * Tenant Isolation Plugin
+ * Global Mongoose plugin that keeps every query of a tenant model (a schema
+ * with a companyIdf path) inside one tenant (libs/tenantContext.js)
+ *
+ * In a tenant's context:
+ * - find, count, distinct, update, replace and delete queries get the
+ *   tenant's companyIdf added to their filter
+ * - aggregates get a leading $match on it
+ * - saved, inserted and bulk-written documents get it when they have none
+ * - a filter, document or update naming another tenant is refused (403)
+ * Outside any context a query must name its tenant itself (companyIdf in the
+ * filter, or in the aggregate's first $match) and is refused (500) when it
+ * does not. The system context (runAsSystem) is not checked.
+ *
+ * Populate queries run from MongoDB driver callbacks, where the request's
+ * context can't be relied on, so a query hands its tenant down to them in
+ * the populate options.
+ *
+ * Register it before any model is compiled (app.js); models compiled
+ * earlier are not guarded. Writes through Model.collection skip Mongoose
+ * and are not guarded either.
+ */
+
+const mongoose = require("mongoose");
+const { tenantError, getTenantContext } = require("./tenantContext");
+
+const QUERY_OPS = [
+  "count",
+  "countDocuments",
+  "distinct",
+  "estimatedDocumentCount",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndRemove",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "deleteMany",
+  "deleteOne",
+  "remove",
+  "replaceOne",
+  "update",
+  "updateMany",
+  "updateOne",
+];
+const REPLACE_OPS = ["findOneAndReplace", "replaceOne"];
+
+// Query option carrying the parent query's tenant to its populate queries
+const SCOPE_OPTION = "tenantScope";
+const NO_CONTEXT = {};
+
+/**
+ * ID of a companyIdf value (populated or not)
+ * @param {*} value
+ * @returns {*}
+ */
+function idOf(value) {
+  return value && value._id ? value._id : value;
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean} Whether both are the same tenant
+ */
+function sameTenant(a, b) {
+  return String(idOf(a)) === String(idOf(b));
+}
+
+/**
+ * @param {*} value
+ * @returns {Boolean} Whether value is a single tenant ID
+ */
+function isTenantId(value) {
+  return value != null && typeof value !== "function" && mongoose.Types.ObjectId.isValid(String(idOf(value)));
+}
+
+/**
+ * Tenants a filter is limited to
+ * companyIdf equal to, $eq or $in tenant IDs, at the top level or in a
+ * top-level $and
+ *
+ * @param {Object} filter
+ * @returns {Array|null} Tenant IDs, null when the filter isn't limited to any
+ */
+function getFilterTenants(filter) {
+  if (!filter || typeof filter !== "object") return null;
+
+  const value = filter.companyIdf;
+  if (value !== undefined) {
+    if (isTenantId(value)) return [value];
+    if (value && typeof value === "object") {
+      if (isTenantId(value.$eq)) return [value.$eq];
+      if (Array.isArray(value.$in) && value.$in.length && value.$in.every(isTenantId)) return value.$in;
+    }
+  }
+  if (Array.isArray(filter.$and)) {
+    for (const clause of filter.$and) {
+      const tenants = getFilterTenants(clause);
+      if (tenants) return tenants;
+    }
+  }
+  return null;
+}
+
+/**
+ * Filter limited to a tenant
+ *
+ * @param {Object} filter
+ * @param {ObjectId} companyIdf
+ * @returns {Object}
+ */
+function addTenant(filter, companyIdf) {
+  if (!filter || filter.companyIdf === undefined) return { ...filter, companyIdf };
+  return { $and: [filter, { companyIdf }] };
+}
+
+/**
+ * Tenants a query's context allows, or a throw
+ * In a tenant's context, the tenant (refusing a filter naming another);
+ * outside any context, the tenants the filter names (refusing a filter
+ * naming none).
+ *
+ * @param {Object} filter
+ * @param {Object} context - Tenant context, NO_CONTEXT outside any
+ * @param {String} label - e.g. "Vendor.find", for the error
+ * @returns {Array} Tenant IDs
+ */
+function getAllowedTenants(filter, context, label) {
+  const tenants = getFilterTenants(filter);
+  if (context.companyIdf) {
+    if (tenants && !tenants.every((id) => sameTenant(id, context.companyIdf))) {
+      throw tenantError(`${label} names another tenant`, 403);
+    }
+    return [context.companyIdf];
+  }
+  if (!tenants) throw tenantError(`${label} has no companyIdf and runs outside a tenant context`, 500);
+  return tenants;
+}
+
+/**
+ * Refuse an update that moves documents to another tenant or drops companyIdf
+ *
+ * @param {Object|Array} update - Update document or pipeline
+ * @param {Array} tenants - Allowed tenants
+ * @param {String} label
+ */
+function assertUpdateKeepsTenant(update, tenants, label) {
+  if (!update || typeof update !== "object") return;
+  if (Array.isArray(update)) {
+    update.forEach((stage) => assertUpdateKeepsTenant(stage, tenants, label));
+    return;
+  }
+
+  const unset = update.$unset;
+  const dropped =
+    (unset && (typeof unset === "object" ? "companyIdf" in unset : [].concat(unset).includes("companyIdf"))) ||
+    (update.$rename && ("companyIdf" in update.$rename || Object.values(update.$rename).includes("companyIdf")));
+  if (dropped) throw tenantError(`${label} removes companyIdf`, 403);
+
+  const values = [update, update.$set, update.$setOnInsert, update.$addFields]
+    .filter((o) => o && o.companyIdf !== undefined)
+    .map((o) => o.companyIdf);
+  if (values.some((value) => !tenants.every((id) => sameTenant(id, value)))) {
+    throw tenantError(`${label} moves documents to another tenant`, 403);
+  }
+}
+
+/**
+ * Give a document its tenant, or throw when it belongs to another or has none
+ *
+ * @param {Object} doc - Document or plain object
+ * @param {Object} context
+ * @param {String} label
+ */
+function scopeDocument(doc, context, label) {
+  if (!doc || typeof doc !== "object") return;
+  if (context.companyIdf) {
+    if (doc.companyIdf == null) doc.companyIdf = context.companyIdf;
+    else if (!sameTenant(doc.companyIdf, context.companyIdf)) throw tenantError(`${label} belongs to another tenant`, 403);
+  } else if (doc.companyIdf == null) {
+    throw tenantError(`${label} has no companyIdf and runs outside a tenant context`, 500);
+  }
+}
+
+/**
+ * A query's context: the one handed down by its parent query, else the
+ * current one
+ *
+ * @param {Query|Aggregate} query
+ * @returns {Object} Context, NO_CONTEXT outside any
+ */
+function takeContext(query) {
+  const options = query.options || {};
+  const handed = options[SCOPE_OPTION];
+  delete options[SCOPE_OPTION];
+  return handed || getTenantContext() || NO_CONTEXT;
+}
+
+/**
+ * Hand a context down to a query's populate queries
+ *
+ * @param {Query} query
+ * @param {Object} context
+ */
+function handDown(query, context) {
+  const populate = query._mongooseOptions && query._mongooseOptions.populate;
+  if (!populate) return;
+  Object.keys(populate).forEach((path) => {
+    populate[path].options = { ...populate[path].options, [SCOPE_OPTION]: context };
+  });
+}
+
+/**
+ * Query hook of tenant models
+ * @param {Function} next
+ */
+function scopeQuery(next) {
+  try {
+    const label = `${this.model.modelName}.${this.op}`;
+    const context = takeContext(this);
+    if (context.system) {
+      handDown(this, context);
+      return next();
+    }
+    if (this.op === "estimatedDocumentCount") {
+      throw tenantError(`${label} counts every tenant; use countDocuments`, 500);
+    }
+
+    const filter = this.getFilter();
+    const tenants = getAllowedTenants(filter, context, label);
+    if (context.companyIdf && !getFilterTenants(filter)) this.setQuery(addTenant(filter, context.companyIdf));
+
+    if (REPLACE_OPS.includes(this.op)) {
+      const replacement = this.getUpdate();
+      if (replacement && replacement.companyIdf == null && tenants.length === 1) {
+        this.setUpdate({ ...replacement, companyIdf: tenants[0] });
+      } else {
+        assertUpdateKeepsTenant(replacement, tenants, label);
+      }
+    } else {
+      assertUpdateKeepsTenant(this.getUpdate(), tenants, label);
+    }
+
+    handDown(this, tenants.length === 1 ? { companyIdf: tenants[0] } : NO_CONTEXT);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Query hook of other models: only hands the context down to populate
+ * queries (which may be of tenant models)
+ * @param {Function} next
+ */
+function passContext(next) {
+  handDown(this, takeContext(this));
+  next();
+}
+
+/**
+ * Aggregate hook of tenant models
+ * @param {Function} next
+ */
+function scopeAggregate(next) {
+  try {
+    const label = `${this._model.modelName}.aggregate`;
+    const context = takeContext(this);
+    if (context.system) return next();
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0] || {};
+    // $geoNear has to stay the first stage; its query is the filter
+    const geoNear = first.$geoNear;
+    const filter = geoNear ? geoNear.query : first.$match;
+    getAllowedTenants(filter, context, label);
+
+    if (context.companyIdf && !getFilterTenants(filter)) {
+      if (geoNear) geoNear.query = addTenant(geoNear.query, context.companyIdf);
+      else pipeline.unshift({ $match: { companyIdf: context.companyIdf } });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Document hook of tenant models (validate, save, remove)
+ * Subdocuments are left to their parent
+ * @param {Function} next
+ */
+function scopeSave(next) {
+  try {
+    if (typeof this.ownerDocument === "function") return next();
+    const label = `${this.constructor.modelName} document`;
+    const context = getTenantContext() || NO_CONTEXT;
+    if (context.system) return next();
+
+    scopeDocument(this, context, label);
+    if (!context.companyIdf && !this.isNew && this.isModified("companyIdf")) {
+      throw tenantError(`${label} moves a document to another tenant`, 403);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * insertMany hook of tenant models
+ * @param {Function} next
+ * @param {Array|Object} docs
+ */
+function scopeInsertMany(next, docs) {
+  try {
+    const context = getTenantContext() || NO_CONTEXT;
+    if (!context.system) {
+      [].concat(docs).forEach((doc) => scopeDocument(doc, context, `${this.modelName}.insertMany`));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Model.bulkWrite of tenant models, with each operation scoped like the
+ * matching query
+ *
+ * @param {Array} ops - bulkWrite operations
+ * @param {Object} options
+ * @param {Function} callback
+ * @returns {Promise}
+ */
+function bulkWrite(ops, options, callback) {
+  const context = getTenantContext() || NO_CONTEXT;
+  if (!context.system) {
+    try {
+      (ops || []).forEach((op) => {
+        const type = Object.keys(op)[0];
+        const spec = op[type];
+        const label = `${this.modelName}.bulkWrite ${type}`;
+
+        if (type === "insertOne") return scopeDocument(spec.document, context, label);
+
+        const tenants = getAllowedTenants(spec.filter, context, label);
+        if (context.companyIdf && !getFilterTenants(spec.filter)) spec.filter = addTenant(spec.filter, context.companyIdf);
+        if (type === "replaceOne") {
+          if (spec.replacement && spec.replacement.companyIdf == null && tenants.length === 1) {
+            spec.replacement.companyIdf = tenants[0];
+          } else {
+            assertUpdateKeepsTenant(spec.replacement, tenants, label);
+          }
+        } else {
+          assertUpdateKeepsTenant(spec.update, tenants, label);
+        }
+      });
+    } catch (error) {
+      if (typeof callback === "function") return callback(error);
+      return Promise.reject(error);
+    }
+  }
+  return mongoose.Model.bulkWrite.call(this, ops, options, callback);
+}
+
+/**
+ * Tenant Isolation Plugin
+ *
+ * @param {Schema} schema
+ */
+function tenantIsolationPlugin(schema) {
+  if (!schema.path("companyIdf")) {
+    schema.pre(QUERY_OPS, { document: false, query: true }, passContext);
+    return;
+  }
+
+  schema.pre(QUERY_OPS, { document: false, query: true }, scopeQuery);
+  schema.pre("aggregate", scopeAggregate);
+  // Before validation too, so a missing companyIdf is filled before it is required
+  schema.pre("validate", scopeSave);
+  schema.pre("save", scopeSave);
+  schema.pre(["remove", "deleteOne"], { document: true, query: false }, scopeSave);
+  schema.pre("insertMany", scopeInsertMany);
+  schema.static("bulkWrite", bulkWrite);
+}
+
+/**
+ * Register Tenant Isolation
+ * Applies the plugin to every model compiled from now on
+ */
+function registerTenantIsolation() {
+  const compiled = mongoose.modelNames();
+  if (compiled.length) {
+    console.warn(`Tenant isolation registered after ${compiled.join(", ")} were compiled; they are not guarded`);
+  }
+  mongoose.plugin(tenantIsolationPlugin);
+}
+
+module.exports = {
+  tenantIsolationPlugin,
+  registerTenantIsolation,
+};
@@ -0,0 +1,414 @@
+/**
+ * Three-Way Match Library
+ * Compares purchase order, goods received and vendor invoice for DMR entries
+ *
+ * Provides functions for:
+ * - Reading the company's match tolerances (onboardingcompany.threeWayMatch)
+ * - Matching each invoiced DMR item against its PO line and received quantity
+ * - Keeping a draft debit note in step with the exceptions found
+ * - Telling whether an entry is blocked from payment
+ *
+ * Checks per item (tolerances are percentages of the reference value):
+ * - Quantity: invoice qty vs the qty received on the entry, and the qty
+ *   invoiced so far on the PO (this and its other invoice entries) vs PO qty,
+ *   so partial deliveries invoiced as they arrive match
+ * - Rate: invoice rate (dmritem.InvoiceRate) vs PO rate
+ *
+ * Exceptions that favour the vendor (billed more than received/ordered, or
+ * above the PO rate) carry a debit amount and go into the draft debit note.
+ * Every exception blocks the entry from being completed until it is resolved,
+ * either accepted (no debit) or marked for debit note.
+ *
+ * Only invoice entries against a purchase order are matched; challans and
+ * entries whose PO can't be found are "not_applicable".
+ */
+
+const DMROrderSchema = require("../models/DmrPurchaseOrder");
+const dmrEntry = require("../models/dmrEntry");
+const DebitNote = require("../models/DebitNote");
+const OnboardingCompany = require("../models/onboardingcompany");
+const SiteSchema = require("../models/site");
+const ObjectID = require("mongodb").ObjectID;
+const { getCache, setCache } = require("../utils/cache");
+const { MASTER_DATA } = require("./cacheConfig");
+const { getDebitNoteGSTDetails } = require("./placeOfSupply");
+
+/**
+ * Match Statuses
+ * @type {Object}
+ */
+const MATCH_STATUSES = {
+  NOT_APPLICABLE: "not_applicable",
+  MATCHED: "matched",
+  EXCEPTION: "exception",
+  RESOLVED: "resolved",
+};
+
+/**
+ * Get Tolerances
+ * Reads the company's tolerances, sharing the company details cache entry
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @returns {Object} { qty_percent, rate_percent, auto_draft_debit_note }
+ */
+async function getTolerances(companyIdf) {
+  const cacheKey = `onboardingcompany:details:${companyIdf}`;
+  let company = await getCache(cacheKey);
+  if (!company) {
+    company = await OnboardingCompany.findById(companyIdf).lean();
+    if (company) await setCache(cacheKey, company, MASTER_DATA);
+  }
+
+  const settings = (company && company.threeWayMatch) || {};
+  return {
+    qty_percent: Number(settings.qtyTolerancePercent) || 0,
+    rate_percent: Number(settings.rateTolerancePercent) || 0,
+    auto_draft_debit_note: settings.autoDraftDebitNote !== false,
+  };
+}
+
+/**
+ * Variance Percent
+ * Difference between two values as a percentage of the reference value
+ *
+ * @param {Number} value - Compared value
+ * @param {Number} reference - Reference value
+ * @returns {Number} Percentage (100 when the reference is 0 and the value isn't)
+ */
+function variancePercent(value, reference) {
+  if (!reference) return value ? 100 : 0;
+  return Math.round((Math.abs(value - reference) / reference) * 10000) / 100;
+}
+
+/**
+ * Exception Key
+ * Identifies an exception across re-runs so resolutions are kept while the
+ * compared figures stay the same
+ *
+ * @param {Object} exception - Match exception
+ * @returns {String}
+ */
+function exceptionKey(exception) {
+  return [
+    exception.item_id,
+    exception.type,
+    exception.po_qty,
+    exception.received_qty,
+    exception.invoice_qty,
+    exception.invoiced_total_qty,
+    exception.po_rate,
+    exception.invoice_rate,
+  ].join("|");
+}
+
+/**
+ * Invoiced Before
+ * Quantities already invoiced per item on the PO's other invoice entries
+ *
+ * @param {Document} entry - DMR entry
+ * @returns {Promise<Object>} { [item_id]: qty }
+ */
+async function getInvoicedBefore(entry) {
+  const others = await dmrEntry
+    .find(
+      {
+        _id: { $ne: entry._id },
+        companyIdf: entry.companyIdf,
+        PONumber: entry.PONumber,
+        entry_type: "InvoiceNumber",
+      },
+      "dmritem"
+    )
+    .session(entry.$session())
+    .lean();
+
+  return others.reduce((acc, other) => {
+    (other.dmritem || []).forEach((it) => {
+      if (!it || !it.item || !it.item.item_id) return;
+      const itemId = String(it.item.item_id);
+      acc[itemId] = (acc[itemId] || 0) + (Number(it.invoiceQty) || 0);
+    });
+    return acc;
+  }, {});
+}
+
+/**
+ * Match Items
+ * Compares each DMR item with its PO line
+ *
+ * @param {Array} dmrItems - dmrEntry.dmritem
+ * @param {Array} poItems - DmrPurchaseOrder.items
+ * @param {Object} tolerances - From getTolerances
+ * @param {Object} invoicedBefore - From getInvoicedBefore (optional)
+ * @returns {Array} Exceptions
+ */
+function matchItems(dmrItems, poItems, tolerances, invoicedBefore = {}) {
+  const exceptions = [];
+
+  (dmrItems || []).forEach((it) => {
+    if (!it || !it.item || !it.item.item_id) return;
+    const itemId = String(it.item.item_id);
+    const poLine = (poItems || []).find((p) => p.item && String(p.item.item_id) === itemId);
+
+    const po_qty = Number(poLine ? poLine.RequiredQuantity : it.RequiredQuantity) || 0;
+    const po_rate = Number(poLine ? poLine.Rate : it.Rate) || 0;
+    const received_qty = Number(it.totalReceivedQuantity || it.receivedQuantity) || 0;
+    const invoice_qty = Number(it.invoiceQty) || 0;
+    const invoiced_total_qty = (Number(invoicedBefore[itemId]) || 0) + invoice_qty;
+    const invoice_rate = Number(it.InvoiceRate) || 0;
+    const gst_percentage = Number(it.gst) || 0;
+    const base = {
+      item_id: itemId,
+      item_name: it.item.item_name || "",
+      po_qty,
+      received_qty,
+      invoice_qty,
+      invoiced_total_qty,
+      po_rate,
+      invoice_rate,
+      gst_percentage,
+    };
+
+    // Quantity: the invoice should agree with what arrived, and the PO's
+    // invoices together should not exceed what was ordered
+    const receivedVariance = variancePercent(invoice_qty, received_qty);
+    const poVariance = invoiced_total_qty > po_qty ? variancePercent(invoiced_total_qty, po_qty) : 0;
+    const failed = [];
+    if (receivedVariance > tolerances.qty_percent) {
+      failed.push({
+        variance: receivedVariance,
+        excess: invoice_qty - received_qty,
+        message:
+          invoice_qty > received_qty
+            ? "Invoiced quantity exceeds received quantity"
+            : "Invoiced quantity is less than received quantity",
+      });
+    }
+    if (poVariance > tolerances.qty_percent) {
+      failed.push({
+        variance: poVariance,
+        excess: invoiced_total_qty - po_qty,
+        message: "Total invoiced quantity exceeds PO quantity",
+      });
+    }
+    if (failed.length) {
+      const debit_qty = Math.min(Math.max(...failed.map((o) => o.excess), 0), invoice_qty);
+      const rate = invoice_rate || po_rate;
+      exceptions.push({
+        ...base,
+        type: "quantity",
+        variance_percent: Math.max(...failed.map((o) => o.variance)),
+        message: failed.map((o) => o.message).join("; "),
+        debit_qty,
+        debit_rate: rate,
+        debit_amount: debit_qty * rate,
+      });
+    }
+
+    // Rate: only checked when the invoice rate was captured
+    if (invoice_rate) {
+      const rateVariance = variancePercent(invoice_rate, po_rate);
+      if (rateVariance > tolerances.rate_percent) {
+        const debit_qty = invoice_rate > po_rate ? Math.min(invoice_qty, received_qty) : 0;
+        exceptions.push({
+          ...base,
+          type: "rate",
+          variance_percent: rateVariance,
+          message: invoice_rate > po_rate ? "Invoice rate exceeds PO rate" : "Invoice rate is below PO rate",
+          debit_qty,
+          debit_rate: invoice_rate - po_rate,
+          debit_amount: debit_qty * Math.max(invoice_rate - po_rate, 0),
+        });
+      }
+    }
+  });
+
+  return exceptions;
+}
+
+/**
+ * Has Open Exceptions
+ * Whether an entry is blocked from payment (completion)
+ *
+ * @param {Object} entry - DMR entry
+ * @returns {Boolean}
+ */
+function hasOpenExceptions(entry) {
+  const match = entry && entry.threeWayMatch;
+  return !!(match && (match.exceptions || []).some((o) => !o.resolved));
+}
+
+/**
+ * Sync Draft Debit Note
+ * Creates, refreshes or removes the entry's draft debit note so it holds the
+ * exceptions still to be debited. Notes that have left draft status are left alone.
+ *
+ * @param {Document} entry - DMR entry (threeWayMatch already updated)
+ * @param {Object} po - DMR purchase order
+ * @param {String} userId - User the draft is created by
+ * @returns {ObjectId|null} Draft debit note ID
+ */
+async function syncDraftDebitNote(entry, po, userId) {
+  const match = entry.threeWayMatch;
+  let draft = null;
+  if (match.debit_note_id) {
+    draft = await DebitNote.findOne({ _id: match.debit_note_id, companyIdf: entry.companyIdf });
+    if (draft && draft.status !== "draft") return draft._id;
+  }
+
+  const items = (match.exceptions || [])
+    .filter((o) => o.debit_amount > 0 && o.resolution !== "accepted")
+    .map((o) => ({
+      item_id: o.item_id,
+      item_name: o.item_name,
+      po_qty: o.po_qty,
+      received_qty: o.received_qty,
+      invoice_qty: o.invoice_qty,
+      rate: o.po_rate,
+      invoice_rate: o.invoice_rate,
+      debit_qty: o.debit_qty,
+      debit_reason: o.type === "rate" ? "Rate mismatch" : "Quantity mismatch",
+      amount: o.debit_amount,
+      gst_percentage: o.gst_percentage,
+      gst: (o.debit_amount * o.gst_percentage) / 100,
+    }));
+
+  if (items.length === 0) {
+    if (draft) await DebitNote.deleteOne({ _id: draft._id });
+    return null;
+  }
+
+  const totalAmount = items.reduce((sum, o) => sum + o.amount, 0);
+  const totalGST = items.reduce((sum, o) => sum + o.gst, 0);
+  const totals = {
+    items,
+    totalAmount,
+    totalGST,
+    grandTotal: totalAmount + totalGST,
+    GSTDetails: getDebitNoteGSTDetails({
+      vendorDetail: po.vendor_detail || entry.vendor_detail,
+      delivery_address: po.delivery_address || {},
+      billingAddress: po.billing_address || {},
+      items,
+    }),
+  };
+
+  if (draft) {
+    Object.assign(draft, totals);
+    await draft.save();
+    return draft._id;
+  }
+
+  // Numbered like getDebitNoteDataFromDMR: DNN_SITECODE_XXXX, per site
+  const lastNote = await DebitNote.findOne({ site: ObjectID(entry.Site), companyIdf: entry.companyIdf })
+    .sort({ debitEntryNumber: -1 })
+    .select("debitEntryNumber")
+    .lean();
+  const debitEntryNumber = (lastNote ? lastNote.debitEntryNumber : 0) + 1;
+  let siteCode = po.delivery_address && po.delivery_address.site_code;
+  if (!siteCode) {
+    const site = await SiteSchema.findById(ObjectID(entry.Site), "code").lean();
+    siteCode = (site && site.code) || "";
+  }
+
+  draft = await DebitNote.create({
+    companyIdf: entry.companyIdf,
+    debitNoteNumber: `DNN_${siteCode}_${String(debitEntryNumber).padStart(4, "0")}`,
+    debitEntryNumber,
+    poNumber: entry.PONumber,
+    vendorId: entry.vendor_detail._id,
+    vendorDetail: po.vendor_detail || entry.vendor_detail,
+    billingAddress: po.billing_address || {},
+    delivery_address: po.delivery_address || {},
+    site: entry.Site,
+    dmrEntries: [entry._id],
+    InvoiceNumber: entry.InvoiceNumber ? [entry.InvoiceNumber] : [],
+    ...totals,
+    remarks: `Drafted from three-way match of ${entry.DMR_No || "DMR entry"}`,
+    status: "draft",
+    createdBy: userId,
+    creditNote: [],
+  });
+  return draft._id;
+}
+
+/**
+ * Apply Three-Way Match
+ * Runs the match on a DMR entry document and records the result on it. The
+ * caller saves the entry; the draft debit note is saved here.
+ *
+ * @param {Document} entry - DMR entry (Mongoose document)
+ * @param {String} userId - User who saved the entry
+ * @returns {Object} entry.threeWayMatch
+ */
+async function applyThreeWayMatch(entry, userId) {
+  const previous = entry.threeWayMatch || {};
+  const applicable =
+    entry.entry_type === "InvoiceNumber" && entry.PONumber && ObjectID.isValid(entry.vendor_detail && entry.vendor_detail._id);
+  const po = applicable
+    ? await DMROrderSchema.findOne({ po_number: entry.PONumber, companyIdf: entry.companyIdf }).lean()
+    : null;
+
+  if (!po) {
+    entry.threeWayMatch = {
+      status: MATCH_STATUSES.NOT_APPLICABLE,
+      checked_at: new Date(),
+      exceptions: [],
+      debit_note_id: previous.debit_note_id,
+    };
+    return entry.threeWayMatch;
+  }
+
+  const tolerances = await getTolerances(entry.companyIdf);
+  const resolutions = {};
+  (previous.exceptions || []).forEach((o) => {
+    if (o.resolved) resolutions[exceptionKey(o)] = o;
+  });
+
+  const invoicedBefore = await getInvoicedBefore(entry);
+  const exceptions = matchItems(entry.dmritem, po.items, tolerances, invoicedBefore).map((o) => {
+    const resolved = resolutions[exceptionKey(o)];
+    return resolved
+      ? {
+          ...o,
+          resolved: true,
+          resolution: resolved.resolution,
+          resolution_remarks: resolved.resolution_remarks,
+          resolved_by: resolved.resolved_by,
+          resolved_at: resolved.resolved_at,
+        }
+      : o;
+  });
+
+  entry.threeWayMatch = {
+    status:
+      exceptions.length === 0
+        ? MATCH_STATUSES.MATCHED
+        : exceptions.some((o) => !o.resolved)
+        ? MATCH_STATUSES.EXCEPTION
+        : MATCH_STATUSES.RESOLVED,
+    checked_at: new Date(),
+    tolerances: { qty_percent: tolerances.qty_percent, rate_percent: tolerances.rate_percent },
+    exceptions,
+    debit_note_id: previous.debit_note_id,
+  };
+
+  if (tolerances.auto_draft_debit_note || entry.threeWayMatch.debit_note_id) {
+    entry.threeWayMatch.debit_note_id = await syncDraftDebitNote(entry, po, userId);
+  }
+
+  // An entry completed before the exceptions appeared goes back to open
+  if (hasOpenExceptions(entry) && entry.status === "completed") {
+    entry.status = "open";
+  }
+
+  return entry.threeWayMatch;
+}
+
+module.exports = {
+  MATCH_STATUSES,
+  getTolerances,
+  matchItems,
+  hasOpenExceptions,
+  applyThreeWayMatch,
+};
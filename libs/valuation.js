@@ -0,0 +1,136 @@
+/**
+ * Inventory Valuation Library
+ * Company-configurable stock valuation for issues and transfers
+ *
+ * Provides functions for:
+ * - Reading the company's valuation method (onboardingcompany.inventoryValuationMethod)
+ * - Ordering InventoryIn layers for consumption (FIFO / LIFO)
+ * - Consuming layers and working out the issue rate for a method
+ *
+ * Methods:
+ * - FIFO: Oldest receipts are consumed first, issue rate is the blend of consumed layers
+ * - LIFO: Newest receipts are consumed first, issue rate is the blend of consumed layers
+ * - WEIGHTED_AVERAGE: Issue rate is the moving average of stock on hand
+ *   ((received value - issued value) / (received qty - issued qty)); layers are
+ *   still depleted oldest first so remaining_quantity stays meaningful
+ *
+ * Layers are ordered by when they were posted (created_at); InventoryIn.date is
+ * a DD-MM-YYYY string and doesn't sort chronologically.
+ */
+
+const OnboardingCompany = require("../models/onboardingcompany");
+const { InventoryIn } = require("../models/InventoryIn");
+const InventoryOut = require("../models/InventoryOut");
+const { getCache, setCache } = require("../utils/cache");
+const { MASTER_DATA } = require("./cacheConfig");
+
+/**
+ * Valuation Methods
+ * @type {Object}
+ */
+const VALUATION_METHODS = {
+  FIFO: "FIFO",
+  WEIGHTED_AVERAGE: "WEIGHTED_AVERAGE",
+  LIFO: "LIFO",
+};
+
+/**
+ * Get Valuation Method
+ * Reads the company's configured method, sharing the company details cache entry
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @returns {String} One of VALUATION_METHODS (FIFO when not configured)
+ */
+async function getValuationMethod(companyIdf) {
+  if (!companyIdf) return VALUATION_METHODS.FIFO;
+
+  const cacheKey = `onboardingcompany:details:${companyIdf}`;
+  let company = await getCache(cacheKey);
+  if (!company) {
+    company = await OnboardingCompany.findById(companyIdf).lean();
+    if (company) await setCache(cacheKey, company, MASTER_DATA);
+  }
+
+  const method = company && company.inventoryValuationMethod;
+  return Object.values(VALUATION_METHODS).includes(method) ? method : VALUATION_METHODS.FIFO;
+}
+
+/**
+ * Get Layer Sort
+ * Order in which InventoryIn layers are consumed for a method
+ *
+ * @param {String} method - Valuation method
+ * @returns {Object} Mongoose sort object
+ */
+function getLayerSort(method) {
+  return method === VALUATION_METHODS.LIFO
+    ? { created_at: -1, _id: -1 }
+    : { created_at: 1, _id: 1 };
+}
+
+/**
+ * Get Weighted Average Rate
+ * Moving average rate of stock on hand for an item/site/type
+ *
+ * @param {Object} match - { companyIdf, item_id, site_id, inventoryType } (ObjectIds cast by caller)
+ * @param {ClientSession} session - Transaction session (optional)
+ * @returns {Number|null} Average rate, or null when nothing is on hand
+ */
+async function getWeightedAverageRate(match, session = null) {
+  const group = (quantityField) => ({
+    $group: {
+      _id: null,
+      quantity: { $sum: quantityField },
+      value: { $sum: { $multiply: [quantityField, "$rate"] } },
+    },
+  });
+
+  const [received] = await InventoryIn.aggregate([{ $match: match }, group("$quantity")]).session(session);
+  const [issued] = await InventoryOut.aggregate([{ $match: match }, group("$quantity")]).session(session);
+
+  const quantity = (received ? received.quantity : 0) - (issued ? issued.quantity : 0);
+  const value = (received ? received.value : 0) - (issued ? issued.value : 0);
+
+  if (quantity <= 0) return null;
+  return value / quantity;
+}
+
+/**
+ * Consume Layers
+ * Depletes layers (already sorted by getLayerSort) for the requested quantity
+ * Does not save; callers persist the changed layers.
+ *
+ * @param {Array} layers - InventoryIn documents with remaining_quantity and rate
+ * @param {Number} quantity - Quantity to issue
+ * @returns {Object} { consumedQuantity, totalCost, remainingQuantity, touched }
+ */
+function consumeLayers(layers, quantity) {
+  let remainingQuantity = quantity;
+  let totalCost = 0;
+  let consumedQuantity = 0;
+  const touched = [];
+
+  for (const layer of layers) {
+    if (remainingQuantity <= 0) break;
+
+    const usedQuantity = Math.min(layer.remaining_quantity, remainingQuantity);
+    if (usedQuantity <= 0) continue;
+
+    totalCost += usedQuantity * layer.rate;
+    consumedQuantity += usedQuantity;
+    remainingQuantity -= usedQuantity;
+
+    layer.remaining_quantity -= usedQuantity;
+    touched.push(layer);
+  }
+
+  return { consumedQuantity, totalCost, remainingQuantity, touched };
+}
+
+module.exports = {
+  VALUATION_METHODS,
+  getValuationMethod,
+  getLayerSort,
+  getWeightedAverageRate,
+  consumeLayers,
+};
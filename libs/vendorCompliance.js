@@ -0,0 +1,207 @@
+/**
+ * Vendor Compliance Library
+ * Works out whether vendors' documents (models/VendorDocument.js) are in order
+ *
+ * Provides functions for:
+ * - Reading the company's compliance settings (mandatory document types,
+ *   expiry alert days)
+ * - Each vendor's compliance: the state of every document type and whether
+ *   the vendor is blocked
+ * - Refusing rate approvals, RFQs and POs for blocked vendors
+ *
+ * State of a document type, from the vendor's documents of that type:
+ * - verified / expiring: a verified document that has not expired
+ *   (expiring when it expires within expiryAlertDays)
+ * - expired: verified documents only, all expired
+ * - pending / rejected: nothing verified yet, latest upload pending / rejected
+ * - missing: no document
+ *
+ * A vendor is blocked when a mandatory type is expired. Vendors that never
+ * had a mandatory document verified are not blocked, so existing vendors keep
+ * working until their documents are added.
+ *
+ * Expiry alerts are sent by jobs/vendorDocumentExpiry.js.
+ */
+
+const ObjectID = require("mongodb").ObjectID;
+const { VendorDocument, DocumentTypes } = require("../models/VendorDocument");
+const VendorSchema = require("../models/Vendor");
+const OnboardingCompany = require("../models/onboardingcompany");
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_MANDATORY_DOCUMENTS = ["gst_certificate", "pan_card"];
+const DEFAULT_EXPIRY_ALERT_DAYS = 30;
+
+/**
+ * Get Compliance Settings
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @returns {Promise<Object>} { mandatoryDocuments, expiryAlertDays }
+ */
+async function getComplianceSettings(companyIdf) {
+  const company = await OnboardingCompany.findById(companyIdf, "vendorCompliance").lean();
+  const settings = (company && company.vendorCompliance) || {};
+  return {
+    mandatoryDocuments: Array.isArray(settings.mandatoryDocuments)
+      ? settings.mandatoryDocuments
+      : DEFAULT_MANDATORY_DOCUMENTS,
+    expiryAlertDays:
+      settings.expiryAlertDays === undefined || settings.expiryAlertDays === null
+        ? DEFAULT_EXPIRY_ALERT_DAYS
+        : Number(settings.expiryAlertDays),
+  };
+}
+
+/**
+ * Whether a document has expired
+ *
+ * @param {Object} doc - Vendor document
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+function isExpired(doc, now = new Date()) {
+  return !!doc.expiry_date && new Date(doc.expiry_date) < now;
+}
+
+/**
+ * State of one document type from the vendor's documents of that type
+ *
+ * @param {Array} docs - Documents of one type, newest first
+ * @param {Date} now
+ * @param {Number} expiryAlertDays
+ * @returns {Object} { status, document_id, expiry_date }
+ */
+function getTypeState(docs, now, expiryAlertDays) {
+  const verified = docs.filter((o) => o.status === "verified");
+  const valid = verified.filter((o) => !isExpired(o, now));
+
+  if (valid.length) {
+    // The one that stays valid longest (no expiry date beats any date)
+    const best = valid.reduce((a, b) => {
+      if (!a.expiry_date) return a;
+      if (!b.expiry_date) return b;
+      return new Date(b.expiry_date) > new Date(a.expiry_date) ? b : a;
+    });
+    const expiring =
+      !!best.expiry_date && new Date(best.expiry_date).getTime() - now.getTime() <= expiryAlertDays * DAY;
+    return { status: expiring ? "expiring" : "verified", document_id: best._id, expiry_date: best.expiry_date };
+  }
+  if (verified.length) {
+    return { status: "expired", document_id: verified[0]._id, expiry_date: verified[0].expiry_date };
+  }
+  if (docs.length) {
+    return { status: docs[0].status, document_id: docs[0]._id, expiry_date: docs[0].expiry_date };
+  }
+  return { status: "missing", document_id: null, expiry_date: null };
+}
+
+/**
+ * Get Vendor Compliance
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Array} vendorIds - Only these vendors (optional; otherwise every vendor with documents)
+ *
+ * @returns {Promise<Object>} { [vendorId]: { blocked, expired_documents, expiring_documents, documents: { [type]: state } } }
+ */
+async function getVendorCompliance(companyIdf, vendorIds) {
+  const now = new Date();
+  const [settings, docs] = await Promise.all([
+    getComplianceSettings(companyIdf),
+    VendorDocument.find({
+      companyIdf: ObjectID(companyIdf),
+      ...(vendorIds && { vendor_id: { $in: vendorIds.map((id) => ObjectID(id)) } }),
+    })
+      .select("vendor_id document_type status expiry_date")
+      .sort({ created_at: -1 })
+      .lean(),
+  ]);
+
+  const ids = vendorIds ? vendorIds.map(String) : [...new Set(docs.map((o) => String(o.vendor_id)))];
+  return ids.reduce((acc, vendorId) => {
+    const vendorDocs = docs.filter((o) => String(o.vendor_id) === vendorId);
+    const documents = {};
+    DocumentTypes.forEach((type) => {
+      documents[type] = {
+        mandatory: settings.mandatoryDocuments.includes(type),
+        ...getTypeState(
+          vendorDocs.filter((o) => o.document_type === type),
+          now,
+          settings.expiryAlertDays
+        ),
+      };
+    });
+
+    const expired_documents = DocumentTypes.filter((type) => documents[type].status === "expired");
+    acc[vendorId] = {
+      blocked: expired_documents.some((type) => documents[type].mandatory),
+      expired_documents,
+      expiring_documents: DocumentTypes.filter((type) => documents[type].status === "expiring"),
+      documents,
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * Get Blocked Vendors
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Array} vendorIds - Only these vendors (optional)
+ * @returns {Promise<Object>} { [vendorId]: expired mandatory document types } for blocked vendors only
+ */
+async function getBlockedVendors(companyIdf, vendorIds) {
+  const compliance = await getVendorCompliance(companyIdf, vendorIds);
+  return Object.keys(compliance).reduce((acc, vendorId) => {
+    const { blocked, expired_documents, documents } = compliance[vendorId];
+    if (blocked) acc[vendorId] = expired_documents.filter((type) => documents[type].mandatory);
+    return acc;
+  }, {});
+}
+
+/**
+ * Assert Vendors Compliant
+ * Throws a 422 listing the vendors blocked by expired mandatory documents
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Array} vendorIds - Vendors to check
+ * @returns {Promise<void>}
+ */
+async function assertVendorsCompliant(companyIdf, vendorIds) {
+  const ids = [...new Set((vendorIds || []).filter((id) => id && ObjectID.isValid(id)).map(String))];
+  if (!ids.length) return;
+
+  const blocked = await getBlockedVendors(companyIdf, ids);
+  const blockedIds = Object.keys(blocked);
+  if (!blockedIds.length) return;
+
+  const vendors = await VendorSchema.find(
+    { _id: { $in: blockedIds.map((id) => ObjectID(id)) }, companyIdf: ObjectID(companyIdf) },
+    "vendor_name"
+  ).lean();
+  const errors = blockedIds.map((vendorId) => {
+    const vendor = vendors.find((o) => String(o._id) === vendorId);
+    return {
+      vendor_id: vendorId,
+      vendor_name: vendor ? vendor.vendor_name : "",
+      expired_documents: blocked[vendorId],
+    };
+  });
+
+  throw {
+    errors,
+    message: `Mandatory vendor documents have expired: ${errors
+      .map((o) => `${o.vendor_name || o.vendor_id} (${o.expired_documents.join(", ")})`)
+      .join("; ")}`,
+    statusCode: 422,
+  };
+}
+
+module.exports = {
+  DEFAULT_MANDATORY_DOCUMENTS,
+  DEFAULT_EXPIRY_ALERT_DAYS,
+  getComplianceSettings,
+  isExpired,
+  getVendorCompliance,
+  getBlockedVendors,
+  assertVendorsCompliant,
+};
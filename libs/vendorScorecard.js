@@ -0,0 +1,335 @@
+/**
+ * Vendor Scorecard Library
+ * Rates vendors on delivery, quality, debit notes and price
+ *
+ * Provides functions for:
+ * - Computing scorecards for any date range from DMR entries, debit notes
+ *   and rate comparatives
+ * - Storing monthly scorecards (models/VendorScorecard.js)
+ * - Reading each vendor's latest score, e.g. to filter vendors in
+ *   filterVendorByCategory
+ *
+ * Monthly scorecards are refreshed by jobs/vendorScorecard.js.
+ *
+ * Sources (by created date within the range):
+ * - DMR entries: dmrdate vs FinalDeliveryDate (on time when received on or
+ *   before it), receivedQuantity and DebitNoteQty (rejected at receipt) per
+ *   dmritem, invoice value of invoice entries
+ * - Debit notes (not drafts): grandTotal, split by debit_reason
+ * - Rate comparatives: each item rate in vendorRatesItemWise vs the average
+ *   of the other vendors' rates for the same item
+ *
+ * Score: weighted average of the component scores that have data
+ * (SCORE_WEIGHTS), each 0-100:
+ * - Delivery: on_time_delivery_pct
+ * - Quality: 100 - quality_rejection_pct
+ * - Debit notes: 100 - 10 x debit_note_value_pct (0 at 10% of invoice value)
+ * - Price: 150 - price_index (50 at par with other bidders, 100 at half their price)
+ */
+
+const DMREntrySchema = require("../models/dmrEntry");
+const DebitNote = require("../models/DebitNote");
+const RateApprovalSchema = require("../models/RateApproval");
+const VendorScorecard = require("../models/VendorScorecard");
+const ObjectID = require("mongodb").ObjectID;
+const { round, getInvoiceAmount } = require("./payables");
+
+/**
+ * Score Weights
+ * @type {Object}
+ */
+const SCORE_WEIGHTS = {
+  delivery: 35,
+  quality: 30,
+  debit_notes: 15,
+  price: 20,
+};
+
+/**
+ * Debit reason groups, matched against DebitNote debit_reason text
+ * @type {Array<{key: String, pattern: RegExp}>}
+ */
+const DEBIT_REASONS = [
+  { key: "quality", pattern: /quality|reject|damage|defect/i },
+  { key: "rate_mismatch", pattern: /rate|price/i },
+  { key: "short_supply", pattern: /short|less|quantity|qty/i },
+];
+
+const clamp = (value) => Math.min(100, Math.max(0, value));
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+/**
+ * Parse a date entered as text (YYYY-MM-DD, DD-MM-YYYY or DD/MM/YYYY)
+ *
+ * @param {String} value
+ * @returns {Date|null} Start of that day, null when it can't be read
+ */
+function parseDay(value) {
+  if (!value) return null;
+  const ddmmyyyy = String(value).match(/^(\d{2})[-/](\d{2})[-/](\d{4})/);
+  const date = ddmmyyyy ? new Date(`${ddmmyyyy[3]}-${ddmmyyyy[2]}-${ddmmyyyy[1]}`) : new Date(value);
+  if (isNaN(date)) return null;
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Get Period Range
+ *
+ * @param {String} period - YYYY-MM
+ * @returns {Object} { from, to } (to exclusive)
+ */
+function getPeriodRange(period) {
+  const match = String(period || "").match(/^(\d{4})-(\d{2})$/);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw {
+      errors: [],
+      message: "period must be a month as YYYY-MM",
+      statusCode: 400,
+    };
+  }
+  return {
+    from: new Date(Number(match[1]), Number(match[2]) - 1, 1),
+    to: new Date(Number(match[1]), Number(match[2]), 1),
+  };
+}
+
+/**
+ * Period (YYYY-MM) of a date
+ * @param {Date} date
+ * @returns {String}
+ */
+function toPeriod(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Debit reason group of a debit note line
+ * @param {String} reason
+ * @returns {String} short_supply | rate_mismatch | quality | other
+ */
+function getDebitReasonGroup(reason) {
+  const group = DEBIT_REASONS.find((o) => o.pattern.test(String(reason || "")));
+  return group ? group.key : "other";
+}
+
+/**
+ * Score
+ * Weighted 0-100 score of a scorecard's metrics
+ *
+ * @param {Object} card - Scorecard metrics
+ * @returns {Number|null}
+ */
+function getScore(card) {
+  const components = [
+    [SCORE_WEIGHTS.delivery, card.on_time_delivery_pct],
+    [SCORE_WEIGHTS.quality, card.quality_rejection_pct === null ? null : 100 - card.quality_rejection_pct],
+    [SCORE_WEIGHTS.debit_notes, card.debit_note_value_pct === null ? null : 100 - 10 * card.debit_note_value_pct],
+    [SCORE_WEIGHTS.price, card.price_index === null ? null : 150 - card.price_index],
+  ].filter(([, value]) => value !== null);
+
+  const weight = components.reduce((sum, [w]) => sum + w, 0);
+  if (!weight) return null;
+  return round(components.reduce((sum, [w, value]) => sum + w * clamp(value), 0) / weight);
+}
+
+/**
+ * Compute Scorecards
+ * Scorecards of the company's vendors for a date range
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Object} options
+ * @param {Date} options.from - Range start (required)
+ * @param {Date} options.to - Range end, exclusive (required)
+ * @param {Array} options.vendorIds - Only these vendors (optional); they are returned even without data
+ *
+ * @returns {Promise<Array>} Scorecards [{ vendor_id, deliveries, on_time_delivery_pct, ..., score }]
+ */
+async function computeScorecards(companyIdf, { from, to, vendorIds } = {}) {
+  const company = ObjectID(companyIdf);
+  const range = { $gte: from, $lt: to };
+  const onlyVendors = vendorIds && vendorIds.map(String);
+
+  const cards = {};
+  const cardOf = (vendorId) => {
+    const key = String(vendorId);
+    if (!cards[key]) {
+      cards[key] = {
+        vendor_id: key,
+        deliveries: 0,
+        on_time_deliveries: 0,
+        received_qty: 0,
+        rejected_qty: 0,
+        invoice_value: 0,
+        debit_note_value: 0,
+        debit_reasons: { short_supply: 0, rate_mismatch: 0, quality: 0, other: 0 },
+        bids_compared: 0,
+        price_ratio_total: 0,
+      };
+    }
+    return cards[key];
+  };
+  (onlyVendors || []).forEach(cardOf);
+
+  const [entries, debitNotes, rateApprovals] = await Promise.all([
+    DMREntrySchema.find({
+      companyIdf: company,
+      created_at: range,
+      ...(onlyVendors && { "vendor_detail._id": { $in: onlyVendors } }),
+    })
+      .select("dmrdate FinalDeliveryDate dmritem entry_type vendorInvoiceTotal TotalAmount vendor_detail._id")
+      .lean(),
+    DebitNote.find({
+      companyIdf: company,
+      status: { $ne: "draft" },
+      createdAt: range,
+      ...(onlyVendors && { vendorId: { $in: onlyVendors.map((id) => ObjectID(id)) } }),
+    })
+      .select("vendorId items additionalDebits totalAmount grandTotal")
+      .lean(),
+    RateApprovalSchema.find({
+      companyIdf: company,
+      created_at: range,
+      "vendorRatesItemWise.items.0": { $exists: true },
+    })
+      .select("vendorRatesItemWise.items")
+      .lean(),
+  ]);
+
+  entries.forEach((entry) => {
+    const vendorId = entry.vendor_detail && entry.vendor_detail._id;
+    if (!vendorId || !ObjectID.isValid(vendorId)) return;
+    const card = cardOf(vendorId);
+
+    const received = parseDay(entry.dmrdate);
+    const due = parseDay(entry.FinalDeliveryDate);
+    if (received && due) {
+      card.deliveries++;
+      if (received <= due) card.on_time_deliveries++;
+    }
+
+    (entry.dmritem || []).forEach((it) => {
+      card.received_qty += Number(it && it.receivedQuantity) || 0;
+      card.rejected_qty += Number(it && it.DebitNoteQty) || 0;
+    });
+
+    if (entry.entry_type === "InvoiceNumber") card.invoice_value += getInvoiceAmount(entry);
+  });
+
+  debitNotes.forEach((note) => {
+    const card = cardOf(note.vendorId);
+    card.debit_note_value += Number(note.grandTotal || note.totalAmount) || 0;
+    [...(note.items || []), ...(note.additionalDebits || [])].forEach((line) => {
+      card.debit_reasons[getDebitReasonGroup(line.debit_reason || line.type)] += Number(line.amount) || 0;
+    });
+  });
+
+  rateApprovals.forEach((ra) => {
+    ((ra.vendorRatesItemWise && ra.vendorRatesItemWise.items) || []).forEach((item) => {
+      const bids = Object.entries((item && item.vendors) || {})
+        .map(([vendorId, bid]) => ({ vendorId, rate: Number(bid && bid.rate) || 0 }))
+        .filter((o) => o.rate > 0 && ObjectID.isValid(o.vendorId));
+      if (bids.length < 2) return;
+
+      const total = bids.reduce((sum, o) => sum + o.rate, 0);
+      bids.forEach(({ vendorId, rate }) => {
+        if (onlyVendors && !onlyVendors.includes(vendorId)) return;
+        const card = cardOf(vendorId);
+        card.bids_compared++;
+        card.price_ratio_total += rate / ((total - rate) / (bids.length - 1));
+      });
+    });
+  });
+
+  return Object.values(cards).map(({ price_ratio_total, ...card }) => {
+    const result = {
+      ...card,
+      received_qty: round(card.received_qty),
+      rejected_qty: round(card.rejected_qty),
+      invoice_value: round(card.invoice_value),
+      debit_note_value: round(card.debit_note_value),
+      debit_reasons: Object.keys(card.debit_reasons).reduce((acc, key) => {
+        acc[key] = round(card.debit_reasons[key]);
+        return acc;
+      }, {}),
+      on_time_delivery_pct: percent(card.on_time_deliveries, card.deliveries),
+      quality_rejection_pct: percent(card.rejected_qty, card.received_qty),
+      debit_note_value_pct: percent(card.debit_note_value, card.invoice_value),
+      price_index: card.bids_compared ? round((price_ratio_total / card.bids_compared) * 100) : null,
+    };
+    result.score = getScore(result);
+    return result;
+  });
+}
+
+/**
+ * Refresh Scorecards
+ * Computes and stores the company's scorecards for a month
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {String} period - YYYY-MM
+ * @returns {Promise<Array>} Stored scorecards
+ */
+async function refreshScorecards(companyIdf, period) {
+  const { from, to } = getPeriodRange(period);
+  const cards = await computeScorecards(companyIdf, { from, to });
+
+  if (cards.length) {
+    await VendorScorecard.bulkWrite(
+      cards.map((card) => ({
+        updateOne: {
+          filter: { companyIdf: ObjectID(companyIdf), vendor_id: ObjectID(card.vendor_id), period },
+          update: {
+            $set: {
+              ...card,
+              vendor_id: ObjectID(card.vendor_id),
+              period_start: from,
+              period_end: to,
+              computed_at: new Date(),
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  }
+  return VendorScorecard.find({ companyIdf: ObjectID(companyIdf), period }).lean();
+}
+
+/**
+ * Get Latest Scores
+ * Each vendor's most recent stored scorecard that has a score
+ *
+ * @param {ObjectId} companyIdf - Company ID
+ * @param {Array} vendorIds - Only these vendors (optional)
+ * @returns {Promise<Object>} { [vendorId]: scorecard }
+ */
+async function getLatestScores(companyIdf, vendorIds) {
+  const cards = await VendorScorecard.aggregate([
+    {
+      $match: {
+        companyIdf: ObjectID(companyIdf),
+        score: { $ne: null },
+        ...(vendorIds && { vendor_id: { $in: vendorIds.map((id) => ObjectID(id)) } }),
+      },
+    },
+    { $sort: { period: -1 } },
+    { $group: { _id: "$vendor_id", card: { $first: "$$ROOT" } } },
+  ]);
+
+  return cards.reduce((acc, o) => {
+    acc[String(o._id)] = o.card;
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  parseDay,
+  getPeriodRange,
+  toPeriod,
+  getScore,
+  computeScorecards,
+  refreshScorecards,
+  getLatestScores,
+};
@@ -0,0 +1,404 @@
+/**
+ * Webhooks Library
+ * Outbound webhooks for procurement and inventory events
+ *
+ * Provides functions for:
+ * - Queuing an event for every active subscription of the company that wants it
+ * - Checking that a receiver URL resolves only to public addresses, when it is
+ *   saved and again on every delivery
+ * - Posting a delivery, signed with the subscription secret
+ * - Retrying failed deliveries with exponential backoff (jobs/webhookRetry.js)
+ * - Redelivering a logged delivery on request
+ *
+ * Request sent to the receiver (POST, JSON):
+ * - Body: { id, event, created_at, data }
+ * - X-Webhook-Event: event type
+ * - X-Webhook-Delivery: delivery ID (same as body id)
+ * - X-Webhook-Timestamp: Unix seconds
+ * - X-Webhook-Signature: "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ *
+ * A 2xx answer within the timeout is a success. Anything else is retried after
+ * 1, 2, 4, 8 and 16 minutes, then marked failed. Only the status code of the
+ * answer is kept; its body is never read.
+ *
+ * Receivers on private, loopback, link-local (cloud metadata) and other
+ * non-public addresses are refused, so a subscription can't be used to reach
+ * the internal network. The post goes to the address that was checked, so the
+ * name can't be re-pointed in between.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const ObjectID = require("mongodb").ObjectID;
+const Role = require("../models/Role");
+const { WebhookSubscription, WebhookDelivery } = require("../models/Webhook");
+
+/**
+ * Inventory Events
+ * Sent in addition to the Role.notifications event types
+ * @type {Array<String>}
+ */
+const INVENTORY_EVENTS = ["dmr_entry_created", "site_transfer_received", "low_stock_alert"];
+
+/**
+ * Vendor Events
+ * Sent in addition to the Role.notifications event types
+ * @type {Array<String>}
+ */
+const VENDOR_EVENTS = ["vendor_document_expiry"];
+
+/**
+ * Webhook Events
+ * Every event type a subscription can list
+ * @type {Array<String>}
+ */
+const WEBHOOK_EVENTS = [
+  ...new Set([...Role.schema.path("notifications").caster.enumValues, ...INVENTORY_EVENTS, ...VENDOR_EVENTS]),
+];
+
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 60 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+// A delivery left "sending" this long (process died mid-post) is picked up again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/**
+ * Non-public address ranges receivers may not resolve to. IPv4-mapped IPv6
+ * addresses are checked against the IPv4 ranges.
+ * @type {net.BlockList}
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, cloud metadata (169.254.169.254)
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // Documentation
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation
+  ["203.0.113.0", 24], // Documentation
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b::", 96], // NAT64 of IPv4 addresses
+  ["100::", 64], // Discard
+  ["2001:db8::", 32], // Documentation
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Sign a delivery body
+ *
+ * @param {String} secret - Subscription secret
+ * @param {Number} timestamp - Unix seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Generate a subscription secret
+ * @returns {String}
+ */
+function generateSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Is Public Address
+ *
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean} false for private, loopback, link-local and other
+ *   non-public addresses, and for anything that isn't an IP address
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolve Receiver
+ * Checks a receiver URL and resolves its host. Every address the host
+ * resolves to must be public.
+ *
+ * @param {String} url
+ * @returns {Promise<Object>} { target: URL, address, family }
+ * @throws {Object} 400 error when the URL is invalid or not public
+ */
+async function resolveReceiver(url) {
+  let target;
+  try {
+    target = new URL(String(url || ""));
+  } catch (err) {
+    target = null;
+  }
+  if (!target || !["http:", "https:"].includes(target.protocol)) {
+    throw {
+      errors: [],
+      message: "url must be a valid http or https URL",
+      statusCode: 400,
+    };
+  }
+
+  const host = target.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (err) {
+      addresses = [];
+    }
+  }
+  if (!addresses.length) {
+    throw {
+      errors: [],
+      message: `url host ${host} could not be resolved`,
+      statusCode: 400,
+    };
+  }
+  if (!addresses.every((o) => isPublicAddress(o.address))) {
+    throw {
+      errors: [],
+      message: "url must not point to a private, loopback or link-local address",
+      statusCode: 400,
+    };
+  }
+  return { target, address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * POST a JSON body
+ * To the address resolveReceiver checked, whatever the host resolves to by then
+ *
+ * @param {String} url
+ * @param {String} body - Raw JSON body
+ * @param {Object} headers
+ * @returns {Promise<Object>} { status }
+ */
+async function postJson(url, body, headers) {
+  const { target, address, family } = await resolveReceiver(url);
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        timeout: TIMEOUT_MS,
+        lookup: (hostname, options, callback) =>
+          options.all ? callback(null, [{ address, family }]) : callback(null, address, family),
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "Procurement-Webhooks/1.0",
+          ...headers,
+        },
+      },
+      (res) => {
+        resolve({ status: res.statusCode });
+        res.destroy();
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`Timed out after ${TIMEOUT_MS / 1000}s`)));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Attempt Delivery
+ * Claims a due delivery and posts it. On failure schedules the next attempt
+ * (exponential backoff) or marks it failed after MAX_ATTEMPTS.
+ *
+ * @param {ObjectId} deliveryId
+ * @returns {Promise<Object|null>} Updated delivery, or null when it wasn't due / was claimed elsewhere
+ */
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [
+        { status: { $in: ["pending", "retrying"] }, next_attempt_at: { $lte: now } },
+        { status: "sending", last_attempt_at: { $lte: new Date(now - STALE_SENDING_MS) } },
+      ],
+    },
+    { $set: { status: "sending", last_attempt_at: now }, $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findOne({
+    _id: delivery.subscription_id,
+    companyIdf: delivery.companyIdf,
+  }).lean();
+
+  let result = {};
+  if (!subscription || !subscription.isActive) {
+    result = { status: "failed", error: "Subscription deleted or disabled" };
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+      const response = await postJson(subscription.url, body, {
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": sign(subscription.secret, timestamp, body),
+      });
+      result = {
+        response_status: response.status,
+        error: response.status >= 200 && response.status < 300 ? "" : `Receiver answered ${response.status}`,
+      };
+    } catch (err) {
+      result = { response_status: null, error: err.message };
+    }
+    result.duration_ms = Date.now() - started;
+
+    if (!result.error) {
+      result.status = "success";
+      result.delivered_at = new Date();
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      result.status = "failed";
+    } else {
+      result.status = "retrying";
+      result.next_attempt_at = new Date(Date.now() + BACKOFF_BASE_MS * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: result }, { new: true }).lean();
+}
+
+/**
+ * Dispatch Event
+ * Queues the event for every active subscription of the company that lists
+ * it and starts the first attempts in the background. Never throws: a
+ * webhook must not fail the action that raised it.
+ *
+ * @param {ObjectId} companyIdf
+ * @param {String} event - Event type (WEBHOOK_EVENTS)
+ * @param {Object} data - Event data (document or summary)
+ * @returns {Promise<Array>} Queued deliveries
+ */
+async function dispatchEvent(companyIdf, event, data) {
+  try {
+    const subscriptions = await WebhookSubscription.find(
+      { companyIdf: companyIdf, isActive: true, events: { $in: [event, "*"] } },
+      "_id"
+    ).lean();
+    if (!subscriptions.length) return [];
+
+    const createdAt = new Date();
+    const cleanData = JSON.parse(JSON.stringify(data || {}));
+    const deliveries = await WebhookDelivery.insertMany(
+      subscriptions.map((subscription) => {
+        const _id = new ObjectID();
+        return {
+          _id,
+          companyIdf,
+          subscription_id: subscription._id,
+          event,
+          payload: { id: String(_id), event, created_at: createdAt, data: cleanData },
+        };
+      })
+    );
+
+    setImmediate(() => {
+      deliveries.forEach((o) =>
+        attemptDelivery(o._id).catch((err) => console.error(`Webhook delivery ${o._id} failed:`, err))
+      );
+    });
+    return deliveries;
+  } catch (err) {
+    console.error(`Error dispatching ${event} webhooks:`, err);
+    return [];
+  }
+}
+
+/**
+ * Retry Due Deliveries
+ * Attempts the deliveries whose next attempt is due (and ones stuck sending)
+ *
+ * @param {Object} options
+ * @param {Number} options.limit - Max deliveries per run (optional, default 200)
+ * @returns {Promise<Object>} { attempted, succeeded, failed }
+ */
+async function retryDueDeliveries({ limit = 200 } = {}) {
+  const now = new Date();
+  const due = await WebhookDelivery.find(
+    {
+      $or: [
+        { status: { $in: ["pending", "retrying"] }, next_attempt_at: { $lte: now } },
+        { status: "sending", last_attempt_at: { $lte: new Date(now - STALE_SENDING_MS) } },
+      ],
+    },
+    "_id"
+  )
+    .sort({ next_attempt_at: 1 })
+    .limit(limit)
+    .lean();
+
+  let succeeded = 0;
+  let failed = 0;
+  for (const o of due) {
+    const delivery = await attemptDelivery(o._id);
+    if (delivery && delivery.status === "success") succeeded++;
+    else if (delivery && delivery.status === "failed") failed++;
+  }
+  return { attempted: due.length, succeeded, failed };
+}
+
+/**
+ * Redeliver
+ * Sends a logged delivery's payload again as a new delivery and waits for the
+ * first attempt
+ *
+ * @param {Object} delivery - Delivery to resend (lean)
+ * @param {String} userId - User requesting it
+ * @returns {Promise<Object>} New delivery after its first attempt
+ */
+async function redeliver(delivery, userId) {
+  const _id = new ObjectID();
+  await WebhookDelivery.create({
+    _id,
+    companyIdf: delivery.companyIdf,
+    subscription_id: delivery.subscription_id,
+    event: delivery.event,
+    payload: { ...delivery.payload, id: String(_id) },
+    redelivery_of: delivery._id,
+    created_by: userId,
+  });
+  return (await attemptDelivery(_id)) || WebhookDelivery.findById(_id).lean();
+}
+
+module.exports = {
+  INVENTORY_EVENTS,
+  VENDOR_EVENTS,
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  sign,
+  generateSecret,
+  isPublicAddress,
+  resolveReceiver,
+  dispatchEvent,
+  attemptDelivery,
+  retryDueDeliveries,
+  redeliver,
+};
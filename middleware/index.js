@@ -3,8 +3,52 @@ const env = require("../config/env");
 const Response = require("../libs/response");
 const { responseMessage } = require("../libs/responseMessages");
 const { ObjectId } = require("mongodb");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const { getCache, setCache } = require("../utils/cache");
+const { MASTER_DATA } = require("../libs/cacheConfig");
+const { getSessionState, redeemStreamTicket } = require("../libs/authTokens");
+const { checkSubscriptionAccess } = require("../libs/subscription");
+const { runWithTenant } = require("../libs/tenantContext");
+const {
+  BYPASS_ROLES,
+  normalize,
+  getRoutePermission,
+  isAllowed,
+  buildGrants,
+} = require("../config/route-permissions");
 
 const middleware = {
+  /**
+   * Stream Ticket
+   * For endpoints opened with EventSource, which can't send headers: when
+   * there is no Authorization header, redeems the single-use ?ticket= from
+   * POST /notifications/stream-ticket for the access token it was issued to.
+   * Put it before jwtVerify.
+   */
+  streamTicket: async (req, res, next) => {
+    if (req.headers.authorization) return next();
+    try {
+      const token = await redeemStreamTicket(req.query.ticket);
+      if (!token) {
+        return res.status(401).json(
+          await Response.errors({
+            message: "Stream ticket is invalid, expired or already used",
+          })
+        );
+      }
+      req.headers.authorization = `Bearer ${token}`;
+      next();
+    } catch (error) {
+      console.error("Error redeeming stream ticket:", error);
+      return res.status(401).json(
+        await Response.errors({
+          message: "Stream ticket could not be checked",
+        })
+      );
+    }
+  },
+
   jwtVerify: async (req, res, next) => {
     try {
       // 1️⃣ Check Authorization header
@@ -38,15 +82,106 @@ const middleware = {
       }
 // ✅ Convert companyIdf to ObjectId
 decoded.companyIdf = new ObjectId(decoded.companyIdf);
-      // 6️⃣ Attach user to request
+      // 6️⃣ Session still open and user still active (logout, deactivation, deletion)
+      const session = await getSessionState(decoded);
+      if (!session.active) {
+        return res.status(401).json(
+          await Response.errors({
+            message: responseMessage("en", session.code),
+          })
+        );
+      }
+      // 7️⃣ Tenant active, subscription not lapsed (read-only in its grace period), module in plan
+      const denial = await checkSubscriptionAccess(decoded.companyIdf, req.method, req.route && req.route.path);
+      if (denial) {
+        return res.status(denial.statusCode).json(
+          await Response.errors({
+            message: denial.message,
+          })
+        );
+      }
+      // 8️⃣ Attach user to request
       req.user = decoded;
 
-      next();
+      // 9️⃣ The rest of the request runs as the token's tenant (libs/tenantIsolation.js),
+      // with the user recorded in the audit trail (libs/auditTrail.js)
+      runWithTenant(decoded.companyIdf, next, {
+        user_id: decoded.id,
+        name: decoded.name,
+        ip: req.ip,
+        user_agent: req.headers["user-agent"],
+        route: `${req.method} ${req.route && req.route.path}`,
+      });
     } catch (error) {
       console.log(error,"err")
       return res.status(401).json(
         await Response.errors({
-          message: responseMessage("en", "TOKEN_VERIFICATON_FAILED"),
+          // Expired access tokens are renewed with POST /users/refresh-token
+          message: responseMessage("en", error.name === "TokenExpiredError" ? "TOKEN_IS_EXPIRED" : "TOKEN_VERIFICATON_FAILED"),
+          err: error.message,
+        })
+      );
+    }
+  },
+
+  /**
+   * Role Permission Guard
+   * Must run after jwtVerify. Resolves the route's required module + action from
+   * config/route-permissions.js and checks it against the caller's
+   * Role.dashboard_permissions. Unmapped routes are rejected.
+   * The caller's role and flattened grants are cached under role:grants:<userId>.
+   */
+  checkPermission: async (req, res, next) => {
+    try {
+      const routePath = req.route && req.route.path;
+      const { required } = getRoutePermission(req.method, routePath);
+
+      // 1️⃣ Resolve role + grants (cached per user)
+      const cacheKey = `role:grants:${req.user.id}`;
+      let access = await getCache(cacheKey);
+      if (!access) {
+        const user = await User.findOne({ _id: req.user.id, companyIdf: req.user.companyIdf })
+          .select("role")
+          .lean();
+        if (!user) {
+          return res.status(401).json(
+            await Response.errors({
+              message: responseMessage("en", "USER_NOT_FOUND"),
+            })
+          );
+        }
+        const role = await Role.findOne({ role: user.role, companyIdf: req.user.companyIdf })
+          .select("dashboard_permissions")
+          .lean();
+        access = {
+          role: user.role,
+          grants: buildGrants(role ? role.dashboard_permissions : []),
+        };
+        await setCache(cacheKey, access, MASTER_DATA);
+      }
+
+      req.user.role = access.role;
+
+      // 2️⃣ Superadmin bypass
+      if (BYPASS_ROLES.includes(normalize(access.role))) {
+        return next();
+      }
+
+      // 3️⃣ Module + action check
+      if (!isAllowed(required, access.grants)) {
+        return res.status(403).json(
+          await Response.errors({
+            message: responseMessage("en", "PERMISSION_DENIED"),
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      console.log(error, "err");
+      return res.status(500).json(
+        await Response.errors({
+          message: responseMessage("en", "SOMETHING_WRONG"),
           err: error.message,
         })
       );
@@ -0,0 +1,192 @@
+/**
+ * Approval Workflow Model
+ * Schema for the per-company approval chain of a document type
+ *
+ * A workflow is a list of steps. Steps with the same level run in parallel and
+ * all of them must be approved before the next level starts; levels run in
+ * ascending order. A step only applies when the document amount falls within
+ * its min_amount / max_amount range, so thresholds such as "PO above ₹10L also
+ * needs director + superadmin" are extra steps with a min_amount.
+ *
+ * Who may act on a step:
+ * - approver_roles: user roles (User.role, e.g. "director", "superadmin") or
+ *   site role keys (Site.roles: "store_manager", "project_manager",
+ *   "project_director"); empty means any role
+ * - permission: Role.dashboard_permissions module + action the approver needs
+ * - users a current approver delegated the step to
+ *
+ * mode "any" completes a step on the first approval, mode "all" needs one
+ * approval for each of its approver_roles.
+ *
+ * sla_hours is how long a step may stay pending (0 turns reminders off). The
+ * approval SLA job (jobs/approvalSla.js) reminds the approvers after one SLA
+ * period and escalates the step after two: the approvers of the next level
+ * (superadmin on the last level) can then approve it too.
+ *
+ * Companies without a workflow for a document type use the default chain in
+ * libs/approvalEngine.js (the former hard-coded PM/PD, initial/final and PO
+ * approval).
+ *
+ * ApprovalStateSchema is the running copy of the chain stored on each
+ * PurchaseRequest, RateApproval and PurchaseOrder as `approval`.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * Document Types
+ * @type {Array<String>}
+ */
+const DocumentTypes = ["purchase_request", "rate_approval", "purchase_order"];
+
+/**
+ * Site Roles
+ * Approver roles resolved from Site.roles instead of User.role
+ * @type {Array<String>}
+ */
+const SiteRoles = ["store_manager", "project_manager", "project_director"];
+
+const StepFields = {
+  name: { type: String, required: true },
+  level: { type: Number, required: true, min: 1 },
+  approver_roles: { type: [String], default: [] },
+  permission: {
+    module: { type: String, default: "" }, // Role module name, e.g. "Requisition_approval"
+    action: { type: String, default: "" }, // childList value, e.g. "PM Level Approval"
+  },
+  min_amount: { type: Number, default: 0 },
+  max_amount: { type: Number, default: null }, // null: no upper limit
+  mode: { type: String, enum: ["any", "all"], default: "any" },
+  history_label: { type: String, default: "" }, // prHistory status on approval
+  sla_hours: { type: Number, default: 48, min: 0 }, // 0: no reminders / escalation
+};
+
+/**
+ * Approval State
+ * Running approval chain of one document
+ */
+const ApprovalStateSchema = new Schema(
+  {
+    workflow_id: { type: Schema.Types.ObjectId, default: null }, // null: default chain
+    amount: { type: Number, default: 0 },
+    current_level: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["in_progress", "approved", "rejected", "revise"],
+      default: "in_progress",
+    },
+    auto_approved: { type: Boolean, default: false }, // No step applied to the amount
+    version: { type: Number, default: 0 }, // Bumped by every action; saves are conditional on it
+    started_at: { type: Date, default: Date.now },
+    completed_at: { type: Date },
+    steps: [
+      {
+        ...StepFields,
+        status: {
+          type: String,
+          enum: ["waiting", "pending", "approved", "rejected", "revise", "skipped"],
+          default: "waiting",
+        },
+        started_at: { type: Date },
+        completed_at: { type: Date },
+        approvals: [
+          {
+            _id: false,
+            user_id: { type: Schema.Types.ObjectId, ref: "User" },
+            role: { type: String, default: "" }, // Approver role satisfied
+            on_behalf_of: { type: Schema.Types.ObjectId, ref: "User", default: null },
+            escalated: { type: Boolean, default: false }, // Approved as escalation approver
+            approved_at: { type: Date, default: Date.now },
+            remarks: { type: String, default: "" },
+          },
+        ],
+        delegates: [
+          {
+            _id: false,
+            user_id: { type: Schema.Types.ObjectId, ref: "User" },
+            delegated_by: { type: Schema.Types.ObjectId, ref: "User" },
+            role: { type: String, default: "" }, // Approver role the delegator holds
+            delegated_at: { type: Date, default: Date.now },
+            remarks: { type: String, default: "" },
+          },
+        ],
+        acted_by: { type: Schema.Types.ObjectId, ref: "User" }, // Rejected / sent back by
+        reminders_sent: { type: Number, default: 0 },
+        last_reminded_at: { type: Date },
+        escalation: {
+          level: { type: Number }, // Level whose approvers it went to (none: superadmin)
+          approver_roles: { type: [String], default: undefined },
+          permission: {
+            module: { type: String },
+            action: { type: String },
+          },
+          escalated_at: { type: Date },
+        },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const ApprovalWorkflowSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    /**
+     * Document Type
+     * @type {String}
+     * @enum ["purchase_request", "rate_approval", "purchase_order"]
+     * @required
+     */
+    document_type: {
+      type: String,
+      enum: DocumentTypes,
+      required: true,
+    },
+
+    name: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * Steps
+     * Approval steps; same level = parallel, levels run in ascending order
+     * @type {Array}
+     */
+    steps: {
+      type: [new Schema(StepFields)],
+      validate: [(steps) => steps.length > 0, "At least one approval step is required"],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    created_by: String,
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+ApprovalWorkflowSchema.index({ companyIdf: 1, document_type: 1 }, { unique: true });
+ApprovalWorkflowSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  ApprovalWorkflow: mongoose.model("Approval_Workflow", ApprovalWorkflowSchema),
+  ApprovalStateSchema,
+  DocumentTypes,
+  SiteRoles,
+};
@@ -131,6 +131,14 @@ const AssetTrackerSchema = new Schema(
      */
     current_location: { type: Schema.Types.ObjectId, ref: "site" },
 
+    /**
+     * DMR Entry
+     * DMR entry the asset was received against (set when auto-created on receipt)
+     * @type {ObjectId}
+     * @ref dmr_Entry
+     */
+    dmr_entry: { type: Schema.Types.ObjectId, ref: "dmr_Entry", default: null },
+
     // ---------- Editable / Additional Details ----------
     /**
      * Specification
@@ -298,4 +306,7 @@ const AssetTrackerSchema = new Schema(
   { timestamps: true }
 );
 
+AssetTrackerSchema.index({ companyIdf: 1, asset_code: 1 });
+AssetTrackerSchema.index({ companyIdf: 1, current_location: 1, catgeory: 1 });
+
 module.exports = mongoose.model("AssetTracker", AssetTrackerSchema);
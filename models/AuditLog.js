@@ -0,0 +1,119 @@
+/**
+ * Audit Log Model
+ * Schema for the field-level history of audited documents
+ *
+ * Every create, update and delete of an audited document records who did it
+ * (user, IP, user agent, route) and the fields it changed, with their values
+ * before and after (libs/auditTrail.js). Entries are never updated.
+ *
+ * Changes are keyed by field path. Array items with an _id are keyed by that
+ * _id rather than their position, e.g. "items.<item _id>.rate", so an entry
+ * still names the same line after lines are added or removed.
+ *
+ * Actions:
+ * - create: Every field, from null
+ * - update: Only the fields that changed
+ * - delete: Every field, to null
+ *
+ * Entity Types:
+ * - purchase_request, rate_approval, purchase_order, dmr_entry, debit_note,
+ *   vendor, item, role
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * Audit Actions
+ * @type {Array<String>}
+ */
+const AuditActions = ["create", "update", "delete"];
+
+/**
+ * Audit Entities
+ * @type {Array<String>}
+ */
+const AuditEntities = [
+  "purchase_request",
+  "rate_approval",
+  "purchase_order",
+  "dmr_entry",
+  "debit_note",
+  "vendor",
+  "item",
+  "role",
+];
+
+const AuditLogSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    entity_type: {
+      type: String,
+      enum: AuditEntities,
+      required: true,
+    },
+
+    entity_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+
+    action: {
+      type: String,
+      enum: AuditActions,
+      required: true,
+    },
+
+    /**
+     * Changes
+     * Changed fields with their values before and after
+     * @type {Array<{path: String, from: *, to: *}>}
+     */
+    changes: [
+      {
+        _id: false,
+        path: { type: String, required: true },
+        from: { type: Schema.Types.Mixed, default: null },
+        to: { type: Schema.Types.Mixed, default: null },
+      },
+    ],
+
+    /**
+     * Actor
+     * The signed in user; none for public endpoints (RFQ links). Background
+     * jobs are recorded as user_name "system".
+     */
+    user_id: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    user_name: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    user_agent: { type: String, default: "" },
+    route: { type: String, default: "" }, // "<METHOD> <express route path>"
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: false,
+    },
+  }
+);
+
+AuditLogSchema.index({ companyIdf: 1, entity_type: 1, entity_id: 1, created_at: -1 });
+AuditLogSchema.index({ companyIdf: 1, user_id: 1, created_at: -1 });
+AuditLogSchema.index({ companyIdf: 1, created_at: -1 });
+AuditLogSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  AuditLog: mongoose.model("Audit_Log", AuditLogSchema),
+  AuditActions,
+  AuditEntities,
+};
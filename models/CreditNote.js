@@ -116,6 +116,37 @@ const creditNoteSchema = new mongoose.Schema(
       },
     ],
 
+    /**
+     * Total Settled Amount
+     * Sum of the amounts applied against debit notes
+     */
+    totalSettledAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Adjusted Amount
+     * Unapplied balance already deducted from vendor payments
+     */
+    adjusted_amount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Status
+     * How much of the credit note has been applied to debit notes
+     * - pending: Nothing applied yet
+     * - partial: Part of the amount applied, balance still available
+     * - settled: Full amount applied
+     */
+    status: {
+      type: String,
+      enum: ["pending", "partial", "settled"],
+      default: "pending",
+    },
+
     /**
      * Created By
      * User who created this credit note record
@@ -134,5 +165,7 @@ const creditNoteSchema = new mongoose.Schema(
   }
 );
 
+creditNoteSchema.index({ companyIdf: 1, vendorId: 1, poNumber: 1 });
+
 // Export the Credit Note model
 module.exports = mongoose.model("CreditNote", creditNoteSchema);
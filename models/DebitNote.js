@@ -14,6 +14,7 @@
 const mongoose = require("mongoose");
 const schema = mongoose.Schema;
 const config = require("../config/env");
+const { auditTrailPlugin } = require("../libs/auditTrail");
 
 const debitNoteSchema = new schema(
   {
@@ -190,6 +191,16 @@ const debitNoteSchema = new schema(
       default: 0,
     },
 
+    /**
+     * GST Details
+     * totalGST split into CGST + SGST or IGST by place of supply, with the
+     * items / freight / other charges breakup (libs/placeOfSupply.js)
+     */
+    GSTDetails: {
+      type: Object,
+      default: {},
+    },
+
     /**
      * Remarks
      * Additional notes or comments about the debit note
@@ -202,6 +213,7 @@ const debitNoteSchema = new schema(
     /**
      * Status
      * Current status of the debit note
+     * - draft: Proposed by the three-way match, not yet raised
      * - raised: Initial status when created
      * - sent: Sent to vendor via email
      * - partial: Partially settled via credit notes
@@ -209,7 +221,7 @@ const debitNoteSchema = new schema(
      */
     status: {
       type: String,
-      enum: ["raised", "sent", "partial", "settled"],
+      enum: ["draft", "raised", "sent", "partial", "settled"],
       default: "raised",
     },
 
@@ -246,6 +258,15 @@ const debitNoteSchema = new schema(
       default: 0 
     },
 
+    /**
+     * Adjusted Amount
+     * Part of the settled amount already deducted from vendor payments
+     */
+    adjusted_amount: {
+      type: Number,
+      default: 0,
+    },
+
     /**
      * Credit Notes
      * Array of credit notes linked to this debit note for settlement
@@ -279,5 +300,7 @@ const debitNoteSchema = new schema(
   }
 );
 
+debitNoteSchema.plugin(auditTrailPlugin, { entity: "debit_note" });
+
 // Export the Debit Note model
 module.exports = mongoose.model("debitNote", debitNoteSchema);
@@ -129,6 +129,8 @@ const Site_InventorySchema = new mongoose.Schema(
       createdAt: "created_at",
       updatedAt: "updated_at",
     },
+    // Reject saves of a stale copy so concurrent stock movements can't both change stock_quantity
+    optimisticConcurrency: true,
   }
 );
 
@@ -19,7 +19,7 @@
  * - vendor_id: Vendor ID (if from vendor)
  * - rate: Rate per unit
  * - inventoryType: Type of inventory (BOQ, SE, Asset)
- * - source: Source of inventory (Vendor or InterSite)
+ * - source: Source of inventory (Vendor, InterSite or Adjustment from a stock count)
  */
 
 const mongoose = require("mongoose");
@@ -135,11 +135,11 @@ const Site_InventorySchema = new mongoose.Schema(
      * Source
      * Source of inventory
      * @type {String}
-     * @enum ["Vendor", "InterSite"]
+     * @enum ["Vendor", "InterSite", "Adjustment"]
      */
     source: { 
       type: String,
-      enum: ["Vendor", "InterSite"],
+      enum: ["Vendor", "InterSite", "Adjustment"],
     },
     
     /**
@@ -161,6 +161,8 @@ const Site_InventorySchema = new mongoose.Schema(
       createdAt: "created_at",
       updatedAt: "updated_at",
     },
+    // Reject saves of a stale copy so concurrent stock movements can't both change remaining_quantity
+    optimisticConcurrency: true,
   }
 );
 
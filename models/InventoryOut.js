@@ -2,13 +2,15 @@
  * Inventory Out Model
  * Schema for storing inventory issue (stock out) entries
  * 
- * This model tracks stock issued from sites. The rate is calculated using
- * FIFO (First In First Out) method from InventoryIn entries.
+ * This model tracks stock issued from sites. The rate is calculated from
+ * InventoryIn entries using the company's valuation method (FIFO, weighted
+ * average or LIFO).
  * 
  * Use Types:
  * - intraSite: Used within the same site
  * - interSite: Transferred to another site
  * - Return to Vendor: Returned to vendor
+ * - Stock Adjustment: Shortage posted from an approved stock count
  * 
  * Fields:
  * - item_id: Item ID
@@ -16,7 +18,8 @@
  * - inventoryType: Type of inventory (BOQ, SE, Asset)
  * - date: Date of issue
  * - quantity: Quantity issued
- * - rate: Weighted average rate calculated from FIFO entries
+ * - rate: Issue rate per the company's valuation method
+ * - valuation_method: Valuation method the rate was calculated with
  * - return_type: Type of return (if applicable)
  * - authorized_person: Person who authorized the issue
  * - contractor: Contractor who received the stock
@@ -92,7 +95,7 @@ const InventoryOutSchema = new mongoose.Schema({
     
     /**
      * Rate
-     * Weighted average rate calculated from FIFO entries
+     * Issue rate per the company's valuation method
      * @type {Number}
      * @required
      */
@@ -132,14 +135,26 @@ const InventoryOutSchema = new mongoose.Schema({
      * Use Type
      * How the stock is being used
      * @type {String}
-     * @enum ["intraSite", "interSite", "Return to Vendor"]
+     * @enum ["intraSite", "interSite", "Return to Vendor", "Stock Adjustment"]
      * @required
      */
     useType: { 
         type: String, 
-        enum: ["intraSite", "interSite", "Return to Vendor"],
+        enum: ["intraSite", "interSite", "Return to Vendor", "Stock Adjustment"],
         required: true
     },
+
+    /**
+     * Valuation Method
+     * Company valuation method the rate was worked out with
+     * @type {String}
+     * @enum ["FIFO", "WEIGHTED_AVERAGE", "LIFO"]
+     */
+    valuation_method: {
+        type: String,
+        enum: ["FIFO", "WEIGHTED_AVERAGE", "LIFO"],
+        default: "FIFO"
+    },
 },
 
 {
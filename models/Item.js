@@ -12,6 +12,7 @@
 const mongoose = require('mongoose');
 const schema = mongoose.Schema;
 const config = require('../config/env');
+const { auditTrailPlugin } = require('../libs/auditTrail');
 
 const ItemSchema = new mongoose.Schema({
     companyIdf: {
@@ -85,4 +86,5 @@ const ItemSchema = new mongoose.Schema({
     }
 })
 ItemSchema.set('autoIndex', config.db.autoIndex);
+ItemSchema.plugin(auditTrailPlugin, { entity: 'item' });
 module.exports = mongoose.model('item',ItemSchema)
\ No newline at end of file
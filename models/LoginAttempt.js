@@ -0,0 +1,57 @@
+/**
+ * Login Attempt Model
+ * Failed login counters used to lock out repeated failures
+ * (libs/loginLockout.js)
+ *
+ * One document per key:
+ * - email:<email> - failures for an email address, whether or not a user has it
+ * - ip:<ip> - failures from a client IP, across all emails
+ * - password_reset:email:<email>, password_reset:ip:<ip> - password reset
+ *   requests, counted the same way
+ *
+ * Failures are counted within a window; reaching the limit sets
+ * locked_until. The document expires with its window or lock, which resets
+ * the count.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+const LoginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+
+    failures: {
+      type: Number,
+      default: 0,
+    },
+
+    locked_until: { type: Date, default: null },
+
+    /**
+     * Expires At
+     * End of the counting window, or of the lock once locked
+     * @type {Date}
+     */
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+LoginAttemptSchema.index({ key: 1 }, { unique: true });
+LoginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+LoginAttemptSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Login_Attempt", LoginAttemptSchema);
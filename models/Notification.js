@@ -0,0 +1,110 @@
+/**
+ * Notification Model
+ * Schema for the in-app notification inbox of each user
+ *
+ * One document per recipient. Notifications are created by libs/notifications.js
+ * for the same events that drive the emails (User.notifications types such as
+ * RR_approval_project_manager, RC_final_approval, PO_reject) and pushed live
+ * to the user's open event streams.
+ *
+ * Fields:
+ * - user_id: Recipient
+ * - type: Notification type (User.notifications value)
+ * - title: Short heading
+ * - message: Notification text
+ * - link: Frontend path to open (e.g. /procurement/update/<id>)
+ * - entity_type / entity_id: Document the notification is about
+ * - read / read_at: Read state
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+const NotificationSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    /**
+     * User ID
+     * Recipient
+     * @type {ObjectId}
+     * @required
+     */
+    user_id: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Type
+     * Notification type (User.notifications value)
+     * @type {String}
+     * @required
+     */
+    type: {
+      type: String,
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+    },
+
+    message: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * Link
+     * Frontend path of the document (deep link)
+     * @type {String}
+     */
+    link: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * Entity Type
+     * Kind of document the notification is about
+     * @type {String}
+     * @enum ["purchase_request", "rate_approval", "purchase_order", "debit_note", "site", "vendor"]
+     */
+    entity_type: {
+      type: String,
+      enum: ["purchase_request", "rate_approval", "purchase_order", "debit_note", "site", "vendor"],
+    },
+
+    entity_id: {
+      type: Schema.Types.ObjectId,
+    },
+
+    read: {
+      type: Boolean,
+      default: false,
+    },
+
+    read_at: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+NotificationSchema.index({ user_id: 1, read: 1, created_at: -1 });
+NotificationSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Notification", NotificationSchema);
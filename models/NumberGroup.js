@@ -35,12 +35,12 @@ const NumberingGroupSchema = new schema({
      * Module
      * Module name for which numbering is tracked
      * @type {String}
-     * @enum ['purchase_request', 'rate_approval', 'purchase_order']
+     * @enum ['purchase_request', 'rate_approval', 'purchase_order', 'stock_count', 'payment_voucher']
      * @default ''
      */
     module: {
         type: String,
-        enum: ['purchase_request', 'rate_approval', 'purchase_order'],
+        enum: ['purchase_request', 'rate_approval', 'purchase_order', 'stock_count', 'payment_voucher'],
         default: ''
     }
 }, {
@@ -0,0 +1,61 @@
+/**
+ * Password Reset Token Model
+ * Single-use, time-limited tokens emailed for forgot-password
+ * (libs/passwords.js)
+ *
+ * Only a SHA-256 hash of the token is stored; the token is only in the
+ * emailed link. A new request replaces the user's unused tokens, and a token
+ * is marked used_at when the password is reset with it.
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+const PasswordResetTokenSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    user_id: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Token Hash
+     * SHA-256 of the reset token
+     * @type {String}
+     * @required
+     */
+    token_hash: {
+      type: String,
+      required: true,
+    },
+
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+
+    used_at: { type: Date, default: null },
+    requested_ip: { type: String, default: "" },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+PasswordResetTokenSchema.index({ token_hash: 1 }, { unique: true });
+PasswordResetTokenSchema.index({ user_id: 1, used_at: 1 });
+PasswordResetTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+PasswordResetTokenSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Password_Reset_Token", PasswordResetTokenSchema);
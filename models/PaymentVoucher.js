@@ -0,0 +1,221 @@
+/**
+ * Payment Voucher Model
+ * Schema for payments made to vendors against DMR invoices
+ *
+ * A voucher pays one or more of a vendor's invoices (DMR entries), fully or
+ * partially. The amount applied to the invoices is settled by:
+ * - TDS deducted at source
+ * - Adjusting settled debit notes / unapplied credit notes
+ * - The net amount actually paid
+ * so applied = tds.amount + adjustment_total + net_amount.
+ *
+ * Posting a voucher adds to dmrEntry.amount_paid and to the notes'
+ * adjusted_amount; cancelling it reverses both.
+ *
+ * Status Values:
+ * - paid: Payment recorded
+ * - cancelled: Payment reversed
+ *
+ * Fields:
+ * - voucher_number: Auto-generated voucher number
+ * - vendor_id: Vendor paid
+ * - invoices: Invoices paid with the amount applied to each
+ * - tds: TDS section, rate, base and amount
+ * - adjustments: Debit/credit notes deducted
+ * - net_amount: Amount paid to the vendor
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * Payment Modes
+ * @type {Array<String>}
+ */
+const PaymentModes = ["NEFT", "RTGS", "IMPS", "UPI", "Cheque", "Cash", "Other"];
+
+const PaymentVoucherSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    /**
+     * Voucher Number
+     * Auto-generated sequential voucher number
+     * @type {Number}
+     * @required
+     */
+    voucher_number: {
+      type: Number,
+      required: true,
+    },
+
+    /**
+     * Vendor ID
+     * Vendor the payment is made to
+     * @type {ObjectId}
+     * @required
+     */
+    vendor_id: {
+      type: Schema.Types.ObjectId,
+      ref: "vendor",
+      required: true,
+    },
+
+    /**
+     * Payment Date
+     * @type {Date}
+     */
+    payment_date: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Payment Mode
+     * @type {String}
+     * @enum ["NEFT", "RTGS", "IMPS", "UPI", "Cheque", "Cash", "Other"]
+     */
+    payment_mode: {
+      type: String,
+      enum: PaymentModes,
+      required: true,
+    },
+
+    /**
+     * Reference Number
+     * UTR, cheque or transaction number
+     * @type {String}
+     */
+    reference_number: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * Invoices
+     * DMR invoices paid by this voucher
+     * @type {Array}
+     */
+    invoices: [
+      {
+        _id: false,
+        dmr_entry_id: { type: Schema.Types.ObjectId, ref: "dmr_Entry", required: true },
+        dmr_no: { type: String, default: "" },
+        invoice_number: { type: String, default: "" },
+        invoice_date: { type: Date },
+        due_date: { type: Date },
+        invoice_amount: { type: Number, default: 0 },
+        outstanding_before: { type: Number, default: 0 },
+        amount: { type: Number, required: true }, // Applied to the invoice
+      },
+    ],
+
+    /**
+     * Gross Amount
+     * Total applied to the invoices
+     * @type {Number}
+     */
+    gross_amount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * TDS
+     * Tax deducted at source
+     * @type {Object}
+     */
+    tds: {
+      section: { type: String, default: "" }, // e.g. 194C, 194Q
+      rate: { type: Number, default: 0 },
+      base_amount: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+
+    /**
+     * Adjustments
+     * Debit notes (settled amount) and credit notes (unapplied amount) deducted
+     * @type {Array}
+     */
+    adjustments: [
+      {
+        _id: false,
+        type: { type: String, enum: ["debit_note", "credit_note"], required: true },
+        note_id: { type: Schema.Types.ObjectId, required: true },
+        note_number: { type: String, default: "" },
+        amount: { type: Number, required: true },
+      },
+    ],
+
+    /**
+     * Adjustment Total
+     * @type {Number}
+     */
+    adjustment_total: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Net Amount
+     * Amount paid: gross_amount - tds.amount - adjustment_total
+     * @type {Number}
+     */
+    net_amount: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Status
+     * @type {String}
+     * @enum ["paid", "cancelled"]
+     * @default "paid"
+     */
+    status: {
+      type: String,
+      enum: ["paid", "cancelled"],
+      default: "paid",
+    },
+
+    remarks: {
+      type: String,
+      default: "",
+    },
+
+    cancelled_by: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelled_at: {
+      type: Date,
+    },
+    cancel_reason: {
+      type: String,
+      default: "",
+    },
+
+    created_by: String,
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+PaymentVoucherSchema.index({ companyIdf: 1, vendor_id: 1, payment_date: -1 });
+PaymentVoucherSchema.index({ companyIdf: 1, "invoices.dmr_entry_id": 1 });
+PaymentVoucherSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  PaymentVoucher: mongoose.model("Payment_Voucher", PaymentVoucherSchema),
+  PaymentModes,
+};
@@ -12,6 +12,8 @@
 const mongoose = require("mongoose");
 const schema = mongoose.Schema;
 const config = require("../config/env");
+const { auditTrailPlugin } = require("../libs/auditTrail");
+const { ApprovalStateSchema } = require("./ApprovalWorkflow");
 
 const PurchaseOrderSchema = new mongoose.Schema(
   {
@@ -221,9 +223,20 @@ const PurchaseOrderSchema = new mongoose.Schema(
         updated_By: { type: schema.Types.ObjectId }, // User ID or Name
         updated_Date: { type: Date, default: Date.now }, // Store as Date, format later
         status: { type: String, required: true }, // Status update
+        on_behalf_of: { type: schema.Types.ObjectId, ref: "User" }, // Approver a delegate acted for
       },
     ],
 
+    /**
+     * Approval
+     * Running approval chain (see models/ApprovalWorkflow.js)
+     * The PO stays ApprovalPending until every applicable level is approved
+     */
+    approval: {
+      type: ApprovalStateSchema,
+      default: null,
+    },
+
     billing_address: {
       code: {
         type: String,
@@ -515,4 +528,5 @@ const PurchaseOrderSchema = new mongoose.Schema(
   }
 );
 PurchaseOrderSchema.set("autoIndex", config.db.autoIndex);
+PurchaseOrderSchema.plugin(auditTrailPlugin, { entity: "purchase_order" });
 module.exports = mongoose.model("purchase_order", PurchaseOrderSchema);
@@ -38,6 +38,8 @@
 const mongoose = require("mongoose");
 const schema = mongoose.Schema;
 const config = require("../config/env");
+const { auditTrailPlugin } = require("../libs/auditTrail");
+const { ApprovalStateSchema } = require("./ApprovalWorkflow");
 
 const PurchaseRequestSchema = new mongoose.Schema(
   {
@@ -368,8 +370,26 @@ const PurchaseRequestSchema = new mongoose.Schema(
          * @required
          */
         status: { type: String, required: true },
+
+        /**
+         * On Behalf Of
+         * Approver a delegate acted for (out of office or delegated step)
+         * @type {ObjectId}
+         */
+        on_behalf_of: { type: schema.Types.ObjectId, ref: "User" },
       },
     ],
+
+    /**
+     * Approval
+     * Running approval chain (see models/ApprovalWorkflow.js)
+     * PM_approvedBy / PD_approvedBy are kept in sync by libs/approvalEngine.js
+     * @type {Object}
+     */
+    approval: {
+      type: ApprovalStateSchema,
+      default: null,
+    },
     
     /**
      * Vendor Items
@@ -498,4 +518,5 @@ const PurchaseRequestSchema = new mongoose.Schema(
 );
 
 PurchaseRequestSchema.set("autoIndex", config.db.autoIndex);
+PurchaseRequestSchema.plugin(auditTrailPlugin, { entity: "purchase_request" });
 module.exports = mongoose.model("purchase_request", PurchaseRequestSchema);
@@ -43,6 +43,8 @@
 const mongoose = require('mongoose');
 const schema = mongoose.Schema;
 const config = require('../config/env');
+const { auditTrailPlugin } = require('../libs/auditTrail');
+const { ApprovalStateSchema } = require('./ApprovalWorkflow');
 
 const RateApprovalSchema = new mongoose.Schema({
     companyIdf: {
@@ -383,8 +385,26 @@ const RateApprovalSchema = new mongoose.Schema({
              * @required
              */
             stage: { type: String, required: true },
+
+            /**
+             * On Behalf Of
+             * Approver a delegate acted for (out of office or delegated step)
+             * @type {ObjectId}
+             */
+            on_behalf_of: { type: schema.Types.ObjectId, ref: "User" },
         }
     ],
+
+    /**
+     * Approval
+     * Running approval chain (see models/ApprovalWorkflow.js)
+     * initial_approved / final_approved are kept in sync by libs/approvalEngine.js
+     * @type {Object}
+     */
+    approval: {
+        type: ApprovalStateSchema,
+        default: null
+    },
     
     /**
      * Rate Approval Numbers
@@ -561,4 +581,5 @@ const RateApprovalSchema = new mongoose.Schema({
     }
 })
 RateApprovalSchema.set('autoIndex', config.db.autoIndex);
+RateApprovalSchema.plugin(auditTrailPlugin, { entity: 'rate_approval' });
 module.exports = mongoose.model('rate_approval', RateApprovalSchema)
\ No newline at end of file
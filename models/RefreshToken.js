@@ -0,0 +1,120 @@
+/**
+ * Refresh Token Model
+ * Schema for the login sessions of users, one per device
+ *
+ * A login opens a session (session_id) for the device and issues a refresh
+ * token for it. Each refresh rotates the token: the old one is revoked and
+ * replaced by a new one in the same session. Presenting a rotated token again
+ * means it was stolen, and the whole session is revoked (libs/authTokens.js).
+ *
+ * Access tokens carry the session_id, so revoking a session (logout, logout
+ * of all devices, password change, user deactivated or deleted) cuts off its
+ * access tokens too.
+ *
+ * Only a SHA-256 hash of the token is stored; the token is returned once.
+ *
+ * Revoke Reasons:
+ * - rotated: Replaced by a newer token of the session
+ * - logout: Session logged out
+ * - logout_all: All sessions of the user logged out
+ * - new_login: The device logged in again
+ * - reuse_detected: A rotated token of the session was presented again
+ * - user_inactive: User deactivated or deleted
+ * - password_changed: Password changed or reset
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * Revoke Reasons
+ * @type {Array<String>}
+ */
+const RevokeReasons = ["rotated", "logout", "logout_all", "new_login", "reuse_detected", "user_inactive", "password_changed"];
+
+const RefreshTokenSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    user_id: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    /**
+     * Session ID
+     * Shared by every token of one device login, carried as "sid" in the
+     * access token
+     * @type {String}
+     * @required
+     */
+    session_id: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Token Hash
+     * SHA-256 of the refresh token
+     * @type {String}
+     * @required
+     */
+    token_hash: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Device
+     * Client supplied device ID (or a generated one), name and user agent
+     */
+    device_id: { type: String, required: true },
+    device_name: { type: String, default: "" },
+    user_agent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+
+    last_used_at: { type: Date },
+    revoked_at: { type: Date, default: null },
+    revoked_reason: { type: String, enum: RevokeReasons },
+
+    /**
+     * Replaced By
+     * Token issued when this one was rotated
+     * @type {ObjectId}
+     */
+    replaced_by: {
+      type: Schema.Types.ObjectId,
+      ref: "Refresh_Token",
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+RefreshTokenSchema.index({ token_hash: 1 }, { unique: true });
+RefreshTokenSchema.index({ session_id: 1 });
+RefreshTokenSchema.index({ user_id: 1, revoked_at: 1 });
+// Expired tokens are no longer needed to detect reuse
+RefreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+RefreshTokenSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  RefreshToken: mongoose.model("Refresh_Token", RefreshTokenSchema),
+  RevokeReasons,
+};
@@ -0,0 +1,174 @@
+/**
+ * Reorder Level Model
+ * Schema for storing min/max/reorder stock levels per item per site
+ *
+ * The low-stock job compares Inventory.stock_quantity against these levels.
+ * When stock falls below reorder_level it emails the site's users and, if
+ * auto_draft_pr is on, drafts a purchase request for the shortfall.
+ *
+ * Fields:
+ * - item_id: Item ID
+ * - site_id: Site ID
+ * - inventoryType: Type of inventory (BOQ, SE, Asset)
+ * - min_level: Safety stock; below this the alert is marked critical
+ * - reorder_level: Stock at or below which a reorder is raised
+ * - max_level: Stock to reorder up to (shortfall = max_level - stock)
+ * - auto_draft_pr: Create a draft purchase request when stock runs low
+ * - alert_active: Low-stock alert has been raised and stock hasn't recovered yet
+ * - last_alerted_at: When the last alert was raised
+ * - draft_pr_id: Purchase request drafted for the active alert
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+const { InventoryTypes } = require("./Inventory");
+
+const ReorderLevelSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    /**
+     * Item ID
+     * Reference to the item
+     * @type {ObjectId}
+     * @required
+     */
+    item_id: {
+      type: Schema.Types.ObjectId,
+      ref: "item",
+      required: true,
+    },
+
+    /**
+     * Site ID
+     * Site the levels apply to
+     * @type {ObjectId}
+     * @required
+     */
+    site_id: {
+      type: Schema.Types.ObjectId,
+      ref: "site",
+      required: true,
+    },
+
+    /**
+     * Inventory Type
+     * Type of inventory the levels apply to
+     * @type {String}
+     * @enum ["BOQ", "SE", "Asset"]
+     * @default "BOQ"
+     */
+    inventoryType: {
+      type: String,
+      enum: Object.values(InventoryTypes),
+      default: InventoryTypes.PROJECT_BOQ,
+    },
+
+    /**
+     * Min Level
+     * Safety stock; alerts below this level are marked critical
+     * @type {Number}
+     * @default 0
+     */
+    min_level: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    /**
+     * Reorder Level
+     * Stock at or below which a reorder is raised
+     * @type {Number}
+     * @required
+     */
+    reorder_level: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+
+    /**
+     * Max Level
+     * Stock to reorder up to; when 0 the shortfall is worked out against reorder_level
+     * @type {Number}
+     * @default 0
+     */
+    max_level: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    /**
+     * Auto Draft PR
+     * Create a draft purchase request for the shortfall when stock runs low
+     * @type {Boolean}
+     * @default false
+     */
+    auto_draft_pr: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Alert Active
+     * A low-stock alert has been raised and stock hasn't recovered above reorder_level yet
+     * @type {Boolean}
+     * @default false
+     */
+    alert_active: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Last Alerted At
+     * When the last low-stock alert was raised
+     * @type {Date}
+     */
+    last_alerted_at: {
+      type: Date,
+    },
+
+    /**
+     * Draft PR ID
+     * Purchase request drafted for the active alert
+     * @type {ObjectId}
+     */
+    draft_pr_id: {
+      type: Schema.Types.ObjectId,
+      ref: "purchase_request",
+    },
+
+    /**
+     * Created By
+     * User who set the levels
+     * @type {String}
+     */
+    created_by: String,
+
+    /**
+     * Updated By
+     * User who last changed the levels
+     * @type {String}
+     */
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+ReorderLevelSchema.index({ companyIdf: 1, item_id: 1, site_id: 1, inventoryType: 1 }, { unique: true });
+ReorderLevelSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Reorder_Level", ReorderLevelSchema);
@@ -0,0 +1,132 @@
+/**
+ * RFQ Invitation Model
+ * Schema for the quotation links sent to vendors for a rate approval
+ *
+ * Each invitation is a tokenized, expiring link for one vendor and one rate
+ * comparative. The vendor opens it without logging in and submits item-wise
+ * rates, GST, freight and attachments; the submission is written into the
+ * rate approval's vendorRatesItemWise (see controllers/web/rfq.js).
+ *
+ * Only a SHA-256 hash of the token is stored; the link is shown once when
+ * the invitation is created.
+ *
+ * Status Values:
+ * - sent: Link generated
+ * - viewed: Vendor opened the link
+ * - submitted: Vendor submitted a quotation (may resubmit until expiry)
+ * - revoked: Link withdrawn by purchase staff, or replaced by a new one
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * RFQ Status
+ * @type {Array<String>}
+ */
+const RfqStatus = ["sent", "viewed", "submitted", "revoked"];
+
+const QuotationItemSchema = new Schema(
+  {
+    /**
+     * Item ID
+     * RateApproval items[] entry the rate is for
+     * @type {ObjectId}
+     */
+    item_id: { type: Schema.Types.ObjectId, required: true },
+    item_code: { type: String, default: "" },
+    qty: { type: Number, default: 0 },
+    rate: { type: Number, required: true },
+    gst: { type: Number, default: 0 },
+    brand: { type: String, default: "" },
+    remark: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const RfqInvitationSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    rate_approval_id: {
+      type: Schema.Types.ObjectId,
+      ref: "rate_approval",
+      required: true,
+    },
+
+    vendor_id: {
+      type: Schema.Types.ObjectId,
+      ref: "vendor",
+      required: true,
+    },
+
+    /**
+     * Token Hash
+     * SHA-256 of the link token
+     * @type {String}
+     * @required
+     */
+    token_hash: {
+      type: String,
+      required: true,
+    },
+
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: RfqStatus,
+      default: "sent",
+    },
+
+    viewed_at: { type: Date },
+    submitted_at: { type: Date },
+    revoked_at: { type: Date },
+
+    /**
+     * Quotation
+     * Latest submission from the vendor
+     * @type {Object}
+     */
+    quotation: {
+      items: [QuotationItemSchema],
+      freight: { type: Number, default: 0 },
+      freightGst: { type: Number, default: 0 },
+      otherCharges: { type: Number, default: 0 },
+      otherChargesGst: { type: Number, default: 0 },
+      remarks: { type: String, default: "" },
+      attachments: [String],
+    },
+
+    submission_count: {
+      type: Number,
+      default: 0,
+    },
+
+    created_by: String,
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+RfqInvitationSchema.index({ token_hash: 1 }, { unique: true });
+RfqInvitationSchema.index({ companyIdf: 1, rate_approval_id: 1, vendor_id: 1 });
+RfqInvitationSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  RfqInvitation: mongoose.model("Rfq_Invitation", RfqInvitationSchema),
+  RfqStatus,
+};
@@ -8,6 +8,7 @@
  */
 
 const mongoose = require("mongoose");
+const { auditTrailPlugin } = require("../libs/auditTrail");
 
 const roleSchema = new mongoose.Schema({
   companyIdf: {
@@ -866,12 +867,30 @@ const roleSchema = new mongoose.Schema({
             isSelected: false,
             isClosed: false,
             childList: [
+              {
+                id: 1,
+                parent_id: 1,
+                value: "add",
+                isSelected: false,
+              },
               {
                 id: 5,
                 parent_id: 1,
                 value: "view",
                 isSelected: false,
               },
+              {
+                id: 2,
+                parent_id: 1,
+                value: "edit",
+                isSelected: false,
+              },
+              {
+                id: 6,
+                parent_id: 1,
+                value: "delete",
+                isSelected: false,
+              },
             ],
           },
           {
@@ -1015,6 +1034,182 @@ const roleSchema = new mongoose.Schema({
           },
         ],
       },
+      {
+        id: 28,
+        moduleName: "Asset Tracker",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 28,
+            value: "View",
+            isSelected: false,
+          },
+          {
+            id: 2,
+            parent_id: 28,
+            value: "Add",
+            isSelected: false,
+          },
+          {
+            id: 3,
+            parent_id: 28,
+            value: "Edit",
+            isSelected: false,
+          },
+          {
+            id: 4,
+            parent_id: 28,
+            value: "Delete",
+            isSelected: false,
+          },
+          {
+            id: 5,
+            parent_id: 28,
+            value: "Lifecycle Entry",
+            isSelected: false,
+          },
+        ],
+      },
+      {
+        id: 29,
+        moduleName: "Stock Count",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 29,
+            value: "View",
+            isSelected: false,
+          },
+          {
+            id: 2,
+            parent_id: 29,
+            value: "Add",
+            isSelected: false,
+          },
+          {
+            id: 3,
+            parent_id: 29,
+            value: "Record Count",
+            isSelected: false,
+          },
+          {
+            id: 4,
+            parent_id: 29,
+            value: "PM Approval",
+            isSelected: false,
+          },
+        ],
+      },
+      {
+        id: 30,
+        moduleName: "Vendor Payments",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 30,
+            value: "View",
+            isSelected: false,
+          },
+          {
+            id: 2,
+            parent_id: 30,
+            value: "Add",
+            isSelected: false,
+          },
+          {
+            id: 3,
+            parent_id: 30,
+            value: "Cancel",
+            isSelected: false,
+          },
+        ],
+      },
+      {
+        id: 31,
+        moduleName: "Approval Workflow",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 31,
+            value: "View",
+            isSelected: false,
+          },
+          {
+            id: 2,
+            parent_id: 31,
+            value: "Edit",
+            isSelected: false,
+          },
+        ],
+      },
+      {
+        id: 32,
+        moduleName: "Webhooks",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 32,
+            value: "View",
+            isSelected: false,
+          },
+          {
+            id: 2,
+            parent_id: 32,
+            value: "Edit",
+            isSelected: false,
+          },
+        ],
+      },
+      {
+        id: 33,
+        moduleName: "Vendor Compliance",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 33,
+            value: "View",
+            isSelected: false,
+          },
+          {
+            id: 2,
+            parent_id: 33,
+            value: "Add",
+            isSelected: false,
+          },
+          {
+            id: 3,
+            parent_id: 33,
+            value: "Verify",
+            isSelected: false,
+          },
+        ],
+      },
+      {
+        id: 34,
+        moduleName: "Audit Trail",
+        isSelected: false,
+        isClosed: false,
+        childList: [
+          {
+            id: 1,
+            parent_id: 34,
+            value: "View",
+            isSelected: false,
+          },
+        ],
+      },
     ],
   },
 
@@ -1024,4 +1219,6 @@ const roleSchema = new mongoose.Schema({
   },
 });
 
+roleSchema.plugin(auditTrailPlugin, { entity: "role" });
+
 module.exports = mongoose.model("Role", roleSchema);
@@ -0,0 +1,190 @@
+/**
+ * Stock Count Model
+ * Schema for physical stock counts (cycle counts) at a site
+ *
+ * A count freezes the expected quantity of each item from Inventory when it is
+ * created. Counted quantities are recorded against it, the site's project
+ * manager approves the variances, and approval posts adjustment movements:
+ * - Shortage: InventoryOut (useType "Stock Adjustment"), consuming FIFO layers
+ * - Surplus: InventoryIn layer (source "Adjustment")
+ * Both also update Inventory.stock_quantity. Variances are measured against the
+ * frozen quantity, so movements posted while counting are not lost.
+ *
+ * Status Values:
+ * - counting: Expected quantities frozen, counts being recorded
+ * - submitted: Counts complete, awaiting project manager approval
+ * - rejected: Variances rejected, to be recounted
+ * - approved: Variances approved and adjustments posted
+ * - cancelled: Count abandoned
+ *
+ * Fields:
+ * - count_number: Auto-generated count number
+ * - site_id: Site being counted
+ * - inventoryType: Inventory type counted (all types when empty)
+ * - frozen_at: When expected quantities were taken from Inventory
+ * - items: Expected, counted and variance per item, with the posted adjustment
+ * - history: Audit trail of status changes and recorded counts
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+const { InventoryTypes } = require("./Inventory");
+
+const StockCountSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    /**
+     * Count Number
+     * Auto-generated sequential count number
+     * @type {Number}
+     * @required
+     */
+    count_number: {
+      type: Number,
+      required: true,
+    },
+
+    /**
+     * Site ID
+     * Site being counted
+     * @type {ObjectId}
+     * @required
+     */
+    site_id: {
+      type: Schema.Types.ObjectId,
+      ref: "site",
+      required: true,
+    },
+
+    /**
+     * Inventory Type
+     * Inventory type counted; empty means all types
+     * @type {String}
+     * @enum ["BOQ", "SE", "Asset"]
+     */
+    inventoryType: {
+      type: String,
+      enum: [...Object.values(InventoryTypes), null],
+      default: null,
+    },
+
+    /**
+     * Frozen At
+     * When expected quantities were taken from Inventory
+     * @type {Date}
+     */
+    frozen_at: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Status
+     * @type {String}
+     * @enum ["counting", "submitted", "rejected", "approved", "cancelled"]
+     * @default "counting"
+     */
+    status: {
+      type: String,
+      enum: ["counting", "submitted", "rejected", "approved", "cancelled"],
+      default: "counting",
+    },
+
+    /**
+     * Items
+     * Items in the count with frozen, counted and variance quantities
+     * @type {Array}
+     */
+    items: [
+      {
+        _id: false,
+        item_id: { type: Schema.Types.ObjectId, ref: "item", required: true },
+        item_name: { type: String, default: "" }, // Snapshot for the count sheet
+        item_code: { type: String, default: "" },
+        inventoryType: { type: String, enum: Object.values(InventoryTypes), required: true },
+        expected_quantity: { type: Number, default: 0 }, // Inventory.stock_quantity when frozen
+        counted_quantity: { type: Number, default: null }, // null until counted
+        variance: { type: Number, default: 0 }, // counted_quantity - expected_quantity
+        remarks: { type: String, default: "" },
+
+        /**
+         * Adjustment
+         * Movement posted for the variance on approval
+         */
+        adjustment: {
+          direction: { type: String, enum: ["in", "out"] },
+          quantity: { type: Number },
+          rate: { type: Number },
+          value: { type: Number },
+          inventory_in_id: { type: Schema.Types.ObjectId, ref: "Inventory_In" },
+          inventory_out_id: { type: Schema.Types.ObjectId, ref: "Inventory_Out" },
+          posted_at: { type: Date },
+        },
+      },
+    ],
+
+    /**
+     * Remarks
+     * @type {String}
+     */
+    remarks: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * Approved By
+     * Project manager who approved the variances
+     * @type {ObjectId}
+     */
+    approved_by: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    /**
+     * Approved At
+     * When the variances were approved and adjustments posted
+     * @type {Date}
+     */
+    approved_at: {
+      type: Date,
+    },
+
+    /**
+     * History
+     * Audit trail of status changes and recorded counts
+     * @type {Array}
+     */
+    history: [
+      {
+        _id: false,
+        status: { type: String, required: true },
+        action: { type: String, required: true },
+        updated_by: { type: Schema.Types.ObjectId, ref: "User" },
+        updated_date: { type: Date, default: Date.now },
+        remarks: { type: String, default: "" },
+      },
+    ],
+
+    created_by: String,
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+StockCountSchema.index({ companyIdf: 1, site_id: 1, status: 1 });
+StockCountSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Stock_Count", StockCountSchema);
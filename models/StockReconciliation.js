@@ -0,0 +1,96 @@
+/**
+ * Stock Reconciliation Model
+ * Schema for storing the results of a stock reconciliation run
+ * 
+ * Each run compares Inventory.stock_quantity with the sum of FIFO
+ * InventoryIn.remaining_quantity for every item/site/inventory type of a
+ * company, and records the combinations that don't agree.
+ * 
+ * Fields:
+ * - run_at: When the reconciliation ran
+ * - trigger: What started the run (job or manual)
+ * - checked: Number of item/site/type combinations compared
+ * - mismatches: Combinations where the two figures differ
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+const StockReconciliationSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    /**
+     * Run At
+     * When the reconciliation ran
+     * @type {Date}
+     */
+    run_at: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Trigger
+     * What started the run
+     * @type {String}
+     * @enum ["job", "manual"]
+     */
+    trigger: {
+      type: String,
+      enum: ["job", "manual"],
+      default: "job",
+    },
+
+    /**
+     * Checked
+     * Number of item/site/inventory type combinations compared
+     * @type {Number}
+     */
+    checked: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Mismatches
+     * Item/site/inventory type combinations where stock_quantity differs
+     * from the FIFO remaining quantity
+     * @type {Array}
+     */
+    mismatches: [
+      {
+        _id: false,
+        item_id: { type: Schema.Types.ObjectId, ref: "item" },
+        site_id: { type: Schema.Types.ObjectId, ref: "site" },
+        inventoryType: { type: String },
+        stock_quantity: { type: Number, default: 0 }, // Inventory.stock_quantity
+        fifo_quantity: { type: Number, default: 0 }, // Sum of InventoryIn.remaining_quantity
+        difference: { type: Number, default: 0 }, // stock_quantity - fifo_quantity
+      },
+    ],
+
+    /**
+     * Created By
+     * User who started a manual run
+     * @type {String}
+     */
+    created_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+StockReconciliationSchema.index({ companyIdf: 1, run_at: -1 });
+StockReconciliationSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Stock_Reconciliation", StockReconciliationSchema);
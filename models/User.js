@@ -5,7 +5,9 @@
  * - Site associations (users can be assigned to multiple sites)
  * - Role assignment (string-based role name)
  * - Notification preferences
+ * - Out-of-office delegation of approvals and notifications
  * - Password (hashed)
+ * - Active flag (inactive users can't log in and their sessions are revoked)
  * - Virtual field for role details (populated from Role model)
  */
 
@@ -65,16 +67,36 @@ const userSchema = new mongoose.Schema({
       "RC_revised",
       "PO_reject",
       "PO_revised_by_superadmin",
-      "debit_note_vendor"
+      "debit_note_vendor",
+      "low_stock_alert",
+      "vendor_document_expiry"
     ],
     default: []
   },
+
+  // Out of office - between from and to, approval rights and notifications
+  // for PRs, rate approvals and POs also go to the delegate (libs/outOfOffice.js)
+  out_of_office: {
+    delegate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    from: { type: Date },
+    to: { type: Date },
+    remarks: { type: String, default: "" },
+  },
   
   // Password (should be hashed using bcrypt)
   password: {
     type: String,
     required: true,
   },
+  // Active flag - deactivating revokes the user's sessions (libs/authTokens.js)
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
   // Company association (Each user belongs to one company)
 companyIdf: {
       type: mongoose.Schema.Types.ObjectId,
@@ -10,6 +10,7 @@
 
 const mongoose = require("mongoose");
 const config = require("../config/env");
+const { auditTrailPlugin } = require("../libs/auditTrail");
 const schema = mongoose.Schema;
 
 const VendorSchema = new mongoose.Schema(
@@ -158,4 +159,5 @@ const VendorSchema = new mongoose.Schema(
 );
 
 VendorSchema.set("autoIndex", config.db.autoIndex);
+VendorSchema.plugin(auditTrailPlugin, { entity: "vendor" });
 module.exports = mongoose.model("vendor", VendorSchema);
@@ -0,0 +1,144 @@
+/**
+ * Vendor Document Model
+ * Schema for the compliance documents held on file for a vendor
+ *
+ * Each document is one GST certificate, PAN card, MSME certificate,
+ * cancelled cheque or set of bank details, with its files (S3 URLs), an
+ * optional expiry date and a verification status. Renewing a document means
+ * uploading a new one; older ones are kept.
+ *
+ * A vendor is blocked from new rate approvals and POs when, for a document
+ * type the company marks mandatory (onboardingcompany.vendorCompliance), it
+ * only has verified documents that have expired (libs/vendorCompliance.js).
+ *
+ * Status Values:
+ * - pending: Uploaded or edited, waiting to be checked
+ * - verified: Checked by purchase staff
+ * - rejected: Not accepted (see remarks)
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * Document Types
+ * @type {Array<String>}
+ */
+const DocumentTypes = [
+  "gst_certificate",
+  "pan_card",
+  "msme_certificate",
+  "cancelled_cheque",
+  "bank_details",
+];
+
+/**
+ * Verification Status
+ * @type {Array<String>}
+ */
+const VerificationStatus = ["pending", "verified", "rejected"];
+
+const VerificationHistorySchema = new Schema(
+  {
+    status: { type: String, enum: VerificationStatus },
+    updated_by: { type: Schema.Types.ObjectId, ref: "User" },
+    updated_at: { type: Date, default: Date.now },
+    remarks: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const VendorDocumentSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    vendor_id: {
+      type: Schema.Types.ObjectId,
+      ref: "vendor",
+      required: true,
+    },
+
+    /**
+     * Document Type
+     * @type {String}
+     * @enum DocumentTypes
+     * @required
+     */
+    document_type: {
+      type: String,
+      enum: DocumentTypes,
+      required: true,
+    },
+
+    /**
+     * Document Number
+     * GSTIN, PAN, Udyam / MSME number or cheque number
+     * @type {String}
+     */
+    document_number: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // S3 URLs of the uploaded files
+    files: [String],
+
+    // Cancelled cheque / bank details
+    bank_details: {
+      account_holder_name: { type: String, default: "" },
+      bank_name: { type: String, default: "" },
+      branch: { type: String, default: "" },
+      account_number: { type: String, default: "" },
+      ifsc_code: { type: String, uppercase: true, trim: true, default: "" },
+    },
+
+    issue_date: { type: Date, default: null },
+
+    /**
+     * Expiry Date
+     * null when the document does not expire
+     * @type {Date}
+     */
+    expiry_date: { type: Date, default: null },
+
+    status: {
+      type: String,
+      enum: VerificationStatus,
+      default: "pending",
+    },
+
+    verified_by: { type: Schema.Types.ObjectId, ref: "User" },
+    verified_at: { type: Date },
+    remarks: { type: String, default: "" },
+    history: [VerificationHistorySchema],
+
+    // Set when the "expiring soon" / "expired" alerts went out; cleared when expiry_date changes
+    expiry_alert_sent_at: { type: Date, default: null },
+    expired_alert_sent_at: { type: Date, default: null },
+
+    created_by: String,
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+VendorDocumentSchema.index({ companyIdf: 1, vendor_id: 1, document_type: 1 });
+VendorDocumentSchema.index({ companyIdf: 1, status: 1, expiry_date: 1 });
+VendorDocumentSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  VendorDocument: mongoose.model("Vendor_Document", VendorDocumentSchema),
+  DocumentTypes,
+  VerificationStatus,
+};
@@ -0,0 +1,94 @@
+/**
+ * Vendor Scorecard Model
+ * Schema for a vendor's monthly performance scorecard
+ *
+ * One document per vendor per month (period "YYYY-MM"), computed from DMR
+ * entries, debit notes and rate comparatives by libs/vendorScorecard.js and
+ * refreshed by jobs/vendorScorecard.js.
+ *
+ * Metrics (null when the period has no data for them):
+ * - on_time_delivery_pct: DMR entries received on or before the PO's FinalDeliveryDate
+ * - quality_rejection_pct: DebitNoteQty rejected at receipt / received quantity
+ * - debit_note_value_pct: Debit notes raised / invoice value
+ * - price_index: Quoted rate vs the average of the other bidders (100 = at par, below 100 = cheaper)
+ * - score: Weighted 0-100 score of the metrics above (see SCORE_WEIGHTS)
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+const VendorScorecardSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    vendor_id: {
+      type: Schema.Types.ObjectId,
+      ref: "vendor",
+      required: true,
+    },
+
+    /**
+     * Period
+     * Month the scorecard covers
+     * @type {String} YYYY-MM
+     * @required
+     */
+    period: {
+      type: String,
+      required: true,
+    },
+    period_start: { type: Date, required: true },
+    period_end: { type: Date, required: true }, // Exclusive
+
+    // Delivery
+    deliveries: { type: Number, default: 0 },
+    on_time_deliveries: { type: Number, default: 0 },
+    on_time_delivery_pct: { type: Number, default: null },
+
+    // Quality
+    received_qty: { type: Number, default: 0 },
+    rejected_qty: { type: Number, default: 0 },
+    quality_rejection_pct: { type: Number, default: null },
+
+    // Debit notes
+    invoice_value: { type: Number, default: 0 },
+    debit_note_value: { type: Number, default: 0 },
+    debit_note_value_pct: { type: Number, default: null },
+    debit_reasons: {
+      short_supply: { type: Number, default: 0 },
+      rate_mismatch: { type: Number, default: 0 },
+      quality: { type: Number, default: 0 },
+      other: { type: Number, default: 0 },
+    },
+
+    // Price competitiveness
+    bids_compared: { type: Number, default: 0 },
+    price_index: { type: Number, default: null },
+
+    /**
+     * Score
+     * Weighted 0-100 score, null when there is no data for the period
+     * @type {Number}
+     */
+    score: { type: Number, default: null },
+
+    computed_at: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+VendorScorecardSchema.index({ companyIdf: 1, vendor_id: 1, period: 1 }, { unique: true });
+VendorScorecardSchema.index({ companyIdf: 1, period: 1, score: -1 });
+VendorScorecardSchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = mongoose.model("Vendor_Scorecard", VendorScorecardSchema);
@@ -0,0 +1,164 @@
+/**
+ * Webhook Models
+ * Schemas for a company's outbound webhook subscriptions and their delivery log
+ *
+ * A subscription posts the events it lists to its URL. Event types are the
+ * Role.notifications values (RO_approved, PO_reject, debit_note_vendor, ...)
+ * plus the inventory events in libs/webhooks.js; "*" subscribes to all.
+ *
+ * Every event sent to a subscription is a delivery. Deliveries are signed with
+ * the subscription secret (HMAC-SHA256) and retried with exponential backoff
+ * until they succeed or run out of attempts (libs/webhooks.js).
+ *
+ * Delivery Status Values:
+ * - pending: Not attempted yet
+ * - sending: Being posted
+ * - retrying: Failed, next attempt at next_attempt_at
+ * - success: Receiver answered 2xx
+ * - failed: Gave up after the last attempt
+ */
+
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const config = require("../config/env");
+
+/**
+ * Delivery Status
+ * @type {Array<String>}
+ */
+const DeliveryStatus = ["pending", "sending", "retrying", "success", "failed"];
+
+const WebhookSubscriptionSchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    name: {
+      type: String,
+      default: "",
+    },
+
+    /**
+     * URL
+     * Receiver endpoint (http or https)
+     * @type {String}
+     * @required
+     */
+    url: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Secret
+     * HMAC-SHA256 key for the X-Webhook-Signature header
+     * @type {String}
+     * @required
+     */
+    secret: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Events
+     * Event types to send; "*" for all
+     * @type {Array<String>}
+     */
+    events: {
+      type: [String],
+      validate: [(events) => events.length > 0, "At least one event is required"],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    created_by: String,
+    updated_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+WebhookSubscriptionSchema.index({ companyIdf: 1, isActive: 1, events: 1 });
+WebhookSubscriptionSchema.set("autoIndex", config.db.autoIndex);
+
+const WebhookDeliverySchema = new Schema(
+  {
+    companyIdf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "onboardingcompany",
+        required: true
+    },
+
+    subscription_id: {
+      type: Schema.Types.ObjectId,
+      ref: "Webhook_Subscription",
+      required: true,
+    },
+
+    event: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Payload
+     * JSON body posted to the receiver
+     * @type {Object}
+     */
+    payload: {
+      type: Object,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: DeliveryStatus,
+      default: "pending",
+    },
+
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    last_attempt_at: { type: Date },
+    delivered_at: { type: Date },
+
+    // Last attempt's outcome
+    response_status: { type: Number }, // The body is not kept
+    duration_ms: { type: Number },
+    error: { type: String, default: "" },
+
+    redelivery_of: {
+      type: Schema.Types.ObjectId,
+      ref: "Webhook_Delivery",
+      default: null,
+    },
+
+    created_by: String,
+  },
+  {
+    timestamps: {
+      createdAt: "created_at",
+      updatedAt: "updated_at",
+    },
+  }
+);
+
+WebhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+WebhookDeliverySchema.index({ companyIdf: 1, subscription_id: 1, created_at: -1 });
+WebhookDeliverySchema.set("autoIndex", config.db.autoIndex);
+
+module.exports = {
+  WebhookSubscription: mongoose.model("Webhook_Subscription", WebhookSubscriptionSchema),
+  WebhookDelivery: mongoose.model("Webhook_Delivery", WebhookDeliverySchema),
+  DeliveryStatus,
+};
@@ -16,7 +16,8 @@
  * 
  * DMR Status:
  * - open: DMR is open
- * - completed: DMR is completed
+ * - completed: DMR is completed (documents at HO, ready for payment); held
+ *   back while the three-way match has unresolved exceptions
  * 
  * Key Features:
  * - Gate entry tracking (date, time, register entry)
@@ -37,12 +38,16 @@
  * - DebitNoteDetails: Debit note financial breakdown
  * - Freight: Freight charges breakdown
  * - otherCharges: Other charges breakdown
+ * - GSTDetails: CGST + SGST or IGST split of an invoice's GST (libs/placeOfSupply.js)
  * - vendor_detail: Embedded vendor information
+ * - threeWayMatch: PO vs received vs invoiced result (libs/threeWayMatch.js)
+ * - amount_paid / payment_status: Payments applied by payment vouchers
  */
 
 const mongoose = require("mongoose");
 const schema = mongoose.Schema;
 const config = require("../config/env");
+const { auditTrailPlugin } = require("../libs/auditTrail");
 
 const dmrEntrySchema = new mongoose.Schema(
   {
@@ -520,6 +525,18 @@ const dmrEntrySchema = new mongoose.Schema(
       type: Number,
     },
 
+    /**
+     * GST Details
+     * Invoice GST split into CGST + SGST or IGST by place of supply
+     * (libs/placeOfSupply.js), for invoice entries
+     * @type {Object}
+     * @default {}
+     */
+    GSTDetails: {
+      type: Object,
+      default: {},
+    },
+
     /**
      * Purchase Type
      * Type of purchase
@@ -550,6 +567,73 @@ const dmrEntrySchema = new mongoose.Schema(
       default: "",
     },
 
+    /**
+     * Amount Paid
+     * Applied to this invoice by payment vouchers (incl. TDS and note adjustments)
+     * @type {Number}
+     * @default 0
+     */
+    amount_paid: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Payment Status
+     * @type {String}
+     * @enum ["unpaid", "partial", "paid"]
+     * @default "unpaid"
+     */
+    payment_status: {
+      type: String,
+      enum: ["unpaid", "partial", "paid"],
+      default: "unpaid",
+    },
+
+    /**
+     * Three-Way Match
+     * Result of matching this invoice against its PO and received quantities
+     * (libs/threeWayMatch.js), refreshed every time the entry is saved
+     * @type {Object}
+     */
+    threeWayMatch: {
+      status: {
+        type: String,
+        enum: ["not_applicable", "matched", "exception", "resolved"],
+        default: "not_applicable",
+      },
+      checked_at: { type: Date },
+      tolerances: {
+        qty_percent: { type: Number, default: 0 },
+        rate_percent: { type: Number, default: 0 },
+      },
+      exceptions: [
+        {
+          item_id: { type: String },
+          item_name: { type: String, default: "" },
+          type: { type: String, enum: ["quantity", "rate"] },
+          message: { type: String, default: "" },
+          po_qty: { type: Number, default: 0 },
+          received_qty: { type: Number, default: 0 },
+          invoice_qty: { type: Number, default: 0 },
+          invoiced_total_qty: { type: Number, default: 0 }, // This and the PO's other invoices
+          po_rate: { type: Number, default: 0 },
+          invoice_rate: { type: Number, default: 0 },
+          gst_percentage: { type: Number, default: 0 },
+          variance_percent: { type: Number, default: 0 },
+          debit_qty: { type: Number, default: 0 }, // Quantity proposed for debit
+          debit_rate: { type: Number, default: 0 },
+          debit_amount: { type: Number, default: 0 }, // Excluding GST
+          resolved: { type: Boolean, default: false },
+          resolution: { type: String, enum: ["accepted", "debit_note", null], default: null },
+          resolution_remarks: { type: String, default: "" },
+          resolved_by: { type: schema.Types.ObjectId, ref: "User" },
+          resolved_at: { type: Date },
+        },
+      ],
+      debit_note_id: { type: schema.Types.ObjectId, ref: "debitNote" }, // Draft proposed from the exceptions
+    },
+
     vendor_detail: {
       vendor_name: {
         type: String,
@@ -646,4 +730,5 @@ const dmrEntrySchema = new mongoose.Schema(
   }
 );
 dmrEntrySchema.set("autoIndex", config.db.autoIndex);
+dmrEntrySchema.plugin(auditTrailPlugin, { entity: "dmr_entry" });
 module.exports = mongoose.model("dmr_Entry", dmrEntrySchema);
@@ -5,6 +5,7 @@
 
 const mongoose = require("mongoose");
 const slugify = require("slugify");
+const { DocumentTypes } = require("./VendorDocument");
 
 const onboardingCompanySchema = new mongoose.Schema(
   {
@@ -31,6 +32,8 @@ const onboardingCompanySchema = new mongoose.Schema(
     },
 
     // SaaS Control Fields
+    // Inactive companies, and subscriptions past expiry plus a grace period,
+    // lose access; the plan's limits and modules are in config/subscription-plans.js
     isActive: {
       type: Boolean,
       default: true,
@@ -38,7 +41,7 @@ const onboardingCompanySchema = new mongoose.Schema(
 
     subscriptionPlan: {
       type: String,
-      enum: ["basic", "pro", "enterprise"],
+      enum: ["basic", "pro", "enterprise", "legacy"],
       default: "basic",
     },
 
@@ -47,6 +50,35 @@ const onboardingCompanySchema = new mongoose.Schema(
       default: null,
     },
 
+    // Inventory valuation method used for issue and transfer rates
+    inventoryValuationMethod: {
+      type: String,
+      enum: ["FIFO", "WEIGHTED_AVERAGE", "LIFO"],
+      default: "FIFO",
+    },
+
+    // Three-way match (PO / received / invoice) tolerances for DMR entries
+    threeWayMatch: {
+      qtyTolerancePercent: { type: Number, default: 0, min: 0 },
+      rateTolerancePercent: { type: Number, default: 0, min: 0 },
+      autoDraftDebitNote: { type: Boolean, default: true },
+    },
+
+    // Vendors whose latest scorecard is below minScore are left out of new rate comparatives (0 = off)
+    vendorScorecard: {
+      minScore: { type: Number, default: 0, min: 0, max: 100 },
+    },
+
+    // Vendor documents: expired mandatory ones block the vendor from new rate
+    // approvals and POs; alerts go out expiryAlertDays before expiry
+    vendorCompliance: {
+      mandatoryDocuments: {
+        type: [{ type: String, enum: DocumentTypes }],
+        default: ["gst_certificate", "pan_card"],
+      },
+      expiryAlertDays: { type: Number, default: 30, min: 0 },
+    },
+
     // Contact Details
     contactEmail: {
       type: String,
@@ -0,0 +1,82 @@
+/**
+ * PDF Document Tenant
+ * Runs the public PDF endpoints (app.js) as the company that owns the
+ * document being printed
+ *
+ * These endpoints take no login, so there is no tenant context to scope the
+ * templates' queries. The document is looked up by its ID in the system
+ * context to find its companyIdf, and the template then runs as that company,
+ * so everything else it reads stays inside the document's tenant.
+ *
+ * Templates that need a login (assetCard, countSheet, vendorLedger) have
+ * their own endpoints and are not listed here.
+ */
+
+const ObjectID = require("mongodb").ObjectID;
+const { runAsSystem, runWithTenant } = require("../libs/tenantContext");
+const PurchaseOrderSchema = require("../models/PurchaseOrder");
+const DMREntrySchema = require("../models/dmrEntry");
+const InterSiteSchema = require("../models/SiteInventoryTransfer");
+const PurchaseRequestSchema = require("../models/PurchaseRequest");
+const InventoryOutRecord = require("../models/InventoryOutRecord");
+const RateApprovalSchema = require("../models/RateApproval");
+const DebitNoteSchema = require("../models/DebitNote");
+
+/**
+ * Template name → model of the document it prints (by requestedData.id)
+ * @type {Object<String, Object>}
+ */
+const TEMPLATE_MODELS = {
+  po: PurchaseOrderSchema,
+  localPo: PurchaseOrderSchema,
+  dmrInventory: DMREntrySchema,
+  gatePass: InterSiteSchema,
+  pr: PurchaseRequestSchema,
+  issueSlip: InventoryOutRecord,
+  rc: RateApprovalSchema,
+  debitNote: DebitNoteSchema,
+};
+
+/**
+ * Run As Document Tenant
+ *
+ * @param {Object} requestedData - PDF request body
+ * @param {String} requestedData.template - Template name
+ * @param {String} requestedData.id - Document ID
+ * @param {Function} generate - Called with no arguments; runs as the document's company
+ *
+ * @returns {Promise<*>} generate's result
+ * @throws {Object} 404 for templates not listed, 412 for a missing ID, 404 when the document is gone
+ */
+async function runAsDocumentTenant(requestedData, generate) {
+  const Model = TEMPLATE_MODELS[requestedData && requestedData.template];
+  if (!Model) {
+    throw {
+      errors: [],
+      message: "Template not found",
+      statusCode: 404,
+    };
+  }
+  if (!ObjectID.isValid(requestedData.id)) {
+    throw {
+      errors: [],
+      message: "Id missing",
+      statusCode: 412,
+    };
+  }
+
+  const document = await runAsSystem(() => Model.findById(ObjectID(requestedData.id), "companyIdf").lean());
+  if (!document) {
+    throw {
+      errors: [],
+      message: "Document not found",
+      statusCode: 404,
+    };
+  }
+  return runWithTenant(document.companyIdf, generate);
+}
+
+module.exports = {
+  TEMPLATE_MODELS,
+  runAsDocumentTenant,
+};
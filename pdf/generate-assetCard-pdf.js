@@ -0,0 +1,66 @@
+/**
+ * Asset History Card PDF Generator
+ * Generates PDF documents for asset tracker history cards
+ * 
+ * This module acts as a wrapper that:
+ * 1. Validates template name
+ * 2. Loads the appropriate PDF template
+ * 3. Generates PDF buffer from template and data
+ * 4. Returns PDF buffer for download, email, or S3 upload
+ * 
+ * Asset history cards document an asset's procurement details and its
+ * maintenance, service and part replacement history.
+ */
+
+const pdfObj = require('./index');
+
+/**
+ * Generate Asset History Card PDF
+ * Creates a PDF document for an asset using the specified template
+ * 
+ * @param {Object} requestedData - Data for PDF generation
+ * @param {String} requestedData.template - Template name to use for PDF generation (required)
+ * @param {String} requestedData.id - Asset tracker record ID
+ * @param {ObjectId} requestedData.companyIdf - Caller's company; only its assets are found
+ * 
+ * @returns {Promise<Buffer>} PDF buffer that can be sent as response or saved
+ * @throws {Error} If template name is missing or template not found
+ */
+function generateAssetCardPDF(requestedData) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            // Validate template name is provided
+            if (!requestedData.template) {
+                reject({
+                    message: "Please provide template name"
+                });
+                return false;
+            }
+            
+            // Validate template exists in PDF templates object
+            if (!pdfObj[requestedData.template]) {
+                reject({
+                    message: "Template not found"
+                });
+                return false;
+            }
+
+            // Prepare data object for template
+            let finalData = {
+                requestedData: requestedData
+            };
+            
+            // Generate PDF buffer using the asset card template
+            let pdfBuffer = await pdfObj[requestedData.template].generateAssetCard(finalData);
+            
+            // Resolve with PDF buffer
+            resolve(pdfBuffer);
+
+        } catch ($e) {
+            // Reject with error
+            reject($e);
+        }
+    });
+}
+
+module.exports = generateAssetCardPDF;
@@ -0,0 +1,67 @@
+/**
+ * Stock Count Sheet PDF Generator
+ * Generates count sheet PDF documents for physical stock counts
+ * 
+ * This module acts as a wrapper that:
+ * 1. Validates template name
+ * 2. Loads the appropriate PDF template
+ * 3. Generates PDF buffer from template and data
+ * 4. Returns PDF buffer for download, email, or S3 upload
+ * 
+ * Count sheets are printed blank (blind) for counters and again after approval
+ * with the variances and posted adjustments.
+ */
+
+const pdfObj = require('./index');
+
+/**
+ * Generate Stock Count Sheet PDF
+ * Creates a PDF document for a stock count using the specified template
+ * 
+ * @param {Object} requestedData - Data for PDF generation
+ * @param {String} requestedData.template - Template name to use for PDF generation (required)
+ * @param {String} requestedData.id - Stock count ID
+ * @param {ObjectId} requestedData.companyIdf - Caller's company; only its counts are found
+ * @param {Boolean} requestedData.blind - Hide expected quantities and variances (optional)
+ * 
+ * @returns {Promise<Buffer>} PDF buffer that can be sent as response or saved
+ * @throws {Error} If template name is missing or template not found
+ */
+function generateCountSheetPDF(requestedData) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            // Validate template name is provided
+            if (!requestedData.template) {
+                reject({
+                    message: "Please provide template name"
+                });
+                return false;
+            }
+            
+            // Validate template exists in PDF templates object
+            if (!pdfObj[requestedData.template]) {
+                reject({
+                    message: "Template not found"
+                });
+                return false;
+            }
+
+            // Prepare data object for template
+            let finalData = {
+                requestedData: requestedData
+            };
+            
+            // Generate PDF buffer using the count sheet template
+            let pdfBuffer = await pdfObj[requestedData.template].generateCountSheet(finalData);
+            
+            // Resolve with PDF buffer
+            resolve(pdfBuffer);
+
+        } catch ($e) {
+            // Reject with error
+            reject($e);
+        }
+    });
+}
+
+module.exports = generateCountSheetPDF;
@@ -0,0 +1,68 @@
+/**
+ * Vendor Ledger PDF Generator
+ * Generates ledger statement PDF documents for vendors
+ * 
+ * This module acts as a wrapper that:
+ * 1. Validates template name
+ * 2. Loads the appropriate PDF template
+ * 3. Generates PDF buffer from template and data
+ * 4. Returns PDF buffer for download, email, or S3 upload
+ * 
+ * Statements list invoices, payments, TDS and note adjustments for a period
+ * with the running balance payable.
+ */
+
+const pdfObj = require('./index');
+
+/**
+ * Generate Vendor Ledger PDF
+ * Creates a ledger statement PDF for a vendor using the specified template
+ * 
+ * @param {Object} requestedData - Data for PDF generation
+ * @param {String} requestedData.template - Template name to use for PDF generation (required)
+ * @param {String} requestedData.vendor_id - Vendor ID
+ * @param {ObjectId} requestedData.companyIdf - Caller's company; only its vendors are found
+ * @param {String} requestedData.from - Statement from date (optional)
+ * @param {String} requestedData.to - Statement to date (optional)
+ * 
+ * @returns {Promise<Buffer>} PDF buffer that can be sent as response or saved
+ * @throws {Error} If template name is missing or template not found
+ */
+function generateVendorLedgerPDF(requestedData) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            // Validate template name is provided
+            if (!requestedData.template) {
+                reject({
+                    message: "Please provide template name"
+                });
+                return false;
+            }
+            
+            // Validate template exists in PDF templates object
+            if (!pdfObj[requestedData.template]) {
+                reject({
+                    message: "Template not found"
+                });
+                return false;
+            }
+
+            // Prepare data object for template
+            let finalData = {
+                requestedData: requestedData
+            };
+            
+            // Generate PDF buffer using the vendor ledger template
+            let pdfBuffer = await pdfObj[requestedData.template].generateVendorLedger(finalData);
+            
+            // Resolve with PDF buffer
+            resolve(pdfBuffer);
+
+        } catch ($e) {
+            // Reject with error
+            reject($e);
+        }
+    });
+}
+
+module.exports = generateVendorLedgerPDF;
@@ -14,6 +14,9 @@
  * - generateLocalPdf: Local PO PDF generation
  * - generatePRpdf: Purchase request PDF generation
  * - generateRcpdf: Rate comparative PDF generation
+ * - generateAssetCard: Asset history card PDF generation
+ * - generateCountSheet: Stock count sheet PDF generation
+ * - generateVendorLedger: Vendor ledger statement PDF generation
  * 
  * Usage:
  * const pdfObj = require('./pdf/index');
@@ -3,29 +3,39 @@
  * Generates header HTML for PDF documents
  * 
  * This module provides a reusable header component that can be included
- * in various PDF templates. Currently returns a placeholder header.
+ * in various PDF templates. The header shows the company name and, when
+ * given, the document title. It is rendered by Chromium's headerTemplate,
+ * so styles must be inline and font sizes set explicitly.
  * 
  * @module pdf/templates/Header
  */
 
 const env = require("../../config/env");
 
+/**
+ * Default company name when the company settings don't carry one
+ * @type {String}
+ */
+const DEFAULT_COMPANY_NAME = "PRAGATI INFRA SOLUTIONS PVT LTD";
+
 /**
  * Generate Header Data
  * Creates HTML content for PDF document header
  * 
- * @param {Object} companySettings - Company settings/configuration
+ * @param {Object} companySettings - Company settings/configuration (onboardingcompany)
+ * @param {String} title - Document title shown under the company name (optional)
  * @returns {Promise<String>} HTML string for the header
  */
-async function HeaderData(companySettings) {
-  // TODO: Implement actual header with company logo, name, address, etc.
+async function HeaderData(companySettings, title = "") {
+  const companyName = (companySettings && companySettings.name) || DEFAULT_COMPANY_NAME;
   return `
-   <div style='margin-top:400px, padding-top:400px, height:200px'>
-                  abcdef
-                </div>
+   <div style="width: 100%; margin: 0 1cm; font-family: sans-serif; text-align: center; color: #233a61; border-bottom: 0.5px solid #233a61; padding-bottom: 4px;">
+     <div style="font-size: 11px; font-weight: bold;">${companyName.toUpperCase()}</div>
+     ${title ? `<div style="font-size: 9px;">${title}</div>` : ""}
+   </div>
     `;
 }
 
 module.exports = {
   HeaderData
-};
\ No newline at end of file
+};
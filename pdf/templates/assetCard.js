@@ -0,0 +1,250 @@
+/**
+ * Asset History Card PDF Template
+ * Generates a per-asset history card for Plant & Machinery assets
+ *
+ * This template creates a formatted PDF document for a single asset tracker record.
+ * It includes the asset identification, procurement details, current location and
+ * the full lifecycle history (procurement, maintenance, service, part replacement)
+ * with the total spend per stage.
+ *
+ * Key Features:
+ * - Asset code and voucher number
+ * - Item, category, make/model/serial/registration details
+ * - PO and invoice details
+ * - Chronological lifecycle history with vendor and cost
+ * - Spend summary per lifecycle stage
+ *
+ * @module pdf/templates/assetCard
+ */
+
+var html_to_pdf = require("html-pdf-node");
+const { convertCurrency, formatDate } = require("../../libs/map");
+const AssetTracker = require("../../models/AssetTracker");
+const ObjectID = require("mongodb").ObjectID;
+
+/**
+ * Generate Asset History Card PDF
+ * Creates a PDF document for an asset's lifecycle history
+ *
+ * @param {Object} dataObj - Data object containing requested data
+ * @param {Object} dataObj.requestedData - Request data
+ * @param {String} dataObj.requestedData.id - Asset tracker ID
+ * @param {ObjectId} dataObj.requestedData.companyIdf - Caller's company (from the token)
+ * @param {String} dataObj.requestedData.template - Template name
+ *
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+module.exports.generateAssetCard = (dataObj) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      let requestedData = dataObj.requestedData;
+
+      let getDataResp = await getDetails(requestedData.id, requestedData.companyIdf);
+
+      const history = (getDataResp.asset_lifecycle || []).slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+      const totals = history.reduce((acc, event) => {
+        acc[event.stage_type] = (acc[event.stage_type] || 0) + (Number(event.rate) || 0);
+        return acc;
+      }, {});
+
+      /* Start:- Style */
+      let templateContent = `
+        <style>
+        html { -webkit-print-color-adjust: exact; }
+        * {
+            font-family: sans-serif;
+        }
+        body {
+            margin-left: 1cm;
+            margin-right: 1cm;
+            font-size: 12px;
+        }
+        table {
+            border-collapse: collapse;
+        }
+        td, th {
+            border: 0.2px solid black;
+        }
+        .section-heading {
+            font-weight: 600;
+            font-size: 14px;
+            color: #233a61;
+        }
+        </style>
+      `;
+      /* End:- Style */
+
+      templateContent += `
+        <table cellpadding="5px" width="100%">
+          <tr>
+            <td colspan="4" style="background-color:#233a61; padding:10px; color:white; text-align:center; font-weight:bold; font-size:20px;">
+              PRAGATI INFRA SOLUTIONS PVT LTD
+            </td>
+          </tr>
+          <tr>
+            <td colspan="4" style="padding:5px; color:#233a61; text-align:center; font-weight:bold; font-size:16px;">
+              ASSET HISTORY CARD
+            </td>
+          </tr>
+          <tr>
+            <td><b>Asset Code</b></td><td>${getDataResp.asset_code || "-"}</td>
+            <td><b>Voucher No.</b></td><td>${getDataResp.voucher_number || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Item</b></td><td>${(getDataResp.item_id && getDataResp.item_id.item_name) || "-"}</td>
+            <td><b>Item Code</b></td><td>${(getDataResp.item_id && getDataResp.item_id.item_code) || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Category</b></td><td>${(getDataResp.catgeory && getDataResp.catgeory.name) || "-"}</td>
+            <td><b>Sub Category</b></td><td>${(getDataResp.subCategory && getDataResp.subCategory.subcategory_name) || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Make</b></td><td>${getDataResp.make || "-"}</td>
+            <td><b>Model</b></td><td>${getDataResp.model || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Serial No.</b></td><td>${getDataResp.serial_number || "-"}</td>
+            <td><b>Registration No.</b></td><td>${getDataResp.registration_number || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>PO Number</b></td><td>${getDataResp.po_number || "-"}</td>
+            <td><b>PO Date</b></td><td>${getDataResp.po_date ? formatDate(getDataResp.po_date) : "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Invoice Number</b></td><td>${getDataResp.invoice_number || "-"}</td>
+            <td><b>Invoice Date</b></td><td>${getDataResp.invoice_date ? formatDate(getDataResp.invoice_date) : "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Basic Invoice Value</b></td><td>${convertCurrency(getDataResp.basic_invoice_value)}</td>
+            <td><b>Current Location</b></td><td>${(getDataResp.current_location && getDataResp.current_location.site_name) || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Specification</b></td><td colspan="3">${getDataResp.specification || "-"}</td>
+          </tr>
+        </table>
+      `;
+
+      templateContent += `
+        <p class="section-heading">Lifecycle History</p>
+        <table cellpadding="5px" width="100%">
+          <thead>
+            <tr align="center" style="background-color:#233a61; color:white;">
+              <th>Date</th>
+              <th>Stage</th>
+              <th>Vendor</th>
+              <th>PO Number</th>
+              <th>Invoice</th>
+              <th>Part / Item</th>
+              <th>Cost</th>
+              <th>Remarks</th>
+            </tr>
+          </thead>
+          <tbody align="center">
+      `;
+
+      history.forEach((o) => {
+        templateContent += `
+            <tr>
+              <td>${o.date ? formatDate(o.date) : "-"}</td>
+              <td>${o.stage_type || "-"}</td>
+              <td>${(o.vendor_id && o.vendor_id.vendor_name) || "-"}</td>
+              <td>${o.po_number || "-"}</td>
+              <td>${o.invoice_number || "-"}${o.invoice_date ? ` (${formatDate(o.invoice_date)})` : ""}</td>
+              <td>${(o.item && o.item.item_name) || "-"}</td>
+              <td>${convertCurrency(o.rate)}</td>
+              <td>${o.remarks || ""}</td>
+            </tr>`;
+      });
+
+      templateContent += `
+          </tbody>
+        </table>
+
+        <p class="section-heading">Spend Summary</p>
+        <table cellpadding="5px" width="50%">
+      `;
+
+      Object.keys(totals).forEach((stage) => {
+        templateContent += `
+          <tr>
+            <td><b>${stage}</b></td>
+            <td align="right">${convertCurrency(totals[stage])}</td>
+          </tr>`;
+      });
+
+      templateContent += `
+        </table>
+      `;
+
+      const options = {
+        format: "A4",
+        printBackground: true,
+        displayHeaderFooter: true,
+        margin: {
+          top: "40px",
+          bottom: "60px",
+          right: "10px",
+          left: "10px",
+        },
+        headerTemplate: `
+    <div style="display: none;"></div>
+  `,
+        footerTemplate: `
+  <div style="font-size: 7px; width: 100%; text-align: center;">
+      <span class="pageNumber"></span> / <span class="totalPages"></span>
+    </div>
+  `,
+      };
+
+      await html_to_pdf
+        .generatePdf({ content: templateContent }, options)
+        .then((finalPdfBuffer) => {
+          resolve(finalPdfBuffer);
+        })
+        .catch((error) => {
+          console.error("Error in generating PDF:", error);
+          throw error;
+        });
+    } catch (error) {
+      console.error("Error in generateAssetCard:", error);
+      return reject(error);
+    }
+  });
+};
+
+/**
+ * Get Asset Details
+ * Loads the asset with its item, category, location and lifecycle references populated
+ *
+ * @param {String} id - Asset tracker ID
+ * @param {ObjectId} companyIdf - Company the asset must belong to
+ * @returns {Promise<Object>} Asset record
+ */
+async function getDetails(id, companyIdf) {
+  if (!id || !ObjectID.isValid(id)) {
+    throw {
+      errors: [],
+      message: "Id missing",
+      statusCode: 412,
+    };
+  }
+
+  const recordDetail = await AssetTracker.findOne({ _id: ObjectID(id), companyIdf })
+    .populate("item_id", "item_name item_code")
+    .populate("catgeory", "name code")
+    .populate("subCategory", "subcategory_name subcategory_code")
+    .populate("current_location", "site_name")
+    .populate("asset_lifecycle.vendor_id", "vendor_name")
+    .populate("asset_lifecycle.item", "item_name item_code")
+    .lean();
+
+  if (!recordDetail) {
+    throw {
+      errors: [],
+      message: "Asset not found",
+      statusCode: 404,
+    };
+  }
+
+  return recordDetail;
+}
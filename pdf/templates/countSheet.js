@@ -0,0 +1,261 @@
+/**
+ * Stock Count Sheet PDF Template
+ * Generates the printable count sheet for a physical stock count
+ *
+ * This template creates a formatted PDF document for a stock count. Before
+ * counting it is printed as a blank sheet for the counters to fill in; after
+ * approval it records the counted quantities, variances and the adjustments
+ * that were posted.
+ *
+ * Key Features:
+ * - Count number, site, inventory type, freeze date and status
+ * - Item lines with frozen expected quantity, counted quantity and variance
+ * - Blind mode (expected quantity and variance hidden) for counters
+ * - Adjustment value per line and in total once approved
+ * - Approval history and signature blocks
+ * - Common company header and footer (Header.js, footer.js)
+ *
+ * @module pdf/templates/countSheet
+ */
+
+var html_to_pdf = require("html-pdf-node");
+const { convertCurrency, formatDate } = require("../../libs/map");
+const StockCount = require("../../models/StockCount");
+const OnboardingCompany = require("../../models/onboardingcompany");
+const { footerData } = require("./footer");
+const { HeaderData } = require("./Header");
+const ObjectID = require("mongodb").ObjectID;
+
+/**
+ * Generate Count Sheet PDF
+ * Creates a PDF document for a stock count
+ *
+ * @param {Object} dataObj - Data object containing requested data
+ * @param {Object} dataObj.requestedData - Request data
+ * @param {String} dataObj.requestedData.id - Stock count ID
+ * @param {ObjectId} dataObj.requestedData.companyIdf - Caller's company (from the token)
+ * @param {Boolean} dataObj.requestedData.blind - Hide expected quantities and variances (optional)
+ * @param {String} dataObj.requestedData.template - Template name
+ *
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+module.exports.generateCountSheet = (dataObj) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      let requestedData = dataObj.requestedData;
+      const blind = requestedData.blind === true || requestedData.blind === "true";
+
+      let getDataResp = await getDetails(requestedData.id, requestedData.companyIdf);
+      const company = await OnboardingCompany.findById(getDataResp.companyIdf).lean();
+
+      const items = (getDataResp.items || [])
+        .slice()
+        .sort((a, b) => (a.item_code || "").localeCompare(b.item_code || ""));
+      const totalAdjustment = items.reduce((sum, o) => {
+        if (!o.adjustment || !o.adjustment.value) return sum;
+        return sum + (o.adjustment.direction === "out" ? -o.adjustment.value : o.adjustment.value);
+      }, 0);
+
+      /* Start:- Style */
+      let templateContent = `
+        <style>
+        html { -webkit-print-color-adjust: exact; }
+        * {
+            font-family: sans-serif;
+        }
+        body {
+            margin-left: 1cm;
+            margin-right: 1cm;
+            font-size: 11px;
+        }
+        table {
+            border-collapse: collapse;
+        }
+        td, th {
+            border: 0.2px solid black;
+        }
+        .section-heading {
+            font-weight: 600;
+            font-size: 13px;
+            color: #233a61;
+        }
+        .count-cell {
+            min-width: 70px;
+        }
+        </style>
+      `;
+      /* End:- Style */
+
+      templateContent += `
+        <table cellpadding="5px" width="100%">
+          <tr>
+            <td colspan="4" style="padding:5px; color:#233a61; text-align:center; font-weight:bold; font-size:16px;">
+              STOCK COUNT SHEET
+            </td>
+          </tr>
+          <tr>
+            <td><b>Count No.</b></td><td>${getDataResp.count_number || "-"}</td>
+            <td><b>Status</b></td><td style="text-transform: capitalize;">${getDataResp.status || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Site</b></td><td>${(getDataResp.site_id && getDataResp.site_id.site_name) || "-"}</td>
+            <td><b>Inventory Type</b></td><td>${getDataResp.inventoryType || "All"}</td>
+          </tr>
+          <tr>
+            <td><b>Stock Frozen On</b></td><td>${getDataResp.frozen_at ? formatDate(getDataResp.frozen_at) : "-"}</td>
+            <td><b>Approved On</b></td><td>${getDataResp.approved_at ? formatDate(getDataResp.approved_at) : "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Remarks</b></td><td colspan="3">${getDataResp.remarks || "-"}</td>
+          </tr>
+        </table>
+      `;
+
+      templateContent += `
+        <p class="section-heading">Items</p>
+        <table cellpadding="5px" width="100%">
+          <thead>
+            <tr align="center" style="background-color:#233a61; color:white;">
+              <th>Sr.</th>
+              <th>Item Code</th>
+              <th>Item</th>
+              <th>Type</th>
+              ${blind ? "" : "<th>Expected Qty</th>"}
+              <th>Counted Qty</th>
+              ${blind ? "" : "<th>Variance</th><th>Adjustment Value</th>"}
+              <th>Remarks</th>
+            </tr>
+          </thead>
+          <tbody align="center">
+      `;
+
+      items.forEach((o, index) => {
+        const counted = o.counted_quantity !== null && o.counted_quantity !== undefined;
+        const adjustmentValue =
+          o.adjustment && o.adjustment.value
+            ? `${o.adjustment.direction === "out" ? "-" : ""}${convertCurrency(o.adjustment.value)}`
+            : "-";
+        templateContent += `
+            <tr>
+              <td>${index + 1}</td>
+              <td>${o.item_code || "-"}</td>
+              <td align="left">${o.item_name || "-"}</td>
+              <td>${o.inventoryType || "-"}</td>
+              ${blind ? "" : `<td>${o.expected_quantity}</td>`}
+              <td class="count-cell">${counted ? o.counted_quantity : ""}</td>
+              ${blind ? "" : `<td>${counted ? o.variance : ""}</td><td align="right">${adjustmentValue}</td>`}
+              <td>${o.remarks || ""}</td>
+            </tr>`;
+      });
+
+      templateContent += `
+          </tbody>
+        </table>
+      `;
+
+      if (!blind && getDataResp.status === "approved") {
+        templateContent += `
+        <p><b>Net Adjustment Value:</b> ${totalAdjustment < 0 ? "-" : ""}${convertCurrency(Math.abs(totalAdjustment))}</p>
+        `;
+      }
+
+      templateContent += `
+        <p class="section-heading">History</p>
+        <table cellpadding="5px" width="100%">
+          <thead>
+            <tr align="center" style="background-color:#233a61; color:white;">
+              <th>Date</th>
+              <th>Action</th>
+              <th>By</th>
+              <th>Remarks</th>
+            </tr>
+          </thead>
+          <tbody align="center">
+      `;
+
+      (getDataResp.history || []).forEach((o) => {
+        templateContent += `
+            <tr>
+              <td>${o.updated_date ? formatDate(o.updated_date) : "-"}</td>
+              <td>${o.action || "-"}</td>
+              <td>${(o.updated_by && o.updated_by.name) || "-"}</td>
+              <td>${o.remarks || ""}</td>
+            </tr>`;
+      });
+
+      templateContent += `
+          </tbody>
+        </table>
+
+        <br><br>
+        <table cellpadding="5px" width="100%" style="margin-top:30px;">
+          <tr align="center">
+            <td style="height:60px; vertical-align:bottom;">Counted By</td>
+            <td style="height:60px; vertical-align:bottom;">Verified By (Store)</td>
+            <td style="height:60px; vertical-align:bottom;">Approved By (Project Manager)</td>
+          </tr>
+        </table>
+      `;
+
+      const options = {
+        format: "A4",
+        printBackground: true,
+        displayHeaderFooter: true,
+        margin: {
+          top: "70px",
+          bottom: "60px",
+          right: "10px",
+          left: "10px",
+        },
+        headerTemplate: await HeaderData(company, "Stock Count Sheet"),
+        footerTemplate: await footerData(company),
+      };
+
+      await html_to_pdf
+        .generatePdf({ content: templateContent }, options)
+        .then((finalPdfBuffer) => {
+          resolve(finalPdfBuffer);
+        })
+        .catch((error) => {
+          console.error("Error in generating PDF:", error);
+          throw error;
+        });
+    } catch (error) {
+      console.error("Error in generateCountSheet:", error);
+      return reject(error);
+    }
+  });
+};
+
+/**
+ * Get Stock Count Details
+ * Loads the count with its site and history users populated
+ *
+ * @param {String} id - Stock count ID
+ * @param {ObjectId} companyIdf - Company the count must belong to
+ * @returns {Promise<Object>} Stock count record
+ */
+async function getDetails(id, companyIdf) {
+  if (!id || !ObjectID.isValid(id)) {
+    throw {
+      errors: [],
+      message: "Id missing",
+      statusCode: 412,
+    };
+  }
+
+  const recordDetail = await StockCount.findOne({ _id: ObjectID(id), companyIdf })
+    .populate("site_id", "site_name")
+    .populate("history.updated_by", "name")
+    .lean();
+
+  if (!recordDetail) {
+    throw {
+      errors: [],
+      message: "Stock count not found",
+      statusCode: 404,
+    };
+  }
+
+  return recordDetail;
+}
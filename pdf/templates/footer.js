@@ -3,7 +3,9 @@
  * Generates footer HTML for PDF documents
  * 
  * This module provides a reusable footer component that can be included
- * in various PDF templates. Currently returns a placeholder footer.
+ * in various PDF templates. The footer shows the company name, print date
+ * and page numbers. It is rendered by Chromium's footerTemplate, so styles
+ * must be inline and font sizes set explicitly.
  * 
  * @module pdf/templates/footer
  */
@@ -14,18 +16,20 @@ const env = require("../../config/env");
  * Generate Footer Data
  * Creates HTML content for PDF document footer
  * 
- * @param {Object} companySettings - Company settings/configuration
+ * @param {Object} companySettings - Company settings/configuration (onboardingcompany)
  * @returns {Promise<String>} HTML string for the footer
  */
 async function footerData(companySettings) {
-  // TODO: Implement actual footer with page numbers, terms, signatures, etc.
+  const companyName = (companySettings && companySettings.name) || "";
   return `
-   <div>
-   lets check if it exists
+   <div style="width: 100%; margin: 0 1cm; font-family: sans-serif; font-size: 7px; display: flex; justify-content: space-between; color: #555;">
+     <span>${companyName}</span>
+     <span>Printed on <span class="date"></span></span>
+     <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
    </div>
     `;
 }
 
 module.exports = {
   footerData
-};
\ No newline at end of file
+};
@@ -21,6 +21,7 @@
 var html_to_pdf = require("html-pdf-node");
 const UOM = require("../../models/Uom");
 const { getDetails } = require("../../controllers/web/inventoryOutRecord");
+const { getTenantContext } = require("../../libs/tenantContext");
 const { footerData } = require("./footer");
 const path = require("path");
 const fs = require("fs");
@@ -376,7 +377,8 @@ async function getAllDetails(id, langCode) {
       },
     };
 
-    const req = { query: { id: id || null } }; // Handle potential null/undefined
+    // Runs as the record's company (pdf/documentTenant.js)
+    const req = { query: { id: id || null }, user: { companyIdf: getTenantContext().companyIdf } }; // Handle potential null/undefined
 
     //console.log("Calling getDetails with:", req);
     await getDetails(req, mockRes);
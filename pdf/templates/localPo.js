@@ -372,7 +372,7 @@ module.exports.generateLocalPdf = (dataObj) => {
                      }
 
                       ${
-                        gstType === "NO GST"
+                        gstType === "NO GST" || gstType === "Undetermined"
                         ? `
     <tr>
       <td colspan="11" style="font-weight:600;">GST Amount</td>
@@ -454,7 +454,7 @@ console.log("Requested Data in PO PDF:", requestedData);
                      }
 
                       ${
-                        gstType === "NO GST"
+                        gstType === "NO GST" || gstType === "Undetermined"
                           ? `
     <tr>
       <td colspan="6" style="font-weight:600;">GST Amount</td>
@@ -0,0 +1,207 @@
+/**
+ * Vendor Ledger Statement PDF Template
+ * Generates the account statement sent to or reconciled with a vendor
+ *
+ * This template creates a formatted PDF document of a vendor's ledger for a
+ * period: invoices booked (credit), and payments, TDS and debit/credit note
+ * adjustments (debit), with the opening, running and closing balance payable.
+ *
+ * Key Features:
+ * - Vendor details and payment terms
+ * - Statement period with opening balance
+ * - Ledger lines with running balance
+ * - Period totals and closing balance
+ * - Common company header and footer (Header.js, footer.js)
+ *
+ * @module pdf/templates/vendorLedger
+ */
+
+var html_to_pdf = require("html-pdf-node");
+const { convertCurrency, formatDate } = require("../../libs/map");
+const VendorSchema = require("../../models/Vendor");
+const OnboardingCompany = require("../../models/onboardingcompany");
+const { getVendorLedger } = require("../../libs/payables");
+const { footerData } = require("./footer");
+const { HeaderData } = require("./Header");
+const ObjectID = require("mongodb").ObjectID;
+
+/**
+ * Format a balance as payable (Cr) or advance (Dr)
+ * @param {Number} amount
+ * @returns {String}
+ */
+const formatBalance = (amount) => `${convertCurrency(Math.abs(amount))} ${amount < 0 ? "Dr" : "Cr"}`;
+
+/**
+ * Generate Vendor Ledger PDF
+ * Creates a ledger statement PDF for a vendor
+ *
+ * @param {Object} dataObj - Data object containing requested data
+ * @param {Object} dataObj.requestedData - Request data
+ * @param {String} dataObj.requestedData.vendor_id - Vendor ID
+ * @param {ObjectId} dataObj.requestedData.companyIdf - Caller's company; only its vendors and ledger are read
+ * @param {String} dataObj.requestedData.from - Statement from date (optional)
+ * @param {String} dataObj.requestedData.to - Statement to date (optional)
+ * @param {String} dataObj.requestedData.template - Template name
+ *
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+module.exports.generateVendorLedger = (dataObj) => {
+  return new Promise(async (resolve, reject) => {
+    try {
+      let requestedData = dataObj.requestedData;
+
+      if (!requestedData.vendor_id || !ObjectID.isValid(requestedData.vendor_id)) {
+        throw {
+          errors: [],
+          message: "Vendor id missing",
+          statusCode: 412,
+        };
+      }
+
+      const companyIdf = requestedData.companyIdf;
+      const vendor = await VendorSchema.findOne({ _id: ObjectID(requestedData.vendor_id), companyIdf }).lean();
+      if (!vendor) {
+        throw {
+          errors: [],
+          message: "Vendor not found",
+          statusCode: 404,
+        };
+      }
+
+      const company = await OnboardingCompany.findById(companyIdf).lean();
+      const ledger = await getVendorLedger(companyIdf, vendor._id, {
+        from: requestedData.from,
+        to: requestedData.to,
+      });
+
+      const period = `${requestedData.from ? formatDate(new Date(requestedData.from)) : "Beginning"} to ${
+        requestedData.to ? formatDate(new Date(requestedData.to)) : formatDate(new Date())
+      }`;
+
+      /* Start:- Style */
+      let templateContent = `
+        <style>
+        html { -webkit-print-color-adjust: exact; }
+        * {
+            font-family: sans-serif;
+        }
+        body {
+            margin-left: 1cm;
+            margin-right: 1cm;
+            font-size: 11px;
+        }
+        table {
+            border-collapse: collapse;
+        }
+        td, th {
+            border: 0.2px solid black;
+        }
+        .amount {
+            text-align: right;
+            white-space: nowrap;
+        }
+        </style>
+      `;
+      /* End:- Style */
+
+      templateContent += `
+        <table cellpadding="5px" width="100%">
+          <tr>
+            <td colspan="4" style="padding:5px; color:#233a61; text-align:center; font-weight:bold; font-size:16px;">
+              VENDOR LEDGER STATEMENT
+            </td>
+          </tr>
+          <tr>
+            <td><b>Vendor</b></td><td>${vendor.vendor_name || "-"}</td>
+            <td><b>Vendor Code</b></td><td>${vendor.Uniquecode || vendor.code || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>GSTIN</b></td><td>${vendor.gst_number || "-"}</td>
+            <td><b>Payment Terms</b></td><td>${vendor.payment_terms || "-"}</td>
+          </tr>
+          <tr>
+            <td><b>Period</b></td><td colspan="3">${period}</td>
+          </tr>
+        </table>
+      `;
+
+      templateContent += `
+        <br>
+        <table cellpadding="5px" width="100%">
+          <thead>
+            <tr align="center" style="background-color:#233a61; color:white;">
+              <th>Date</th>
+              <th>Type</th>
+              <th>Reference</th>
+              <th>Narration</th>
+              <th>Debit</th>
+              <th>Credit</th>
+              <th>Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td colspan="6"><b>Opening Balance</b></td>
+              <td class="amount"><b>${formatBalance(ledger.opening_balance)}</b></td>
+            </tr>
+      `;
+
+      ledger.entries.forEach((o) => {
+        templateContent += `
+            <tr>
+              <td align="center">${formatDate(o.date) || "-"}</td>
+              <td align="center">${o.type}</td>
+              <td align="center">${o.reference || "-"}</td>
+              <td>${o.narration || ""}</td>
+              <td class="amount">${o.debit ? convertCurrency(o.debit) : ""}</td>
+              <td class="amount">${o.credit ? convertCurrency(o.credit) : ""}</td>
+              <td class="amount">${formatBalance(o.balance)}</td>
+            </tr>`;
+      });
+
+      templateContent += `
+            <tr>
+              <td colspan="4"><b>Total</b></td>
+              <td class="amount"><b>${convertCurrency(ledger.total_debit)}</b></td>
+              <td class="amount"><b>${convertCurrency(ledger.total_credit)}</b></td>
+              <td></td>
+            </tr>
+            <tr>
+              <td colspan="6"><b>Closing Balance</b></td>
+              <td class="amount"><b>${formatBalance(ledger.closing_balance)}</b></td>
+            </tr>
+          </tbody>
+        </table>
+        <p>Cr: payable to the vendor, Dr: advance with the vendor. Please report any difference within 15 days of receiving this statement.</p>
+      `;
+
+      const options = {
+        format: "A4",
+        printBackground: true,
+        displayHeaderFooter: true,
+        margin: {
+          top: "70px",
+          bottom: "60px",
+          right: "10px",
+          left: "10px",
+        },
+        headerTemplate: await HeaderData(company, "Vendor Ledger Statement"),
+        footerTemplate: await footerData(company),
+      };
+
+      await html_to_pdf
+        .generatePdf({ content: templateContent }, options)
+        .then((finalPdfBuffer) => {
+          resolve(finalPdfBuffer);
+        })
+        .catch((error) => {
+          console.error("Error in generating PDF:", error);
+          throw error;
+        });
+    } catch (error) {
+      console.error("Error in generateVendorLedger:", error);
+      return reject(error);
+    }
+  });
+};
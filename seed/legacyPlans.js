@@ -0,0 +1,68 @@
+/**
+ * Legacy Plans Migration
+ * Moves companies created before subscription plans were enforced onto the
+ * legacy plan (config/subscription-plans.js)
+ *
+ * Until then every company had every module and no limits, but the
+ * subscriptionPlan field defaulted to "basic". Companies created before the
+ * cutoff date that are still on "basic" (or have no plan stored) keep what
+ * they had. Plans assigned explicitly (pro, enterprise) are left alone, and
+ * so are companies created on or after the cutoff.
+ *
+ * Cached subscriptions (subscription:<companyIdf>) expire within 10 minutes.
+ *
+ * Run: npm run migrate:legacy-plans -- <cutoff date, e.g. 2026-10-20>
+ */
+
+const mongoose = require("mongoose");
+const OnboardingCompany = require("../models/onboardingcompany");
+const { DEFAULT_PLAN, LEGACY_PLAN } = require("../config/subscription-plans");
+
+/**
+ * Run Legacy Plans Migration
+ *
+ * @param {Date} before - Companies created before this date are moved
+ * @returns {Promise<Array>} { _id, name } of the companies moved
+ */
+async function runLegacyPlansMigration(before) {
+  const filter = {
+    createdAt: { $lt: before },
+    $or: [{ subscriptionPlan: DEFAULT_PLAN }, { subscriptionPlan: { $exists: false } }, { subscriptionPlan: null }],
+  };
+  const companies = await OnboardingCompany.find(filter, "name").lean();
+  if (companies.length) {
+    await OnboardingCompany.updateMany(
+      { _id: { $in: companies.map((o) => o._id) } },
+      { $set: { subscriptionPlan: LEGACY_PLAN } }
+    );
+  }
+  return companies;
+}
+
+module.exports = {
+  runLegacyPlansMigration,
+};
+
+// Allow running as a one-off script
+if (require.main === module) {
+  require("dotenv").config();
+  const before = new Date(process.argv[2]);
+  if (!process.argv[2] || isNaN(before)) {
+    console.error("Usage: npm run migrate:legacy-plans -- <cutoff date, e.g. 2026-10-20>");
+    process.exit(1);
+  }
+
+  const database = require("../libs/mongoose");
+  database.connect();
+
+  runLegacyPlansMigration(before)
+    .then((companies) => {
+      companies.forEach((o) => console.log(`Company ${o._id} (${o.name}): moved to the ${LEGACY_PLAN} plan`));
+      console.log(`${companies.length} compan${companies.length === 1 ? "y" : "ies"} moved`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error("Legacy plans migration failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const {
+  ANY,
+  SUPERADMIN_ONLY,
+  getRoutePermission,
+  findUnmappedRoutes,
+  isAllowed,
+  buildGrants,
+} = require("../../config/route-permissions");
+
+const dashboardPermissions = [
+  {
+    ParentChildchecklist: [
+      {
+        moduleName: "Webhooks",
+        childList: [
+          { value: "View", isSelected: true },
+          { value: "Edit", isSelected: false },
+        ],
+      },
+    ],
+  },
+];
+
+test("buildGrants keeps only selected actions, normalized", () => {
+  assert.deepEqual(buildGrants(dashboardPermissions), { webhooks: ["view"] });
+  assert.deepEqual(buildGrants(undefined), {});
+});
+
+test("isAllowed needs one of the listed grants", () => {
+  const grants = buildGrants(dashboardPermissions);
+  assert.equal(isAllowed(getRoutePermission("GET", "/webhooks").required, grants), true);
+  assert.equal(isAllowed(getRoutePermission("POST", "/webhooks").required, grants), false);
+  assert.equal(isAllowed(ANY, {}), true);
+  assert.equal(isAllowed(SUPERADMIN_ONLY, grants), false);
+});
+
+test("getRoutePermission treats unmapped routes as superadmin only", () => {
+  assert.deepEqual(getRoutePermission("get", "/no-such-route"), { mapped: false, required: SUPERADMIN_ONLY });
+  assert.equal(getRoutePermission("get", "/webhooks").mapped, true);
+});
+
+test("findUnmappedRoutes lists guarded routes missing from the map", () => {
+  const guard = (req, res, next) => next();
+  const router = express.Router();
+  router.get("/webhooks", guard, () => {});
+  router.get("/no-such-route", guard, () => {});
+  router.post("/public-route", () => {});
+
+  assert.deepEqual(findUnmappedRoutes(router, guard), ["GET /no-such-route"]);
+});
+
+test("a view-only role can't delete project lists or issue material", () => {
+  const grants = { projects: ["view"], inventory: ["view"] };
+  assert.equal(isAllowed(getRoutePermission("DELETE", "/projects/List/:id").required, grants), false);
+  assert.equal(isAllowed(getRoutePermission("POST", "/material_issue_slip").required, grants), false);
+  assert.equal(isAllowed(getRoutePermission("POST", "/material_issue_slip").required, { inventory: ["add"] }), true);
+});
+
+test("starting a stock reconciliation needs an inventory edit grant", () => {
+  const required = getRoutePermission("POST", "/inventory/reconciliation").required;
+  assert.equal(isAllowed(required, { inventory: ["view"] }), false);
+  assert.equal(isAllowed(required, { inventory: ["edit"] }), true);
+});
+
+test("reorder level writes and the low-stock check need inventory write grants", () => {
+  const viewOnly = { inventory: ["view"] };
+  for (const [method, path] of [
+    ["POST", "/reorder-level"],
+    ["PUT", "/reorder-level"],
+    ["DELETE", "/reorder-level"],
+    ["POST", "/reorder-level/check"],
+  ]) {
+    assert.equal(isAllowed(getRoutePermission(method, path).required, viewOnly), false, `${method} ${path}`);
+  }
+  assert.equal(isAllowed(getRoutePermission("DELETE", "/reorder-level").required, { inventory: ["delete"] }), true);
+  assert.equal(isAllowed(getRoutePermission("GET", "/reorder-level").required, viewOnly), true);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_WORKFLOWS,
+  DEFAULT_SLA_HOURS,
+  stepApplies,
+  createApprovalState,
+  getAutoApproval,
+  getApprovalCondition,
+} = require("../../libs/approvalEngine");
+
+const user = { id: "64b000000000000000000001", name: "Approver" };
+
+/**
+ * Purchase order of a total amount
+ * @param {Number} total
+ * @returns {Object}
+ */
+const purchaseOrder = (total) => ({ po_number: "PO-1", vendors_total: [{ total }], prHistory: [] });
+
+const workflow = {
+  _id: null,
+  steps: [
+    { name: "Director", level: 2, min_amount: 100000 },
+    { name: "Manager", level: 1, max_amount: 500000 },
+  ],
+};
+
+test("a step applies within its min and max amounts", () => {
+  assert.equal(stepApplies({ min_amount: 100 }, 100), true);
+  assert.equal(stepApplies({ min_amount: 100 }, 99), false);
+  assert.equal(stepApplies({ max_amount: 500 }, 500), true);
+  assert.equal(stepApplies({ max_amount: 500 }, 501), false);
+  assert.equal(stepApplies({ max_amount: null }, 1e9), true);
+});
+
+test("the chain opens at the lowest level that applies", () => {
+  const state = createApprovalState("purchase_order", workflow, purchaseOrder(50000));
+
+  assert.equal(state.status, "in_progress");
+  assert.equal(state.auto_approved, false);
+  assert.equal(state.version, 0);
+  assert.equal(state.current_level, 1);
+  assert.deepEqual(
+    state.steps.map((s) => [s.name, s.status]),
+    [
+      ["Manager", "pending"],
+      ["Director", "skipped"],
+    ]
+  );
+  assert.equal(state.steps[0].sla_hours, DEFAULT_SLA_HOURS);
+});
+
+test("steps skipped by the amount move the chain to the next level", () => {
+  const state = createApprovalState("purchase_order", workflow, purchaseOrder(600000));
+
+  assert.equal(state.current_level, 2);
+  assert.equal(state.steps.find((s) => s.name === "Director").status, "pending");
+});
+
+test("a chain no step applies to is complete and auto-approved", () => {
+  const steps = [{ name: "Director", level: 1, min_amount: 100000 }];
+  const state = createApprovalState("purchase_order", { _id: null, steps }, purchaseOrder(500));
+
+  assert.equal(state.status, "approved");
+  assert.equal(state.auto_approved, true);
+  assert.ok(state.completed_at);
+});
+
+test("auto-approval sets the status and legacy approval fields", () => {
+  const steps = [{ ...DEFAULT_WORKFLOWS.purchase_request[0], min_amount: 100000 }];
+  const doc = { vendors_total: { total: 500 }, prHistory: [] };
+  const state = createApprovalState("purchase_request", { _id: null, steps }, doc);
+  const { fields, historyEntry } = getAutoApproval("purchase_request", doc, state, user);
+
+  assert.equal(fields.status, "approved");
+  assert.equal(fields.PD_approvedBy, user.id);
+  assert.equal(fields.approval.version, 1);
+  assert.match(historyEntry.status, /^Auto-approved/);
+});
+
+test("auto-approval of a rate approval marks it finally approved", () => {
+  const steps = [{ ...DEFAULT_WORKFLOWS.rate_approval[0], min_amount: 100000 }];
+  const doc = { vendors_total: [{ total_amount: 500, preferred: true }], prHistory: [] };
+  const state = createApprovalState("rate_approval", { _id: null, steps }, doc);
+  const { fields } = getAutoApproval("rate_approval", doc, state, user);
+
+  assert.equal(fields.status, "approved");
+  assert.equal(fields.final_approved, true);
+});
+
+test("actions are saved only over the approval state they were read with", () => {
+  assert.deepEqual(getApprovalCondition({}), { approval: null });
+  assert.deepEqual(getApprovalCondition({ approval: { version: 3, status: "in_progress", current_level: 2 } }), {
+    "approval.version": 3,
+  });
+  assert.deepEqual(getApprovalCondition({ approval: { status: "in_progress", current_level: 2 } }), {
+    "approval.version": { $exists: false },
+    "approval.status": "in_progress",
+    "approval.current_level": 2,
+  });
+});
@@ -0,0 +1,188 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const test = require("node:test");
+const { mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const redis = require("redis");
+const { initRedis } = require("../../config/redis");
+const User = require("../../models/User");
+const { RefreshToken } = require("../../models/RefreshToken");
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getSessionState,
+} = require("../../libs/authTokens");
+
+const { ObjectId } = mongoose.Types;
+const COMPANY = new ObjectId();
+
+/**
+ * Whether a row matches a filter: equality (null matching a missing value),
+ * $ne and $gt
+ */
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    const actual = row[key];
+    if (value === null) return actual == null;
+    if (value && typeof value === "object" && "$ne" in value) return String(actual) !== String(value.$ne);
+    if (value && typeof value === "object" && "$gt" in value) return actual > value.$gt;
+    return String(actual) === String(value);
+  });
+}
+
+const lean = (value) => ({ select: () => lean(value), lean: async () => value });
+
+// In-memory refresh tokens, users and Redis
+const tokens = [];
+const users = [];
+const cache = new Map();
+
+mock.method(RefreshToken, "create", async (doc) => {
+  const row = { _id: new ObjectId(), revoked_at: null, revoked_reason: null, ...doc };
+  tokens.push(row);
+  return row;
+});
+mock.method(RefreshToken, "findOne", (filter) => lean(tokens.find((o) => matches(o, filter)) || null));
+mock.method(RefreshToken, "distinct", async (field, filter) => [
+  ...new Set(tokens.filter((o) => matches(o, filter)).map((o) => o[field])),
+]);
+mock.method(RefreshToken, "updateMany", async (filter, update) => {
+  tokens.filter((o) => matches(o, filter)).forEach((o) => Object.assign(o, update.$set));
+});
+mock.method(RefreshToken, "findOneAndUpdate", async (filter, update) => {
+  const row = tokens.find((o) => matches(o, filter));
+  if (!row) return null;
+  const before = { ...row };
+  Object.assign(row, update.$set);
+  return before;
+});
+mock.method(RefreshToken, "deleteOne", async (filter) => {
+  const index = tokens.findIndex((o) => matches(o, filter));
+  if (index >= 0) tokens.splice(index, 1);
+});
+mock.method(RefreshToken, "exists", async (filter) => tokens.some((o) => matches(o, filter)));
+mock.method(User, "findOne", (filter) => lean(users.find((o) => matches(o, filter)) || null));
+mock.method(redis, "createClient", () => ({
+  on() {},
+  async connect() {},
+  async get(key) {
+    return cache.has(key) ? cache.get(key) : null;
+  },
+  async setEx(key, ttl, value) {
+    cache.set(key, value);
+  },
+  async del(key) {
+    cache.delete(key);
+  },
+}));
+
+test.before(() => initRedis());
+
+/**
+ * A new active user
+ */
+function addUser() {
+  const user = { _id: new ObjectId(), name: "Test", companyIdf: COMPANY, isActive: true };
+  users.push(user);
+  return user;
+}
+
+/**
+ * The refresh token row of a token
+ */
+const rowOf = (refreshToken) => tokens.find((o) => o.token_hash === hashToken(refreshToken));
+
+const rejectsWith = (promise, statusCode) => assert.rejects(promise, (error) => error.statusCode === statusCode);
+
+test("rotating a refresh token keeps the session and retires the old token", async () => {
+  const user = addUser();
+  const first = await issueTokens(user, { device_id: "phone" });
+  const second = await rotateRefreshToken(first.refresh_token);
+
+  assert.equal(second.session_id, first.session_id);
+  assert.notEqual(second.refresh_token, first.refresh_token);
+  assert.equal(rowOf(first.refresh_token).revoked_reason, "rotated");
+  assert.equal(String(rowOf(first.refresh_token).replaced_by), String(rowOf(second.refresh_token)._id));
+  assert.equal(rowOf(second.refresh_token).revoked_at, null);
+});
+
+test("presenting a rotated token again revokes the whole session", async () => {
+  const user = addUser();
+  const first = await issueTokens(user, { device_id: "laptop" });
+  const second = await rotateRefreshToken(first.refresh_token);
+
+  await rejectsWith(rotateRefreshToken(first.refresh_token), 401);
+  assert.equal(rowOf(second.refresh_token).revoked_reason, "reuse_detected");
+  await rejectsWith(rotateRefreshToken(second.refresh_token), 401);
+});
+
+test("of two concurrent rotations of one token only one wins, and the session is revoked", async () => {
+  const user = addUser();
+  const first = await issueTokens(user, { device_id: "tablet" });
+
+  const results = await Promise.allSettled([
+    rotateRefreshToken(first.refresh_token),
+    rotateRefreshToken(first.refresh_token),
+  ]);
+  assert.equal(results.filter((o) => o.status === "fulfilled").length, 1);
+  assert.equal(
+    tokens.filter((o) => o.session_id === first.session_id && o.revoked_at === null).length,
+    0
+  );
+});
+
+test("unknown tokens and inactive users are refused", async () => {
+  await rejectsWith(rotateRefreshToken("no-such-token"), 401);
+  await rejectsWith(rotateRefreshToken(""), 401);
+
+  const user = addUser();
+  const first = await issueTokens(user, { device_id: "desktop" });
+  user.isActive = false;
+  await rejectsWith(rotateRefreshToken(first.refresh_token), 401);
+  assert.equal(rowOf(first.refresh_token).revoked_reason, "user_inactive");
+});
+
+test("logging in again on a device revokes its earlier session", async () => {
+  const user = addUser();
+  const first = await issueTokens(user, { device_id: "kiosk" });
+  await issueTokens(user, { device_id: "kiosk" });
+  assert.equal(rowOf(first.refresh_token).revoked_reason, "new_login");
+});
+
+test("revoking a session clears its cached state, so its access tokens stop working", async () => {
+  const user = addUser();
+  const login = await issueTokens(user, { device_id: "watch" });
+  const decoded = { id: user._id, companyIdf: COMPANY, sid: login.session_id };
+
+  assert.deepEqual(await getSessionState(decoded), { active: true });
+  assert.ok(cache.has(`auth:session:${login.session_id}`));
+
+  assert.equal(await revokeSession(login.session_id), 1);
+  assert.equal(cache.has(`auth:session:${login.session_id}`), false);
+  assert.deepEqual(await getSessionState(decoded), { active: false, code: "TOKEN_IS_EXPIRED" });
+});
+
+test("logout-all revokes every session of the user but the one kept", async () => {
+  const user = addUser();
+  const kept = await issueTokens(user, { device_id: "one" });
+  const other = await issueTokens(user, { device_id: "two" });
+  const third = await issueTokens(user, { device_id: "three" });
+  const stranger = await issueTokens(addUser(), { device_id: "one" });
+
+  assert.equal(await revokeUserSessions(user._id, "logout_all", kept.session_id), 2);
+  assert.equal(rowOf(kept.refresh_token).revoked_at, null);
+  assert.equal(rowOf(other.refresh_token).revoked_reason, "logout_all");
+  assert.equal(rowOf(third.refresh_token).revoked_reason, "logout_all");
+  assert.equal(rowOf(stranger.refresh_token).revoked_at, null);
+});
+
+test("tokens without a session are not accepted", async () => {
+  assert.deepEqual(await getSessionState({ id: new ObjectId(), companyIdf: COMPANY }), {
+    active: false,
+    code: "TOKEN_IS_EXPIRED",
+  });
+});
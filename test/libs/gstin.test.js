@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normaliseTaxId,
+  getStateCodes,
+  getGstinCheckChar,
+  isValidPan,
+  validateGstin,
+  validateTaxDetails,
+  assertValidTaxDetails,
+} = require("../../libs/gstin");
+
+// Published sample GSTINs with valid check characters
+const MAHARASHTRA_GSTIN = "27AAPFU0939F1ZV";
+const KARNATAKA_GSTIN = "29AAGCB7383J1Z4";
+
+test("tax IDs are compared without spaces, in upper case", () => {
+  assert.equal(normaliseTaxId(" 27aapfu 0939f1zv "), MAHARASHTRA_GSTIN);
+  assert.equal(normaliseTaxId(undefined), "");
+});
+
+test("PANs must be five letters, four digits and a letter", () => {
+  assert.equal(isValidPan("AAPFU0939F"), true);
+  assert.equal(isValidPan("aapfu0939f"), true);
+  assert.equal(isValidPan("AAPF10939F"), false);
+  assert.equal(isValidPan("AAPFU0939"), false);
+});
+
+test("the check character is the base-36 checksum of the first 14 characters", () => {
+  assert.equal(getGstinCheckChar(MAHARASHTRA_GSTIN.slice(0, 14)), "V");
+  assert.equal(getGstinCheckChar(KARNATAKA_GSTIN.slice(0, 14)), "4");
+});
+
+test("valid GSTINs have no problems", () => {
+  assert.deepEqual(validateGstin(MAHARASHTRA_GSTIN), []);
+  assert.deepEqual(validateGstin("29aagcb7383j1z4"), []);
+});
+
+test("GSTINs are checked for length, format, state code and check character", () => {
+  assert.match(validateGstin("27AAPFU0939F1Z")[0], /must be 15 characters/);
+  assert.match(validateGstin("27AAPFU0939F1XV")[0], /not in the format/);
+  assert.match(validateGstin("27AAPFU0939F1ZA")[0], /invalid check character/);
+
+  const body = "50AAPFU0939F1Z";
+  const unknownState = validateGstin(body + getGstinCheckChar(body));
+  assert.deepEqual(unknownState, [`GSTIN ${body}${getGstinCheckChar(body)} has an unknown state code 50`]);
+});
+
+test("address states are matched by name, alias or ISO code", () => {
+  assert.deepEqual(getStateCodes("Maharashtra"), ["27"]);
+  assert.deepEqual(getStateCodes("MH"), ["27"]);
+  assert.deepEqual(getStateCodes("IN-KA"), ["29"]);
+  assert.deepEqual(getStateCodes("orissa"), ["21"]);
+  assert.deepEqual(getStateCodes("Jammu & Kashmir"), ["01"]);
+  assert.deepEqual(getStateCodes("Andhra Pradesh"), ["28", "37"]);
+  assert.deepEqual(getStateCodes("Atlantis"), []);
+  assert.deepEqual(getStateCodes(""), []);
+});
+
+test("a GSTIN must belong to the PAN and state it is filed with", () => {
+  assert.deepEqual(
+    validateTaxDetails({ gst_number: MAHARASHTRA_GSTIN, pan_number: "AAPFU0939F", state: "Maharashtra" }),
+    []
+  );
+
+  const errors = validateTaxDetails({ gst_number: MAHARASHTRA_GSTIN, pan_number: "AAGCB7383J", state: "Karnataka" });
+  assert.deepEqual(
+    errors.map((o) => o.field),
+    ["gst_number", "address.state"]
+  );
+  assert.match(errors[0].message, /belongs to PAN AAPFU0939F, not AAGCB7383J/);
+  assert.match(errors[1].message, /registered in Maharashtra \(27\), not Karnataka/);
+});
+
+test("blank values are not checked and field names can be renamed", () => {
+  assert.deepEqual(validateTaxDetails({}), []);
+  assert.deepEqual(validateTaxDetails({ pan_number: "BAD" }, { pan_number: "pan" }), [
+    { field: "pan", message: "PAN BAD is not in the format AAAAA9999A" },
+  ]);
+});
+
+test("unrecognised address states are reported", () => {
+  const [error] = validateTaxDetails({ gst_number: KARNATAKA_GSTIN, state: "Atlantis" });
+  assert.equal(error.field, "address.state");
+});
+
+test("invalid tax details throw a 400 listing every problem", () => {
+  assert.doesNotThrow(() => assertValidTaxDetails({ gst_number: KARNATAKA_GSTIN, state: "KA" }));
+  assert.throws(
+    () => assertValidTaxDetails({ gst_number: "27AAPFU0939F1ZA", pan_number: "BAD" }),
+    (error) => error.statusCode === 400 && error.errors.length === 2 && error.message.includes("; ")
+  );
+});
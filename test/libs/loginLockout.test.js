@@ -0,0 +1,107 @@
+const test = require("node:test");
+const { mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const LoginAttempt = require("../../models/LoginAttempt");
+const { getAuthSettings } = require("../../libs/authTokens");
+const {
+  getAttemptKeys,
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../../libs/loginLockout");
+
+const { ObjectId } = mongoose.Types;
+const { maxLoginAttempts, maxLoginAttemptsPerIp } = getAuthSettings();
+
+/**
+ * Whether a counter matches a filter: equality, $in, $gt and $lte
+ */
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    const actual = row[key];
+    if (value && typeof value === "object" && "$in" in value) return value.$in.includes(actual);
+    if (value && typeof value === "object" && "$gt" in value) return actual > value.$gt;
+    if (value && typeof value === "object" && "$lte" in value) return actual <= value.$lte;
+    return String(actual) === String(value);
+  });
+}
+
+const lean = (value) => ({ lean: async () => value });
+
+// In-memory counters
+let attempts = [];
+test.beforeEach(() => {
+  attempts = [];
+});
+
+mock.method(LoginAttempt, "find", (filter) => lean(attempts.filter((o) => matches(o, filter))));
+mock.method(LoginAttempt, "deleteOne", async (filter) => {
+  attempts = attempts.filter((o) => !matches(o, filter));
+});
+mock.method(LoginAttempt, "findOneAndUpdate", (filter, update) => {
+  let row = attempts.find((o) => matches(o, filter));
+  if (!row) {
+    row = { _id: new ObjectId(), key: filter.key, failures: 0, locked_until: null, ...update.$setOnInsert };
+    attempts.push(row);
+  }
+  row.failures += update.$inc.failures;
+  return lean({ ...row });
+});
+mock.method(LoginAttempt, "updateOne", async (filter, update) => {
+  const row = attempts.find((o) => String(o._id) === String(filter._id));
+  if (row) Object.assign(row, update.$set);
+});
+
+const rejectsWithLock = (promise) => assert.rejects(promise, (error) => error.statusCode === 429);
+
+/**
+ * Fail a login n times
+ */
+async function fail(n, email, ip) {
+  for (let i = 0; i < n; i++) await recordLoginFailure(email, ip);
+}
+
+test("an email is locked once it reaches the failure limit", async () => {
+  await fail(maxLoginAttempts - 1, "User@Example.com", "10.0.0.1");
+  await assertLoginAllowed("user@example.com", "10.0.0.2");
+
+  await recordLoginFailure("user@example.com ", "10.0.0.1");
+  await rejectsWithLock(assertLoginAllowed("USER@example.com", "10.0.0.3"));
+  await assertLoginAllowed("other@example.com", "10.0.0.3");
+});
+
+test("an IP is locked after its limit of failures across emails", async () => {
+  for (let i = 0; i < maxLoginAttemptsPerIp; i++) await recordLoginFailure(`user${i}@example.com`, "10.0.0.9");
+
+  await rejectsWithLock(assertLoginAllowed("fresh@example.com", "10.0.0.9"));
+  await assertLoginAllowed("fresh@example.com", "10.0.0.10");
+});
+
+test("clearing an email's failures lifts its lock", async () => {
+  await fail(maxLoginAttempts, "clear@example.com", "10.0.1.1");
+  await rejectsWithLock(assertLoginAllowed("clear@example.com"));
+
+  await clearLoginFailures("clear@example.com");
+  await assertLoginAllowed("clear@example.com");
+});
+
+test("an expired window starts the count over", async () => {
+  await fail(maxLoginAttempts - 1, "window@example.com");
+  attempts.forEach((o) => (o.expires_at = new Date(Date.now() - 1000)));
+
+  await recordLoginFailure("window@example.com");
+  await assertLoginAllowed("window@example.com");
+  assert.equal(attempts.find((o) => o.key === "email:window@example.com").failures, 1);
+});
+
+test("password reset requests are counted apart from failed logins", async () => {
+  assert.deepEqual(
+    getAttemptKeys("Reset@Example.com", "10.0.2.1", "password_reset").map((o) => o.key),
+    ["password_reset:email:reset@example.com", "password_reset:ip:10.0.2.1"]
+  );
+
+  for (let i = 0; i < maxLoginAttempts; i++) await recordLoginFailure("reset@example.com", "10.0.2.1", "password_reset");
+  await rejectsWithLock(assertLoginAllowed("reset@example.com", "10.0.2.2", "password_reset"));
+  await assertLoginAllowed("reset@example.com", "10.0.2.2");
+});
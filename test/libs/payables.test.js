@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AGEING_BUCKETS,
+  round,
+  getCreditDays,
+  parseInvoiceDate,
+  getInvoiceAmount,
+  getAgeingBucket,
+} = require("../../libs/payables");
+
+test("credit days are read from free-text payment terms", () => {
+  assert.equal(getCreditDays("30 days"), 30);
+  assert.equal(getCreditDays("Net 45"), 45);
+  assert.equal(getCreditDays("Advance"), 0);
+  assert.equal(getCreditDays(undefined), 0);
+});
+
+test("invoice dates are read as YYYY-MM-DD or DD-MM-YYYY", () => {
+  assert.equal(parseInvoiceDate("2026-03-15").toISOString(), "2026-03-15T00:00:00.000Z");
+  assert.equal(parseInvoiceDate("15-03-2026").toISOString(), "2026-03-15T00:00:00.000Z");
+  assert.equal(parseInvoiceDate("15/03/2026").toISOString(), "2026-03-15T00:00:00.000Z");
+});
+
+test("unreadable invoice dates fall back to the given date", () => {
+  const fallback = new Date("2026-01-01T00:00:00Z");
+  assert.equal(parseInvoiceDate("not a date", fallback).getTime(), fallback.getTime());
+  assert.equal(parseInvoiceDate("", fallback).getTime(), fallback.getTime());
+});
+
+test("the invoice amount is the vendor's total, else the DMR total, to paise", () => {
+  assert.equal(getInvoiceAmount({ vendorInvoiceTotal: 1180.456, TotalAmount: 1000 }), 1180.46);
+  assert.equal(getInvoiceAmount({ TotalAmount: 1000 }), 1000);
+  assert.equal(getInvoiceAmount({}), 0);
+  assert.equal(round("12.345"), 12.35);
+});
+
+test("an invoice is not due until its due date, then 0-30 from the due date", () => {
+  assert.equal(getAgeingBucket(-1).key, "not_due");
+  assert.equal(getAgeingBucket(0).key, "0_30");
+  assert.equal(getAgeingBucket(30).key, "0_30");
+  assert.equal(getAgeingBucket(31).key, "31_60");
+  assert.equal(getAgeingBucket(60).key, "31_60");
+  assert.equal(getAgeingBucket(61).key, "61_90");
+  assert.equal(getAgeingBucket(90).key, "61_90");
+  assert.equal(getAgeingBucket(91).key, "90_plus");
+  assert.equal(getAgeingBucket(-400).key, "not_due");
+  assert.equal(getAgeingBucket(4000).key, "90_plus");
+});
+
+test("ageing buckets cover every whole day without overlapping", () => {
+  AGEING_BUCKETS.slice(1).forEach((bucket, index) => {
+    assert.equal(bucket.from, AGEING_BUCKETS[index].to + 1, bucket.key);
+  });
+});
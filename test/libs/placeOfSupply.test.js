@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SUPPLY_TYPES,
+  getSupplyType,
+  splitGST,
+  getGSTDetails,
+  getOrderTaxes,
+  addOrderGSTDetails,
+  getInvoiceTaxes,
+  getDebitNoteTaxes,
+} = require("../../libs/placeOfSupply");
+
+const maharashtraVendor = { gst_number: "27AAPFU0939F1ZV", address: { state: "Maharashtra" } };
+
+test("a vendor delivering within its GSTIN's state is an intra-state supply", () => {
+  assert.deepEqual(getSupplyType({ vendor: maharashtraVendor, deliveryAddress: { state: "MH" } }), {
+    type: SUPPLY_TYPES.INTRASTATE,
+    supplier_state: "27",
+    place_of_supply: "27",
+  });
+});
+
+test("delivery to another state is an inter-state supply", () => {
+  assert.deepEqual(getSupplyType({ vendor: maharashtraVendor, deliveryAddress: { state: "Karnataka" } }), {
+    type: SUPPLY_TYPES.INTERSTATE,
+    supplier_state: "27",
+    place_of_supply: "29",
+  });
+});
+
+test("the vendor's GSTIN state wins over its address state", () => {
+  const vendor = { gst_number: "27AAPFU0939F1ZV", address: { state: "Karnataka" } };
+  assert.equal(getSupplyType({ vendor, deliveryAddress: { state: "Karnataka" } }).type, SUPPLY_TYPES.INTERSTATE);
+});
+
+test("without a delivery state the billing organisation's GSTIN is the place of supply", () => {
+  const supply = getSupplyType({
+    vendor: maharashtraVendor,
+    deliveryAddress: {},
+    billingAddress: { gst_number: "29AAGCB7383J1Z4", state: "Maharashtra" },
+  });
+  assert.equal(supply.type, SUPPLY_TYPES.INTERSTATE);
+  assert.equal(supply.place_of_supply, "29");
+});
+
+test("unregistered vendors charge no GST and unknown states leave it undetermined", () => {
+  assert.equal(
+    getSupplyType({ vendor: { address: { state: "Maharashtra" } }, deliveryAddress: { state: "MH" } }).type,
+    SUPPLY_TYPES.NO_GST
+  );
+  assert.deepEqual(getSupplyType({ vendor: maharashtraVendor }), {
+    type: SUPPLY_TYPES.UNDETERMINED,
+    supplier_state: "27",
+    place_of_supply: null,
+  });
+});
+
+test("intra-state GST is split into CGST and SGST that add up to it", () => {
+  assert.deepEqual(splitGST(100.01, SUPPLY_TYPES.INTRASTATE), { GST: 100.01, CGST: 50.01, SGST: 50, IGST: 0 });
+  assert.deepEqual(splitGST(90, SUPPLY_TYPES.INTERSTATE), { GST: 90, CGST: 0, SGST: 0, IGST: 90 });
+  assert.deepEqual(splitGST(90, SUPPLY_TYPES.UNDETERMINED), { GST: 90, CGST: 0, SGST: 0, IGST: 0 });
+});
+
+test("GST details add up the item, freight and other charges GST", () => {
+  const details = getGSTDetails(
+    { vendor: maharashtraVendor, deliveryAddress: { state: "Maharashtra" } },
+    { items: 180, freight: 18, otherCharges: 9 }
+  );
+  assert.equal(details.GST, 207);
+  assert.equal(details.CGST, 103.5);
+  assert.equal(details.SGST, 103.5);
+  assert.equal(details.IGST, 0);
+  assert.deepEqual(details.breakup.freight, { GST: 18, CGST: 9, SGST: 9, IGST: 0 });
+});
+
+test("order taxes take freight and other charges at their GST %", () => {
+  assert.deepEqual(
+    getOrderTaxes({ gstAmount: 180, freight: 1000, freightGST: 18, otherCharges: 500, otherChargesGST: 12 }),
+    { items: 180, freight: 180, otherCharges: 60 }
+  );
+});
+
+test("GST details are set on every vendors_total of an order", () => {
+  const order = addOrderGSTDetails({
+    vendor_detail: maharashtraVendor,
+    delivery_address: { state: "Karnataka" },
+    vendors_total: [{ gstAmount: 180 }, { gstAmount: 90 }],
+  });
+  assert.deepEqual(
+    order.vendors_total.map((o) => [o.GSTDetails.type, o.GSTDetails.IGST]),
+    [
+      [SUPPLY_TYPES.INTERSTATE, 180],
+      [SUPPLY_TYPES.INTERSTATE, 90],
+    ]
+  );
+});
+
+test("invoice taxes use the invoiced quantity and rate, and charges above their base", () => {
+  const taxes = getInvoiceTaxes({
+    dmritem: [
+      { invoiceQty: 10, InvoiceRate: 100, Rate: 90, gst: 18 },
+      { receivedQuantity: 5, Rate: 200, gst: 12 },
+      null,
+    ],
+    Freight: { freight: 1000, totalfreight: 1180 },
+    otherCharges: { totalotherCharges: 500 },
+  });
+  assert.deepEqual(taxes, { items: 300, freight: 180, otherCharges: 0 });
+});
+
+test("debit note lines named freight or other charges are taxed as such", () => {
+  assert.deepEqual(
+    getDebitNoteTaxes({
+      items: [{ item_name: "Cement", gst: 90 }],
+      additionalDebits: [
+        { type: "Freight", gst: 18 },
+        { item_details: "Other Charges", gst: 9 },
+      ],
+    }),
+    { items: 90, freight: 18, otherCharges: 9 }
+  );
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PLANS, PLAN_MODULES, GRACE_PERIOD_DAYS } = require("../../config/subscription-plans");
+const { SUBSCRIPTION_STATUS, getPlan, getSubscriptionStatus, isAllowedDuringGrace } = require("../../libs/subscription");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("companies with no plan stored are on the legacy plan, with no limits and every module", () => {
+  for (const planKey of [undefined, null]) {
+    const plan = getPlan(planKey);
+    assert.equal(plan.key, "legacy");
+    assert.deepEqual(plan.limits, { users: null, sites: null, monthlyPOs: null });
+    assert.deepEqual(plan.modules, Object.keys(PLAN_MODULES));
+  }
+});
+
+test("unknown plans fall back to basic", () => {
+  assert.equal(getPlan("gold").key, "basic");
+  assert.equal(getPlan("pro").key, "pro");
+});
+
+test("every plan includes the chatbot", () => {
+  for (const key of Object.keys(PLANS)) {
+    assert.ok(PLANS[key].modules.includes("chatbot"), key);
+  }
+});
+
+test("a subscription is active until expiry, read-only through the grace period, then expired", () => {
+  const expiry = new Date("2026-10-01T00:00:00Z");
+  const company = { isActive: true, subscriptionExpiry: expiry };
+
+  assert.equal(getSubscriptionStatus(company, new Date(expiry.getTime() - 1)).status, SUBSCRIPTION_STATUS.ACTIVE);
+  assert.equal(getSubscriptionStatus(company, expiry).status, SUBSCRIPTION_STATUS.GRACE);
+
+  const state = getSubscriptionStatus(company, new Date(expiry.getTime() + GRACE_PERIOD_DAYS * DAY));
+  assert.equal(state.status, SUBSCRIPTION_STATUS.EXPIRED);
+  assert.equal(state.grace_until.getTime(), expiry.getTime() + GRACE_PERIOD_DAYS * DAY);
+});
+
+test("companies without an expiry never expire; inactive and missing ones are inactive", () => {
+  assert.equal(getSubscriptionStatus({ isActive: true, subscriptionExpiry: null }).status, SUBSCRIPTION_STATUS.ACTIVE);
+  assert.equal(getSubscriptionStatus({ isActive: false }).status, SUBSCRIPTION_STATUS.INACTIVE);
+  assert.equal(getSubscriptionStatus(null).status, SUBSCRIPTION_STATUS.INACTIVE);
+});
+
+test("the grace period allows reads and read-only POSTs but refuses writes", () => {
+  assert.equal(isAllowedDuringGrace("get", "/purchase-order"), true);
+  for (const routePath of [
+    "/users/logout",
+    "/notifications/stream-ticket",
+    "/lineGraph/date-filter",
+    "/generate/asset-card",
+    "/generate/count-sheet",
+    "/generate/vendor-ledger",
+  ]) {
+    assert.equal(isAllowedDuringGrace("POST", routePath), true, routePath);
+  }
+  assert.equal(isAllowedDuringGrace("POST", "/purchase-request"), false);
+  assert.equal(isAllowedDuringGrace("DELETE", "/generate/asset-card"), false);
+});
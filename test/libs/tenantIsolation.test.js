@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { Mongoose } = require("mongoose");
+const { tenantIsolationPlugin } = require("../../libs/tenantIsolation");
+const { runWithTenant, runAsSystem, getTenantContext, keepContext } = require("../../libs/tenantContext");
+
+// A Mongoose of its own, so the app's models are not compiled here
+const mongoose = new Mongoose();
+const { ObjectId } = mongoose.Types;
+
+const TENANT_A = new ObjectId();
+const TENANT_B = new ObjectId();
+
+/**
+ * Whether a row matches a filter: equality, $eq and $and are enough for the
+ * filters the plugin writes
+ */
+function matches(row, filter) {
+  return Object.entries(filter || {}).every(([key, value]) => {
+    if (key === "$and") return value.every((clause) => matches(row, clause));
+    if (value && typeof value === "object" && "$eq" in value) return String(row[key]) === String(value.$eq);
+    return String(row[key]) === String(value);
+  });
+}
+
+/**
+ * In-memory stand-in for the driver collection, over rows
+ */
+function fakeCollection(rows) {
+  const cursor = (found) => ({ toArray: (done) => done(null, found) });
+  return {
+    find(filter, options, cb) {
+      cb(null, cursor(rows.filter((row) => matches(row, filter))));
+    },
+    findOne(filter, options, cb) {
+      cb(null, rows.find((row) => matches(row, filter)) || null);
+    },
+    updateMany(filter, update, options, cb) {
+      const hit = rows.filter((row) => matches(row, filter));
+      hit.forEach((row) => Object.assign(row, update.$set));
+      cb(null, { n: hit.length, nModified: hit.length });
+    },
+    aggregate(pipeline, options, cb) {
+      const found = pipeline.reduce((out, stage) => (stage.$match ? out.filter((row) => matches(row, stage.$match)) : out), rows);
+      cb(null, cursor(found));
+    },
+  };
+}
+
+const schema = new mongoose.Schema({
+  companyIdf: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: String,
+  status: String,
+});
+schema.plugin(tenantIsolationPlugin);
+const Widget = mongoose.model("Widget", schema);
+
+/**
+ * Fresh rows: two of tenant A, one of tenant B
+ */
+function seed() {
+  const rows = [
+    { _id: new ObjectId(), companyIdf: TENANT_A, name: "a1", status: "open" },
+    { _id: new ObjectId(), companyIdf: TENANT_A, name: "a2", status: "open" },
+    { _id: new ObjectId(), companyIdf: TENANT_B, name: "b1", status: "open" },
+  ];
+  Object.assign(Widget.collection, fakeCollection(rows));
+  return rows;
+}
+
+test("a find in a tenant's context returns only that tenant's rows", async () => {
+  seed();
+  const found = await runWithTenant(TENANT_A, () => Widget.find({}).lean());
+  assert.deepEqual(found.map((o) => o.name).sort(), ["a1", "a2"]);
+
+  const other = await runWithTenant(TENANT_A, () => Widget.findOne({ name: "b1" }).lean());
+  assert.equal(other, null);
+});
+
+test("an update in a tenant's context changes only that tenant's rows", async () => {
+  const rows = seed();
+  await runWithTenant(TENANT_B, () => Widget.updateMany({ status: "open" }, { $set: { status: "closed" } }));
+  assert.deepEqual(
+    rows.map((o) => `${o.name}:${o.status}`),
+    ["a1:open", "a2:open", "b1:closed"]
+  );
+});
+
+test("an aggregate in a tenant's context only sees that tenant's rows", async () => {
+  seed();
+  const found = await runWithTenant(TENANT_B, () => Widget.aggregate([{ $project: { name: 1 } }]));
+  assert.deepEqual(found.map((o) => o.name), ["b1"]);
+});
+
+test("a filter naming another tenant is refused", async () => {
+  seed();
+  await assert.rejects(
+    runWithTenant(TENANT_A, () => Widget.find({ companyIdf: TENANT_B })),
+    (error) => error.statusCode === 403
+  );
+  await assert.rejects(
+    runWithTenant(TENANT_A, () => Widget.updateMany({}, { $set: { companyIdf: TENANT_B } })),
+    (error) => error.statusCode === 403
+  );
+});
+
+test("queries outside any context fail closed unless they name their tenant", async () => {
+  seed();
+  await assert.rejects(Widget.find({}), (error) => error.statusCode === 500);
+  await assert.rejects(Widget.updateMany({}, { $set: { status: "closed" } }), (error) => error.statusCode === 500);
+  await assert.rejects(Widget.aggregate([{ $match: {} }]), (error) => error.statusCode === 500);
+  await assert.rejects(new Widget({ name: "loose" }).save(), (error) => error.statusCode === 500);
+
+  const named = await Widget.find({ companyIdf: TENANT_A }).lean();
+  assert.equal(named.length, 2);
+});
+
+test("runAsSystem sees every tenant", async () => {
+  seed();
+  const found = await runAsSystem(() => Widget.find({}).lean());
+  assert.equal(found.length, 3);
+  assert.deepEqual(await runAsSystem(() => getTenantContext()), { system: true });
+});
+
+test("runWithTenant refuses an invalid tenant", () => {
+  assert.throws(() => runWithTenant("not-an-id", () => null), (error) => error.statusCode === 403);
+});
+
+test("keepContext keeps the tenant past a middleware that calls next from an event", async () => {
+  const events = new EventEmitter();
+  const middleware = (req, res, next) => events.once("done", () => next());
+
+  const seen = {};
+  runWithTenant(TENANT_A, () => middleware({}, {}, () => (seen.plain = getTenantContext())));
+  runWithTenant(TENANT_A, () => keepContext(middleware)({}, {}, () => (seen.kept = getTenantContext())));
+  events.emit("done");
+  events.emit("done");
+
+  assert.equal(seen.plain, null);
+  assert.equal(String(seen.kept.companyIdf), String(TENANT_A));
+});
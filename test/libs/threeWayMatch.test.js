@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { matchItems } = require("../../libs/threeWayMatch");
+
+const noTolerance = { qty_percent: 0, rate_percent: 0 };
+
+/**
+ * PO line and DMR item for one item
+ * @param {Object} figures - { po_qty, po_rate, received, invoiced, invoice_rate }
+ * @returns {Array} [dmrItems, poItems]
+ */
+function line({ po_qty = 100, po_rate = 50, received, invoiced, invoice_rate }) {
+  const item = { item_id: "item1", item_name: "Cement" };
+  return [
+    [{ item, totalReceivedQuantity: received, invoiceQty: invoiced, InvoiceRate: invoice_rate, gst: 18 }],
+    [{ item, RequiredQuantity: po_qty, Rate: po_rate }],
+  ];
+}
+
+test("a partial delivery invoiced as received matches", () => {
+  const [dmrItems, poItems] = line({ received: 50, invoiced: 50 });
+  assert.deepEqual(matchItems(dmrItems, poItems, noTolerance), []);
+});
+
+test("later partial invoices match until the PO quantity is reached", () => {
+  const [dmrItems, poItems] = line({ received: 40, invoiced: 40 });
+  assert.deepEqual(matchItems(dmrItems, poItems, noTolerance, { item1: 60 }), []);
+});
+
+test("invoicing more than received is debited at the invoice rate", () => {
+  const [dmrItems, poItems] = line({ received: 50, invoiced: 60, invoice_rate: 50 });
+  const [exception] = matchItems(dmrItems, poItems, noTolerance);
+
+  assert.equal(exception.type, "quantity");
+  assert.equal(exception.message, "Invoiced quantity exceeds received quantity");
+  assert.equal(exception.variance_percent, 20);
+  assert.equal(exception.debit_qty, 10);
+  assert.equal(exception.debit_amount, 500);
+});
+
+test("invoicing less than received is flagged without a debit", () => {
+  const [dmrItems, poItems] = line({ received: 50, invoiced: 40 });
+  const [exception] = matchItems(dmrItems, poItems, noTolerance);
+
+  assert.equal(exception.message, "Invoiced quantity is less than received quantity");
+  assert.equal(exception.debit_qty, 0);
+});
+
+test("invoices together exceeding the PO quantity are flagged by that check alone", () => {
+  const [dmrItems, poItems] = line({ received: 30, invoiced: 30 });
+  const [exception] = matchItems(dmrItems, poItems, noTolerance, { item1: 80 });
+
+  assert.equal(exception.message, "Total invoiced quantity exceeds PO quantity");
+  assert.equal(exception.invoiced_total_qty, 110);
+  assert.equal(exception.variance_percent, 10);
+  assert.equal(exception.debit_qty, 10);
+});
+
+test("quantity variances within tolerance match", () => {
+  const [dmrItems, poItems] = line({ received: 100, invoiced: 101 });
+  assert.deepEqual(matchItems(dmrItems, poItems, { qty_percent: 2, rate_percent: 0 }), []);
+});
+
+test("an invoice rate above the PO rate debits the difference on the received quantity", () => {
+  const [dmrItems, poItems] = line({ received: 100, invoiced: 100, invoice_rate: 55 });
+  const [exception] = matchItems(dmrItems, poItems, noTolerance);
+
+  assert.equal(exception.type, "rate");
+  assert.equal(exception.message, "Invoice rate exceeds PO rate");
+  assert.equal(exception.variance_percent, 10);
+  assert.equal(exception.debit_amount, 500);
+});
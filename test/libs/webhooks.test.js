@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { sign, isPublicAddress, resolveReceiver } = require("../../libs/webhooks");
+
+test("deliveries are signed over the timestamp and raw body", () => {
+  const expected = "sha256=" + crypto.createHmac("sha256", "whsec_test").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(sign("whsec_test", 1700000000, '{"a":1}'), expected);
+});
+
+test("private, loopback, link-local and reserved addresses are not public", () => {
+  [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "224.0.0.1",
+    "255.255.255.255",
+    "::1",
+    "::",
+    "fe80::1",
+    "fd00::1",
+    "::ffff:127.0.0.1",
+    "::ffff:169.254.169.254",
+    "64:ff9b::a00:1",
+  ].forEach((address) => assert.equal(isPublicAddress(address), false, address));
+});
+
+test("public addresses are allowed", () => {
+  ["8.8.8.8", "172.32.0.1", "93.184.216.34", "2606:4700::1111", "::ffff:8.8.8.8"].forEach((address) =>
+    assert.equal(isPublicAddress(address), true, address)
+  );
+});
+
+test("anything that isn't an IP address is not public", () => {
+  assert.equal(isPublicAddress("localhost"), false);
+  assert.equal(isPublicAddress(""), false);
+});
+
+test("receiver URLs must be http or https", async () => {
+  await assert.rejects(resolveReceiver("ftp://8.8.8.8/"), { statusCode: 400 });
+  await assert.rejects(resolveReceiver("not a url"), { statusCode: 400 });
+});
+
+test("receiver URLs on internal addresses are refused, however they are written", async () => {
+  for (const url of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://127.1:8080/",
+    "http://0x7f000001/",
+    "http://[::1]/",
+    "http://[::ffff:10.0.0.1]/",
+    "http://localhost/",
+  ]) {
+    await assert.rejects(resolveReceiver(url), { statusCode: 400 }, url);
+  }
+});
+
+test("receiver URLs on public addresses resolve to that address", async () => {
+  const { target, address, family } = await resolveReceiver("https://8.8.8.8/hooks?x=1");
+  assert.equal(target.toString(), "https://8.8.8.8/hooks?x=1");
+  assert.equal(address, "8.8.8.8");
+  assert.equal(family, 4);
+});
@@ -1,20 +1,68 @@
 const AWS = require("aws-sdk");
+const path = require("path");
 
 const s3 = new AWS.S3({
   accessKeyId: process.env.AWS_ACCESS_KEY_ID,
   secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY, 
 });
 
-const uploadToS3 = async (file) => {
+/**
+ * Content types served for uploaded files, by extension. The type the client
+ * sent is not trusted; anything else is served as a binary download.
+ * @type {Object<String, String>}
+ */
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ods": "application/vnd.oasis.opendocument.spreadsheet",
+  ".csv": "text/csv",
+};
+
+/**
+ * Content type of a file name
+ * @param {String} fileName
+ * @returns {String}
+ */
+const getContentType = (fileName) =>
+  CONTENT_TYPES[path.extname(String(fileName || "")).toLowerCase()] || "application/octet-stream";
+
+/**
+ * Upload To S3
+ * Stored under the original name, with the type the client sent.
+ *
+ * With options.download (files uploaded by outsiders, e.g. RFQ quotations)
+ * the name is sanitised, the content type is chosen from the extension and
+ * the file is served as an attachment, so it is never rendered by the
+ * browser as a page on the bucket's origin.
+ *
+ * @param {Object} file - Multer file (memory storage)
+ * @param {String} folder - Key prefix (default: onboarding)
+ * @param {Object} options
+ * @param {Boolean} options.download - Serve as a download with a server-chosen type (default: false)
+ * @returns {Promise<String>} File URL
+ */
+const uploadToS3 = async (file, folder = "onboarding", { download = false } = {}) => {
   const params = {
     Bucket: process.env.AWS_BUCKET_NAME,
-    Key: `onboarding/${Date.now()}-${file.originalname}`,
+    Key: `${folder}/${Date.now()}-${file.originalname}`,
     Body: file.buffer,
     ContentType: file.mimetype,
   };
+  if (download) {
+    const fileName = path.basename(String(file.originalname || "file")).replace(/[^\w.-]+/g, "_");
+    params.Key = `${folder}/${Date.now()}-${fileName}`;
+    params.ContentType = getContentType(fileName);
+    params.ContentDisposition = `attachment; filename="${fileName}"`;
+  }
 
   const data = await s3.upload(params).promise();
   return data.Location;
 };
 
-module.exports = { uploadToS3 };
\ No newline at end of file
+module.exports = { CONTENT_TYPES, getContentType, uploadToS3 };
@@ -0,0 +1,67 @@
+/**
+ * Transaction Utility Library
+ * Helpers for running stock mutations in MongoDB multi-document transactions
+ *
+ * Provides functions for:
+ * - Running a unit of work inside a session-bound transaction
+ * - Retrying the whole unit of work when an optimistic lock check fails
+ *
+ * Stock models (Inventory, InventoryIn) use Mongoose optimisticConcurrency, so a
+ * document saved after another request changed it throws a VersionError. The
+ * transaction is aborted and the work is re-run against fresh data.
+ *
+ * Note: Transactions require MongoDB to run as a replica set or sharded cluster.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Maximum attempts for a unit of work that keeps losing optimistic lock checks
+ * @type {Number}
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Check whether an error means the unit of work can safely be re-run
+ *
+ * @param {Error} error - Error thrown inside the transaction
+ * @returns {Boolean} True for optimistic lock conflicts and transient transaction errors
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.name === "VersionError") return true;
+  return typeof error.hasErrorLabel === "function" && error.hasErrorLabel("TransientTransactionError");
+}
+
+/**
+ * Run In Transaction
+ * Runs work(session) inside a transaction and commits it, or aborts on error.
+ * Every read and write in work must pass the session so it joins the transaction.
+ *
+ * @param {Function} work - async (session) => result
+ * @param {Number} attempts - Maximum attempts on optimistic lock conflicts (default: 3)
+ * @returns {*} Result returned by work
+ * @throws {Error} Last error when work fails or keeps conflicting
+ */
+async function runInTransaction(work, attempts = MAX_ATTEMPTS) {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (attempt >= attempts || !isRetryableError(error)) throw error;
+      console.warn(`Stock transaction conflict, retrying (attempt ${attempt + 1} of ${attempts})`);
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = {
+  runInTransaction,
+  isRetryableError,
+};